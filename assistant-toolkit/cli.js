@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * toolkit 命令列
+ *
+ * 用法：
+ *   toolkit <module> <command> [args] [--flags]
+ *   toolkit help
+ *
+ * 範例：
+ *   toolkit investment quotes ONDS TSLA
+ *   toolkit forex convert 100 USD TWD --json
+ *   toolkit briefing morning --format markdown
+ *
+ * 補全：
+ *   eval "$(toolkit completion bash)"
+ */
+
+const { createCLI } = require('./lib/cli');
+
+async function main() {
+  const toolkit = require('./index');
+  const cli = createCLI(toolkit);
+  process.exitCode = await cli.run(process.argv.slice(2));
+}
+
+main().catch(e => {
+  console.error('❌', e.message);
+  process.exitCode = 1;
+});
@@ -3,43 +3,85 @@
  * 
  * 統一入口，整合所有專案的功能
  * 讓助手可以方便地調用各種工具
+ *
+ * 報告類函數回傳 ToolResult（見 lib/result.js）：
+ *   String(result)         原本的 Telegram Markdown
+ *   result.data            結構化資料
+ *   result.render('html')  其他格式（text / html / json）
+ *
+ * 所有工具函數調用前會依 lib/tools.js 的定義驗證參數，
+ * 參數錯誤或模組未載入時回傳錯誤結果（result.error / result.code）
+ *
+ * 個人設定（lib/profiles.js）：簡報區塊、觀察清單、新聞主題等依目前的成員而定
+ *   toolkit.forProfile('margaret').getMorningBriefing()
+ *   toolkit.invokeTool('getMorningBriefing', {}, { profile: 'margaret' })
+ * 未指定時為 profile.default（預設 barry）
  */
 
 const path = require('path');
+const { ProjectRegistry } = require('./lib/registry');
+const { createResult, createError, isError, render, registerRenderer } = require('./lib/result');
+const schema = require('./lib/schema');
+const { createToolDefinitions } = require('./lib/tools');
+const { getConfigValue } = require('./lib/config');
+const profiles = require('./lib/profiles');
+const { runSections, renderSection, getSectionStats } = require('./lib/pipeline');
 
 // 專案路徑
 const PROJECTS_DIR = path.join(__dirname, '..');
 
+// 掃描各專案的 manifest.json 並載入
+const registry = new ProjectRegistry(PROJECTS_DIR).loadAll();
+
+for (const { name, reason } of registry.getStatus().failed) {
+  console.error(`Failed to load project ${name}:`, reason);
+}
+
+const investment = registry.get('investment-monitor');
+const fintech = registry.get('fintech-news');
+const briefing = registry.get('morning-briefing');
+const stablecoin = registry.get('stablecoin-tracker');
+const rwa = registry.get('rwa-tracker');
+const forex = registry.get('forex-tracker');
+const crypto = registry.get('crypto-tracker');
+const marketDashboard = registry.get('market-dashboard');
+const memorySearch = registry.get('memory-search');
+const taiwanFintech = registry.get('taiwan-fintech');
+const legalNews = registry.get('legal-news');
+const storyTime = registry.get('story-time');
+const systemStatus = registry.get('system-status');
+const quickAnswers = registry.get('quick-answers');
+
+// 各專案的顯示名稱（用於錯誤訊息）
+const PROJECT_LABELS = {
+  'memory-search': '記憶搜尋',
+  'investment-monitor': '投資監控',
+  'fintech-news': '新聞',
+  'morning-briefing': '簡報',
+  'stablecoin-tracker': '穩定幣',
+  'rwa-tracker': 'RWA ',
+  'forex-tracker': '匯率',
+  'crypto-tracker': '加密貨幣',
+  'market-dashboard': '市場儀表板',
+  'taiwan-fintech': '台灣 Fintech ',
+  'legal-news': '法律新聞',
+  'story-time': '故事',
+  'system-status': '系統狀態',
+  'quick-answers': '快速問答',
+};
+
 /**
- * 載入專案模組
+ * 模組未載入的錯誤結果
+ * @param {string} project - 專案名稱
  */
-function loadProject(name) {
-  try {
-    const projectPath = path.join(PROJECTS_DIR, name);
-    // 優先載入 assistant-integration.js
-    try {
-      return require(path.join(projectPath, 'assistant-integration'));
-    } catch (e) {
-      // 回退到 src/index.js
-      return require(path.join(projectPath, 'src/index'));
-    }
-  } catch (e) {
-    console.error(`Failed to load project ${name}:`, e.message);
-    return null;
-  }
+function notLoaded(project) {
+  const label = PROJECT_LABELS[project] || `${project} `;
+  return createError('MODULE_NOT_LOADED', `${label}模組未載入`, {
+    module: project,
+    reason: registry.find(project)?.error || '找不到專案',
+  });
 }
 
-// 載入各專案
-const investment = loadProject('investment-monitor');
-const fintech = loadProject('fintech-news');
-const briefing = loadProject('morning-briefing');
-const stablecoin = loadProject('stablecoin-tracker');
-const rwa = loadProject('rwa-tracker');
-const forex = loadProject('forex-tracker');
-const crypto = loadProject('crypto-tracker');
-const marketDashboard = loadProject('market-dashboard');
-const memorySearch = loadProject('memory-search');
-
 /**
  * ======================
  * 記憶搜尋
@@ -52,7 +94,7 @@ const memorySearch = loadProject('memory-search');
  * @param {number} limit - 結果數量（預設 5）
  */
 async function searchMemory(query, limit = 5) {
-  if (!memorySearch) return { error: 'Memory search module not loaded' };
+  if (!memorySearch) return notLoaded('memory-search');
   return memorySearch.searchMemory(query, limit);
 }
 
@@ -60,15 +102,16 @@ async function searchMemory(query, limit = 5) {
  * 搜尋記憶（簡報格式）
  */
 async function searchMemoryBrief(query, limit = 3) {
-  if (!memorySearch) return '記憶搜尋模組未載入';
-  return memorySearch.searchMemoryBrief(query, limit);
+  if (!memorySearch) return notLoaded('memory-search');
+  const results = memorySearch.searchMemory(query, limit);
+  return createResult('memory.search', { query, results }, memorySearch.formatSearchResults(query, results));
 }
 
 /**
  * 重建記憶索引
  */
 async function rebuildMemoryIndex() {
-  if (!memorySearch) return { error: 'Memory search module not loaded' };
+  if (!memorySearch) return notLoaded('memory-search');
   return memorySearch.rebuildIndex();
 }
 
@@ -76,7 +119,7 @@ async function rebuildMemoryIndex() {
  * 獲取記憶索引統計
  */
 async function getMemoryStats() {
-  if (!memorySearch) return { error: 'Memory search module not loaded' };
+  if (!memorySearch) return notLoaded('memory-search');
   return memorySearch.getStats();
 }
 
@@ -88,51 +131,144 @@ async function getMemoryStats() {
 
 /**
  * 獲取股票報價
- * @param {string[]} symbols - 股票代碼（預設 ONDS, TSLA）
+ * @param {string[]} symbols - 股票代碼（預設為設定的 investment.watchlist）
  */
-async function getStockQuotes(symbols) {
-  if (!investment) return '投資監控模組未載入';
-  return await investment.getQuickQuote(symbols);
+async function getStockQuotes(symbols = getConfigValue('investment.watchlist')) {
+  if (!investment) return notLoaded('investment-monitor');
+  const quotes = await investment.fetchQuotes(symbols);
+  return createResult('stock.quotes', { symbols, quotes }, investment.formatQuickQuote(quotes, symbols));
 }
 
 /**
  * 獲取投資組合績效
  */
 async function getPortfolio() {
-  if (!investment) return '投資監控模組未載入';
-  return await investment.getPortfolioFull();
+  if (!investment) return notLoaded('investment-monitor');
+  const performance = await investment.calculatePerformance();
+  return createResult('portfolio.report', performance, investment.formatPortfolioReport(performance));
 }
 
 /**
  * 獲取投資組合摘要
  */
 async function getPortfolioSummary() {
-  if (!investment) return '投資監控模組未載入';
-  return await investment.getPortfolioSummary();
+  if (!investment) return notLoaded('investment-monitor');
+  const performance = await investment.calculatePerformance();
+  return createResult('portfolio.summary', performance, investment.formatPortfolioSummary(performance));
+}
+
+/**
+ * 獲取歷史報酬（由每日快照計算 TWR、XIRR、最大回檔和期間報酬）
+ * @param {string} since - YYYY-MM-DD 或 1W / 1M / YTD / 1Y（預設全部）
+ */
+function getPortfolioReturns(since = null) {
+  if (!investment) return notLoaded('investment-monitor');
+  const analysis = investment.getReturns({ since });
+  return createResult('portfolio.returns', analysis, investment.formatReturns(analysis));
+}
+
+/**
+ * 獲取技術指標（由本地日線計算，先補上最新日線）
+ * @param {string} symbol - 股票代碼
+ */
+async function getIndicators(symbol) {
+  if (!investment) return notLoaded('investment-monitor');
+  try {
+    const indicators = await investment.getIndicators(symbol);
+    return createResult('stock.indicators', indicators, investment.formatIndicators(indicators.symbol, indicators));
+  } catch (error) {
+    if (error.code !== 'HISTORY_UNAVAILABLE') throw error;
+    return createError(error.code, error.message, { symbol: error.symbol });
+  }
+}
+
+// 交易記錄的錯誤（回傳錯誤結果，不丟出）
+const LEDGER_ERRORS = ['INVALID_TRANSACTION', 'INSUFFICIENT_SHARES'];
+
+/**
+ * 記錄交易並回傳記錄結果
+ */
+async function transactionResult(input) {
+  try {
+    const recorded = await investment.recordTransaction(input);
+    return createResult('portfolio.transaction', recorded, investment.formatTransaction(recorded));
+  } catch (error) {
+    if (!LEDGER_ERRORS.includes(error.code)) throw error;
+    const { code, message, transaction, ...details } = error;
+    return createError(code, message, details);
+  }
+}
+
+/**
+ * 記錄買進股票
+ */
+async function buyStock(symbol, shares, price, date, fee, fxRate) {
+  if (!investment) return notLoaded('investment-monitor');
+  return transactionResult({ type: 'buy', symbol, shares, price, date, fee, fxRate });
+}
+
+/**
+ * 記錄賣出股票（結果包含這筆的已實現損益）
+ */
+async function sellStock(symbol, shares, price, date, fee, fxRate) {
+  if (!investment) return notLoaded('investment-monitor');
+  return transactionResult({ type: 'sell', symbol, shares, price, date, fee, fxRate });
 }
 
 /**
- * 設定股票持倉
+ * 記錄交易（股利、分割、費用、轉帳等）
  */
-function setHolding(symbol, shares, cost) {
-  if (!investment) return '投資監控模組未載入';
-  return investment.setHolding(symbol, shares, cost);
+async function recordTransaction(type, symbol, date, shares, price, amount, ratio, fee, note, currency, fxRate) {
+  if (!investment) return notLoaded('investment-monitor');
+  return transactionResult({ type, symbol, date, shares, price, amount, ratio, fee, note, currency, fxRate });
+}
+
+/**
+ * 獲取交易記錄和已實現損益
+ * @param {string} symbol - 只列出某檔股票（預設全部）
+ */
+function getTransactions(symbol = null) {
+  if (!investment) return notLoaded('investment-monitor');
+  const transactions = investment.getTransactions(symbol);
+  const ledger = investment.getLedger();
+  return createResult('portfolio.transactions', { transactions, method: ledger.method, realized: ledger.realized },
+    investment.formatTransactionHistory(transactions, ledger));
 }
 
 /**
  * 設定價格警報
  */
 function setPriceAlert(symbol, above, below) {
-  if (!investment) return '投資監控模組未載入';
-  return investment.setAlert(symbol, above, below);
+  if (!investment) return notLoaded('investment-monitor');
+  const alert = investment.addAlert(symbol, { above, below });
+  return createResult('alert.created', alert, investment.formatAlertCreated(alert));
+}
+
+/**
+ * 設定條件警報（條件格式見 investment-monitor/src/alerts/rules.js）
+ * 成交量、均線和 RSI 條件需要日線，本地沒有時先下載
+ */
+async function setAlertRule(symbol, rule, cooldown, note) {
+  if (!investment) return notLoaded('investment-monitor');
+  let alert;
+  try {
+    alert = investment.addAlert(symbol, { rule, cooldown, note });
+  } catch (error) {
+    if (error.code !== 'INVALID_ALERT') throw error;
+    return createError(error.code, error.message);
+  }
+  const history = await investment.prepareHistory(alert);
+  return createResult('alert.created', { ...alert, history }, investment.formatAlertCreated(alert, history));
 }
 
 /**
  * 檢查價格警報
  */
 async function checkAlerts() {
-  if (!investment) return null;
-  return await investment.checkAndReportAlerts();
+  if (!investment) return notLoaded('investment-monitor');
+  const triggered = await investment.checkAlerts();
+  if (triggered.length === 0) return null;
+  return createResult('alert.triggered', { triggered }, investment.formatTriggeredAlerts(triggered));
 }
 
 /**
@@ -145,23 +281,25 @@ async function checkAlerts() {
  * 獲取 Fintech 新聞主題列表
  */
 function getNewsTopics() {
-  if (!fintech) return [];
+  if (!fintech) return notLoaded('fintech-news');
   return fintech.getTopics();
 }
 
 /**
- * 獲取新聞快訊
+ * 獲取新聞快訊（目前使用者的 newsTopics）
  */
 function getNewsQuick() {
-  if (!fintech) return '新聞模組未載入';
-  return fintech.getQuickUpdate();
+  if (!fintech) return notLoaded('fintech-news');
+  const topics = profiles.currentProfile().newsTopics;
+  const items = fintech.getCachedNews(topics, 10);
+  return createResult('news.brief', { topics, items }, fintech.getQuickUpdate(topics));
 }
 
 /**
  * 處理搜尋結果
  */
 function processNewsResults(results, topic) {
-  if (!fintech) return [];
+  if (!fintech) return notLoaded('fintech-news');
   return fintech.processSearchResults(results, topic);
 }
 
@@ -169,7 +307,7 @@ function processNewsResults(results, topic) {
  * 快取新聞
  */
 function cacheNews(items) {
-  if (!fintech) return 0;
+  if (!fintech) return notLoaded('fintech-news');
   return fintech.cacheNews(items);
 }
 
@@ -183,40 +321,45 @@ function cacheNews(items) {
  * 獲取完整早晨簡報
  */
 async function getMorningBriefing() {
-  if (!briefing) return '簡報模組未載入';
-  return await briefing.getMorningBriefing();
+  if (!briefing) return notLoaded('morning-briefing');
+  const data = await briefing.getMorningBriefingData();
+  return createResult('briefing.morning', data, briefing.formatFullBriefing(data));
 }
 
 /**
  * 獲取快速簡報
  */
 async function getQuickBriefing() {
-  if (!briefing) return '簡報模組未載入';
-  return await briefing.getQuickBriefing();
+  if (!briefing) return notLoaded('morning-briefing');
+  const data = await briefing.getQuickBriefingData();
+  return createResult('briefing.quick', data, briefing.formatQuickBriefing(data));
 }
 
 /**
  * 獲取天氣
  */
-async function getWeather(location = 'Taipei') {
-  if (!briefing) return '簡報模組未載入';
-  return await briefing.getWeather(location);
+async function getWeather(location = getConfigValue('weather.location')) {
+  if (!briefing) return notLoaded('morning-briefing');
+  const report = await briefing.getWeather(location);
+  return createResult('weather.current', { location, report }, report);
 }
 
 /**
  * 獲取今日行程
  */
 async function getTodayCalendar() {
-  if (!briefing) return '簡報模組未載入';
-  return await briefing.getCalendarSummary();
+  if (!briefing) return notLoaded('morning-briefing');
+  const events = await briefing.getTodayEvents();
+  return createResult('calendar.today', { events }, await briefing.getCalendarSummary(events));
 }
 
 /**
  * 獲取狀態檢查
  */
 async function getStatusCheck() {
-  if (!briefing) return '簡報模組未載入';
-  return await briefing.getStatusCheck();
+  if (!briefing) return notLoaded('morning-briefing');
+  const data = await briefing.getStatusCheckData();
+  return createResult('briefing.status', data, briefing.formatStatusCheck(data));
 }
 
 /**
@@ -229,24 +372,29 @@ async function getStatusCheck() {
  * 獲取穩定幣市場報告
  */
 async function getStablecoinReport() {
-  if (!stablecoin) return '穩定幣模組未載入';
-  return await stablecoin.getStablecoinReport();
+  if (!stablecoin) return notLoaded('stablecoin-tracker');
+  const coins = await stablecoin.getStablecoinData();
+  return createResult('stablecoin.report', { coins }, await stablecoin.generateMarketCapReport(coins));
 }
 
 /**
  * 獲取穩定幣簡短摘要
  */
 async function getStablecoinBrief() {
-  if (!stablecoin) return '穩定幣模組未載入';
-  return await stablecoin.getStablecoinBrief();
+  if (!stablecoin) return notLoaded('stablecoin-tracker');
+  const coins = await stablecoin.getStablecoinData();
+  return createResult('stablecoin.brief', { coins }, await stablecoin.generateBriefSummary(coins));
 }
 
 /**
  * 檢查穩定幣脫鉤
  */
-async function checkStablecoinDepeg() {
-  if (!stablecoin) return null;
-  return await stablecoin.checkDepeg();
+async function checkStablecoinDepeg(threshold = 0.01) {
+  if (!stablecoin) return notLoaded('stablecoin-tracker');
+  const coins = await stablecoin.getStablecoinData();
+  const depegged = stablecoin.findDepegged(coins, threshold);
+  if (depegged.length === 0) return null;
+  return createResult('stablecoin.depeg', { threshold, depegged }, stablecoin.formatDepegAlert(depegged));
 }
 
 /**
@@ -259,32 +407,32 @@ async function checkStablecoinDepeg() {
  * 獲取 RWA 市場概覽
  */
 function getRWAOverview() {
-  if (!rwa) return 'RWA 模組未載入';
-  return rwa.getRWAOverview();
+  if (!rwa) return notLoaded('rwa-tracker');
+  return createResult('rwa.overview', rwa.getStats(), rwa.getRWAOverview());
 }
 
 /**
  * 獲取 RWA 簡短摘要
  */
 function getRWABrief() {
-  if (!rwa) return 'RWA 模組未載入';
-  return rwa.getRWABrief();
+  if (!rwa) return notLoaded('rwa-tracker');
+  return createResult('rwa.brief', rwa.getStats(), rwa.getRWABrief());
 }
 
 /**
  * 獲取 RWA 工作簡報
  */
 function getRWAWorkBrief() {
-  if (!rwa) return 'RWA 模組未載入';
-  return rwa.getWorkBrief();
+  if (!rwa) return notLoaded('rwa-tracker');
+  return createResult('rwa.work', rwa.getStats(), rwa.getWorkBrief());
 }
 
 /**
  * 獲取代幣化國債報告
  */
 function getTreasuriesReport() {
-  if (!rwa) return 'RWA 模組未載入';
-  return rwa.getTreasuriesReport();
+  if (!rwa) return notLoaded('rwa-tracker');
+  return createResult('rwa.treasuries', rwa.getStats(), rwa.getTreasuriesReport());
 }
 
 /**
@@ -297,23 +445,26 @@ function getTreasuriesReport() {
  * 獲取匯率報告
  */
 async function getForexReport() {
-  if (!forex) return '匯率模組未載入';
-  return await forex.getForexReport();
+  if (!forex) return notLoaded('forex-tracker');
+  const usd = await forex.getRates('USD');
+  const eur = await forex.getRates('EUR');
+  return createResult('forex.report', { usd, eur }, await forex.formatForexReport(usd, eur));
 }
 
 /**
  * 獲取匯率簡報
  */
 async function getForexBrief() {
-  if (!forex) return '匯率模組未載入';
-  return await forex.getForexBrief();
+  if (!forex) return notLoaded('forex-tracker');
+  const usd = await forex.getRates('USD');
+  return createResult('forex.brief', { usd }, await forex.formatForexBrief(usd));
 }
 
 /**
  * 貨幣換算
  */
 async function convertCurrency(amount, from, to) {
-  if (!forex) return null;
+  if (!forex) return notLoaded('forex-tracker');
   return await forex.convert(amount, from, to);
 }
 
@@ -321,7 +472,7 @@ async function convertCurrency(amount, from, to) {
  * 獲取 USD/TWD 匯率
  */
 async function getUsdTwdRate() {
-  if (!forex) return null;
+  if (!forex) return notLoaded('forex-tracker');
   return await forex.getUsdTwd();
 }
 
@@ -329,7 +480,7 @@ async function getUsdTwdRate() {
  * 美元換台幣
  */
 async function usdToTwd(amount) {
-  if (!forex) return null;
+  if (!forex) return notLoaded('forex-tracker');
   return await forex.usdToTwd(amount);
 }
 
@@ -337,7 +488,7 @@ async function usdToTwd(amount) {
  * 台幣換美元
  */
 async function twdToUsd(amount) {
-  if (!forex) return null;
+  if (!forex) return notLoaded('forex-tracker');
   return await forex.twdToUsd(amount);
 }
 
@@ -351,40 +502,41 @@ async function twdToUsd(amount) {
  * 獲取加密貨幣快訊
  */
 async function getCryptoBrief() {
-  if (!crypto) return '加密貨幣模組未載入';
-  return await crypto.getCryptoBrief();
+  if (!crypto) return notLoaded('crypto-tracker');
+  const prices = await crypto.getPrices();
+  return createResult('crypto.brief', { prices }, await crypto.formatCryptoBrief(prices));
 }
 
 /**
  * 獲取加密貨幣完整報告
  */
 async function getCryptoReport() {
-  if (!crypto) return '加密貨幣模組未載入';
-  return await crypto.getCryptoReport();
+  if (!crypto) return notLoaded('crypto-tracker');
+  const prices = await crypto.getPrices();
+  return createResult('crypto.report', { prices }, await crypto.formatCryptoReport(prices));
 }
 
 /**
  * 獲取特定幣種價格
  */
 async function getCoinPrice(symbol) {
-  if (!crypto) return '加密貨幣模組未載入';
-  return await crypto.getCoinPrice(symbol);
+  if (!crypto) return notLoaded('crypto-tracker');
+  const coin = await crypto.getCoin(symbol);
+  return createResult('crypto.coin', { symbol, coin }, crypto.formatCoinPrice(coin, symbol));
 }
 
 /**
  * 獲取 BTC 價格
  */
 async function getBtcPrice() {
-  if (!crypto) return '加密貨幣模組未載入';
-  return await crypto.getBtcPrice();
+  return await getCoinPrice('BTC');
 }
 
 /**
  * 獲取 ETH 價格
  */
 async function getEthPrice() {
-  if (!crypto) return '加密貨幣模組未載入';
-  return await crypto.getEthPrice();
+  return await getCoinPrice('ETH');
 }
 
 /**
@@ -397,24 +549,184 @@ async function getEthPrice() {
  * 獲取綜合市場報告
  */
 async function getMarketReport() {
-  if (!marketDashboard) return '市場儀表板模組未載入';
-  return await marketDashboard.getFullReport();
+  if (!marketDashboard) return notLoaded('market-dashboard');
+  const data = await marketDashboard.collectMarketData();
+  return createResult('market.report', data, await marketDashboard.formatFullReport(data));
 }
 
 /**
  * 獲取市場速報
  */
 async function getMarketBrief() {
-  if (!marketDashboard) return '市場儀表板模組未載入';
-  return await marketDashboard.getQuickSummary();
+  if (!marketDashboard) return notLoaded('market-dashboard');
+  const data = await marketDashboard.collectMarketData();
+  return createResult('market.brief', data, marketDashboard.formatQuickSummary(data));
 }
 
 /**
  * 獲取 Fintech 工作報告
  */
 async function getFintechWorkReport() {
-  if (!marketDashboard) return '市場儀表板模組未載入';
-  return await marketDashboard.getWorkReport();
+  if (!marketDashboard) return notLoaded('market-dashboard');
+  const data = await marketDashboard.collectWorkData();
+  return createResult('market.work', data, await marketDashboard.formatWorkReport(data));
+}
+
+/**
+ * ======================
+ * 台灣 Fintech 相關
+ * ======================
+ */
+
+/**
+ * 獲取台灣 Fintech 概覽
+ */
+function getTaiwanFintechOverview() {
+  if (!taiwanFintech) return notLoaded('taiwan-fintech');
+  const topics = taiwanFintech.getTopics();
+  return createResult('taiwanFintech.overview', { topics, entities: taiwanFintech.KEY_ENTITIES }, taiwanFintech.getOverview());
+}
+
+/**
+ * 獲取台灣 Fintech 工作報告
+ */
+function getTaiwanFintechReport() {
+  if (!taiwanFintech) return notLoaded('taiwan-fintech');
+  return createResult('taiwanFintech.work', { topics: taiwanFintech.getTopics() }, taiwanFintech.getWorkReport());
+}
+
+/**
+ * ======================
+ * 法律新聞相關（Margaret）
+ * ======================
+ */
+
+/**
+ * 獲取法律新聞概覽
+ */
+function getLegalNewsOverview() {
+  if (!legalNews) return notLoaded('legal-news');
+  const topics = legalNews.getTopics();
+  return createResult('legal.overview', { topics, entities: legalNews.KEY_ENTITIES }, legalNews.getOverview());
+}
+
+/**
+ * 獲取法律工作報告
+ */
+function getLegalWorkReport() {
+  if (!legalNews) return notLoaded('legal-news');
+  return createResult('legal.work', { topics: legalNews.getTopics() }, legalNews.getWorkReport());
+}
+
+/**
+ * ======================
+ * 故事時間（Tim）
+ * ======================
+ */
+
+/**
+ * 說一個睡前故事
+ * @param {boolean} short - 是否使用簡短版
+ */
+function tellStory(short = false) {
+  if (!storyTime) return notLoaded('story-time');
+  const story = short ? storyTime.tellShortStory() : storyTime.tellStory();
+  return createResult('story', { short, story }, story);
+}
+
+/**
+ * 給 Tim 的晚安訊息
+ */
+function goodNightTim() {
+  if (!storyTime) return notLoaded('story-time');
+  const message = storyTime.goodNightTim();
+  return createResult('story.goodnight', { message }, message);
+}
+
+/**
+ * ======================
+ * 系統狀態
+ * ======================
+ */
+
+/**
+ * 獲取系統狀態報告
+ */
+async function getSystemStatus() {
+  if (!systemStatus) return notLoaded('system-status');
+  const health = await systemStatus.getHealth();
+  const services = await systemStatus.getServices(health);
+  const projects = await systemStatus.getProjects();
+  const sections = getSectionStats();
+  return createResult('system.status', { services, projects, sections, health },
+    await systemStatus.generateStatusReport({ services, projects, sections, health }));
+}
+
+/**
+ * 健康檢查（各專案的探針：資料新鮮度、最後取得、快取、資料庫、外部 API）
+ * @param {string} project - 只檢查某個專案（預設全部）
+ */
+async function getHealthCheck(project) {
+  if (!systemStatus) return notLoaded('system-status');
+  const report = await systemStatus.getHealth({ project });
+  return createResult('system.health', report, systemStatus.formatHealthCheck(report));
+}
+
+/**
+ * ======================
+ * 快速問答
+ * ======================
+ */
+
+/**
+ * 回答問題（問答路由 → 收藏的文章 → 筆記和日報，都沒有資料時回傳 null）
+ * 結果包含來源、信心度；問答路由回答時另有意圖和擷取到的實體
+ * @param {string} question - 問題
+ * @param {string} chat - 對話 ID（記住上一輪，可追問「那 ETH 呢？」；預設為目前的成員）
+ */
+async function answerQuestion(question, chat) {
+  if (!quickAnswers) return notLoaded('quick-answers');
+  const result = await quickAnswers.askQuestion(question, { chat });
+  if (result == null) return null;
+  const { answer, ...match } = result;
+  return createResult('answer', { question, answer, ...match }, answer);
+}
+
+/**
+ * 快速狀態（時間、天氣、股價）
+ */
+async function getQuickStatus() {
+  if (!quickAnswers) return notLoaded('quick-answers');
+  const status = await quickAnswers.quickStatus();
+  return createResult('status.quick', { lines: status.split('\n') }, status);
+}
+
+/**
+ * ======================
+ * 個人設定
+ * ======================
+ */
+
+/**
+ * 成員的個人設定（預設為目前的成員）
+ * @param {string} id - 成員 ID
+ */
+function getProfile(id = null) {
+  const profile = id ? profiles.getProfile(id) : profiles.currentProfile();
+  if (!profile) {
+    return createError('UNKNOWN_PROFILE', `找不到成員: ${id}`, { profile: id });
+  }
+
+  const lines = [
+    `👤 **${profile.name}**（${profile.id}）`,
+    `簡報: ${profile.briefing.join(', ')}`,
+    `觀察清單: ${(profile.watchlist || getConfigValue('investment.watchlist')).join(', ')}${profile.watchlist ? '' : '（共用設定）'}`,
+    `新聞主題: ${profile.newsTopics ? profile.newsTopics.join(', ') : '全部'}`,
+    `語言: ${profile.language}`,
+    `通知: ${profile.channel}${profile.topics.length > 0 ? `（${profile.topics.join(', ')}）` : ''}`,
+    `勿擾時段: ${profile.quietHours || '無'}（${profile.timezone}）`,
+  ];
+  return createResult('profile', profile, lines.join('\n'));
 }
 
 /**
@@ -425,57 +737,198 @@ async function getFintechWorkReport() {
 
 /**
  * 每日摘要（所有重要資訊）
+ * 早晨簡報的各區塊同時取得並有等待上限，逾時的區塊顯示上次的資料
  */
 async function getDailySummary() {
   const sections = [];
+  const data = {};
 
   // 早晨簡報
   if (briefing) {
-    sections.push(await briefing.getMorningBriefing());
+    data.briefing = await getMorningBriefing();
+    sections.push(data.briefing);
   } else {
-    // 備用方案
+    // 備用方案（同樣有等待上限）
+    const parts = [];
     if (investment) {
-      sections.push('💼 **投資**');
-      sections.push(await investment.getQuickQuote());
+      parts.push({
+        id: 'quotes',
+        title: '💼 **投資**',
+        load: async () => {
+          const quotes = await getStockQuotes();
+          if (isError(quotes)) throw new Error(quotes.error);
+          return { content: String(quotes), data: quotes.data };
+        },
+      });
+    }
+
+    data.sections = await runSections(parts, { name: 'summary', timeout: getConfigValue('briefing.sectionTimeout') });
+    for (const section of data.sections) {
+      sections.push(section.title);
+      sections.push(renderSection(section));
     }
   }
 
-  return sections.join('\n\n');
+  return createResult('summary.daily', data, sections.join('\n\n'));
+}
+
+/**
+ * 列出所有專案宣告的功能（含無法使用的原因）
+ */
+function listCapabilities() {
+  return registry.listCapabilities();
+}
+
+/**
+ * 動態調用專案功能
+ * @param {string} project - 專案名稱或別名（如 forex-tracker / forex）
+ * @param {string} capability - 功能名稱
+ * @param {...*} args - 參數
+ */
+async function callCapability(project, capability, ...args) {
+  const fn = registry.getCapability(project, capability);
+  if (!fn) {
+    const entry = registry.find(project);
+    const reason = !entry ? `找不到專案 ${project}` : entry.error || `${project} 沒有 ${capability} 功能`;
+    return createError('CAPABILITY_UNAVAILABLE', reason, { project, capability });
+  }
+  return await fn(...args);
 }
 
 /**
  * 工具箱狀態
  */
 function getToolkitStatus() {
+  const status = registry.getStatus();
+  const result = {};
+
+  for (const project of status.projects) {
+    result[project.alias] = project.loaded;
+  }
+
   return {
-    investment: !!investment,
-    fintech: !!fintech,
-    briefing: !!briefing,
-    stablecoin: !!stablecoin,
-    rwa: !!rwa,
-    forex: !!forex,
-    crypto: !!crypto,
-    marketDashboard: !!marketDashboard,
-    loaded: [
-      investment && 'investment',
-      fintech && 'fintech',
-      briefing && 'briefing',
-      stablecoin && 'stablecoin',
-      rwa && 'rwa',
-      forex && 'forex',
-      crypto && 'crypto',
-      marketDashboard && 'marketDashboard',
-    ].filter(Boolean),
+    ...result,
+    loaded: status.projects.filter(p => p.loaded).map(p => p.alias),
+    failed: status.failed,
+    capabilities: status.capabilities,
   };
 }
 
-module.exports = {
+/**
+ * ======================
+ * 工具 Schema
+ * ======================
+ */
+
+// 工具定義（列舉值來自已載入的專案）
+const TOOLS = createToolDefinitions({
+  currencies: forex?.getSupportedCurrencies?.() || [],
+  coins: crypto?.getTrackedCoins?.() || [],
+  newsTopics: fintech ? Object.keys(fintech.TOPICS) : [],
+});
+
+/**
+ * 包裝工具函數：調用前先依 schema 驗證參數
+ * 參數錯誤時回傳 INVALID_ARGUMENTS 錯誤結果，不調用原函數
+ */
+function withValidation(name, fn) {
+  const def = TOOLS[name];
+  const isAsync = fn.constructor.name === 'AsyncFunction';
+
+  const wrapped = function (...args) {
+    const { args: normalized, errors } = schema.validateArgs(def, args);
+    if (errors.length > 0) {
+      const error = createError('INVALID_ARGUMENTS', `${name} 參數錯誤: ${errors.join('；')}`, { tool: name, errors });
+      return isAsync ? Promise.resolve(error) : error;
+    }
+    return fn(...normalized);
+  };
+
+  Object.defineProperty(wrapped, 'name', { value: name });
+  return wrapped;
+}
+
+/**
+ * 所有工具的 JSON Schema
+ */
+function getToolSchemas() {
+  return Object.entries(TOOLS).map(([name, def]) => schema.toToolSchema(name, def));
+}
+
+/**
+ * OpenAI function calling 格式的工具定義
+ * @param {string[]} names - 只輸出指定工具（預設全部）
+ */
+function getOpenAITools(names = Object.keys(TOOLS)) {
+  return names
+    .filter(name => TOOLS[name])
+    .map(name => schema.toOpenAITool(name, TOOLS[name]));
+}
+
+/**
+ * 以具名參數調用工具（如 function calling 的 arguments）
+ * @param {string} name - 工具名稱
+ * @param {Object|string} params - 參數物件或 JSON 字串
+ * @param {Object} options - { profile: 以哪個成員的設定執行 }
+ */
+async function invokeTool(name, params = {}, { profile = null } = {}) {
+  if (profile != null && !profiles.getProfile(profile)) {
+    return createError('UNKNOWN_PROFILE', `找不到成員: ${profile}`, { tool: name, profile });
+  }
+  if (!TOOLS[name]) {
+    return createError('UNKNOWN_TOOL', `未知的工具: ${name}`, { tool: name });
+  }
+
+  if (typeof params === 'string') {
+    try {
+      params = params.trim() ? JSON.parse(params) : {};
+    } catch (e) {
+      return createError('INVALID_ARGUMENTS', `${name} 參數不是有效的 JSON: ${e.message}`, { tool: name });
+    }
+  }
+
+  const unknown = Object.keys(params || {}).filter(key => !(key in (TOOLS[name].params || {})));
+  if (unknown.length > 0) {
+    return createError('INVALID_ARGUMENTS', `${name} 不支援參數: ${unknown.join(', ')}`, { tool: name, errors: unknown });
+  }
+
+  const args = schema.argsFromObject(TOOLS[name], params);
+  return await profiles.runWithProfile(profile, () => tools[name](...args));
+}
+
+/**
+ * 以某個成員的設定調用工具
+ * @param {string} profile - 成員 ID
+ * @returns {Object} 和工具箱相同的工具函數（含 invokeTool）
+ * @throws UNKNOWN_PROFILE 找不到成員
+ */
+function forProfile(profile) {
+  const resolved = profiles.resolveProfile(profile);
+  const bound = {};
+
+  for (const [name, fn] of Object.entries(tools)) {
+    bound[name] = (...args) => profiles.runWithProfile(resolved, () => fn(...args));
+  }
+  bound.invokeTool = (name, params = {}) => invokeTool(name, params, { profile: resolved.id });
+  bound.profile = resolved;
+  return bound;
+}
+
+// 對外的工具函數（皆經過參數驗證）
+const tools = {};
+for (const [name, fn] of Object.entries({
   // 投資
   getStockQuotes,
   getPortfolio,
   getPortfolioSummary,
-  setHolding,
+  getPortfolioReturns,
+  getIndicators,
+  buyStock,
+  sellStock,
+  recordTransaction,
+  getTransactions,
   setPriceAlert,
+  setAlertRule,
   checkAlerts,
 
   // 新聞
@@ -528,7 +981,52 @@ module.exports = {
   rebuildMemoryIndex,
   getMemoryStats,
 
+  // 台灣 Fintech
+  getTaiwanFintechOverview,
+  getTaiwanFintechReport,
+
+  // 法律新聞
+  getLegalNewsOverview,
+  getLegalWorkReport,
+
+  // 故事時間
+  tellStory,
+  goodNightTim,
+
+  // 系統狀態
+  getSystemStatus,
+  getHealthCheck,
+
+  // 快速問答
+  answerQuestion,
+  getQuickStatus,
+
+  // 個人設定
+  getProfile,
+
   // 綜合
   getDailySummary,
   getToolkitStatus,
+  listCapabilities,
+  callCapability,
+})) {
+  tools[name] = withValidation(name, fn);
+}
+
+module.exports = {
+  ...tools,
+  registry,
+
+  // 工具 Schema
+  getToolSchemas,
+  getOpenAITools,
+  invokeTool,
+
+  // 個人設定
+  forProfile,
+
+  // 結果渲染
+  render,
+  registerRenderer,
+  isError,
 };
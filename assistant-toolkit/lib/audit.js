@@ -0,0 +1,723 @@
+/**
+ * 資料稽核
+ *
+ * 每個專案在 manifest.json 的 audit 指定稽核檔（如 "audit": "audit.js"），
+ * 稽核檔匯出檢查陣列，檢查用這裡的工廠建立：
+ *   jsonFile     JSON 資料檔：能否解析、是否符合 schema、多久沒更新、是否沒有資料
+ *   cacheFiles   共用快取：損壞的命名空間、過期太久已不能當備援的項目
+ *   leftovers    資料目錄中程序中斷留下的暫存檔和失效的鎖
+ *   searchIndex  全文檢索索引：來源檔已不存在的區塊、FTS 索引和區塊資料表不一致
+ *   storeTable   共用資料庫的資料表：記錄格式、是否沒有資料、最新一筆多久以前，加上專案自己的檢查
+ * 工具箱自己的資料（寄件匣、排程狀態、快取、各專案的 data 目錄）由 CORE_CHECKS 檢查
+ *
+ * 每個發現有嚴重度（warning / error），可修復的附上修復動作：
+ *   restore  從最新一份通過檢查的備份還原（lib/storage.js 的 backupFile）
+ *   prune    移除孤立的資料（索引區塊、快取項目、暫存檔）
+ *   reindex  重建 FTS 索引
+ * 修復前先備份要修改的檔案；dryRun 只列出會做的修復，不寫入
+ * 命令列依結果結束：沒有問題 0、只有警告 1、有錯誤 2
+ *
+ * 檢查：{ name, kind, file, run: async ({ now }) => 發現[], repair: async (發現) => 說明, backup: () => 備份檔 }
+ * 發現：{ type, severity, message, details, repair: { action, description } 或 null }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readManifest } = require('./registry');
+const { validateValue } = require('./schema');
+const {
+  readJSON, withLockAsync, isStaleLock, listBackups, backupFile, restoreBackup,
+  TEMP_FILE_PATTERN, BACKUP_DIR, LOCK_STALE_MS,
+} = require('./storage');
+
+// 專案根目錄和工具箱資料目錄
+const ROOT = path.join(__dirname, '..', '..');
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// 嚴重度（由輕到重）和命令列結束代碼
+const SEVERITIES = ['ok', 'warning', 'error'];
+const EXIT_CODES = { ok: 0, warning: 1, error: 2 };
+
+// 修復動作
+const REPAIR_ACTIONS = ['restore', 'prune', 'reindex'];
+
+// 時間戳記欄位的 schema
+const TIMESTAMP = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}' };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 報告中每種發現最多列出的項目
+const MAX_LISTED = 5;
+
+// 已註冊的檢查：{ project, check }
+const registered = [];
+
+/**
+ * 註冊檢查
+ * @param {string} project - 專案名稱
+ * @param {Object} check - { name, kind, file, run, repair, backup }
+ */
+function registerCheck(project, check) {
+  if (!check.name || typeof check.run !== 'function') {
+    throw new Error(`${project} 的稽核檢查缺少 name 或 run`);
+  }
+  const index = registered.findIndex(item => item.project === project && item.check.name === check.name);
+  if (index >= 0) registered.splice(index, 1);
+  registered.push({ project, check });
+}
+
+/**
+ * 已註冊的檢查
+ * @param {string} project - 只列出某個專案（預設全部）
+ */
+function getChecks(project = null) {
+  return registered.filter(item => !project || item.project === project);
+}
+
+/**
+ * 清除已註冊的檢查（測試用）
+ */
+function clearChecks() {
+  registered.length = 0;
+}
+
+/**
+ * 載入各專案 manifest 指定的稽核檔（無法載入的稽核檔本身登記為一個回報錯誤的檢查）
+ * @param {string} projectsDir - 專案根目錄
+ * @returns {Object[]} 無法載入的稽核檔 [{ project, error }]
+ */
+function loadChecks(projectsDir = ROOT) {
+  const failed = [];
+
+  for (const item of fs.readdirSync(projectsDir).sort()) {
+    const projectPath = path.join(projectsDir, item);
+    if (item.startsWith('.') || !fs.statSync(projectPath).isDirectory()) continue;
+
+    let manifest;
+    try {
+      manifest = readManifest(projectPath);
+    } catch (e) {
+      continue;
+    }
+    if (!manifest?.audit) continue;
+
+    try {
+      const checks = require(path.join(projectPath, manifest.audit));
+      for (const check of checks) registerCheck(manifest.name, check);
+    } catch (e) {
+      const error = e.message.split('\n')[0];
+      failed.push({ project: manifest.name, error });
+      registerCheck(manifest.name, {
+        name: manifest.audit,
+        kind: 'loader',
+        file: null,
+        run: async () => [finding('error', 'error', `無法載入稽核檔: ${error}`)],
+      });
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * 最嚴重的等級
+ */
+function worstSeverity(severities) {
+  return severities.reduce((worst, s) => (SEVERITIES.indexOf(s) > SEVERITIES.indexOf(worst) ? s : worst), 'ok');
+}
+
+/**
+ * 經過時間（天 / 小時）
+ */
+function formatAge(ms) {
+  const days = Math.floor(ms / DAY);
+  return days >= 1 ? `${days} 天` : `${Math.max(1, Math.round(ms / (60 * 60 * 1000)))} 小時`;
+}
+
+/**
+ * 建立發現
+ */
+function finding(type, severity, message, details = {}, repair = null) {
+  return { type, severity, message, details, repair };
+}
+
+/**
+ * 資料是否符合 schema
+ * @returns {string[]} 錯誤
+ */
+function validate(data, schema) {
+  return schema ? validateValue(data, schema, 'data').errors : [];
+}
+
+/**
+ * 最新一份能解析且符合 schema 的備份
+ */
+function findValidBackup(file, schema) {
+  for (const backup of listBackups(file)) {
+    try {
+      const data = readJSON(backup.file);
+      if (validate(data, schema).length === 0) return backup;
+    } catch (e) {
+      // 損壞的備份，看下一份
+    }
+  }
+  return null;
+}
+
+/**
+ * 還原動作（沒有可用的備份時為 null）
+ */
+function restoreAction(file, schema) {
+  const backup = findValidBackup(file, schema);
+  return backup
+    ? { action: 'restore', description: `從 ${backup.createdAt} 的備份還原`, backup: backup.file }
+    : null;
+}
+
+/**
+ * JSON 資料檔
+ * @param {string} name - 檢查名稱
+ * @param {string} file - 資料檔
+ * @param {Object} options
+ * @param {Object} options.schema - JSON Schema（lib/schema.js 的 validateValue）
+ * @param {Function} options.records - (data) => 記錄陣列，沒有記錄時回報 empty
+ * @param {Function} options.updatedAt - (data) => 最後更新時間（預設用檔案修改時間）
+ * @param {number} options.staleAfter - 超過這個時間沒更新回報 stale（毫秒）
+ * @param {string} options.missing - 檔案不存在時的嚴重度（預設不回報）
+ * @param {string} options.note - 附在 stale / empty 訊息後的說明（如「已匯入資料庫」）
+ */
+function jsonFile(name, file, { schema = null, records = null, updatedAt = null, staleAfter = null, missing = null, note = '' } = {}) {
+  const suffix = note ? `（${note}）` : '';
+
+  return {
+    name,
+    kind: 'json',
+    file,
+    run: async ({ now }) => {
+      if (!fs.existsSync(file)) {
+        return missing ? [finding('missing', missing, '檔案不存在', { file })] : [];
+      }
+
+      let data;
+      try {
+        data = readJSON(file);
+      } catch (e) {
+        const repair = restoreAction(file, schema);
+        return [finding('corrupt', 'error', `無法解析${repair ? '' : '，沒有可用的備份'}`, { file, error: e.message }, repair)];
+      }
+
+      const errors = validate(data, schema);
+      if (errors.length > 0) {
+        const repair = restoreAction(file, schema);
+        return [finding('invalid', 'error', `${errors.length} 個欄位不符合格式: ${errors[0]}`,
+          { file, errors: errors.slice(0, MAX_LISTED * 2) }, repair)];
+      }
+
+      const findings = [];
+      const items = records ? records(data) || [] : null;
+      if (items && items.length === 0) {
+        findings.push(finding('empty', 'warning', `沒有資料${suffix}`, { file }));
+      }
+
+      if (staleAfter) {
+        const time = (updatedAt && updatedAt(data)) || fs.statSync(file).mtime.toISOString();
+        const age = now.getTime() - new Date(time).getTime();
+        if (age > staleAfter) {
+          findings.push(finding('stale', 'warning', `${formatAge(age)}沒有更新（${time.slice(0, 10)}）${suffix}`,
+            { file, updatedAt: time, ageMs: age, records: items ? items.length : null }));
+        }
+      }
+
+      return findings;
+    },
+    repair: async (item) => {
+      if (item.repair.action !== 'restore') throw new Error(`不支援的修復: ${item.repair.action}`);
+      const saved = backupFile(file);
+      restoreBackup(file, item.repair.backup);
+      return `已從備份還原（原檔案備份為 ${path.basename(saved)}）`;
+    },
+    backup: () => {
+      try {
+        return validate(readJSON(file), schema).length === 0 ? backupFile(file) : null;
+      } catch (e) {
+        return null; // 損壞的檔案不備份，免得蓋掉好的備份
+      }
+    },
+  };
+}
+
+/**
+ * 共用快取：損壞的命名空間檔、過期超過 maxStale（已不能當備援）的項目
+ * @param {string} name - 檢查名稱
+ * @param {Object} options - { cache: Cache 實例（預設共用快取）}
+ */
+function cacheFiles(name, { cache = null } = {}) {
+  const getCache = () => cache || require('./cache').cache;
+
+  return {
+    name,
+    kind: 'cache',
+    file: null,
+    run: async () => {
+      const store = getCache();
+      const findings = [];
+
+      for (const namespace of store.namespaces()) {
+        const file = store.file(namespace);
+        let entries;
+        try {
+          entries = readJSON(file, {}).entries || {};
+        } catch (e) {
+          findings.push(finding('corrupt', 'warning', `${namespace} 無法解析（快取可重建）`, { namespace, file },
+            { action: 'prune', description: `刪除 ${path.basename(file)}` }));
+          continue;
+        }
+
+        const now = store.now();
+        const dead = Object.keys(entries)
+          .filter(key => entries[key].expiresAt != null && now - entries[key].expiresAt > store.maxStale);
+        if (dead.length > 0) {
+          findings.push(finding('orphaned', 'warning', `${namespace} 有 ${dead.length} 筆過期太久、已不會使用的項目`,
+            { namespace, keys: dead.slice(0, MAX_LISTED), count: dead.length },
+            { action: 'prune', description: `移除 ${namespace} 的 ${dead.length} 筆項目` }));
+        }
+      }
+
+      return findings;
+    },
+    repair: async (item) => {
+      const store = getCache();
+      const { namespace } = item.details;
+
+      if (item.type === 'corrupt') {
+        await withLockAsync(store.file(namespace), () => fs.rmSync(store.file(namespace), { force: true }));
+        return `已刪除 ${namespace}`;
+      }
+
+      const removed = store.update(namespace, (entries) => {
+        const now = store.now();
+        const keys = Object.keys(entries)
+          .filter(key => entries[key].expiresAt != null && now - entries[key].expiresAt > store.maxStale);
+        for (const key of keys) delete entries[key];
+        return keys.length;
+      });
+      return `已移除 ${removed} 筆`;
+    },
+  };
+}
+
+/**
+ * 目錄中的檔案（略過備份目錄）
+ */
+function walk(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === BACKUP_DIR || entry.name === 'node_modules' ? [] : walk(full);
+    }
+    return [full];
+  });
+}
+
+/**
+ * 程序中斷留下的暫存檔（寫入的程序已結束或檔案太舊）和失效的鎖
+ * @param {string} name - 檢查名稱
+ * @param {string[]|Function} dirs - 資料目錄（或回傳目錄的函數）
+ * @param {Object} options - { staleMs: 暫存檔和鎖超過這個時間視為遺留 }
+ */
+function leftovers(name, dirs, { staleMs = LOCK_STALE_MS } = {}) {
+  const isAbandonedTemp = (file, now) => {
+    const match = path.basename(file).match(TEMP_FILE_PATTERN);
+    if (!match) return false;
+    if (now - fs.statSync(file).mtimeMs > staleMs) return true;
+    try {
+      process.kill(Number(match[1]), 0);
+      return false;
+    } catch (e) {
+      return e.code !== 'EPERM';
+    }
+  };
+
+  const scan = (now) => [].concat(typeof dirs === 'function' ? dirs() : dirs)
+    .flatMap(walk)
+    .filter(file => (file.endsWith('.lock') ? isStaleLock(file, staleMs) : isAbandonedTemp(file, now)));
+
+  return {
+    name,
+    kind: 'files',
+    file: null,
+    run: async ({ now }) => {
+      const files = scan(now.getTime());
+      if (files.length === 0) return [];
+      return [finding('orphaned', 'warning', `${files.length} 個遺留的暫存檔或鎖`,
+        { files: files.map(file => path.relative(ROOT, file)) },
+        { action: 'prune', description: `刪除 ${files.length} 個檔案` })];
+    },
+    repair: async () => {
+      // 重新掃描，只刪除此刻仍是遺留的檔案
+      const files = scan(Date.now());
+      for (const file of files) fs.rmSync(file, { force: true });
+      return `已刪除 ${files.length} 個檔案`;
+    },
+  };
+}
+
+/**
+ * 全文檢索索引（SQLite FTS5 external content 表）
+ *   - 區塊的來源檔已不存在（孤立的區塊）
+ *   - FTS 索引和區塊資料表不一致（用 <fts>_docsize 比對 rowid）
+ * @param {string} name - 檢查名稱
+ * @param {string} file - 資料庫檔案
+ * @param {Object} options
+ * @param {Function} options.driver - () => better-sqlite3
+ * @param {string} options.table - 區塊資料表（預設 chunks）
+ * @param {string} options.fts - FTS 表（預設 chunks_fts）
+ * @param {string} options.sourceColumn - 來源檔欄位（預設 source）
+ * @param {Function} options.exists - 來源檔是否存在（測試用）
+ */
+function searchIndex(name, file, {
+  driver = () => require('better-sqlite3'), table = 'chunks', fts = 'chunks_fts', sourceColumn = 'source', exists = fs.existsSync,
+} = {}) {
+  const open = (options) => {
+    const Database = driver();
+    return new Database(file, { fileMustExist: true, ...options });
+  };
+
+  const orphanedSources = db => db.prepare(`SELECT ${sourceColumn} AS source, COUNT(*) AS chunks FROM ${table} GROUP BY ${sourceColumn}`)
+    .all()
+    .filter(row => !exists(row.source));
+
+  return {
+    name,
+    kind: 'index',
+    file,
+    run: async () => {
+      if (!fs.existsSync(file)) {
+        return [finding('missing', 'warning', '索引尚未建立', { file })];
+      }
+
+      let db;
+      try {
+        db = open({ readonly: true });
+      } catch (e) {
+        return [finding('unavailable', 'warning', `無法開啟索引: ${e.message.split('\n')[0]}`, { file })];
+      }
+
+      try {
+        const findings = [];
+        const count = sql => db.prepare(sql).get().count;
+        const rows = count(`SELECT COUNT(*) AS count FROM ${table}`);
+        const missingRows = count(`SELECT COUNT(*) AS count FROM ${table} WHERE id NOT IN (SELECT id FROM ${fts}_docsize)`);
+        const extraRows = count(`SELECT COUNT(*) AS count FROM ${fts}_docsize WHERE id NOT IN (SELECT id FROM ${table})`);
+
+        if (missingRows > 0 || extraRows > 0) {
+          findings.push(finding('drift', 'error',
+            `FTS 索引和 ${table} 不一致：${missingRows} 筆未索引，${extraRows} 筆已刪除仍在索引中`,
+            { file, rows, missing: missingRows, extra: extraRows },
+            { action: 'reindex', description: `重建 ${fts}（${rows} 筆）` }));
+        }
+
+        const orphans = orphanedSources(db);
+        if (orphans.length > 0) {
+          const chunks = orphans.reduce((sum, row) => sum + row.chunks, 0);
+          findings.push(finding('orphaned', 'warning', `${orphans.length} 個來源檔已不存在（${chunks} 個區塊）`,
+            { file, sources: orphans.slice(0, MAX_LISTED), count: orphans.length, chunks },
+            { action: 'prune', description: `移除 ${chunks} 個區塊` }));
+        }
+
+        return findings;
+      } finally {
+        db.close();
+      }
+    },
+    repair: async (item) => {
+      const saved = backupFile(file);
+      const db = open({});
+      try {
+        if (item.repair.action === 'reindex') {
+          db.prepare(`INSERT INTO ${fts}(${fts}) VALUES('rebuild')`).run();
+          return `已重建索引（備份為 ${path.basename(saved)}）`;
+        }
+
+        // 刪除觸發器會一併移除 FTS 索引中的項目
+        const orphans = orphanedSources(db);
+        const remove = db.prepare(`DELETE FROM ${table} WHERE ${sourceColumn} = ?`);
+        db.transaction(() => orphans.forEach(row => remove.run(row.source)))();
+        return `已移除 ${orphans.reduce((sum, row) => sum + row.chunks, 0)} 個區塊（備份為 ${path.basename(saved)}）`;
+      } finally {
+        db.close();
+      }
+    },
+    backup: () => (fs.existsSync(file) ? backupFile(file) : null),
+  };
+}
+
+/**
+ * 共用資料庫（lib/store.js）的資料表
+ * @param {string} name - 檢查名稱
+ * @param {Object} options
+ * @param {Function} options.records - (store) => 記錄陣列（通常是 lib/repositories.js 的 list）
+ * @param {Object} options.schema - 每筆記錄的 JSON Schema
+ * @param {Function} options.latest - (records) => 最新一筆的時間或日期
+ * @param {number} options.staleAfter - 最新一筆超過這個時間回報 stale（毫秒）
+ * @param {string} options.empty - 沒有記錄時的嚴重度（預設不回報）
+ * @param {Function} options.inspect - (records, { store, now }) => 其他發現（如參照不存在的代碼）
+ * @param {string} options.note - 附在 stale / empty 訊息後的說明（如哪個排程負責更新）
+ * @param {Object} options.store - 資料庫（預設共用資料庫，測試用）
+ */
+function storeTable(name, { records, schema = null, latest = null, staleAfter = null, empty = null, inspect = null, note = '', store = null }) {
+  const suffix = note ? `（${note}）` : '';
+  const getStore = () => store || require('./store').getStore();
+
+  return {
+    name,
+    kind: 'store',
+    file: null,
+    run: async ({ now }) => {
+      const db = getStore();
+      const items = records(db);
+      if (items.length === 0) {
+        return empty ? [finding('empty', empty, `沒有資料${suffix}`)] : [];
+      }
+
+      const findings = [];
+      const invalid = !schema ? [] : items
+        .map((item, i) => validateValue(item, schema, `${name}[${item.id ?? item.symbol ?? i}]`).errors)
+        .filter(errors => errors.length > 0);
+      if (invalid.length > 0) {
+        findings.push(finding('invalid', 'error', `${invalid.length} 筆記錄不符合格式: ${invalid[0][0]}`,
+          { count: invalid.length, errors: invalid.flat().slice(0, MAX_LISTED * 2) }));
+      }
+
+      const time = staleAfter && latest ? latest(items) : null;
+      const age = time ? now.getTime() - new Date(time).getTime() : 0;
+      if (age > staleAfter) {
+        findings.push(finding('stale', 'warning', `${formatAge(age)}沒有新資料（最新 ${time.slice(0, 10)}）${suffix}`,
+          { latest: time, ageMs: age, records: items.length }));
+      }
+
+      return inspect ? [...findings, ...inspect(items, { store: db, now })] : findings;
+    },
+  };
+}
+
+// 工具箱自己的資料
+const CORE_CHECKS = [
+  jsonFile('outbox', path.join(DATA_DIR, 'outbox.json'), { schema: { type: 'array' } }),
+  jsonFile('scheduler-state', path.join(DATA_DIR, 'scheduler.json'), { schema: { type: 'object' } }),
+  jsonFile('section-stats', path.join(DATA_DIR, 'section-stats.json'), { schema: { type: 'object' } }),
+  cacheFiles('cache'),
+  leftovers('leftovers', () => [DATA_DIR, ...fs.readdirSync(ROOT).map(item => path.join(ROOT, item, 'data'))
+    .filter(dir => dir !== DATA_DIR && fs.existsSync(dir))]),
+];
+
+/**
+ * 要執行的檢查
+ */
+function selectChecks(checks, project) {
+  if (checks) return checks;
+  const core = CORE_CHECKS.map(check => ({ project: 'assistant-toolkit', check }));
+  return [...core, ...getChecks()].filter(item => !project || item.project === project);
+}
+
+/**
+ * 執行檢查（保留檢查物件，修復時用）
+ */
+async function auditChecks(entries, now) {
+  const results = [];
+
+  for (const { project, check } of entries) {
+    const started = Date.now();
+    let findings;
+    try {
+      findings = await check.run({ now });
+    } catch (e) {
+      findings = [finding('error', 'error', `檢查失敗: ${e.message.split('\n')[0]}`, {})];
+    }
+    results.push({ project, check, findings, durationMs: Date.now() - started });
+  }
+
+  return results;
+}
+
+/**
+ * 整理成報告
+ */
+function toReport(results, now) {
+  const findings = results.flatMap(({ project, check, findings: items }) =>
+    items.map(item => ({ project, check: check.name, ...item })));
+  const status = worstSeverity(findings.map(f => f.severity));
+
+  return {
+    status,
+    exitCode: EXIT_CODES[status],
+    counts: {
+      checks: results.length,
+      warning: findings.filter(f => f.severity === 'warning').length,
+      error: findings.filter(f => f.severity === 'error').length,
+      repairable: findings.filter(f => f.repair).length,
+    },
+    auditedAt: now.toISOString(),
+    checks: results.map(({ project, check, findings: items, durationMs }) => ({
+      project,
+      name: check.name,
+      kind: check.kind,
+      file: check.file ? path.relative(ROOT, check.file) : null,
+      status: worstSeverity(items.map(f => f.severity)),
+      findings: items.length,
+      durationMs,
+    })),
+    findings,
+  };
+}
+
+/**
+ * 稽核資料
+ * @param {Object} options
+ * @param {Object[]} options.checks - 檢查 [{ project, check }]（預設為 CORE_CHECKS 和已註冊的檢查）
+ * @param {string} options.project - 只稽核某個專案
+ * @param {Date} options.now - 現在時間（測試用）
+ * @returns {Promise<Object>} { status, exitCode, counts, auditedAt, checks, findings }
+ */
+async function runAudit({ checks = null, project = null, now = new Date() } = {}) {
+  return toReport(await auditChecks(selectChecks(checks, project), now), now);
+}
+
+/**
+ * 修復稽核發現的問題
+ * @param {Object} options
+ * @param {boolean} options.dryRun - 只列出會做的修復
+ * @param {string[]} options.actions - 要做的修復（預設全部：restore / prune / reindex）
+ * @param {Object[]} options.checks - 檢查（同 runAudit）
+ * @param {string} options.project - 只修復某個專案
+ * @param {Date} options.now - 現在時間（測試用）
+ * @returns {Promise<Object>} { dryRun, repairs: [{ project, check, type, action, status: planned / repaired / failed, message }], report: 修復後的稽核 }
+ */
+async function runRepairs({ dryRun = false, actions = REPAIR_ACTIONS, checks = null, project = null, now = new Date() } = {}) {
+  const entries = selectChecks(checks, project);
+  const results = await auditChecks(entries, now);
+  const repairs = [];
+
+  for (const { project: owner, check, findings } of results) {
+    for (const item of findings) {
+      if (!item.repair || !actions.includes(item.repair.action)) continue;
+
+      const repair = { project: owner, check: check.name, type: item.type, action: item.repair.action };
+      if (dryRun) {
+        repairs.push({ ...repair, status: 'planned', message: item.repair.description });
+        continue;
+      }
+
+      try {
+        repairs.push({ ...repair, status: 'repaired', message: await check.repair(item) });
+      } catch (e) {
+        repairs.push({ ...repair, status: 'failed', message: e.message.split('\n')[0] });
+      }
+    }
+  }
+
+  const report = dryRun ? toReport(results, now) : await runAudit({ checks: entries, now });
+  return { dryRun, repairs, report };
+}
+
+/**
+ * 備份所有檢查的資料檔（損壞或不符合格式的檔案不備份）
+ * @param {Object} options - { checks, project }
+ * @returns {Object[]} [{ project, check, file, backup: 備份檔或 null }]
+ */
+function backupData({ checks = null, project = null } = {}) {
+  return selectChecks(checks, project)
+    .filter(({ check }) => typeof check.backup === 'function' && check.file && fs.existsSync(check.file))
+    .map(({ project: owner, check }) => ({
+      project: owner,
+      check: check.name,
+      file: path.relative(ROOT, check.file),
+      backup: check.backup(),
+    }));
+}
+
+// 嚴重度圖示
+const SEVERITY_ICONS = { ok: '✅', warning: '⚠️', error: '❌' };
+
+/**
+ * 稽核報告轉成 Markdown
+ * @param {Object} report - runAudit 的結果
+ * @param {Object} options - { verbose: 列出沒有問題的檢查 }
+ */
+function formatAuditReport(report, { verbose = false } = {}) {
+  const { counts } = report;
+  const lines = [
+    `${SEVERITY_ICONS[report.status]} **資料稽核**（${counts.checks} 項檢查）`,
+    counts.warning + counts.error > 0
+      ? `${counts.error} 個錯誤，${counts.warning} 個警告，${counts.repairable} 個可修復`
+      : '沒有發現問題',
+  ];
+
+  const byCheck = new Map();
+  for (const item of report.findings) {
+    const key = `${item.project}/${item.check}`;
+    byCheck.set(key, [...(byCheck.get(key) || []), item]);
+  }
+
+  for (const check of report.checks) {
+    const items = byCheck.get(`${check.project}/${check.name}`) || [];
+    if (items.length === 0 && !verbose) continue;
+
+    lines.push('', `${SEVERITY_ICONS[check.status]} **${check.project}/${check.name}**${check.file ? ` ${check.file}` : ''}`);
+    for (const item of items) {
+      lines.push(`• ${item.message}${item.repair ? ` → ${item.repair.action}: ${item.repair.description}` : ''}`);
+    }
+  }
+
+  if (counts.repairable > 0) {
+    lines.push('', '💡 `toolkit data repair --dry-run` 預覽修復，去掉 --dry-run 執行（修復前會先備份）');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 修復結果轉成 Markdown
+ */
+function formatRepairs({ dryRun, repairs, report }) {
+  const icons = { planned: '📋', repaired: '✅', failed: '❌' };
+  const lines = [dryRun ? '🔧 **資料修復（預覽，未寫入）**' : '🔧 **資料修復**', ''];
+
+  if (repairs.length === 0) {
+    lines.push('沒有可修復的問題');
+  }
+  for (const r of repairs) {
+    lines.push(`${icons[r.status]} ${r.project}/${r.check} ${r.action}: ${r.message}`);
+  }
+
+  if (!dryRun) {
+    const { counts } = report;
+    lines.push('', `修復後：${counts.error} 個錯誤，${counts.warning} 個警告`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  registerCheck,
+  getChecks,
+  clearChecks,
+  loadChecks,
+  runAudit,
+  runRepairs,
+  backupData,
+  formatAuditReport,
+  formatRepairs,
+  jsonFile,
+  cacheFiles,
+  leftovers,
+  searchIndex,
+  storeTable,
+  finding,
+  CORE_CHECKS,
+  REPAIR_ACTIONS,
+  SEVERITIES,
+  EXIT_CODES,
+  TIMESTAMP,
+};
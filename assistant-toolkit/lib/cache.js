@@ -0,0 +1,313 @@
+/**
+ * 共用快取
+ *
+ * 每個命名空間一個檔案（data/cache/<namespace>.json），項目有各自的 TTL：
+ *   - 過期的項目仍保留，來源失敗時可回傳舊資料（isStale: true）
+ *   - background 模式先回傳舊資料，背景更新（常駐的伺服器 / 排程器用）
+ *   - 每個命名空間有項目數和大小上限，超過時先清過期、再清最舊的
+ *   - 寫入時鎖定檔案、重新讀檔並只更新自己的項目，避免覆蓋其他程序的寫入（lib/storage.js）
+ *
+ * 用法：
+ *   const { value, isStale } = await cache.fetch('forex', 'rates:USD', loader, { ttl: 60 * 60 * 1000 });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSON, writeJSON, withLock } = require('./storage');
+
+const CACHE_DIR = path.join(__dirname, '..', 'data', 'cache');
+
+// 每個命名空間的上限
+const MAX_ENTRIES = 500;
+const MAX_BYTES = 2 * 1024 * 1024;
+
+// 過期多久後不再當作備援資料
+const MAX_STALE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 命名空間名稱（也是檔名）
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * 舊資料提示（加在報告裡）
+ * @param {string} cachedAt - 快取時間（ISO）
+ */
+function staleNotice(cachedAt) {
+  const time = cachedAt
+    ? new Date(cachedAt).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '未知時間';
+  return `⚠️ _來源暫時無法連線，顯示 ${time} 的快取資料_`;
+}
+
+class Cache {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - 快取目錄
+   * @param {number} options.maxEntries - 每個命名空間的項目上限
+   * @param {number} options.maxBytes - 每個命名空間的大小上限
+   * @param {number} options.maxStale - 過期資料保留時間（毫秒）
+   * @param {Function} options.now - 取得目前時間（毫秒，測試用）
+   */
+  constructor({ dir = CACHE_DIR, maxEntries = MAX_ENTRIES, maxBytes = MAX_BYTES, maxStale = MAX_STALE_MS, now = () => Date.now() } = {}) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.maxStale = maxStale;
+    this.now = now;
+    this.counters = new Map();
+    this.refreshing = new Map();
+  }
+
+  /**
+   * 命名空間檔案
+   */
+  file(namespace) {
+    if (!NAMESPACE_PATTERN.test(namespace)) {
+      throw new Error(`無效的快取命名空間: ${namespace}`);
+    }
+    return path.join(this.dir, `${namespace}.json`);
+  }
+
+  /**
+   * 讀取命名空間
+   */
+  load(namespace) {
+    try {
+      return readJSON(this.file(namespace), {}).entries || {};
+    } catch (e) {
+      // 快取可以重建，損壞時當作空的
+      return {};
+    }
+  }
+
+  /**
+   * 儲存命名空間
+   */
+  save(namespace, entries) {
+    writeJSON(this.file(namespace), { entries }, { indent: 0 });
+  }
+
+  /**
+   * 修改命名空間（鎖定中重新讀取 → 修改 → 寫入）
+   * @param {Function} update - (entries) => 回傳值
+   */
+  update(namespace, update) {
+    return withLock(this.file(namespace), () => {
+      const entries = this.load(namespace);
+      const result = update(entries);
+      this.save(namespace, this.evict(entries));
+      return result;
+    });
+  }
+
+  /**
+   * 命中 / 未命中計數（本程序）
+   */
+  count(namespace, field) {
+    const counter = this.counters.get(namespace) || { hits: 0, misses: 0, staleServed: 0 };
+    counter[field]++;
+    this.counters.set(namespace, counter);
+  }
+
+  /**
+   * 包裝項目（附上是否過期）
+   */
+  describe(entry) {
+    return {
+      value: entry.value,
+      storedAt: new Date(entry.storedAt).toISOString(),
+      expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+      isStale: entry.expiresAt != null && entry.expiresAt <= this.now(),
+    };
+  }
+
+  /**
+   * 讀取項目
+   * @param {string} namespace - 命名空間
+   * @param {string} key - 鍵
+   * @param {Object} options - { allowStale: 過期的也回傳 }
+   * @returns {{ value, storedAt, expiresAt, isStale }|null}
+   */
+  get(namespace, key, { allowStale = false } = {}) {
+    const entry = this.load(namespace)[key];
+    if (!entry) return null;
+
+    const described = this.describe(entry);
+    if (described.isStale && (!allowStale || this.now() - entry.expiresAt > this.maxStale)) {
+      return null;
+    }
+    return described;
+  }
+
+  /**
+   * 寫入項目
+   * @param {string} namespace - 命名空間
+   * @param {string} key - 鍵
+   * @param {*} value - 值（需可 JSON 序列化）
+   * @param {Object} options - { ttl: 毫秒，null 表示不過期 }
+   */
+  set(namespace, key, value, { ttl = null } = {}) {
+    const now = this.now();
+    const entry = {
+      value,
+      storedAt: now,
+      expiresAt: ttl == null ? null : now + ttl,
+      size: Buffer.byteLength(JSON.stringify(value) || ''),
+    };
+
+    if (entry.size > this.maxBytes) {
+      throw new Error(`快取項目過大: ${namespace}/${key}（${entry.size} bytes）`);
+    }
+
+    // 寫入前重新讀取，只更新這個鍵
+    this.update(namespace, entries => {
+      entries[key] = entry;
+    });
+
+    return this.describe(entry);
+  }
+
+  /**
+   * 超過上限時移除項目：先移除太舊的過期資料，再依寫入時間由舊到新
+   */
+  evict(entries) {
+    const now = this.now();
+
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.expiresAt != null && now - entry.expiresAt > this.maxStale) {
+        delete entries[key];
+      }
+    }
+
+    const byAge = Object.entries(entries).sort(([, a], [, b]) => {
+      const aExpired = a.expiresAt != null && a.expiresAt <= now;
+      const bExpired = b.expiresAt != null && b.expiresAt <= now;
+      return aExpired === bExpired ? a.storedAt - b.storedAt : aExpired ? -1 : 1;
+    });
+
+    let total = byAge.reduce((sum, [, entry]) => sum + entry.size, 0);
+    let count = byAge.length;
+
+    for (const [key, entry] of byAge) {
+      if (count <= this.maxEntries && total <= this.maxBytes) break;
+      delete entries[key];
+      total -= entry.size;
+      count--;
+    }
+
+    return entries;
+  }
+
+  /**
+   * 刪除項目
+   */
+  delete(namespace, key) {
+    return this.update(namespace, entries => {
+      if (!(key in entries)) return false;
+      delete entries[key];
+      return true;
+    });
+  }
+
+  /**
+   * 清除快取
+   * @param {string} namespace - 只清除某個命名空間（預設全部）
+   * @returns {number} 清除的項目數
+   */
+  clear(namespace = null) {
+    const namespaces = namespace ? [namespace] : this.namespaces();
+    let removed = 0;
+
+    for (const name of namespaces) {
+      withLock(this.file(name), () => {
+        removed += Object.keys(this.load(name)).length;
+        fs.rmSync(this.file(name), { force: true });
+      });
+    }
+    return removed;
+  }
+
+  /**
+   * 所有命名空間
+   */
+  namespaces() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -5))
+      .filter(name => NAMESPACE_PATTERN.test(name));
+  }
+
+  /**
+   * 快取統計
+   * @returns {Object[]} 每個命名空間的項目數、大小、過期數（命中次數只計本程序）
+   */
+  stats() {
+    const now = this.now();
+
+    return this.namespaces().map(namespace => {
+      const entries = Object.values(this.load(namespace));
+      const stale = entries.filter(e => e.expiresAt != null && e.expiresAt <= now).length;
+      const times = entries.map(e => e.storedAt);
+
+      return {
+        namespace,
+        entries: entries.length,
+        bytes: entries.reduce((sum, e) => sum + e.size, 0),
+        fresh: entries.length - stale,
+        stale,
+        oldest: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+        newest: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null,
+        ...(this.counters.get(namespace) || { hits: 0, misses: 0, staleServed: 0 }),
+      };
+    });
+  }
+
+  /**
+   * 讀取快取，過期時以 loader 更新，更新失敗時回傳舊資料
+   * @param {string} namespace - 命名空間
+   * @param {string} key - 鍵
+   * @param {Function} loader - 取得新資料（async，失敗時拋出例外）
+   * @param {Object} options
+   * @param {number} options.ttl - 有效時間（毫秒）
+   * @param {boolean} options.background - 過期時先回傳舊資料，背景更新
+   * @returns {Promise<{ value, storedAt, isStale, error? }>}
+   */
+  async fetch(namespace, key, loader, { ttl = null, background = false } = {}) {
+    const cached = this.get(namespace, key, { allowStale: true });
+
+    if (cached && !cached.isStale) {
+      this.count(namespace, 'hits');
+      return cached;
+    }
+    this.count(namespace, 'misses');
+
+    const refresh = async () => this.set(namespace, key, await loader(), { ttl });
+
+    if (cached && background) {
+      const id = `${namespace}/${key}`;
+      if (!this.refreshing.has(id)) {
+        this.refreshing.set(id, refresh().catch(() => null).finally(() => this.refreshing.delete(id)));
+      }
+      this.count(namespace, 'staleServed');
+      return cached;
+    }
+
+    try {
+      return await refresh();
+    } catch (error) {
+      if (!cached) throw error;
+      this.count(namespace, 'staleServed');
+      return { ...cached, error: error.message };
+    }
+  }
+}
+
+// 共用快取
+const cache = new Cache();
+
+module.exports = {
+  Cache,
+  cache,
+  staleNotice,
+  CACHE_DIR,
+};
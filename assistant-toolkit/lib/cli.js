@@ -0,0 +1,846 @@
+/**
+ * 統一命令列
+ *
+ *   toolkit <module> <command> [args] [--flags]
+ *
+ * 指令對應到工具箱函數，參數依 lib/tools.js 的 schema 解析：
+ *   位置參數依序填入，陣列參數會收集剩下的位置參數
+ *   --name value / --name=value，布林參數可省略值
+ *
+ * 共用旗標：
+ *   --json           輸出 JSON
+ *   --format <fmt>   輸出格式（text / markdown / html / json，預設 text）
+ *   --profile <id>   以哪個成員的個人設定執行（如 margaret，預設 profile.default）
+ *   --help, -h       說明
+ */
+
+const { createResult, createError, isError, render, markdownToText } = require('./result');
+const { parseStringParams, validateArgs, argsFromObject } = require('./schema');
+const { createScheduler, getSchedulerStatus } = require('./jobs');
+const { Outbox } = require('./notifications');
+const { CONFIG_SCHEMA, getConfig, getConfigValue, setConfigValue, formatConfig } = require('./config');
+const { cache } = require('./cache');
+const { getStore } = require('./store');
+const { importLegacyData } = require('./importer');
+const { loadChecks, runAudit, runRepairs, backupData, formatAuditReport, formatRepairs, REPAIR_ACTIONS } = require('./audit');
+const { PROFILE_SCHEMA, listProfiles, getProfile, setProfileValue, runWithProfile } = require('./profiles');
+
+// 模組和指令：字串為工具名稱，物件為自訂指令 { description, params, required, run }
+// 或 { tool, exitCode(result) }（工具，依結果決定結束代碼）
+const MODULES = {
+  investment: {
+    description: '投資監控（股票、持倉、警報）',
+    project: 'investment-monitor',
+    commands: {
+      quotes: 'getStockQuotes',
+      portfolio: 'getPortfolio',
+      summary: 'getPortfolioSummary',
+      returns: 'getPortfolioReturns',
+      indicators: 'getIndicators',
+      buy: 'buyStock',
+      sell: 'sellStock',
+      record: 'recordTransaction',
+      history: 'getTransactions',
+      alert: 'setPriceAlert',
+      'alert-rule': 'setAlertRule',
+      'check-alerts': 'checkAlerts',
+    },
+  },
+  news: {
+    description: 'Fintech 新聞',
+    project: 'fintech-news',
+    commands: {
+      quick: 'getNewsQuick',
+      topics: 'getNewsTopics',
+    },
+  },
+  briefing: {
+    description: '早晨簡報',
+    project: 'morning-briefing',
+    commands: {
+      morning: 'getMorningBriefing',
+      quick: 'getQuickBriefing',
+      status: 'getStatusCheck',
+      weather: 'getWeather',
+      calendar: 'getTodayCalendar',
+    },
+  },
+  stablecoin: {
+    description: '穩定幣追蹤',
+    project: 'stablecoin-tracker',
+    commands: {
+      report: 'getStablecoinReport',
+      brief: 'getStablecoinBrief',
+      depeg: 'checkStablecoinDepeg',
+    },
+  },
+  rwa: {
+    description: 'RWA 代幣化資產',
+    project: 'rwa-tracker',
+    commands: {
+      overview: 'getRWAOverview',
+      brief: 'getRWABrief',
+      work: 'getRWAWorkBrief',
+      treasuries: 'getTreasuriesReport',
+    },
+  },
+  forex: {
+    description: '匯率',
+    project: 'forex-tracker',
+    commands: {
+      report: 'getForexReport',
+      brief: 'getForexBrief',
+      convert: 'convertCurrency',
+      usdtwd: 'getUsdTwdRate',
+      'usd-to-twd': 'usdToTwd',
+      'twd-to-usd': 'twdToUsd',
+    },
+  },
+  crypto: {
+    description: '加密貨幣',
+    project: 'crypto-tracker',
+    commands: {
+      brief: 'getCryptoBrief',
+      report: 'getCryptoReport',
+      price: 'getCoinPrice',
+      btc: 'getBtcPrice',
+      eth: 'getEthPrice',
+    },
+  },
+  market: {
+    description: '綜合市場儀表板',
+    project: 'market-dashboard',
+    commands: {
+      report: 'getMarketReport',
+      brief: 'getMarketBrief',
+      work: 'getFintechWorkReport',
+    },
+  },
+  memory: {
+    description: '記憶搜尋',
+    project: 'memory-search',
+    commands: {
+      search: 'searchMemoryBrief',
+      stats: 'getMemoryStats',
+      rebuild: 'rebuildMemoryIndex',
+    },
+  },
+  'taiwan-fintech': {
+    description: '台灣 Fintech',
+    project: 'taiwan-fintech',
+    commands: {
+      overview: 'getTaiwanFintechOverview',
+      work: 'getTaiwanFintechReport',
+    },
+  },
+  legal: {
+    description: '法律新聞（Margaret）',
+    project: 'legal-news',
+    commands: {
+      overview: 'getLegalNewsOverview',
+      work: 'getLegalWorkReport',
+    },
+  },
+  story: {
+    description: '故事時間（Tim）',
+    project: 'story-time',
+    commands: {
+      tell: 'tellStory',
+      goodnight: 'goodNightTim',
+    },
+  },
+  system: {
+    description: '系統狀態',
+    project: 'system-status',
+    commands: {
+      status: 'getSystemStatus',
+      // 結束代碼給監控系統：green 0、yellow 1、red 2
+      health: { tool: 'getHealthCheck', exitCode: result => result.data.exitCode },
+    },
+  },
+  quick: {
+    description: '快速問答',
+    project: 'quick-answers',
+    commands: {
+      ask: 'answerQuestion',
+      status: 'getQuickStatus',
+      golden: {
+        description: '黃金問題回歸測試（準確率、混淆矩陣、回歸）',
+        params: { update: { type: 'boolean', description: '把這次的結果存成基準' } },
+        run: ({ update = false }, toolkit) => {
+          const quickAnswers = toolkit.registry?.get('quick-answers');
+          if (!quickAnswers) {
+            return createError('MODULE_NOT_LOADED', '快速問答模組未載入', { module: 'quick-answers' });
+          }
+          const report = quickAnswers.runGoldenQuestions({ update });
+          if (report.regressions.length > 0 && !update) {
+            return createError('GOLDEN_REGRESSION',
+              `${report.regressions.length} 題回歸: ${report.regressions.join(', ')}\n\n${quickAnswers.formatGoldenReport(report)}`, report);
+          }
+          return createResult('quick.golden', report,
+            quickAnswers.formatGoldenReport(report) + (update ? '\n\n💾 基準已更新' : ''));
+        },
+      },
+    },
+  },
+  scheduler: {
+    description: '排程工作（警報檢查、歷史快照、早晨簡報）',
+    commands: {
+      status: {
+        description: '排程工作狀態',
+        run: (params, toolkit) => getSchedulerStatus(createScheduler(toolkit)),
+      },
+      run: {
+        description: '立即執行工作',
+        params: { job: { type: 'string', description: '工作名稱' } },
+        required: ['job'],
+        run: async ({ job }, toolkit) => {
+          const scheduler = createScheduler(toolkit);
+          if (!scheduler.jobs.has(job)) {
+            return createError('INVALID_ARGUMENTS', `找不到工作: ${job}（可用: ${[...scheduler.jobs.keys()].join(', ')}）`);
+          }
+          const result = await scheduler.runJob(job);
+          if (result.status === 'failed') {
+            return createError('JOB_FAILED', `${job} 執行失敗: ${result.error}`, { job });
+          }
+          return createResult('scheduler.run', result, result.output == null ? `✅ ${job} 完成` : String(result.output));
+        },
+      },
+      tick: {
+        description: '執行到期的工作（給系統 cron 每分鐘呼叫）',
+        run: async (params, toolkit) => {
+          const results = await createScheduler(toolkit).tick();
+          const lines = results.map(r => `${r.status === 'failed' ? '❌' : '✅'} ${r.name}${r.missed ? '（補跑）' : ''}`);
+          return createResult('scheduler.tick', { results }, lines.join('\n') || '沒有到期的工作');
+        },
+      },
+      start: {
+        description: '常駐執行排程器',
+        params: { interval: { type: 'integer', minimum: 1, description: '檢查間隔秒數（預設 30）' } },
+        run: ({ interval = 30 }, toolkit) => {
+          createScheduler(toolkit).start(interval * 1000);
+          return `⏰ 排程器已啟動（每 ${interval} 秒檢查）`;
+        },
+      },
+      logs: {
+        description: '工作執行記錄',
+        params: {
+          job: { type: 'string', description: '工作名稱' },
+          lines: { type: 'integer', minimum: 1, description: '行數（預設 20）' },
+        },
+        required: ['job'],
+        run: ({ job, lines = 20 }, toolkit) => createScheduler(toolkit).readLog(job, lines).join('\n') || `${job} 沒有記錄`,
+      },
+    },
+  },
+  notify: {
+    description: '通知寄件匣',
+    commands: {
+      send: {
+        description: '發送通知',
+        params: {
+          text: { type: 'string', minLength: 1, description: '內容（Markdown）' },
+          topic: { type: 'string', description: '主題（決定收件人，預設 general）' },
+          to: { type: 'string', description: '指定收件人（如 barry / margaret）' },
+          dedupeKey: { type: 'string', description: '去重鍵' },
+          urgent: { type: 'boolean', description: '勿擾時段也立即送出' },
+        },
+        required: ['text'],
+        run: async (params) => {
+          const result = await new Outbox().send(params);
+          if (result.queued.length === 0 && result.skipped.length === 0) {
+            return createError('INVALID_ARGUMENTS', `沒有收件人（topic: ${params.topic || 'general'}）`);
+          }
+          return createResult('notify.send', result,
+            `📨 ${result.queued.length} 則排入, ${result.sent} 已送出, ${result.retrying} 待重試, ${result.failed} 失敗` +
+            (result.deferred > 0 ? `, ${result.deferred} 則勿擾時段延後` : '') +
+            (result.skipped.length > 0 ? `, ${result.skipped.length} 則重複略過` : ''));
+        },
+      },
+      flush: {
+        description: '送出待送的通知',
+        run: async () => {
+          const stats = await new Outbox().flush();
+          return createResult('notify.flush', stats, `📨 ${stats.sent} 已送出, ${stats.retrying} 待重試, ${stats.failed} 失敗`);
+        },
+      },
+      status: {
+        description: '寄件匣統計',
+        run: () => {
+          const stats = new Outbox().getStats();
+          return createResult('notify.status', stats,
+            `📬 **寄件匣**\n待送: ${stats.pending}\n已送出: ${stats.sent}\n失敗: ${stats.failed}\n` +
+            `收件人: ${stats.recipients.join(', ')}\n傳送器: ${stats.transports.join(', ')}`);
+        },
+      },
+      list: {
+        description: '列出通知',
+        params: { status: { type: 'string', enum: ['pending', 'sent', 'failed'], description: '狀態' } },
+        run: ({ status }) => new Outbox().list(status),
+      },
+      retry: {
+        description: '重新排入失敗的通知',
+        run: () => `🔁 ${new Outbox().retryFailed()} 則重新排入`,
+      },
+    },
+  },
+  config: {
+    description: '共用設定（觀察清單、天氣地點、Notion、API）',
+    commands: {
+      show: {
+        description: '顯示設定和來源（密鑰會遮蔽）',
+        params: { key: { type: 'string', enum: Object.keys(CONFIG_SCHEMA), description: '只顯示某個設定' } },
+        run: ({ key }) => {
+          if (!key) return formatConfig();
+          const value = CONFIG_SCHEMA[key].secret ? null : getConfigValue(key);
+          return createResult('config.value', { key, value, source: getConfig().sources[key] },
+            JSON.stringify(CONFIG_SCHEMA[key].secret ? '••••••' : value));
+        },
+      },
+      set: {
+        description: '寫入設定檔',
+        params: {
+          key: { type: 'string', enum: Object.keys(CONFIG_SCHEMA), description: '設定名稱' },
+          value: { type: 'string', description: '值（陣列以逗號分隔，null 表示清除）' },
+        },
+        required: ['key', 'value'],
+        run: ({ key, value }) => {
+          let result;
+          try {
+            result = setConfigValue(key, value);
+          } catch (e) {
+            return createError('INVALID_ARGUMENTS', e.message, { key });
+          }
+          return createResult('config.set', result,
+            `✅ ${key} = ${CONFIG_SCHEMA[key].secret ? '••••••' : JSON.stringify(result.value)}\n設定檔: ${result.file}` +
+            (result.overriddenBy ? `\n⚠️ 環境變數 ${result.overriddenBy} 已設定，會覆蓋這個值` : ''));
+        },
+      },
+    },
+  },
+  cache: {
+    description: '共用快取（報價、匯率、加密貨幣、新聞）',
+    commands: {
+      stats: {
+        description: '各命名空間的項目數、大小和過期數',
+        run: () => {
+          const namespaces = cache.stats();
+          const lines = namespaces.map(n =>
+            `**${n.namespace}**: ${n.entries} 筆（${(n.bytes / 1024).toFixed(1)} KB），${n.fresh} 有效, ${n.stale} 過期` +
+            (n.newest ? `，最後寫入 ${n.newest}` : ''));
+          return createResult('cache.stats', { namespaces }, `🗄️ **快取**\n\n${lines.join('\n') || '（沒有快取）'}`);
+        },
+      },
+      clear: {
+        description: '清除快取',
+        params: { namespace: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$', description: '命名空間（預設全部）' } },
+        run: ({ namespace }) => {
+          const removed = cache.clear(namespace);
+          return createResult('cache.clear', { namespace: namespace || null, removed },
+            `🧹 已清除 ${removed} 筆快取${namespace ? `（${namespace}）` : ''}`);
+        },
+      },
+    },
+  },
+  store: {
+    description: '共用資料庫（持倉、警報、歷史、文章）',
+    commands: {
+      status: {
+        description: '結構版本、各資料表筆數和匯入記錄',
+        run: () => {
+          const status = getStore().status();
+          const tables = status.tables.map(t => `${t.name}: ${t.rows}`).join('\n');
+          const imports = status.imports.map(i => `${i.source}: ${i.rows} 筆（${i.importedAt}）`).join('\n');
+          return createResult('store.status', status,
+            `🗃️ **資料庫** ${status.file}\n版本: ${status.version}/${status.latest}\n\n**資料表**\n${tables}` +
+            `\n\n**已匯入**\n${imports || '（無）'}`);
+        },
+      },
+      migrate: {
+        description: '套用尚未套用的結構版本',
+        run: () => {
+          const store = getStore();
+          const applied = store.migrate();
+          return createResult('store.migrate', { version: store.version(), applied },
+            applied.length > 0
+              ? `✅ 已套用 ${applied.map(m => `${m.version}（${m.name}）`).join(', ')}`
+              : `✅ 已是最新版本（${store.version()}）`);
+        },
+      },
+      import: {
+        description: '匯入舊的 JSON 資料檔',
+        params: {
+          dryRun: { type: 'boolean', description: '只檢查，不寫入' },
+          force: { type: 'boolean', description: '已匯入的來源也重新匯入' },
+        },
+        run: ({ dryRun = false, force = false }) => {
+          const results = importLegacyData(getStore(), { dryRun, force });
+          const icons = { imported: '✅', pending: '📋', skipped: '⏭️', missing: '➖', error: '❌' };
+          const lines = results.map(r => `${icons[r.status]} ${r.source}: ${r.message}`);
+          return createResult('store.import', { dryRun, results }, lines.join('\n'));
+        },
+      },
+    },
+  },
+  data: {
+    description: '資料稽核（格式、過期、孤立資料、索引不一致）和修復',
+    commands: {
+      audit: {
+        description: '稽核資料檔（結束代碼：沒有問題 0、警告 1、錯誤 2）',
+        params: {
+          project: { type: 'string', pattern: '^[a-z][a-z0-9-]*$', description: '只稽核某個專案' },
+          verbose: { type: 'boolean', description: '列出沒有問題的檢查' },
+        },
+        run: async ({ project, verbose = false }) => {
+          loadChecks();
+          const report = await runAudit({ project });
+          return createResult('data.audit', report, formatAuditReport(report, { verbose }));
+        },
+        exitCode: result => result.data.exitCode,
+      },
+      repair: {
+        description: '修復稽核發現的問題（修復前先備份）',
+        params: {
+          dryRun: { type: 'boolean', description: '只列出會做的修復，不寫入' },
+          action: { type: 'array', items: { type: 'string', enum: REPAIR_ACTIONS }, description: '只做某些修復（restore / prune / reindex）' },
+          project: { type: 'string', pattern: '^[a-z][a-z0-9-]*$', description: '只修復某個專案' },
+        },
+        run: async ({ dryRun = false, action = REPAIR_ACTIONS, project }) => {
+          loadChecks();
+          const result = await runRepairs({ dryRun, actions: action, project });
+          return createResult('data.repair', result, formatRepairs(result));
+        },
+      },
+      backup: {
+        description: '備份各專案的資料檔（損壞的檔案不備份）',
+        run: () => {
+          loadChecks();
+          const backups = backupData();
+          const lines = backups.map(b => `${b.backup ? '💾' : '⏭️'} ${b.project}/${b.check}: ${b.backup ? b.file : '無法通過檢查，未備份'}`);
+          return createResult('data.backup', { backups }, lines.join('\n') || '沒有資料檔');
+        },
+      },
+    },
+  },
+  profile: {
+    description: '個人設定（簡報區塊、觀察清單、新聞主題、通知、勿擾時段）',
+    commands: {
+      list: {
+        description: '列出所有成員',
+        run: () => {
+          const profiles = listProfiles();
+          const lines = profiles.map(p => `👤 **${p.name}**（${p.id}）簡報: ${p.briefing.join(', ')}；通知: ${p.channel}`);
+          return createResult('profile.list', { profiles }, lines.join('\n'));
+        },
+      },
+      show: 'getProfile',
+      set: {
+        description: '寫入個人設定（新的成員 ID 會新增成員）',
+        params: {
+          id: { type: 'string', minLength: 1, description: '成員 ID' },
+          key: { type: 'string', enum: Object.keys(PROFILE_SCHEMA), description: '設定名稱' },
+          value: { type: 'string', description: '值（陣列以逗號分隔，null 表示清除）' },
+        },
+        required: ['id', 'key', 'value'],
+        run: ({ id, key, value }) => {
+          let result;
+          try {
+            result = setProfileValue(id, key, value);
+          } catch (e) {
+            return createError('INVALID_ARGUMENTS', e.message, { id, key });
+          }
+          return createResult('profile.set', { ...result, profile: getProfile(result.id) },
+            `✅ ${result.id}.${key} = ${JSON.stringify(result.value)}${result.created ? '（新成員）' : ''}\n設定檔: ${result.file}`);
+        },
+      },
+    },
+  },
+  toolkit: {
+    description: '工具箱（也可省略模組名稱直接使用）',
+    commands: {
+      status: 'getToolkitStatus',
+      capabilities: 'listCapabilities',
+      summary: 'getDailySummary',
+      call: 'callCapability',
+    },
+  },
+};
+
+// 共用旗標
+const GLOBAL_FLAGS = ['--json', '--format', '--profile', '--help'];
+const FORMATS = ['text', 'markdown', 'html', 'json'];
+
+/**
+ * 註冊自訂指令（給其他子系統使用，如 config / cache）
+ * @param {string} moduleName - 模組名稱
+ * @param {string} command - 指令名稱
+ * @param {string|Object} spec - 工具名稱，或 { description, params, required, run(params, toolkit) }
+ *                             （{ tool, exitCode(result) } 為依結果決定結束代碼的工具）
+ * @param {string} description - 新模組的說明
+ */
+function registerCommand(moduleName, command, spec, description = '') {
+  if (!MODULES[moduleName]) {
+    MODULES[moduleName] = { description, commands: {} };
+  }
+  MODULES[moduleName].commands[command] = spec;
+}
+
+/**
+ * kebab-case 轉 camelCase
+ */
+function toCamel(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * camelCase 轉 kebab-case
+ */
+function toKebab(name) {
+  return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+/**
+ * 拆解命令列參數
+ * @param {string[]} argv
+ * @param {Object} properties - 參數 schema（判斷布林旗標用）
+ * @returns {{ positionals: string[], flags: Object }}
+ */
+function parseArgv(argv, properties = {}) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-h') {
+      flags.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    name = toCamel(name);
+    const types = [].concat(properties[name]?.type || []);
+    const isBoolean = ['json', 'help'].includes(name) || types.includes('boolean');
+
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (!isBoolean && next !== undefined && !next.startsWith('--')) {
+        value = next;
+        i++;
+      } else {
+        value = isBoolean ? 'true' : '';
+      }
+    }
+
+    flags[name] = value;
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * 建立命令列
+ * @param {Object} toolkit - 工具箱模組（需提供 invokeTool / getToolSchemas / registry）
+ */
+function createCLI(toolkit) {
+  const schemas = new Map(toolkit.getToolSchemas().map(s => [s.name, s]));
+
+  /**
+   * 尋找模組（名稱、專案名稱或 manifest 別名）
+   */
+  function findModule(name) {
+    if (MODULES[name]) return name;
+
+    const project = toolkit.registry?.find(name)?.manifest.name || name;
+    return Object.keys(MODULES).find(key => MODULES[key].project === project) || null;
+  }
+
+  /**
+   * 取得指令的參數定義
+   */
+  function getCommandSpec(moduleName, command) {
+    const found = MODULES[moduleName]?.commands[command];
+    if (!found) return null;
+
+    const spec = typeof found === 'string' ? { tool: found } : found;
+    if (spec.tool) {
+      const schema = schemas.get(spec.tool) || { description: '', parameters: { properties: {}, required: [] } };
+      return {
+        tool: spec.tool,
+        description: schema.description,
+        properties: schema.parameters.properties,
+        required: schema.parameters.required,
+        exitCode: spec.exitCode,
+      };
+    }
+
+    return {
+      description: spec.description || '',
+      properties: spec.params || {},
+      required: spec.required || [],
+      run: spec.run,
+      exitCode: spec.exitCode,
+    };
+  }
+
+  /**
+   * 將位置參數和旗標組合成具名參數
+   */
+  function buildParams(spec, positionals, flags) {
+    const params = {};
+    const names = Object.keys(spec.properties);
+
+    for (const [key, value] of Object.entries(flags)) {
+      if (['json', 'format', 'profile', 'help'].includes(key)) continue;
+      params[key] = value;
+    }
+
+    const remaining = [...positionals];
+    for (const name of names) {
+      if (remaining.length === 0) break;
+      if (name in params) continue;
+
+      // 陣列參數收集剩下的位置參數
+      const types = [].concat(spec.properties[name].type || []);
+      params[name] = types.includes('array') ? remaining.splice(0).join(',') : remaining.shift();
+    }
+
+    if (remaining.length > 0) {
+      return { error: `多餘的參數: ${remaining.join(' ')}` };
+    }
+
+    const parsed = parseStringParams(Object.entries(params), spec.properties);
+
+    // 工具指令由 invokeTool 驗證，自訂指令在這裡驗證
+    if (spec.run) {
+      const unknown = Object.keys(parsed).filter(name => !spec.properties[name]);
+      if (unknown.length > 0) {
+        return { error: `不支援參數: ${unknown.join(', ')}` };
+      }
+
+      const def = { params: spec.properties, required: spec.required };
+      const { args, errors } = validateArgs(def, argsFromObject(def, parsed));
+      if (errors.length > 0) {
+        return { error: errors.join('；') };
+      }
+      names.forEach((name, i) => {
+        if (args[i] !== undefined) parsed[name] = args[i];
+      });
+    }
+
+    return { params: parsed };
+  }
+
+  /**
+   * 主說明
+   */
+  function mainHelp() {
+    const lines = ['🧰 **助手工具箱**', '', '用法: toolkit <module> <command> [args] [--flags]', '', '**模組**'];
+    for (const [name, mod] of Object.entries(MODULES)) {
+      lines.push(`  ${name.padEnd(16)}${mod.description}`);
+    }
+    lines.push('', '**共用旗標**');
+    lines.push('  --json          輸出 JSON');
+    lines.push('  --format <fmt>  輸出格式（text / markdown / html / json）');
+    lines.push('  --profile <id>  以哪個成員的個人設定執行（如 margaret）');
+    lines.push('  --help, -h      說明');
+    lines.push('', '其他: toolkit completion [bash|zsh]');
+    return lines.join('\n');
+  }
+
+  /**
+   * 模組說明
+   */
+  function moduleHelp(moduleName) {
+    const mod = MODULES[moduleName];
+    const lines = [`**${moduleName}** - ${mod.description}`, '', '**指令**'];
+    for (const command of Object.keys(mod.commands)) {
+      lines.push(`  ${command.padEnd(16)}${getCommandSpec(moduleName, command).description}`);
+    }
+    lines.push('', `用法: toolkit ${moduleName} <command> --help`);
+    return lines.join('\n');
+  }
+
+  /**
+   * 指令說明（依 schema 列出參數）
+   */
+  function commandHelp(moduleName, command) {
+    const spec = getCommandSpec(moduleName, command);
+    const names = Object.keys(spec.properties);
+    const usage = names.map(name => (spec.required.includes(name) ? `<${name}>` : `[${name}]`)).join(' ');
+    const lines = [`**toolkit ${moduleName} ${command}** - ${spec.description}`, '', `用法: toolkit ${moduleName} ${command} ${usage}`.trim()];
+
+    if (names.length > 0) {
+      lines.push('', '**參數**');
+      for (const name of names) {
+        const prop = spec.properties[name];
+        const type = [].concat(prop.type || 'any').filter(t => t !== 'null').join('|');
+        const extra = [
+          spec.required.includes(name) ? '必填' : null,
+          prop.enum ? `可用: ${prop.enum.join(', ')}` : null,
+        ].filter(Boolean).join('，');
+        lines.push(`  --${toKebab(name).padEnd(14)}${type.padEnd(9)}${prop.description || ''}${extra ? `（${extra}）` : ''}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 補全候選
+   * @param {string[]} words - 已輸入的字（不含 toolkit）
+   */
+  function complete(words) {
+    const current = words[words.length - 1] || '';
+    const previous = words.slice(0, -1);
+    let candidates;
+
+    if (previous.length === 0) {
+      candidates = [...Object.keys(MODULES), ...Object.keys(MODULES.toolkit.commands), 'completion', 'help'];
+    } else if (previous.length === 1) {
+      const moduleName = findModule(previous[0]);
+      candidates = previous[0] === 'completion'
+        ? ['bash', 'zsh']
+        : moduleName ? Object.keys(MODULES[moduleName].commands) : [];
+    } else {
+      const moduleName = findModule(previous[0]);
+      const spec = moduleName && getCommandSpec(moduleName, previous[1]);
+      if (!spec) return [];
+
+      const last = previous[previous.length - 1];
+      const flagProp = last.startsWith('--') ? spec.properties[toCamel(last.slice(2))] : null;
+      if (flagProp?.enum) {
+        candidates = flagProp.enum;
+      } else if (last === '--format') {
+        candidates = FORMATS;
+      } else if (last === '--profile') {
+        candidates = listProfiles().map(p => p.id);
+      } else {
+        candidates = [...Object.keys(spec.properties).map(name => `--${toKebab(name)}`), ...GLOBAL_FLAGS];
+      }
+    }
+
+    return candidates.filter(c => c.startsWith(current));
+  }
+
+  /**
+   * 補全腳本
+   */
+  function completionScript(shell = 'bash') {
+    const bash = [
+      '# toolkit 補全',
+      '_toolkit_complete() {',
+      '  COMPREPLY=($(toolkit __complete "${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null))',
+      '}',
+      'complete -F _toolkit_complete toolkit',
+    ];
+
+    if (shell === 'zsh') {
+      return ['autoload -U +X bashcompinit && bashcompinit', ...bash].join('\n');
+    }
+    return bash.join('\n');
+  }
+
+  /**
+   * 執行命令列
+   * @param {string[]} argv - 參數（不含 node 和腳本路徑）
+   * @param {Object} io - { stdout(text), stderr(text) }
+   * @returns {Promise<number>} 結束代碼
+   */
+  async function run(argv, io = { stdout: console.log, stderr: console.error }) {
+    let [first, second, ...rest] = argv;
+
+    if (first === '__complete') {
+      io.stdout(complete(argv.slice(1)).join('\n'));
+      return 0;
+    }
+    if (first === 'completion') {
+      io.stdout(completionScript(second));
+      return 0;
+    }
+    if (!first || first === 'help' || first === '--help' || first === '-h') {
+      io.stdout(markdownToText(mainHelp()));
+      return 0;
+    }
+
+    let moduleName = findModule(first);
+
+    // 工具箱指令可省略模組名稱（toolkit status）
+    if (!moduleName && MODULES.toolkit.commands[first]) {
+      moduleName = 'toolkit';
+      rest = second === undefined ? rest : [second, ...rest];
+      second = first;
+    }
+
+    if (!moduleName) {
+      io.stderr(`⚠️ 未知的模組: ${first}（toolkit help 查看所有模組）`);
+      return 2;
+    }
+
+    const spec = getCommandSpec(moduleName, second);
+    if (!second || second === '--help' || second === '-h' || second === 'help') {
+      io.stdout(markdownToText(moduleHelp(moduleName)));
+      return 0;
+    }
+    if (!spec) {
+      io.stderr(`⚠️ ${moduleName} 沒有 ${second} 指令（可用: ${Object.keys(MODULES[moduleName].commands).join(', ')}）`);
+      return 2;
+    }
+
+    const { positionals, flags } = parseArgv(rest, spec.properties);
+    if (flags.help) {
+      io.stdout(markdownToText(commandHelp(moduleName, second)));
+      return 0;
+    }
+
+    const format = flags.json ? 'json' : flags.format || 'text';
+    if (!FORMATS.includes(format)) {
+      io.stderr(`⚠️ 不支援的格式: ${format}（可用: ${FORMATS.join(', ')}）`);
+      return 2;
+    }
+
+    const profile = flags.profile || null;
+    if (profile !== null && !getProfile(profile)) {
+      io.stderr(`⚠️ 找不到成員: ${profile}（可用: ${listProfiles().map(p => p.id).join(', ')}）`);
+      return 2;
+    }
+
+    const built = buildParams(spec, positionals, flags);
+    if (built.error) {
+      io.stderr(`⚠️ ${built.error}`);
+      return 2;
+    }
+
+    const value = spec.run
+      ? await runWithProfile(profile, () => spec.run(built.params, toolkit))
+      : await toolkit.invokeTool(spec.tool, built.params, { profile });
+
+    if (isError(value)) {
+      if (format === 'json') io.stdout(render(value, 'json'));
+      io.stderr(String(value));
+      return value.code === 'INVALID_ARGUMENTS' ? 2 : 1;
+    }
+
+    if (value != null || format === 'json') {
+      io.stdout(render(value, format));
+    }
+    return spec.exitCode ? spec.exitCode(value) : 0;
+  }
+
+  return { run, complete, completionScript, findModule, getCommandSpec, parseArgv };
+}
+
+module.exports = {
+  createCLI,
+  registerCommand,
+  parseArgv,
+  MODULES,
+};
@@ -0,0 +1,432 @@
+/**
+ * 共用設定
+ *
+ * 所有專案的設定集中在這裡，依序疊加：
+ *   1. 預設值（CONFIG_SCHEMA）
+ *   2. 設定檔（預設 ../config/assistant.json，可用 ASSISTANT_CONFIG 指定）
+ *   3. 環境變數（每個設定項目的 env）
+ *
+ * 個人設定（lib/profiles.js）可以覆蓋部分設定，如觀察清單：
+ * getConfigValue 回傳目前使用者的值，沒有設定時才用這裡的值
+ *
+ * 每一層的值都會依 schema 驗證，不合格的值會被忽略並記錄錯誤，
+ * 由下一層（或預設值）取代
+ *
+ * 設定檔格式（巢狀 JSON）：
+ *   {
+ *     "investment": { "watchlist": ["ONDS", "TSLA", "NVDA"] },
+ *     "weather": { "location": "Hsinchu" }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateValue, parseStringParams } = require('./schema');
+const { createResult } = require('./result');
+const { TICKER_PATTERN } = require('./tools');
+const { withLock, writeFileAtomic } = require('./storage');
+
+// 設定目錄（和專案目錄同層的 config/）
+const CONFIG_DIR = process.env.ASSISTANT_CONFIG_DIR || path.join(__dirname, '..', '..', '..', 'config');
+const CONFIG_FILE = process.env.ASSISTANT_CONFIG || path.join(CONFIG_DIR, 'assistant.json');
+
+// 設定項目：type / 驗證規則同 lib/schema.js，
+// uppercase 轉大寫，path 表示相對路徑以設定檔目錄為準，secret 顯示時遮蔽
+const CONFIG_SCHEMA = {
+  'investment.watchlist': {
+    type: 'array',
+    items: { type: 'string', pattern: TICKER_PATTERN },
+    minItems: 1,
+    uppercase: true,
+    default: ['ONDS', 'TSLA'],
+    env: 'ASSISTANT_WATCHLIST',
+    description: '關注的股票（報價、簡報預設）',
+  },
+  'investment.costMethod': {
+    type: 'string',
+    enum: ['fifo', 'average'],
+    default: 'fifo',
+    env: 'ASSISTANT_COST_METHOD',
+    description: '賣出時的成本計算：fifo（先進先出）或 average（平均成本）',
+  },
+  'investment.baseCurrency': {
+    type: 'string',
+    pattern: '^[A-Za-z]{3}$',
+    uppercase: true,
+    default: 'TWD',
+    env: 'ASSISTANT_BASE_CURRENCY',
+    description: '投資組合總計使用的貨幣（其他貨幣的持倉依匯率換算）',
+  },
+  'profile.default': {
+    type: 'string',
+    pattern: '^[a-z][a-z0-9-]*$',
+    default: 'barry',
+    env: 'ASSISTANT_PROFILE',
+    description: '未指定成員時使用的個人設定',
+  },
+  'weather.location': {
+    type: 'string',
+    minLength: 1,
+    default: 'Taipei',
+    env: 'ASSISTANT_WEATHER_LOCATION',
+    description: '天氣預設地點',
+  },
+  'briefing.sectionTimeout': {
+    type: 'integer',
+    minimum: 100,
+    default: 8000,
+    env: 'BRIEFING_SECTION_TIMEOUT_MS',
+    description: '簡報每個區塊的等待上限（毫秒），逾時改顯示上次的資料',
+  },
+  'answers.contextTtl': {
+    type: 'integer',
+    minimum: 1,
+    default: 10,
+    env: 'ASSISTANT_CONTEXT_TTL_MINUTES',
+    description: '快速問答記住上一個問題的時間（分鐘），期間內可以追問「那 ETH 呢？」',
+  },
+  'answers.minConfidence': {
+    type: 'number',
+    minimum: 0,
+    maximum: 1,
+    default: 0.5,
+    env: 'ASSISTANT_MIN_CONFIDENCE',
+    description: '快速問答的信心度門檻，低於時改查收藏的文章和筆記，都不夠時註明不太確定',
+  },
+  'notion.token': {
+    type: ['string', 'null'],
+    default: null,
+    env: 'NOTION_TOKEN',
+    secret: true,
+    description: 'Notion integration token（文章收藏）',
+  },
+  'notion.articlesDatabaseId': {
+    type: ['string', 'null'],
+    default: null,
+    env: 'NOTION_ARTICLES_DATABASE_ID',
+    description: 'Notion 文章資料庫 ID',
+  },
+  'family.calendarFile': {
+    type: 'string',
+    minLength: 1,
+    default: 'family-calendar.json',
+    env: 'FAMILY_CALENDAR_FILE',
+    path: true,
+    description: '家庭紀念日設定檔',
+  },
+  'server.port': {
+    type: 'integer',
+    minimum: 0,
+    maximum: 65535,
+    default: 3100,
+    env: 'TOOLKIT_PORT',
+    description: 'HTTP API 連接埠',
+  },
+  'server.host': {
+    type: 'string',
+    minLength: 1,
+    default: '127.0.0.1',
+    env: 'TOOLKIT_HOST',
+    description: 'HTTP API 綁定位址',
+  },
+  'server.token': {
+    type: ['string', 'null'],
+    default: null,
+    env: 'TOOLKIT_API_TOKEN',
+    secret: true,
+    description: 'HTTP API token',
+  },
+  'health.gatewayUrl': {
+    type: 'string',
+    pattern: '^https?://',
+    default: 'http://127.0.0.1:18789',
+    env: 'OPENCLAW_GATEWAY_URL',
+    description: 'OpenClaw Gateway 網址（健康檢查）',
+  },
+  'store.file': {
+    type: 'string',
+    minLength: 1,
+    default: path.join(__dirname, '..', 'data', 'assistant.db'),
+    env: 'ASSISTANT_DB',
+    path: true,
+    description: '共用資料庫（SQLite，持倉、警報、歷史、文章）',
+  },
+  'http.timeout': {
+    type: 'integer',
+    minimum: 100,
+    default: 10000,
+    env: 'HTTP_TIMEOUT_MS',
+    description: '外部 API 請求逾時（毫秒）',
+  },
+  'http.retries': {
+    type: 'integer',
+    minimum: 0,
+    maximum: 10,
+    default: 2,
+    env: 'HTTP_RETRIES',
+    description: '外部 API 失敗重試次數',
+  },
+  'http.fixtures': {
+    type: 'string',
+    enum: ['off', 'record', 'replay'],
+    default: 'off',
+    env: 'HTTP_FIXTURES',
+    description: '錄製 / 重播 API 回應（離線測試用）',
+  },
+  'http.fixturesDir': {
+    type: 'string',
+    minLength: 1,
+    default: path.join(__dirname, '..', 'tests', 'fixtures', 'http'),
+    env: 'HTTP_FIXTURES_DIR',
+    path: true,
+    description: 'API 回應 fixture 目錄',
+  },
+};
+
+/**
+ * 讀取巢狀物件中的值
+ */
+function getPath(object, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), object);
+}
+
+/**
+ * 設定巢狀物件中的值
+ */
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let node = object;
+
+  for (const part of parts) {
+    if (typeof node[part] !== 'object' || node[part] === null) node[part] = {};
+    node = node[part];
+  }
+  node[last] = value;
+  return object;
+}
+
+/**
+ * 驗證單一設定值
+ * @returns {{ value: *, errors: string[] }}
+ */
+function validateSetting(key, value) {
+  const schema = CONFIG_SCHEMA[key];
+  const result = validateValue(value, schema, key);
+
+  if (schema.uppercase && result.errors.length === 0) {
+    result.value = Array.isArray(result.value) ? result.value.map(v => v.toUpperCase()) : result.value.toUpperCase();
+  }
+
+  if (Array.isArray(result.value) && schema.minItems && result.value.length < schema.minItems) {
+    result.errors.push(`${key} 至少需要 ${schema.minItems} 個項目`);
+  }
+
+  return result;
+}
+
+/**
+ * 將字串（環境變數、命令列）轉為設定值
+ */
+function parseSettingString(key, text) {
+  const schema = CONFIG_SCHEMA[key];
+  const types = [].concat(schema.type);
+
+  if (types.includes('null') && (text === '' || text === 'null')) {
+    return null;
+  }
+  return parseStringParams([[key, text]], { [key]: schema })[key];
+}
+
+/**
+ * 讀取設定檔
+ * @returns {{ data: Object, error: string|null }}
+ */
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) {
+    return { data: {}, error: null };
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      return { data: {}, error: '設定檔必須是 JSON 物件' };
+    }
+    return { data, error: null };
+  } catch (e) {
+    return { data: {}, error: `設定檔無法解析: ${e.message}` };
+  }
+}
+
+/**
+ * 載入設定（預設值 → 設定檔 → 環境變數）
+ * @param {Object} options
+ * @param {string} options.file - 設定檔
+ * @param {Object} options.env - 環境變數
+ * @returns {{ values: Object, sources: Object, errors: Object[], file: string }}
+ */
+function loadConfig({ file = CONFIG_FILE, env = process.env } = {}) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  const { data, error } = readConfigFile(file);
+
+  if (error) {
+    errors.push({ key: null, source: 'file', message: error });
+  }
+
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    let value = schema.default;
+    let source = 'default';
+
+    const layers = [
+      ['file', getPath(data, key)],
+      ['env', env[schema.env] === undefined ? undefined : parseSettingString(key, env[schema.env])],
+    ];
+
+    for (const [layer, raw] of layers) {
+      if (raw === undefined) continue;
+
+      const result = validateSetting(key, raw);
+      if (result.errors.length > 0) {
+        errors.push({ key, source: layer, message: result.errors.join('；') });
+        continue;
+      }
+      value = result.value;
+      source = layer;
+    }
+
+    if (schema.path && typeof value === 'string') {
+      value = path.resolve(path.dirname(file), value);
+    }
+
+    setPath(values, key, value);
+    sources[key] = source;
+  }
+
+  return { values, sources, errors, file };
+}
+
+// 已載入的設定（設定檔修改時重新載入）
+let cached = null;
+
+/**
+ * 目前的設定
+ */
+function getConfig() {
+  const mtime = fs.existsSync(CONFIG_FILE) ? fs.statSync(CONFIG_FILE).mtimeMs : 0;
+
+  if (!cached || cached.mtime !== mtime) {
+    cached = { mtime, config: loadConfig() };
+    for (const { key, source, message } of cached.config.errors) {
+      console.warn(`⚠️ 設定${key ? ` ${key}` : ''}（${source}）無效，已忽略: ${message}`);
+    }
+  }
+
+  return cached.config;
+}
+
+/**
+ * 讀取設定值（目前使用者的個人設定優先）
+ * @param {string} key - 如 'investment.watchlist'
+ */
+function getConfigValue(key) {
+  if (!CONFIG_SCHEMA[key]) {
+    throw new Error(`未知的設定: ${key}`);
+  }
+
+  // profiles 依賴這個模組，在這裡才載入
+  const override = require('./profiles').getProfileOverride(key);
+  return override === undefined ? getPath(getConfig().values, key) : override;
+}
+
+/**
+ * 寫入設定檔
+ * @param {string} key - 設定名稱
+ * @param {*} value - 值（字串會依 schema 轉換型別）
+ * @param {Object} options - { file, env }
+ * @returns {{ key: string, value: *, file: string, overriddenBy: string|null }}
+ */
+function setConfigValue(key, value, { file = CONFIG_FILE, env = process.env } = {}) {
+  const schema = CONFIG_SCHEMA[key];
+  if (!schema) {
+    throw new Error(`未知的設定: ${key}（可用: ${Object.keys(CONFIG_SCHEMA).join(', ')}）`);
+  }
+
+  const result = validateSetting(key, typeof value === 'string' ? parseSettingString(key, value) : value);
+  if (result.errors.length > 0) {
+    throw new Error(result.errors.join('；'));
+  }
+
+  // 鎖定中重新讀取，只改這個設定
+  withLock(file, () => {
+    const { data, error } = readConfigFile(file);
+    if (error) {
+      throw new Error(error);
+    }
+
+    setPath(data, key, result.value);
+    writeFileAtomic(file, JSON.stringify(data, null, 2) + '\n');
+  });
+  cached = null;
+
+  return {
+    key,
+    value: result.value,
+    file,
+    overriddenBy: env[schema.env] !== undefined ? schema.env : null,
+  };
+}
+
+/**
+ * 顯示用的值（遮蔽密鑰）
+ */
+function displayValue(key, value) {
+  if (value == null) return '（未設定）';
+  if (CONFIG_SCHEMA[key].secret) return '••••••';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * 設定報告（結構化結果，密鑰已遮蔽）
+ * @param {Object} config - loadConfig() 的結果
+ */
+function formatConfig(config = getConfig()) {
+  const settings = Object.entries(CONFIG_SCHEMA).map(([key, schema]) => {
+    const value = getPath(config.values, key);
+    return {
+      key,
+      value: schema.secret && value != null ? '••••••' : value,
+      source: config.sources[key],
+      env: schema.env,
+      description: schema.description,
+    };
+  });
+
+  let report = '⚙️ **設定**\n\n';
+  for (const setting of settings) {
+    report += `**${setting.key}** = ${displayValue(setting.key, getPath(config.values, setting.key))}\n`;
+    report += `   ${setting.description}（來源: ${setting.source}，環境變數 ${setting.env}）\n`;
+  }
+  report += `\n設定檔: ${config.file}`;
+
+  if (config.errors.length > 0) {
+    report += '\n\n⚠️ **已忽略的設定**\n';
+    for (const { key, source, message } of config.errors) {
+      report += `- ${key || '設定檔'}（${source}）: ${message}\n`;
+    }
+  }
+
+  return createResult('config.show', { settings, errors: config.errors, file: config.file }, report.trim());
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  CONFIG_DIR,
+  CONFIG_FILE,
+  loadConfig,
+  getConfig,
+  getConfigValue,
+  setConfigValue,
+  formatConfig,
+};
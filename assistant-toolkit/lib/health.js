@@ -0,0 +1,411 @@
+/**
+ * 健康檢查
+ *
+ * 每個專案在 manifest.json 的 health 指定檢查檔（如 "health": "health.js"），
+ * 檢查檔匯出探針陣列，探針用這裡的工廠建立：
+ *   dataFreshness   歷史資料（共用資料庫的 history 序列）最後一筆的時間
+ *   fileFreshness   資料檔的修改時間
+ *   lastFetch       快取命名空間最後一次寫入（只有成功取得資料才會寫入快取）
+ *   cacheAge        快取中還能當作備援的舊資料（過期太久的不能用）
+ *   dbIntegrity     SQLite 資料庫的 quick_check
+ *   reachability    外部 API 是否連得上，以及延遲
+ *
+ * 每個探針回傳 green / yellow / red，整體狀態取最差的一個
+ * 命令列依整體狀態結束：green 0、yellow 1、red 2（監控系統的慣例）
+ *
+ * 探針：{ name, kind, description, timeout, check: async () => { status, message, details } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readManifest } = require('./registry');
+
+// 狀態（由好到壞）
+const STATUSES = ['green', 'yellow', 'red'];
+
+// 命令列結束代碼
+const EXIT_CODES = { green: 0, yellow: 1, red: 2 };
+
+// 狀態圖示
+const STATUS_ICONS = { green: '🟢', yellow: '🟡', red: '🔴' };
+
+// 每個探針的預設期限
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// 外部 API 超過這個延遲視為緩慢
+const SLOW_MS = 2000;
+
+const HOUR = 60 * 60 * 1000;
+
+// 已註冊的探針：{ project, probe }
+const registered = [];
+
+/**
+ * 註冊探針
+ * @param {string} project - 專案名稱
+ * @param {Object} probe - { name, kind, description, timeout, check }
+ */
+function registerProbe(project, probe) {
+  if (!probe.name || typeof probe.check !== 'function') {
+    throw new Error(`${project} 的探針缺少 name 或 check`);
+  }
+  const index = registered.findIndex(item => item.project === project && item.probe.name === probe.name);
+  if (index >= 0) registered.splice(index, 1);
+  registered.push({ project, probe });
+}
+
+/**
+ * 已註冊的探針
+ * @param {string} project - 只列出某個專案（預設全部）
+ */
+function getProbes(project = null) {
+  return registered.filter(item => !project || item.project === project);
+}
+
+/**
+ * 清除已註冊的探針（測試用）
+ */
+function clearProbes() {
+  registered.length = 0;
+}
+
+/**
+ * 載入各專案 manifest 指定的檢查檔
+ * @param {string} projectsDir - 專案根目錄
+ * @returns {Object[]} 無法載入的檢查檔 [{ project, error }]
+ */
+function loadProbes(projectsDir = path.join(__dirname, '..', '..')) {
+  const failed = [];
+
+  for (const item of fs.readdirSync(projectsDir).sort()) {
+    const projectPath = path.join(projectsDir, item);
+    if (item.startsWith('.') || !fs.statSync(projectPath).isDirectory()) continue;
+
+    let manifest;
+    try {
+      manifest = readManifest(projectPath);
+    } catch (e) {
+      continue; // manifest 讀不到的專案由專案狀態回報
+    }
+    if (!manifest?.health) continue;
+
+    try {
+      const probes = require(path.join(projectPath, manifest.health));
+      for (const probe of probes) registerProbe(manifest.name, probe);
+    } catch (e) {
+      failed.push({ project: manifest.name, error: e.message });
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * 最差的狀態
+ */
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) => (STATUSES.indexOf(status) > STATUSES.indexOf(worst) ? status : worst), 'green');
+}
+
+/**
+ * 時間長度（顯示用）
+ */
+function formatAge(ms) {
+  if (ms < 60 * 1000) return `${Math.round(ms / 1000)} 秒`;
+  if (ms < HOUR) return `${Math.round(ms / 60000)} 分鐘`;
+  if (ms < 48 * HOUR) return `${Math.round(ms / HOUR * 10) / 10} 小時`;
+  return `${Math.round(ms / (24 * HOUR))} 天`;
+}
+
+/**
+ * 依時間長度判斷狀態
+ * @param {number} age - 毫秒
+ * @param {Object} thresholds - { warnAfter, failAfter }（毫秒）
+ */
+function ageStatus(age, { warnAfter, failAfter }) {
+  if (failAfter != null && age > failAfter) return 'red';
+  if (warnAfter != null && age > warnAfter) return 'yellow';
+  return 'green';
+}
+
+/**
+ * 依最後時間建立結果
+ */
+function freshness(label, time, thresholds, now) {
+  const age = Math.max(0, now - Date.parse(time));
+  return {
+    status: ageStatus(age, thresholds),
+    message: `${label} ${formatAge(age)}前`,
+    details: { at: new Date(time).toISOString(), ageMs: age },
+  };
+}
+
+/**
+ * 歷史資料的新鮮度（共用資料庫的 history 序列）
+ * @param {string} name - 探針名稱
+ * @param {string} series - 序列名稱（如 stablecoin / forex）
+ * @param {Object} options - { warnAfter, failAfter: 毫秒, missing: 沒有資料時的狀態, now }
+ */
+function dataFreshness(name, series, { warnAfter = 36 * HOUR, failAfter = 72 * HOUR, missing = 'yellow', now = () => Date.now() } = {}) {
+  return {
+    name,
+    kind: 'freshness',
+    description: `${series} 歷史資料`,
+    check: () => {
+      const { history } = require('./repositories');
+      const [last] = history.list(series, { limit: 1 });
+      if (!last) return { status: missing, message: '沒有歷史資料', details: { series } };
+      return freshness('最後記錄', last.timestamp, { warnAfter, failAfter }, now());
+    },
+  };
+}
+
+/**
+ * 資料檔的新鮮度（修改時間）
+ * @param {string} name - 探針名稱
+ * @param {string} file - 檔案
+ * @param {Object} options - { warnAfter, failAfter: 毫秒, missing: 檔案不存在時的狀態, now }
+ */
+function fileFreshness(name, file, { warnAfter = 36 * HOUR, failAfter = 72 * HOUR, missing = 'yellow', now = () => Date.now() } = {}) {
+  return {
+    name,
+    kind: 'freshness',
+    description: path.basename(file),
+    check: () => {
+      if (!fs.existsSync(file)) return { status: missing, message: '檔案不存在', details: { file } };
+      return freshness('最後更新', fs.statSync(file).mtime.toISOString(), { warnAfter, failAfter }, now());
+    },
+  };
+}
+
+/**
+ * 最後一次成功取得資料（快取命名空間最新項目的寫入時間）
+ * @param {string} name - 探針名稱
+ * @param {string} namespace - 快取命名空間
+ * @param {Object} options - { warnAfter, failAfter: 毫秒, cache }
+ */
+function lastFetch(name, namespace, { warnAfter = 6 * HOUR, failAfter = 24 * HOUR, cache = null } = {}) {
+  return {
+    name,
+    kind: 'fetch',
+    description: `${namespace} 最後取得`,
+    check: () => {
+      const store = cache || require('./cache').cache;
+      const stats = store.stats().find(s => s.namespace === namespace);
+      if (!stats?.newest) return { status: 'yellow', message: '還沒有成功取得過資料', details: { namespace } };
+      return freshness('最後成功取得', stats.newest, { warnAfter, failAfter }, store.now());
+    },
+  };
+}
+
+/**
+ * 快取年齡：來源失敗時還有沒有可用的舊資料（過期超過 maxStale 的項目不再當作備援）
+ * @param {string} name - 探針名稱
+ * @param {string} namespace - 快取命名空間
+ * @param {Object} options - { warnRatio: 不可用的比例超過時 yellow, cache }
+ */
+function cacheAge(name, namespace, { warnRatio = 0.5, cache = null } = {}) {
+  return {
+    name,
+    kind: 'cache',
+    description: `${namespace} 快取`,
+    check: () => {
+      const store = cache || require('./cache').cache;
+      const now = store.now();
+      const entries = Object.values(store.load(namespace));
+      if (entries.length === 0) return { status: 'yellow', message: '快取是空的', details: { namespace } };
+
+      const stale = entries.filter(e => e.expiresAt != null && e.expiresAt <= now);
+      const unusable = stale.filter(e => now - e.expiresAt > store.maxStale);
+      const oldest = Math.min(...entries.map(e => e.storedAt));
+
+      let status = 'green';
+      if (unusable.length === entries.length) status = 'red';
+      else if (unusable.length / entries.length > warnRatio) status = 'yellow';
+
+      return {
+        status,
+        message: `${entries.length} 筆，${stale.length} 筆過期，${unusable.length} 筆已不能當備援，最舊 ${formatAge(now - oldest)}前`,
+        details: { namespace, entries: entries.length, stale: stale.length, unusable: unusable.length, oldest: new Date(oldest).toISOString() },
+      };
+    },
+  };
+}
+
+/**
+ * SQLite 資料庫完整性（唯讀開啟，執行 PRAGMA quick_check）
+ * @param {string} name - 探針名稱
+ * @param {string|Function} file - 資料庫檔案（或回傳檔案的函數，讀設定時用）
+ * @param {Object} options - { driver: () => better-sqlite3, missing: 檔案不存在時的狀態 }
+ */
+function dbIntegrity(name, file, { driver = () => require('better-sqlite3'), missing = 'yellow' } = {}) {
+  return {
+    name,
+    kind: 'database',
+    description: '資料庫完整性',
+    check: () => {
+      const target = typeof file === 'function' ? file() : file;
+      if (!fs.existsSync(target)) return { status: missing, message: '資料庫尚未建立', details: { file: target } };
+
+      let Database;
+      try {
+        Database = driver();
+      } catch (e) {
+        return { status: 'red', message: `無法載入 SQLite 驅動: ${e.message}`, details: { file: target } };
+      }
+
+      const db = new Database(target, { readonly: true, fileMustExist: true });
+      try {
+        const problems = db.prepare('PRAGMA quick_check').all()
+          .map(row => Object.values(row)[0])
+          .filter(result => result !== 'ok');
+        const size = fs.statSync(target).size;
+        return problems.length === 0
+          ? { status: 'green', message: `正常（${(size / 1024 / 1024).toFixed(1)} MB）`, details: { file: target, size } }
+          : { status: 'red', message: `完整性檢查失敗: ${problems.slice(0, 3).join('; ')}`, details: { file: target, problems } };
+      } finally {
+        db.close();
+      }
+    },
+  };
+}
+
+/**
+ * 外部 API 是否連得上（任何 HTTP 回應都算連得上，4xx / 5xx 為 yellow）
+ * @param {string} name - 探針名稱
+ * @param {string} url - 網址
+ * @param {Object} options - { slowMs: 超過時 yellow, timeout, client: HttpClient, now }
+ */
+function reachability(name, url, { slowMs = SLOW_MS, timeout = 5000, client = null, now = () => Date.now() } = {}) {
+  return {
+    name,
+    kind: 'api',
+    description: new URL(url).host,
+    timeout: timeout + 1000,
+    check: async () => {
+      const http = client || require('./http').getClient();
+      const started = now();
+      let status;
+      try {
+        status = (await http.request(url, { parse: 'text', timeout, retries: 0 })).status;
+      } catch (e) {
+        if (e.code !== 'HTTP_STATUS') {
+          return { status: 'red', message: e.message, details: { url, code: e.code, latencyMs: now() - started } };
+        }
+        status = e.status;
+      }
+
+      const latencyMs = now() - started;
+      const details = { url, httpStatus: status, latencyMs };
+      if (status >= 400) return { status: 'yellow', message: `HTTP ${status}（${latencyMs}ms）`, details };
+      if (latencyMs > slowMs) return { status: 'yellow', message: `回應緩慢（${latencyMs}ms）`, details };
+      return { status: 'green', message: `${latencyMs}ms`, details };
+    },
+  };
+}
+
+/**
+ * 在期限內執行探針（逾時或拋出例外為 red）
+ */
+async function runProbe({ project, probe }, defaultTimeout) {
+  const timeout = probe.timeout || defaultTimeout;
+  const started = Date.now();
+  let timer;
+
+  let result;
+  try {
+    result = await Promise.race([
+      Promise.resolve().then(() => probe.check()),
+      new Promise((resolve) => {
+        // 不 unref：探針卡住時也要等到期限，回報逾時
+        timer = setTimeout(() => resolve({ status: 'red', message: `逾時（超過 ${timeout}ms）` }), timeout);
+      }),
+    ]);
+  } catch (e) {
+    result = { status: 'red', message: e.message };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const status = STATUSES.includes(result?.status) ? result.status : 'red';
+  return {
+    project,
+    name: probe.name,
+    kind: probe.kind || 'custom',
+    description: probe.description || '',
+    status,
+    message: String(result?.message || (status === 'red' ? '探針沒有回傳狀態' : '')).split('\n')[0],
+    durationMs: Date.now() - started,
+    details: result?.details || {},
+  };
+}
+
+/**
+ * 執行所有探針（同時執行，各自有期限）
+ * @param {Object} options
+ * @param {Object[]} options.probes - 探針（預設所有已註冊的）
+ * @param {string} options.project - 只檢查某個專案
+ * @param {number} options.timeout - 每個探針的預設期限（毫秒）
+ * @returns {Promise<Object>} { status, exitCode, counts, checkedAt, probes }
+ */
+async function runProbes({ probes = null, project = null, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  const selected = (probes || getProbes()).filter(item => !project || item.project === project);
+  const results = await Promise.all(selected.map(item => runProbe(item, timeout)));
+
+  const status = worstStatus(results.map(r => r.status));
+  const counts = Object.fromEntries(STATUSES.map(s => [s, results.filter(r => r.status === s).length]));
+
+  return {
+    status,
+    exitCode: EXIT_CODES[status],
+    counts,
+    checkedAt: new Date().toISOString(),
+    probes: results,
+  };
+}
+
+/**
+ * 健康檢查報告轉成 Markdown（依專案分組，有問題的探針排在前面）
+ * @param {Object} report - runProbes 的結果
+ * @param {Object} options - { verbose: 也列出正常的探針 }
+ */
+function formatHealthReport(report, { verbose = true } = {}) {
+  const lines = [
+    `${STATUS_ICONS[report.status]} **健康檢查**：${report.counts.green} 正常, ${report.counts.yellow} 注意, ${report.counts.red} 異常`,
+  ];
+
+  const byProject = new Map();
+  for (const probe of report.probes) {
+    if (!verbose && probe.status === 'green') continue;
+    if (!byProject.has(probe.project)) byProject.set(probe.project, []);
+    byProject.get(probe.project).push(probe);
+  }
+
+  for (const [project, probes] of byProject) {
+    lines.push('', `**${project}**`);
+    probes.sort((a, b) => STATUSES.indexOf(b.status) - STATUSES.indexOf(a.status));
+    for (const probe of probes) {
+      lines.push(`${STATUS_ICONS[probe.status]} ${probe.name}: ${probe.message}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  registerProbe,
+  getProbes,
+  clearProbes,
+  loadProbes,
+  runProbes,
+  worstStatus,
+  formatHealthReport,
+  dataFreshness,
+  fileFreshness,
+  lastFetch,
+  cacheAge,
+  dbIntegrity,
+  reachability,
+  STATUSES,
+  EXIT_CODES,
+};
@@ -0,0 +1,319 @@
+/**
+ * 共用 HTTP 客戶端
+ *
+ * 所有外部 API（Yahoo Finance、CoinGecko、open.er-api、DefiLlama、Notion）都經過這裡：
+ *   - 每個主機的請求間隔限制（CoinGecko 免費版每分鐘約 30 次）
+ *   - 逾時、網路錯誤、429 和 5xx 以指數退避重試（429 優先採用 Retry-After）
+ *   - Retry-After 超過 MAX_BACKOFF_MS 時不等待，直接拋出 HTTP_STATUS（retryAfter 為要求的毫秒數）
+ *   - 失敗時拋出帶 code / status / url 的錯誤
+ *
+ * 錄製 / 重播（設定 http.fixtures，或環境變數 HTTP_FIXTURES）：
+ *   record  照常請求，並把成功（2xx）的回應存成 fixture
+ *   replay  只讀 fixture，不連網（找不到時拋出 HTTP_NO_FIXTURE）
+ *
+ * 錯誤代碼：HTTP_TIMEOUT、HTTP_NETWORK、HTTP_STATUS、HTTP_PARSE、HTTP_NO_FIXTURE
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJSON } = require('./storage');
+
+// 每個主機的最小請求間隔（毫秒）
+const HOST_LIMITS = {
+  'api.coingecko.com': { minInterval: 2500 },
+  'api.notion.com': { minInterval: 350 },
+  'query1.finance.yahoo.com': { minInterval: 200 },
+};
+
+// 預設值
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_RETRIES = 2;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8 * 1000;
+
+// fixture 不保存的標頭
+const SECRET_HEADERS = ['authorization', 'cookie', 'x-api-key'];
+
+/**
+ * HTTP 錯誤
+ * @param {string} code - 錯誤代碼
+ * @param {string} message - 說明
+ * @param {Object} details - { url, status, retryable, body, retryAfter }
+ */
+function httpError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, retryable: false, ...details });
+}
+
+/**
+ * 解析 Retry-After 標頭（秒數或日期）
+ * @returns {number|null} 毫秒
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * 請求對應的 fixture 檔名（主機 + 方法、URL、內容的雜湊）
+ */
+function fixtureName(method, url, body = null) {
+  const hash = crypto.createHash('sha1').update(`${method} ${url}\n${body || ''}`).digest('hex').slice(0, 12);
+  return `${new URL(url).host}-${hash}.json`;
+}
+
+class HttpClient {
+  /**
+   * @param {Object} options
+   * @param {number} options.timeout - 逾時（毫秒）
+   * @param {number} options.retries - 重試次數
+   * @param {Object} options.hostLimits - 主機請求間隔
+   * @param {string} options.fixtures - off / record / replay
+   * @param {string} options.fixturesDir - fixture 目錄
+   * @param {Function} options.fetch - fetch 實作（測試用）
+   * @param {Function} options.sleep - 等待（測試用）
+   * @param {Function} options.now - 取得目前時間（毫秒，測試用）
+   */
+  constructor({
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    hostLimits = HOST_LIMITS,
+    fixtures = 'off',
+    fixturesDir = null,
+    fetch: fetchImpl = (...args) => fetch(...args),
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    now = () => Date.now(),
+  } = {}) {
+    this.timeout = timeout;
+    this.retries = retries;
+    this.hostLimits = hostLimits;
+    this.fixtures = fixtures;
+    this.fixturesDir = fixturesDir;
+    this.fetch = fetchImpl;
+    this.sleep = sleep;
+    this.now = now;
+    this.nextSlot = new Map();
+  }
+
+  /**
+   * 依主機限制等待下一個請求時段
+   */
+  async throttle(host) {
+    const limit = this.hostLimits[host];
+    if (!limit) return;
+
+    const now = this.now();
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+    this.nextSlot.set(host, slot + limit.minInterval);
+
+    if (slot > now) {
+      await this.sleep(slot - now);
+    }
+  }
+
+  /**
+   * 重試延遲（指數退避）
+   */
+  backoff(attempt) {
+    return Math.min(BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+  }
+
+  /**
+   * 發出一次請求
+   * @returns {Promise<{ status: number, headers: Object, text: string }>}
+   */
+  async send(url, { method, headers, body, timeout }) {
+    let response;
+    try {
+      response = await this.fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeout) });
+    } catch (e) {
+      if (e.name === 'TimeoutError' || e.name === 'AbortError') {
+        throw httpError('HTTP_TIMEOUT', `${new URL(url).host} 請求逾時（${timeout}ms）`, { url, retryable: true });
+      }
+      throw httpError('HTTP_NETWORK', `${new URL(url).host} 連線失敗: ${e.cause?.code || e.message}`, { url, retryable: true });
+    }
+
+    return {
+      status: response.status,
+      headers: Object.fromEntries(response.headers?.entries?.() || []),
+      text: await response.text(),
+    };
+  }
+
+  /**
+   * 讀取 fixture
+   */
+  readFixture(file, url) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8')).response;
+    } catch (e) {
+      throw httpError('HTTP_NO_FIXTURE', `找不到 fixture: ${path.basename(file)}（${url}）`, { url });
+    }
+  }
+
+  /**
+   * 儲存 fixture（不含密鑰標頭）
+   */
+  writeFixture(file, request, response) {
+    const headers = Object.fromEntries(
+      Object.entries(request.headers).filter(([name]) => !SECRET_HEADERS.includes(name.toLowerCase()))
+    );
+
+    writeJSON(file, {
+      request: { method: request.method, url: request.url, headers, body: request.body },
+      response,
+      recordedAt: new Date(this.now()).toISOString(),
+    });
+  }
+
+  /**
+   * 發出請求
+   * @param {string} url - 網址
+   * @param {Object} options
+   * @param {string} options.method - HTTP 方法（預設 GET）
+   * @param {Object} options.headers - 標頭
+   * @param {Object|string} options.body - 內容（物件會轉為 JSON）
+   * @param {string} options.parse - json / text（預設 json）
+   * @param {number} options.timeout - 逾時（毫秒）
+   * @param {number} options.retries - 重試次數
+   * @returns {Promise<{ status: number, headers: Object, data: * }>}
+   */
+  async request(url, { method = 'GET', headers = {}, body = null, parse = 'json', timeout = this.timeout, retries = this.retries } = {}) {
+    const host = new URL(url).host;
+
+    if (body !== null && typeof body !== 'string') {
+      body = JSON.stringify(body);
+      headers = { 'Content-Type': 'application/json', ...headers };
+    }
+
+    const fixture = this.fixtures !== 'off' && this.fixturesDir
+      ? path.join(this.fixturesDir, fixtureName(method, url, body))
+      : null;
+
+    let response = null;
+    let attempt = 0;
+
+    if (fixture && this.fixtures === 'replay') {
+      response = this.readFixture(fixture, url);
+    } else {
+      for (;;) {
+        attempt++;
+        await this.throttle(host);
+
+        let error = null;
+        try {
+          response = await this.send(url, { method, headers, body, timeout });
+        } catch (e) {
+          error = e;
+          response = null;
+        }
+
+        const retryable = error ? error.retryable : response.status === 429 || response.status >= 500;
+        if (!retryable || attempt > retries) {
+          if (error) throw Object.assign(error, { attempts: attempt });
+          break;
+        }
+
+        // 要求等待太久時不重試，由呼叫端依 retryAfter 決定
+        const retryAfter = response ? parseRetryAfter(response.headers['retry-after'], this.now()) : null;
+        if (retryAfter > MAX_BACKOFF_MS) break;
+        await this.sleep(retryAfter ?? this.backoff(attempt));
+      }
+
+      // 只錄製成功的回應，暫時性的錯誤不應在重播時重現
+      if (fixture && response.status >= 200 && response.status < 300) {
+        this.writeFixture(fixture, { method, url, headers, body }, response);
+      }
+    }
+
+    return this.parseResponse(url, response, { parse, attempt });
+  }
+
+  /**
+   * 檢查狀態碼並解析內容
+   */
+  parseResponse(url, { status, headers, text }, { parse, attempt }) {
+    const host = new URL(url).host;
+    let data = text;
+
+    if (parse === 'json') {
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (e) {
+        if (status < 400) {
+          throw httpError('HTTP_PARSE', `${host} 回應無法解析為 JSON`, { url, status });
+        }
+      }
+    }
+
+    if (status < 200 || status >= 300) {
+      const retried = attempt > 1 ? `（已重試 ${attempt - 1} 次）` : '';
+      throw httpError('HTTP_STATUS', `${host} 回應 HTTP ${status}${retried}`, {
+        url,
+        status,
+        body: data,
+        retryable: status === 429 || status >= 500,
+        retryAfter: parseRetryAfter(headers?.['retry-after'], this.now()),
+      });
+    }
+
+    return { status, headers, data };
+  }
+
+  /**
+   * GET JSON
+   */
+  async getJSON(url, options = {}) {
+    return (await this.request(url, { ...options, parse: 'json' })).data;
+  }
+
+  /**
+   * GET 文字
+   */
+  async getText(url, options = {}) {
+    return (await this.request(url, { ...options, parse: 'text' })).data;
+  }
+}
+
+// 共用客戶端（依設定 http.* 建立）
+let defaultClient = null;
+
+/**
+ * 取得共用客戶端
+ */
+function getClient() {
+  if (!defaultClient) {
+    const { getConfigValue } = require('./config');
+    defaultClient = new HttpClient({
+      timeout: getConfigValue('http.timeout'),
+      retries: getConfigValue('http.retries'),
+      fixtures: getConfigValue('http.fixtures'),
+      fixturesDir: getConfigValue('http.fixturesDir'),
+    });
+  }
+  return defaultClient;
+}
+
+/**
+ * 替換共用客戶端的設定（測試時切換 replay）
+ * @param {Object} options - HttpClient 選項
+ */
+function configure(options = {}) {
+  defaultClient = new HttpClient(options);
+  return defaultClient;
+}
+
+module.exports = {
+  HttpClient,
+  HOST_LIMITS,
+  httpError,
+  fixtureName,
+  getClient,
+  configure,
+  request: (url, options) => getClient().request(url, options),
+  getJSON: (url, options) => getClient().getJSON(url, options),
+  getText: (url, options) => getClient().getText(url, options),
+};
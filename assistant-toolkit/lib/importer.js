@@ -0,0 +1,150 @@
+/**
+ * 匯入舊的 JSON 資料檔到共用資料庫
+ *
+ * 每個來源只匯入一次（記錄在 imports 資料表），匯入在單一交易中完成：
+ *   - 檔案不存在：略過，之後出現時再匯入
+ *   - 檔案無法解析：回報錯誤，不寫入任何資料（修好檔案後重新匯入）
+ * 原始檔案不會刪除，確認無誤後可自行移除
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { transactions, alerts, history, articles } = require('./repositories');
+
+// 專案根目錄
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * 匯入歷史記錄（略過已存在的時間點）
+ */
+function importHistory(series, entries, store) {
+  const existing = new Set(history.list(series, {}, store).map(h => h.timestamp));
+  const items = entries.filter(h => !existing.has(h.timestamp));
+  for (const { timestamp, ...entry } of items) {
+    history.append(series, entry, { recordedAt: timestamp }, store);
+  }
+  return items.length;
+}
+
+// 舊資料來源：{ source, file, import(data, store) → 匯入筆數 }
+const LEGACY_SOURCES = [
+  {
+    source: 'investment-monitor/portfolio',
+    file: path.join(ROOT, 'investment-monitor', 'data', 'portfolio.json'),
+    // 持倉轉為期初買進（已有交易記錄的股票略過），貨幣由代碼推測（台股為 TWD）
+    import(data, store) {
+      const { inferCurrency } = require('../../investment-monitor/src/utils/config');
+      const items = Object.values(data.positions || {})
+        .map(position => ({ ...position, symbol: position.symbol.toUpperCase() }))
+        .filter(position => position.shares > 0 && transactions.list({ symbol: position.symbol }, store).length === 0);
+      for (const position of items) {
+        const addedAt = position.addedAt || data.updatedAt || new Date().toISOString();
+        transactions.insert({
+          id: `opening-${position.symbol}`,
+          symbol: position.symbol,
+          type: 'buy',
+          date: addedAt.slice(0, 10),
+          shares: position.shares,
+          price: position.costBasis,
+          currency: inferCurrency(position.symbol),
+          note: position.note || '期初持倉',
+          createdAt: addedAt,
+        }, store);
+      }
+      return items.length;
+    },
+  },
+  {
+    source: 'investment-monitor/alerts',
+    file: path.join(ROOT, 'investment-monitor', 'data', 'alerts.json'),
+    import(data, store) {
+      const items = (data.alerts || []).filter(alert => !alerts.get(alert.id, store));
+      for (const alert of items) {
+        alerts.insert(alert, store);
+      }
+      return items.length;
+    },
+  },
+  {
+    source: 'stablecoin-tracker/history',
+    file: path.join(ROOT, 'stablecoin-tracker', 'data', 'history.json'),
+    import(data, store) {
+      return importHistory('stablecoin', data, store);
+    },
+  },
+  {
+    source: 'forex-tracker/history',
+    file: path.join(ROOT, 'forex-tracker', 'data', 'history.json'),
+    import(data, store) {
+      return importHistory('forex', data, store);
+    },
+  },
+  {
+    source: 'smart-articles/knowledge-base',
+    file: path.join(ROOT, 'smart-articles', 'data', 'knowledge-base.json'),
+    import(data, store) {
+      const existing = new Set(articles.list(store).map(a => a.id));
+      const items = (data.articles || []).filter(article => !existing.has(article.id));
+      for (const article of items) {
+        articles.insert(article, store);
+      }
+      return items.length;
+    },
+  },
+];
+
+// dry run 用來復原交易
+const DRY_RUN = new Error('dry run');
+
+/**
+ * 匯入舊資料
+ * @param {Store} store - 資料庫
+ * @param {Object} options
+ * @param {boolean} options.dryRun - 只讀取檔案，不寫入
+ * @param {boolean} options.force - 已匯入的來源也重新匯入（已存在的項目會略過或更新）
+ * @param {Object[]} options.sources - 來源（預設 LEGACY_SOURCES）
+ * @returns {Object[]} { source, file, status: imported / pending（dry run）/ skipped / missing / error, rows, message }
+ */
+function importLegacyData(store, { dryRun = false, force = false, sources = LEGACY_SOURCES } = {}) {
+  const imported = new Set(store.all('SELECT source FROM imports').map(row => row.source));
+
+  return sources.map(({ source, file, import: importData }) => {
+    if (imported.has(source) && !force) {
+      return { source, file, status: 'skipped', rows: 0, message: '已匯入' };
+    }
+    if (!fs.existsSync(file)) {
+      return { source, file, status: 'missing', rows: 0, message: '檔案不存在' };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+      return { source, file, status: 'error', rows: 0, message: `無法解析: ${e.message}` };
+    }
+
+    // dry run 照常匯入，最後復原交易
+    let rows = 0;
+    try {
+      store.transaction(() => {
+        rows = importData(data, store);
+        store.run(`
+          INSERT INTO imports (source, file, rows, imported_at) VALUES (?, ?, ?, ?)
+          ON CONFLICT (source) DO UPDATE SET file = excluded.file, rows = excluded.rows, imported_at = excluded.imported_at
+        `, source, file, rows, new Date().toISOString());
+        if (dryRun) throw DRY_RUN;
+      });
+    } catch (e) {
+      if (e !== DRY_RUN) {
+        return { source, file, status: 'error', rows: 0, message: e.message };
+      }
+      return { source, file, status: 'pending', rows, message: `將匯入 ${rows} 筆` };
+    }
+    return { source, file, status: 'imported', rows, message: `匯入 ${rows} 筆` };
+  });
+}
+
+module.exports = {
+  LEGACY_SOURCES,
+  importLegacyData,
+};
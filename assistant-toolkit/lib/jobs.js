@@ -0,0 +1,254 @@
+/**
+ * 預設排程工作
+ *
+ *   price-alerts       美股盤中每小時檢查價格警報（America/New_York 9:30-15:30，週一至週五）
+ *   depeg-check        每小時檢查穩定幣脫鉤
+ *   calendar-reminder  每 10 分鐘檢查即將開始的行程
+ *   history-snapshot   每天 23:00 儲存穩定幣和匯率歷史（Asia/Taipei）
+ *   portfolio-snapshot 每天 06:00 記錄前一天的組合市值和淨投入（Asia/Taipei，台股和美股都已收盤）
+ *   price-history      每天 06:15 補上關注清單和持倉的日線（Asia/Taipei，技術指標用）
+ *   morning-briefing   每天 07:00 早晨簡報（Asia/Taipei），每位訂閱 briefing 的成員各自一份
+ *   notify-flush       每 5 分鐘重送寄件匣中待送的通知
+ *   data-backup        每天 03:30 備份各專案的資料檔（Asia/Taipei，資料稽核還原時用，見 lib/audit.js）
+ *
+ * 警報、脫鉤、行程提醒和簡報會寫入通知寄件匣（lib/notifications.js）
+ */
+
+const path = require('path');
+const { Scheduler } = require('./scheduler');
+const { createResult, isError } = require('./result');
+const { Outbox } = require('./notifications');
+const { loadChecks, backupData } = require('./audit');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const STATE_FILE = path.join(DATA_DIR, 'scheduler.json');
+const LOG_DIR = path.join(DATA_DIR, 'logs');
+
+/**
+ * 工具箱回傳錯誤結果時拋出例外，讓排程器記錄為失敗
+ */
+function unwrap(value) {
+  if (isError(value)) {
+    throw new Error(value.error);
+  }
+  return value;
+}
+
+/**
+ * 某時區的日期（YYYY-MM-DD，作為每日去重鍵）
+ */
+function localDate(date, timeZone = 'Asia/Taipei') {
+  return new Intl.DateTimeFormat('en-CA', { timeZone }).format(date);
+}
+
+/**
+ * 通知結果摘要
+ */
+function describeDelivery({ queued, skipped, sent, retrying, failed }) {
+  if (queued.length === 0 && skipped.length > 0) return '（重複通知，已略過）';
+  return `（通知: ${sent} 已送出, ${retrying} 待重試, ${failed} 失敗）`;
+}
+
+/**
+ * 建立預設工作
+ * @param {Object} toolkit - 工具箱模組
+ * @param {Outbox} outbox - 通知寄件匣
+ */
+function createDefaultJobs(toolkit, outbox) {
+  return [
+    {
+      name: 'price-alerts',
+      description: '美股盤中每小時檢查價格警報',
+      schedule: '30 9-15 * * 1-5',
+      timezone: 'America/New_York',
+      catchUp: false, // 錯過就等下一個小時，避免收盤後才補發
+      run: async () => {
+        const result = unwrap(await toolkit.checkAlerts());
+        if (!result) return '沒有觸發的警報';
+
+        const delivery = await outbox.send({
+          topic: 'investment',
+          text: String(result),
+          dedupeKey: `alerts:${result.data.triggered.map(t => `${t.alert.id}:${t.trigger.type}:${t.trigger.time}`).join('|')}`,
+          data: result.toJSON(),
+        });
+        return `${result}\n${describeDelivery(delivery)}`;
+      },
+    },
+    {
+      name: 'depeg-check',
+      description: '每小時檢查穩定幣脫鉤',
+      schedule: '15 * * * *',
+      catchUp: false,
+      run: async () => {
+        const result = unwrap(await toolkit.checkStablecoinDepeg());
+        if (!result) return '沒有脫鉤的穩定幣';
+
+        const symbols = result.data.depegged.map(c => c.symbol).join(',');
+        const delivery = await outbox.send({
+          topic: 'stablecoin',
+          text: String(result),
+          dedupeKey: `depeg:${symbols}:${localDate(new Date())}`,
+          data: result.toJSON(),
+        });
+        return `${result}\n${describeDelivery(delivery)}`;
+      },
+    },
+    {
+      name: 'calendar-reminder',
+      description: '即將開始的行程提醒',
+      schedule: '*/10 * * * *',
+      catchUp: false,
+      run: async () => {
+        const reminder = unwrap(await toolkit.callCapability('morning-briefing', 'getUpcomingReminder'));
+        if (!reminder) return '沒有即將開始的行程';
+
+        const delivery = await outbox.send({
+          topic: 'calendar',
+          text: reminder,
+          dedupeKey: `calendar:${reminder.split('\n')[0]}`,
+        });
+        return `${reminder}\n${describeDelivery(delivery)}`;
+      },
+    },
+    {
+      name: 'history-snapshot',
+      description: '儲存穩定幣和匯率歷史',
+      schedule: '0 23 * * *',
+      timezone: 'Asia/Taipei',
+      run: async ({ log }) => {
+        const results = {};
+
+        for (const project of ['stablecoin-tracker', 'forex-tracker']) {
+          const saved = await toolkit.callCapability(project, 'saveSnapshot');
+          results[project] = saved === true;
+          if (saved !== true) {
+            log(`⚠️ ${project} 快照失敗${isError(saved) ? `: ${saved.error}` : ''}`);
+          }
+        }
+
+        if (!Object.values(results).some(Boolean)) {
+          throw new Error('所有快照都失敗');
+        }
+
+        return Object.entries(results)
+          .map(([project, ok]) => `${ok ? '✅' : '❌'} ${project}`)
+          .join('\n');
+      },
+    },
+    {
+      name: 'portfolio-snapshot',
+      description: '記錄組合快照',
+      schedule: '0 6 * * *',
+      timezone: 'Asia/Taipei',
+      run: async () => unwrap(await toolkit.callCapability('investment-monitor', 'savePortfolioSnapshot')),
+    },
+    {
+      name: 'price-history',
+      description: '更新歷史日線',
+      schedule: '15 6 * * *',
+      timezone: 'Asia/Taipei',
+      run: async () => unwrap(await toolkit.callCapability('investment-monitor', 'updatePriceHistory')),
+    },
+    {
+      name: 'morning-briefing',
+      description: '早晨簡報',
+      schedule: '0 7 * * *',
+      timezone: 'Asia/Taipei',
+      run: async ({ scheduledAt }) => {
+        const lines = [];
+
+        // 每個人的簡報內容依個人設定不同
+        for (const recipient of outbox.resolveRecipients({ topic: 'briefing' })) {
+          const result = unwrap(await toolkit.forProfile(recipient).getMorningBriefing());
+          const delivery = await outbox.send({
+            topic: 'briefing',
+            to: recipient,
+            text: String(result),
+            dedupeKey: `briefing:${recipient}:${localDate(scheduledAt || new Date())}`,
+          });
+          lines.push(`${recipient}: ${describeDelivery(delivery)}`);
+        }
+
+        return lines.join('\n') || '沒有訂閱簡報的成員';
+      },
+    },
+    {
+      name: 'notify-flush',
+      description: '重送待送的通知',
+      schedule: '*/5 * * * *',
+      catchUp: false,
+      run: async () => {
+        const { sent, retrying, failed } = await outbox.flush();
+        return `${sent} 已送出, ${retrying} 待重試, ${failed} 失敗`;
+      },
+    },
+    {
+      name: 'data-backup',
+      description: '備份資料檔',
+      schedule: '30 3 * * *',
+      timezone: 'Asia/Taipei',
+      run: async () => {
+        loadChecks();
+        const backups = backupData();
+        const skipped = backups.filter(b => !b.backup);
+        return `${backups.length - skipped.length} 個檔案已備份` +
+          (skipped.length > 0 ? `，${skipped.length} 個無法通過檢查未備份（${skipped.map(b => b.file).join(', ')}）` : '');
+      },
+    },
+  ];
+}
+
+/**
+ * 建立排程器並載入預設工作
+ * @param {Object} toolkit - 工具箱模組
+ * @param {Object} options - Scheduler 選項（stateFile / logDir / now），outbox 可指定寄件匣
+ */
+function createScheduler(toolkit, { outbox = new Outbox(), ...options } = {}) {
+  const scheduler = new Scheduler({ stateFile: STATE_FILE, logDir: LOG_DIR, ...options });
+
+  for (const job of createDefaultJobs(toolkit, outbox)) {
+    scheduler.add(job);
+  }
+
+  return scheduler;
+}
+
+/**
+ * 排程狀態報告
+ */
+function formatSchedulerStatus(jobs) {
+  let report = '⏰ **排程工作**\n\n';
+
+  for (const job of jobs) {
+    const icon = job.running ? '🔄' : job.lastStatus === 'failed' ? '❌' : job.lastStatus === 'success' ? '✅' : '⏸️';
+    report += `${icon} **${job.name}** - ${job.description}\n`;
+    report += `   排程: \`${job.schedule}\`${job.timezone ? ` (${job.timezone})` : ''}\n`;
+    if (job.lastRun) {
+      report += `   上次: ${job.lastRun}（${job.lastDuration}ms）\n`;
+    }
+    if (job.lastError) {
+      report += `   錯誤: ${job.lastError}\n`;
+    }
+    report += `   下次: ${job.nextRun || '無'}\n\n`;
+  }
+
+  return report.trim();
+}
+
+/**
+ * 排程狀態（結構化結果）
+ */
+function getSchedulerStatus(scheduler) {
+  const jobs = scheduler.getStatus();
+  return createResult('scheduler.status', { jobs }, formatSchedulerStatus(jobs));
+}
+
+module.exports = {
+  createDefaultJobs,
+  createScheduler,
+  getSchedulerStatus,
+  formatSchedulerStatus,
+  STATE_FILE,
+  LOG_DIR,
+};
@@ -0,0 +1,451 @@
+/**
+ * 通知寄件匣
+ *
+ * 通知先寫入寄件匣（持久化），再由傳送器送出：
+ *   - 依主題（topic）分送給訂閱的收件人（個人設定 lib/profiles.js 的 topics）
+ *   - 收件人的勿擾時段內不送出，延到時段結束（urgent 的通知除外）
+ *   - 相同 dedupeKey 的通知在時間窗內只送一次
+ *   - 傳送失敗時以指數退避重試，超過次數標記為 failed
+ *
+ * 傳送器介面：{ name, send(message, route) }，失敗時拋出例外
+ * （error.retryable === false 表示不必重試）
+ *
+ * 寄件匣的每次修改都在檔案鎖定中完成（lib/storage.js），
+ * 排程器和手動指令同時寫入不會互相覆蓋；送出前先把通知「租用」一段時間，
+ * 其他程序不會重複送出，程序中斷時租期過後會重試
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { markdownToHTML } = require('./result');
+const { readJSON, updateJSON } = require('./storage');
+const { listProfiles, quietHoursEnd } = require('./profiles');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const OUTBOX_FILE = path.join(DATA_DIR, 'outbox.json');
+
+// 重試設定
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+// 重複通知的判斷時間窗
+const DEDUPE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// 已送出的通知保留天數
+const KEEP_SENT_DAYS = 7;
+
+// 傳送請求逾時
+const SEND_TIMEOUT_MS = 10 * 1000;
+
+// 送出中的通知保留給目前程序的時間
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * 預設收件人（個人設定中 channel 不是 none 的成員）
+ * Telegram 的 chat id 未設定時（個人設定 chatId 或 TELEGRAM_CHAT_<ID>）改用 stdout
+ */
+function getDefaultRecipients(env = process.env, profiles = listProfiles()) {
+  const route = ({ id, channel, chatId }) => {
+    if (channel !== 'telegram') return { transport: channel };
+    chatId = chatId || env[`TELEGRAM_CHAT_${id.toUpperCase().replace(/-/g, '_')}`];
+    return chatId ? { transport: 'telegram', chatId } : { transport: 'stdout' };
+  };
+
+  const recipients = {};
+  for (const profile of profiles.filter(p => p.channel !== 'none')) {
+    recipients[profile.id] = {
+      name: profile.name,
+      topics: profile.topics,
+      routes: [route(profile)],
+      quietHours: profile.quietHours,
+      timezone: profile.timezone,
+    };
+  }
+  return recipients;
+}
+
+/**
+ * 傳送錯誤
+ */
+function sendError(message, retryable = true) {
+  return Object.assign(new Error(message), { retryable });
+}
+
+/**
+ * Telegram Bot API 傳送器
+ * @param {Object} options
+ * @param {string} options.token - Bot token
+ * @param {string} options.apiBase - API 位址（測試時可指向本機）
+ */
+function telegramTransport({ token, apiBase = 'https://api.telegram.org' }) {
+  return {
+    name: 'telegram',
+    async send(message, route) {
+      if (!token) throw sendError('未設定 Telegram bot token', false);
+      if (!route.chatId) throw sendError('未設定 chatId', false);
+
+      // Telegram HTML 不支援 <br>
+      const html = markdownToHTML(message.text).replace(/<br>\n/g, '\n');
+
+      let response;
+      try {
+        response = await fetch(`${apiBase}/bot${token}/sendMessage`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ chat_id: route.chatId, text: html, parse_mode: 'HTML' }),
+          signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+        });
+      } catch (e) {
+        throw sendError(`Telegram 連線失敗: ${e.message}`);
+      }
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || body.ok === false) {
+        const retryable = response.status === 429 || response.status >= 500;
+        const error = sendError(`Telegram ${response.status}: ${body.description || response.statusText}`, retryable);
+        error.retryAfter = body.parameters?.retry_after ? body.parameters.retry_after * 1000 : null;
+        throw error;
+      }
+
+      return { messageId: body.result?.message_id || null };
+    },
+  };
+}
+
+/**
+ * Webhook 傳送器（POST JSON）
+ * @param {Object} options
+ * @param {string} options.url - 預設 URL（route.url 優先）
+ */
+function webhookTransport({ url = null, headers = {} } = {}) {
+  return {
+    name: 'webhook',
+    async send(message, route) {
+      const target = route.url || url;
+      if (!target) throw sendError('未設定 webhook URL', false);
+
+      let response;
+      try {
+        response = await fetch(target, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: JSON.stringify({
+            id: message.id,
+            recipient: message.recipient,
+            topic: message.topic,
+            text: message.text,
+            data: message.data,
+            createdAt: message.createdAt,
+          }),
+          signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+        });
+      } catch (e) {
+        throw sendError(`Webhook 連線失敗: ${e.message}`);
+      }
+
+      if (!response.ok) {
+        throw sendError(`Webhook ${response.status}`, response.status === 429 || response.status >= 500);
+      }
+
+      return { status: response.status };
+    },
+  };
+}
+
+/**
+ * 檔案傳送器（每行一則 JSON）
+ * @param {Object} options
+ * @param {string} options.file - 預設檔案（route.file 優先）
+ */
+function fileTransport({ file = path.join(DATA_DIR, 'notifications.log') } = {}) {
+  return {
+    name: 'file',
+    async send(message, route) {
+      const target = route.file || file;
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.appendFileSync(target, JSON.stringify({
+        sentAt: new Date().toISOString(),
+        recipient: message.recipient,
+        topic: message.topic,
+        text: message.text,
+      }) + '\n');
+      return { file: target };
+    },
+  };
+}
+
+/**
+ * 標準輸出傳送器
+ */
+function stdoutTransport({ write = text => console.log(text) } = {}) {
+  return {
+    name: 'stdout',
+    async send(message) {
+      write(`📨 [${message.recipient}] ${message.text}`);
+      return {};
+    },
+  };
+}
+
+/**
+ * 依環境變數建立預設傳送器
+ */
+function createDefaultTransports(env = process.env) {
+  return [
+    telegramTransport({ token: env.TELEGRAM_BOT_TOKEN }),
+    webhookTransport({ url: env.NOTIFY_WEBHOOK_URL || null }),
+    fileTransport(),
+    stdoutTransport(),
+  ];
+}
+
+/**
+ * 重試延遲（指數退避）
+ */
+function retryDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+}
+
+class Outbox {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - 寄件匣檔案
+   * @param {Object[]} options.transports - 傳送器
+   * @param {Object} options.recipients - 收件人設定
+   * @param {Function} options.now - 取得目前時間（測試用）
+   */
+  constructor({
+    file = OUTBOX_FILE,
+    transports = createDefaultTransports(),
+    recipients = getDefaultRecipients(),
+    maxAttempts = MAX_ATTEMPTS,
+    now = () => new Date(),
+  } = {}) {
+    this.file = file;
+    this.transports = new Map(transports.map(t => [t.name, t]));
+    this.recipients = recipients;
+    this.maxAttempts = maxAttempts;
+    this.now = now;
+  }
+
+  /**
+   * 讀取寄件匣
+   */
+  load() {
+    return readJSON(this.file, []);
+  }
+
+  /**
+   * 修改寄件匣（鎖定中讀取 → 修改 → 寫入，並清掉過舊的已送出通知）
+   * @param {Function} update - (messages) => 回傳值，直接修改 messages
+   */
+  update(update) {
+    const cutoff = this.now().getTime() - KEEP_SENT_DAYS * 24 * 60 * 60 * 1000;
+    let result;
+
+    updateJSON(this.file, [], messages => {
+      result = update(messages);
+      return messages.filter(m => m.status !== 'sent' || new Date(m.sentAt).getTime() > cutoff);
+    });
+    return result;
+  }
+
+  /**
+   * 註冊傳送器
+   */
+  addTransport(transport) {
+    this.transports.set(transport.name, transport);
+    return this;
+  }
+
+  /**
+   * 決定收件人
+   */
+  resolveRecipients({ to, topic }) {
+    if (to) {
+      return [].concat(to).map(id => id.toLowerCase()).filter(id => this.recipients[id]);
+    }
+    return Object.keys(this.recipients).filter(id => this.recipients[id].topics?.includes(topic));
+  }
+
+  /**
+   * 加入通知
+   * @param {Object} notification
+   * @param {string} notification.text - 內容（Markdown）
+   * @param {string} notification.topic - 主題（決定收件人）
+   * @param {string|string[]} notification.to - 指定收件人（優先於主題）
+   * @param {string} notification.dedupeKey - 去重鍵
+   * @param {Object} notification.data - 附加資料
+   * @param {boolean} notification.urgent - 勿擾時段也立即送出
+   * @returns {{ queued: Object[], skipped: Object[], deferred: number }} deferred 為因勿擾時段延後的則數
+   */
+  enqueue({ text, topic = 'general', to = null, dedupeKey = null, data = null, urgent = false }) {
+    if (!text) {
+      throw new Error('通知需要 text');
+    }
+
+    const now = this.now();
+    const queued = [];
+    const skipped = [];
+    let deferred = 0;
+
+    this.update(messages => {
+      for (const recipient of this.resolveRecipients({ to, topic })) {
+        if (dedupeKey) {
+          const duplicate = messages.find(m =>
+            m.dedupeKey === dedupeKey &&
+            m.recipient === recipient &&
+            now - new Date(m.createdAt) < DEDUPE_WINDOW_MS
+          );
+          if (duplicate) {
+            skipped.push({ recipient, dedupeKey, reason: 'duplicate' });
+            continue;
+          }
+        }
+
+        const { routes, quietHours, timezone } = this.recipients[recipient];
+        const quietUntil = urgent ? null : quietHoursEnd(quietHours, timezone, now);
+        if (quietUntil) deferred += routes.length;
+
+        routes.forEach((route, i) => {
+          const message = {
+            id: `msg_${now.getTime()}_${recipient}_${i}_${Math.random().toString(36).slice(2, 6)}`,
+            recipient,
+            route,
+            topic,
+            text,
+            data,
+            dedupeKey,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: (quietUntil || now).toISOString(),
+            lastError: null,
+            createdAt: now.toISOString(),
+            sentAt: null,
+          };
+          messages.push(message);
+          queued.push(message);
+        });
+      }
+    });
+
+    return { queued, skipped, deferred };
+  }
+
+  /**
+   * 送出到期的通知
+   * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+   */
+  async flush() {
+    const now = this.now();
+    const stats = { sent: 0, retrying: 0, failed: 0 };
+
+    // 租用到期的通知（其他程序在租期內不會送出）
+    const leaseUntil = new Date(now.getTime() + SEND_LEASE_MS).toISOString();
+    const due = this.update(messages => messages
+      .filter(m => m.status === 'pending' && new Date(m.nextAttemptAt) <= now)
+      .map(m => {
+        m.attempts++;
+        m.nextAttemptAt = leaseUntil;
+        return { ...m };
+      }));
+
+    const results = new Map();
+
+    for (const message of due) {
+      const transport = this.transports.get(message.route.transport);
+
+      try {
+        if (!transport) throw sendError(`找不到傳送器 ${message.route.transport}`, false);
+        await transport.send(message, message.route);
+        results.set(message.id, { status: 'sent', sentAt: this.now().toISOString(), lastError: null });
+        stats.sent++;
+      } catch (e) {
+        if (e.retryable === false || message.attempts >= this.maxAttempts) {
+          results.set(message.id, { status: 'failed', lastError: e.message });
+          stats.failed++;
+        } else {
+          const delay = e.retryAfter || retryDelay(message.attempts);
+          results.set(message.id, { lastError: e.message, nextAttemptAt: new Date(now.getTime() + delay).toISOString() });
+          stats.retrying++;
+        }
+      }
+    }
+
+    // 只更新這次送出的通知
+    if (results.size > 0) {
+      this.update(messages => {
+        for (const message of messages) {
+          if (results.has(message.id)) Object.assign(message, results.get(message.id));
+        }
+      });
+    }
+    return stats;
+  }
+
+  /**
+   * 加入並立即嘗試送出
+   */
+  async send(notification) {
+    const result = this.enqueue(notification);
+    const stats = result.queued.length > 0 ? await this.flush() : { sent: 0, retrying: 0, failed: 0 };
+    return { ...result, ...stats };
+  }
+
+  /**
+   * 寄件匣統計
+   */
+  getStats() {
+    const messages = this.load();
+    const count = status => messages.filter(m => m.status === status).length;
+
+    return {
+      total: messages.length,
+      pending: count('pending'),
+      sent: count('sent'),
+      failed: count('failed'),
+      recipients: Object.keys(this.recipients),
+      transports: [...this.transports.keys()],
+    };
+  }
+
+  /**
+   * 列出通知
+   * @param {string} status - 只列出特定狀態
+   */
+  list(status = null) {
+    const messages = this.load();
+    return status ? messages.filter(m => m.status === status) : messages;
+  }
+
+  /**
+   * 將失敗的通知重新排入
+   */
+  retryFailed() {
+    return this.update(messages => {
+      let count = 0;
+
+      for (const message of messages) {
+        if (message.status !== 'failed') continue;
+        message.status = 'pending';
+        message.attempts = 0;
+        message.nextAttemptAt = this.now().toISOString();
+        count++;
+      }
+      return count;
+    });
+  }
+}
+
+module.exports = {
+  Outbox,
+  telegramTransport,
+  webhookTransport,
+  fileTransport,
+  stdoutTransport,
+  createDefaultTransports,
+  getDefaultRecipients,
+  retryDelay,
+  OUTBOX_FILE,
+};
@@ -0,0 +1,221 @@
+/**
+ * 區塊管線
+ *
+ * 簡報由多個獨立的區塊組成（天氣、行程、投資…），這裡同時執行各區塊，每個區塊有自己的期限：
+ *   - 超過期限的區塊不再等待，改用上次成功的內容（快取命名空間 sections）並標示逾時
+ *   - 沒有舊內容時只顯示逾時訊息，其他區塊照常輸出
+ *   - 每次執行記錄各區塊的耗時和狀態（data/section-stats.json），system-status 會顯示
+ *
+ * 逾時的區塊不會被中斷（curl 等有自己的逾時），晚到的結果仍會寫入快取，下次逾時時使用
+ *
+ * 區塊格式：{ id, title, load: () => { content, data }, timeout?: 毫秒 }
+ * 結果狀態：ok / stale（逾時或失敗，顯示舊內容）/ timeout / error
+ */
+
+const path = require('path');
+const { cache: sharedCache } = require('./cache');
+const { readJSON, updateJSON } = require('./storage');
+
+const STATS_FILE = path.join(__dirname, '..', 'data', 'section-stats.json');
+
+// 快取命名空間（上次成功的區塊內容）
+const CACHE_NAMESPACE = 'sections';
+
+// 預設期限（未設定 briefing.sectionTimeout 時）
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// 每個區塊保留的耗時樣本數
+const MAX_SAMPLES = 20;
+
+// 期限到了的標記
+const TIMED_OUT = Symbol('timed out');
+
+/**
+ * 在期限內等待，逾時回傳 TIMED_OUT（計時器不會讓程式保持執行）
+ */
+function withDeadline(promise, ms) {
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), ms);
+    timer.unref?.();
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 顯示用的時間（台北時間）
+ */
+function formatTime(iso) {
+  return new Date(iso).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * 區塊狀態提示（ok 時回傳 null）
+ * @param {Object} result - runSections 的單一結果
+ */
+function sectionNotice(result) {
+  const seconds = `${Math.round(result.timeoutMs / 100) / 10} 秒`;
+  const reason = result.reason === 'timeout' ? `⏱️ _逾時（超過 ${seconds}）` : `⚠️ _暫時無法取得`;
+
+  switch (result.status) {
+    case 'stale':
+      return `${reason}，顯示 ${formatTime(result.cachedAt)} 的資料_`;
+    case 'timeout':
+      return `⏱️ _逾時（超過 ${seconds}），稍後再試_`;
+    case 'error':
+      return `⚠️ _暫時無法取得: ${result.error}_`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 記錄各區塊的耗時和狀態
+ * @param {string} name - 管線名稱（如 briefing）
+ * @param {Object[]} results - runSections 的結果
+ * @param {string} file - 記錄檔
+ */
+function recordStats(name, results, file = STATS_FILE) {
+  updateJSON(file, {}, stats => {
+    for (const result of results) {
+      const key = `${name}.${result.id}`;
+      const entry = stats[key] || { runs: 0, timeouts: 0, errors: 0, samples: [] };
+
+      entry.runs++;
+      if (result.reason === 'timeout') entry.timeouts++;
+      if (result.reason === 'error') entry.errors++;
+      entry.samples = [...entry.samples, result.latencyMs].slice(-MAX_SAMPLES);
+      entry.lastStatus = result.status;
+      entry.lastLatencyMs = result.latencyMs;
+      entry.lastRunAt = result.finishedAt;
+      stats[key] = entry;
+    }
+  });
+}
+
+/**
+ * 百分位數
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+/**
+ * 各區塊的耗時統計（依名稱排序）
+ * @param {string} file - 記錄檔
+ * @returns {Object[]} { section, runs, timeouts, errors, p50Ms, p95Ms, maxMs, lastStatus, lastLatencyMs, lastRunAt }
+ */
+function getSectionStats(file = STATS_FILE) {
+  const stats = readJSON(file, {});
+
+  return Object.keys(stats).sort().map((section) => {
+    const { samples, ...entry } = stats[section];
+    return {
+      section,
+      ...entry,
+      p50Ms: percentile(samples, 50),
+      p95Ms: percentile(samples, 95),
+      maxMs: samples.length > 0 ? Math.max(...samples) : null,
+    };
+  });
+}
+
+/**
+ * 同時執行各區塊（依原本順序回傳）
+ * @param {Object[]} sections - { id, title, load, timeout }
+ * @param {Object} options
+ * @param {string} options.name - 管線名稱（統計和快取的鍵）
+ * @param {string} options.scope - 快取範圍（如成員 ID，內容依成員不同時使用）
+ * @param {number} options.timeout - 預設期限（毫秒）
+ * @param {Cache} options.cache - 快取
+ * @param {string|null} options.statsFile - 統計記錄檔（null 表示不記錄）
+ * @returns {Promise<Object[]>} { id, title, status, reason, content, data, latencyMs, timeoutMs, cachedAt, error, finishedAt }
+ */
+async function runSections(sections, {
+  name = 'sections',
+  scope = null,
+  timeout = DEFAULT_TIMEOUT_MS,
+  cache = sharedCache,
+  statsFile = STATS_FILE,
+} = {}) {
+  const cacheKey = id => [name, scope, id].filter(Boolean).join(':');
+
+  const results = await Promise.all(sections.map(async (section) => {
+    const timeoutMs = section.timeout || timeout;
+    const started = Date.now();
+    const base = { id: section.id, title: section.title, timeoutMs };
+
+    // 成功的結果（包含逾時後才完成的）寫入快取
+    const running = Promise.resolve()
+      .then(() => section.load())
+      .then((value) => {
+        try {
+          cache.set(CACHE_NAMESPACE, cacheKey(section.id), { content: value.content, data: value.data ?? null });
+        } catch (e) {
+          // 快取失敗不影響簡報
+        }
+        return value;
+      });
+    running.catch(() => null);
+
+    let value;
+    let reason = null;
+    let error = null;
+    try {
+      value = await withDeadline(running, timeoutMs);
+      if (value === TIMED_OUT) reason = 'timeout';
+    } catch (e) {
+      reason = 'error';
+      error = e.message;
+    }
+
+    const finished = { latencyMs: Date.now() - started, finishedAt: new Date().toISOString() };
+
+    if (!reason) {
+      return { ...base, status: 'ok', reason, content: value.content, data: value.data ?? null, cachedAt: null, error, ...finished };
+    }
+
+    let cached = null;
+    try {
+      cached = cache.get(CACHE_NAMESPACE, cacheKey(section.id), { allowStale: true });
+    } catch (e) {
+      // 快取損壞時當作沒有舊內容
+    }
+
+    if (cached) {
+      return { ...base, status: 'stale', reason, content: cached.value.content, data: cached.value.data, cachedAt: cached.storedAt, error, ...finished };
+    }
+    return { ...base, status: reason, reason, content: null, data: null, cachedAt: null, error, ...finished };
+  }));
+
+  if (statsFile) {
+    try {
+      recordStats(name, results, statsFile);
+    } catch (e) {
+      console.warn(`⚠️ 無法記錄區塊耗時: ${e.message}`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * 區塊內容（含逾時 / 舊資料提示）
+ */
+function renderSection(result) {
+  const notice = sectionNotice(result);
+  if (!notice) return result.content;
+  return result.content ? `${notice}\n\n${result.content}` : notice;
+}
+
+module.exports = {
+  runSections,
+  renderSection,
+  sectionNotice,
+  getSectionStats,
+  recordStats,
+  STATS_FILE,
+  DEFAULT_TIMEOUT_MS,
+};
@@ -0,0 +1,366 @@
+/**
+ * 家庭成員的個人設定
+ *
+ * 每個人有自己的早晨簡報區塊、觀察清單、新聞主題、語言、通知管道和勿擾時段
+ * 內建 Barry / Margaret / Tim，設定檔（預設 ../config/profiles.json，可用 ASSISTANT_PROFILES 指定）
+ * 只需寫要覆蓋的項目，也可以新增成員：
+ *   {
+ *     "margaret": { "quietHours": "21:30-07:00" },
+ *     "grandma": { "name": "阿嬤", "briefing": ["weather", "calendar"], "channel": "none" }
+ *   }
+ *
+ * 目前的使用者：
+ *   runWithProfile('margaret', fn)  fn 執行期間（含其中的非同步呼叫）都以 Margaret 的設定為準
+ *   currentProfile()                目前的使用者，未指定時為 profile.default（預設 barry）
+ *
+ * 有 config 欄位的設定（watchlist）會覆蓋對應的共用設定：
+ * 以 Margaret 執行時 getConfigValue('investment.watchlist') 回傳她的觀察清單
+ *
+ * 錯誤代碼：UNKNOWN_PROFILE
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { validateValue, parseStringParams } = require('./schema');
+const { TICKER_PATTERN } = require('./tools');
+const { readJSON, updateJSON } = require('./storage');
+const { CONFIG_DIR, getConfigValue } = require('./config');
+
+const PROFILES_FILE = process.env.ASSISTANT_PROFILES || path.join(CONFIG_DIR, 'profiles.json');
+
+// 早晨簡報可用的區塊
+const BRIEFING_SECTIONS = ['weather', 'calendar', 'investment', 'news', 'market', 'legal', 'fsc', 'story'];
+
+// 成員 ID 格式
+const PROFILE_ID_PATTERN = '^[a-z][a-z0-9-]*$';
+
+// 個人設定項目：type / 驗證規則同 lib/schema.js，uppercase 轉大寫，config 為覆蓋的共用設定
+const PROFILE_SCHEMA = {
+  name: {
+    type: 'string',
+    minLength: 1,
+    description: '稱呼（問候語）',
+  },
+  language: {
+    type: 'string',
+    enum: ['zh-TW', 'en'],
+    description: '語言（問候語、日期）',
+  },
+  briefing: {
+    type: 'array',
+    items: { type: 'string', enum: BRIEFING_SECTIONS },
+    description: '早晨簡報區塊（依序）',
+  },
+  watchlist: {
+    type: ['array', 'null'],
+    items: { type: 'string', pattern: TICKER_PATTERN },
+    uppercase: true,
+    config: 'investment.watchlist',
+    description: '關注的股票（null 表示使用共用設定）',
+  },
+  newsTopics: {
+    type: ['array', 'null'],
+    items: { type: 'string', pattern: '^[a-z]+$' },
+    description: 'Fintech 新聞主題（null 表示全部）',
+  },
+  channel: {
+    type: 'string',
+    enum: ['telegram', 'webhook', 'file', 'stdout', 'none'],
+    description: '通知管道（none 表示不收通知）',
+  },
+  chatId: {
+    type: ['string', 'null'],
+    description: 'Telegram chat id（未設定時讀取 TELEGRAM_CHAT_<ID>）',
+  },
+  topics: {
+    type: 'array',
+    items: { type: 'string', minLength: 1 },
+    description: '訂閱的通知主題',
+  },
+  quietHours: {
+    type: ['string', 'null'],
+    pattern: '^([01]\\d|2[0-3]):[0-5]\\d-([01]\\d|2[0-3]):[0-5]\\d$',
+    description: '勿擾時段（如 22:30-07:00，期間的通知延後送出）',
+  },
+  timezone: {
+    type: 'string',
+    minLength: 1,
+    description: '時區（勿擾時段、簡報日期）',
+  },
+};
+
+// 新成員的預設值
+const BASE_PROFILE = {
+  language: 'zh-TW',
+  briefing: ['weather', 'calendar'],
+  watchlist: null,
+  newsTopics: null,
+  channel: 'telegram',
+  chatId: null,
+  topics: [],
+  quietHours: null,
+  timezone: 'Asia/Taipei',
+};
+
+// 內建成員
+const DEFAULT_PROFILES = {
+  barry: {
+    name: 'Barry',
+    briefing: ['weather', 'calendar', 'investment', 'news', 'market'],
+    topics: ['investment', 'stablecoin', 'crypto', 'forex', 'briefing', 'calendar', 'system'],
+    quietHours: '23:30-07:00',
+  },
+  margaret: {
+    name: 'Margaret',
+    briefing: ['weather', 'calendar', 'legal', 'fsc'],
+    newsTopics: ['taiwan', 'cbdc'],
+    topics: ['legal', 'briefing'],
+    quietHours: '22:30-07:00',
+  },
+  tim: {
+    name: 'Tim',
+    briefing: ['weather', 'story'],
+    channel: 'none',
+    quietHours: '20:00-07:00',
+  },
+};
+
+/**
+ * 個人設定錯誤
+ */
+function profileError(message, details = {}) {
+  return Object.assign(new Error(message), { code: 'UNKNOWN_PROFILE', ...details });
+}
+
+/**
+ * 驗證單一設定值
+ * @returns {{ value: *, errors: string[] }}
+ */
+function validateProfileValue(key, value) {
+  const schema = PROFILE_SCHEMA[key];
+  const result = validateValue(value, schema, key);
+
+  if (schema.uppercase && Array.isArray(result.value) && result.errors.length === 0) {
+    result.value = result.value.map(v => v.toUpperCase());
+  }
+  return result;
+}
+
+/**
+ * 將字串（命令列）轉為設定值
+ */
+function parseProfileString(key, text) {
+  const schema = PROFILE_SCHEMA[key];
+  if ([].concat(schema.type).includes('null') && (text === '' || text === 'null')) {
+    return null;
+  }
+  return parseStringParams([[key, text]], { [key]: schema })[key];
+}
+
+/**
+ * 載入所有成員（內建 → 設定檔）
+ * @param {Object} options - { file }
+ * @returns {{ profiles: Object, errors: Object[], file: string }}
+ */
+function loadProfiles({ file = PROFILES_FILE } = {}) {
+  const errors = [];
+  let data = {};
+
+  try {
+    data = readJSON(file, {});
+  } catch (e) {
+    errors.push({ id: null, key: null, message: e.message });
+  }
+
+  const profiles = {};
+  const ids = [...new Set([...Object.keys(DEFAULT_PROFILES), ...Object.keys(data || {})])];
+
+  for (const id of ids) {
+    if (!new RegExp(PROFILE_ID_PATTERN).test(id)) {
+      errors.push({ id, key: null, message: `成員 ID 格式不正確: ${id}` });
+      continue;
+    }
+
+    const profile = { id, name: id, ...BASE_PROFILE, ...DEFAULT_PROFILES[id] };
+
+    for (const [key, raw] of Object.entries(data?.[id] || {})) {
+      if (!PROFILE_SCHEMA[key]) {
+        errors.push({ id, key, message: `未知的設定: ${key}` });
+        continue;
+      }
+      const result = validateProfileValue(key, raw);
+      if (result.errors.length > 0) {
+        errors.push({ id, key, message: result.errors.join('；') });
+        continue;
+      }
+      profile[key] = result.value;
+    }
+
+    profiles[id] = profile;
+  }
+
+  return { profiles, errors, file };
+}
+
+// 已載入的成員（設定檔修改時重新載入）
+let cached = null;
+
+/**
+ * 所有成員
+ */
+function getProfiles() {
+  const mtime = fs.existsSync(PROFILES_FILE) ? fs.statSync(PROFILES_FILE).mtimeMs : 0;
+
+  if (!cached || cached.mtime !== mtime) {
+    cached = { mtime, loaded: loadProfiles() };
+    for (const { id, key, message } of cached.loaded.errors) {
+      console.warn(`⚠️ 個人設定${id ? ` ${id}` : ''}${key ? `.${key}` : ''} 無效，已忽略: ${message}`);
+    }
+  }
+
+  return cached.loaded.profiles;
+}
+
+/**
+ * 所有成員（陣列）
+ */
+function listProfiles() {
+  return Object.values(getProfiles());
+}
+
+/**
+ * 取得成員（不分大小寫，找不到回傳 null）
+ */
+function getProfile(id) {
+  return getProfiles()[String(id).toLowerCase()] || null;
+}
+
+/**
+ * 取得成員，找不到時拋出 UNKNOWN_PROFILE
+ * @param {string|Object} profile - 成員 ID 或成員設定
+ */
+function resolveProfile(profile) {
+  if (profile && typeof profile === 'object') return profile;
+
+  const found = getProfile(profile);
+  if (!found) {
+    throw profileError(`找不到成員: ${profile}（可用: ${Object.keys(getProfiles()).join(', ')}）`, { profile });
+  }
+  return found;
+}
+
+/**
+ * 寫入設定檔（新的 ID 會新增成員）
+ * @param {string} id - 成員 ID
+ * @param {string} key - 設定名稱
+ * @param {*} value - 值（字串會依 schema 轉換型別）
+ * @param {Object} options - { file }
+ * @returns {{ id: string, key: string, value: *, file: string, created: boolean }}
+ */
+function setProfileValue(id, key, value, { file = PROFILES_FILE } = {}) {
+  id = String(id).toLowerCase();
+  if (!new RegExp(PROFILE_ID_PATTERN).test(id)) {
+    throw new Error(`成員 ID 格式不正確: ${id}（小寫英文、數字、-）`);
+  }
+  if (!PROFILE_SCHEMA[key]) {
+    throw new Error(`未知的設定: ${key}（可用: ${Object.keys(PROFILE_SCHEMA).join(', ')}）`);
+  }
+
+  const result = validateProfileValue(key, typeof value === 'string' ? parseProfileString(key, value) : value);
+  if (result.errors.length > 0) {
+    throw new Error(result.errors.join('；'));
+  }
+
+  let created = false;
+  updateJSON(file, {}, data => {
+    created = !DEFAULT_PROFILES[id] && !data[id];
+    data[id] = { ...data[id], [key]: result.value };
+  });
+  cached = null;
+
+  return { id, key, value: result.value, file, created };
+}
+
+// 目前的使用者（隨非同步呼叫傳遞）
+const context = new AsyncLocalStorage();
+
+/**
+ * 以某個成員的設定執行
+ * @param {string|Object} profile - 成員 ID 或成員設定（null 表示預設成員）
+ * @param {Function} fn - 要執行的函數
+ * @throws UNKNOWN_PROFILE 找不到成員
+ */
+function runWithProfile(profile, fn) {
+  if (profile == null) return fn();
+  return context.run(resolveProfile(profile), fn);
+}
+
+/**
+ * 目前的使用者（未指定時為 profile.default）
+ */
+function currentProfile() {
+  return context.getStore() || getProfile(getConfigValue('profile.default')) || listProfiles()[0];
+}
+
+/**
+ * 目前使用者對共用設定的覆蓋值（沒有時回傳 undefined）
+ * @param {string} configKey - 共用設定名稱，如 'investment.watchlist'
+ */
+function getProfileOverride(configKey) {
+  const key = Object.keys(PROFILE_SCHEMA).find(k => PROFILE_SCHEMA[k].config === configKey);
+  if (!key) return undefined;
+
+  const value = currentProfile()?.[key];
+  return value == null ? undefined : value;
+}
+
+/**
+ * 時區中的時刻（距午夜分鐘數）
+ */
+function minutesOfDay(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+/**
+ * 勿擾時段結束的時間（不在勿擾時段時回傳 null）
+ * @param {string} quietHours - 如 '22:30-07:00'（可跨午夜）
+ * @param {string} timeZone - 時區
+ * @param {Date} date - 時間
+ * @returns {Date|null}
+ */
+function quietHoursEnd(quietHours, timeZone = 'Asia/Taipei', date = new Date()) {
+  if (!quietHours) return null;
+
+  const [start, end] = quietHours.split('-').map(t => {
+    const [h, m] = t.split(':').map(Number);
+    return h * 60 + m;
+  });
+  const now = minutesOfDay(date, timeZone);
+  const quiet = start <= end ? now >= start && now < end : now >= start || now < end;
+  if (!quiet || start === end) return null;
+
+  const minutesLeft = (end - now + 24 * 60) % (24 * 60);
+  const resumeAt = new Date(date.getTime() + minutesLeft * 60 * 1000);
+  resumeAt.setSeconds(0, 0);
+  return resumeAt;
+}
+
+module.exports = {
+  PROFILE_SCHEMA,
+  PROFILES_FILE,
+  DEFAULT_PROFILES,
+  BRIEFING_SECTIONS,
+  loadProfiles,
+  listProfiles,
+  getProfile,
+  resolveProfile,
+  setProfileValue,
+  runWithProfile,
+  currentProfile,
+  getProfileOverride,
+  quietHoursEnd,
+};
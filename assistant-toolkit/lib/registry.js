@@ -0,0 +1,244 @@
+/**
+ * 專案註冊表
+ *
+ * 掃描專案目錄中每個專案的 manifest.json，
+ * 依相依順序載入模組，並記錄載入失敗的專案與原因
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * 讀取並驗證單一專案的 manifest
+ * @param {string} projectPath - 專案目錄
+ * @returns {Object|null} manifest（目錄沒有 manifest 時回傳 null）
+ */
+function readManifest(projectPath) {
+  const file = path.join(projectPath, MANIFEST_FILE);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  if (!manifest.name || !manifest.entry) {
+    throw new Error(`${MANIFEST_FILE} 缺少 name 或 entry`);
+  }
+
+  return {
+    name: manifest.name,
+    alias: manifest.alias || manifest.name,
+    description: manifest.description || '',
+    owner: manifest.owner || null,
+    entry: manifest.entry,
+    dependencies: manifest.dependencies || [],
+    capabilities: manifest.capabilities || [],
+    health: manifest.health || null,
+    audit: manifest.audit || null,
+    path: projectPath,
+  };
+}
+
+/**
+ * 依相依關係排序（被依賴的專案排在前面）
+ */
+function sortByDependencies(manifests) {
+  const byName = new Map(manifests.map(m => [m.name, m]));
+  const sorted = [];
+  const visiting = new Set();
+  const visited = new Set();
+
+  const visit = (manifest) => {
+    if (visited.has(manifest.name)) return;
+    if (visiting.has(manifest.name)) return; // 循環相依，交給載入時判斷
+
+    visiting.add(manifest.name);
+    for (const dep of manifest.dependencies) {
+      if (byName.has(dep)) visit(byName.get(dep));
+    }
+    visiting.delete(manifest.name);
+    visited.add(manifest.name);
+    sorted.push(manifest);
+  };
+
+  for (const manifest of manifests) {
+    visit(manifest);
+  }
+
+  return sorted;
+}
+
+class ProjectRegistry {
+  /**
+   * @param {string} projectsDir - 專案根目錄
+   */
+  constructor(projectsDir) {
+    this.projectsDir = projectsDir;
+    this.projects = new Map();
+    this.discovered = null;
+    this.loaded = false;
+  }
+
+  /**
+   * 掃描專案目錄，讀取所有 manifest
+   */
+  discover() {
+    const manifests = [];
+
+    for (const item of fs.readdirSync(this.projectsDir).sort()) {
+      const projectPath = path.join(this.projectsDir, item);
+      if (item.startsWith('.') || !fs.statSync(projectPath).isDirectory()) continue;
+
+      try {
+        const manifest = readManifest(projectPath);
+        if (manifest) manifests.push(manifest);
+      } catch (e) {
+        this.projects.set(item, {
+          manifest: { name: item, alias: item, dependencies: [], capabilities: [], path: projectPath },
+          module: null,
+          error: `manifest 無法讀取: ${e.message}`,
+        });
+      }
+    }
+
+    return manifests;
+  }
+
+  /**
+   * 載入所有專案
+   */
+  loadAll() {
+    const manifests = this.discover();
+    this.discovered = new Set(manifests.map(m => m.name));
+
+    for (const manifest of sortByDependencies(manifests)) {
+      this.projects.set(manifest.name, this.loadProject(manifest));
+    }
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * 載入單一專案
+   */
+  loadProject(manifest) {
+    const entry = { manifest, module: null, error: null };
+
+    const brokenDep = manifest.dependencies.find(dep => !this.projects.get(dep)?.module);
+    if (brokenDep) {
+      if (this.projects.has(brokenDep)) {
+        entry.error = `相依專案 ${brokenDep} 載入失敗`;
+      } else if (this.discovered?.has(brokenDep)) {
+        entry.error = `與 ${brokenDep} 循環相依`;
+      } else {
+        entry.error = `找不到相依專案 ${brokenDep}`;
+      }
+      return entry;
+    }
+
+    try {
+      entry.module = require(path.join(manifest.path, manifest.entry));
+    } catch (e) {
+      entry.error = e.message;
+    }
+
+    return entry;
+  }
+
+  /**
+   * 以專案名稱或別名取得模組
+   * @returns {Object|null} 模組（未載入時回傳 null）
+   */
+  get(nameOrAlias) {
+    return this.find(nameOrAlias)?.module || null;
+  }
+
+  /**
+   * 以專案名稱或別名尋找註冊項目
+   */
+  find(nameOrAlias) {
+    if (this.projects.has(nameOrAlias)) {
+      return this.projects.get(nameOrAlias);
+    }
+    for (const entry of this.projects.values()) {
+      if (entry.manifest.alias === nameOrAlias) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * 取得專案的某項功能
+   * @returns {Function|null}
+   */
+  getCapability(nameOrAlias, capability) {
+    const entry = this.find(nameOrAlias);
+    if (!entry?.module || !entry.manifest.capabilities.includes(capability)) {
+      return null;
+    }
+    const fn = entry.module[capability];
+    return typeof fn === 'function' ? fn.bind(entry.module) : null;
+  }
+
+  /**
+   * 列出所有宣告的功能及其可用狀態
+   */
+  listCapabilities() {
+    const capabilities = [];
+
+    for (const { manifest, module, error } of this.projects.values()) {
+      for (const name of manifest.capabilities) {
+        let reason = error;
+        if (!reason && typeof module[name] !== 'function') {
+          reason = `模組未匯出 ${name}`;
+        }
+
+        capabilities.push({
+          project: manifest.name,
+          alias: manifest.alias,
+          owner: manifest.owner,
+          name,
+          available: !reason,
+          reason: reason || null,
+        });
+      }
+    }
+
+    return capabilities;
+  }
+
+  /**
+   * 註冊表狀態
+   */
+  getStatus() {
+    const projects = [...this.projects.values()].map(({ manifest, module, error }) => ({
+      name: manifest.name,
+      alias: manifest.alias,
+      owner: manifest.owner || null,
+      loaded: !!module,
+      error,
+    }));
+    const capabilities = this.listCapabilities();
+
+    return {
+      projects,
+      loaded: projects.filter(p => p.loaded).map(p => p.name),
+      failed: projects.filter(p => !p.loaded).map(p => ({ name: p.name, reason: p.error })),
+      capabilities: {
+        total: capabilities.length,
+        available: capabilities.filter(c => c.available).length,
+        failed: capabilities
+          .filter(c => !c.available)
+          .map(c => ({ project: c.project, name: c.name, reason: c.reason })),
+      },
+    };
+  }
+}
+
+module.exports = {
+  ProjectRegistry,
+  readManifest,
+  sortByDependencies,
+  MANIFEST_FILE,
+};
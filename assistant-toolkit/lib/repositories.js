@@ -0,0 +1,547 @@
+/**
+ * 資料存取（共用資料庫 lib/store.js 的各資料表）
+ *
+ *   positions     舊的持倉表（migration 4 起持倉改由交易記錄計算，只保留給舊資料）
+ *   transactions  投資交易記錄：買進、賣出、股利、分割、費用、轉帳（investment-monitor）
+ *   snapshots     每日組合市值和淨投入（investment-monitor 的報酬率計算）
+ *   prices        日線 OHLCV（investment-monitor 的技術指標）
+ *   alerts        價格警報（investment-monitor）
+ *   history       時間序列（stablecoin-tracker、forex-tracker 的歷史記錄）
+ *   articles      文章知識庫（smart-articles、knowledge-intelligence）
+ *
+ * 回傳的物件和原本 JSON 檔裡的格式相同（camelCase），呼叫端不用知道欄位名稱
+ * 每個函數的最後一個參數可指定資料庫（預設共用資料庫，測試時傳入記憶體資料庫）
+ */
+
+const { getStore } = require('./store');
+
+/**
+ * JSON 欄位
+ */
+function parseJSON(text, fallback) {
+  try {
+    return text == null ? fallback : JSON.parse(text);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// ============ 持倉 ============
+
+function toPosition(row) {
+  return {
+    symbol: row.symbol,
+    shares: row.shares,
+    costBasis: row.cost_basis,
+    totalCost: row.total_cost,
+    note: row.note,
+    addedAt: row.added_at,
+  };
+}
+
+const positions = {
+  /**
+   * 所有持倉
+   */
+  list(store = getStore()) {
+    return store.all('SELECT * FROM positions ORDER BY symbol').map(toPosition);
+  },
+
+  /**
+   * 單一持倉
+   */
+  get(symbol, store = getStore()) {
+    const row = store.get('SELECT * FROM positions WHERE symbol = ?', symbol);
+    return row ? toPosition(row) : null;
+  },
+
+  /**
+   * 新增或取代持倉
+   * @param {Object} position - { symbol, shares, costBasis, totalCost, note, addedAt }
+   */
+  upsert(position, store = getStore()) {
+    store.run(`
+      INSERT INTO positions (symbol, shares, cost_basis, total_cost, note, added_at, updated_at)
+      VALUES (@symbol, @shares, @costBasis, @totalCost, @note, @addedAt, @updatedAt)
+      ON CONFLICT (symbol) DO UPDATE SET
+        shares = excluded.shares, cost_basis = excluded.cost_basis, total_cost = excluded.total_cost,
+        note = excluded.note, added_at = excluded.added_at, updated_at = excluded.updated_at
+    `, {
+      symbol: position.symbol,
+      shares: position.shares,
+      costBasis: position.costBasis,
+      totalCost: position.totalCost ?? position.shares * position.costBasis,
+      note: position.note || '',
+      addedAt: position.addedAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    return position;
+  },
+
+  /**
+   * 移除持倉
+   * @returns {boolean} 是否存在
+   */
+  remove(symbol, store = getStore()) {
+    return store.run('DELETE FROM positions WHERE symbol = ?', symbol).changes > 0;
+  },
+
+  /**
+   * 最後修改時間
+   */
+  updatedAt(store = getStore()) {
+    return store.get('SELECT MAX(updated_at) AS updatedAt FROM positions').updatedAt || null;
+  },
+};
+
+// ============ 交易記錄 ============
+
+function toTransaction(row) {
+  return {
+    id: row.id,
+    symbol: row.symbol,
+    type: row.type,
+    date: row.date,
+    shares: row.shares,
+    price: row.price,
+    amount: row.amount,
+    fee: row.fee,
+    ratio: row.ratio,
+    note: row.note,
+    currency: row.currency,
+    fxRate: row.fx_rate,
+    fxBase: row.fx_base,
+    createdAt: row.created_at,
+  };
+}
+
+const transactions = {
+  /**
+   * 交易記錄（依日期，同一天依記錄順序）
+   * @param {Object} options - { symbol: 只列出某檔股票 }
+   */
+  list({ symbol = null } = {}, store = getStore()) {
+    const rows = symbol
+      ? store.all('SELECT * FROM transactions WHERE symbol = ? ORDER BY date, created_at, id', symbol)
+      : store.all('SELECT * FROM transactions ORDER BY date, created_at, id');
+    return rows.map(toTransaction);
+  },
+
+  /**
+   * 單筆交易
+   */
+  get(id, store = getStore()) {
+    const row = store.get('SELECT * FROM transactions WHERE id = ?', id);
+    return row ? toTransaction(row) : null;
+  },
+
+  /**
+   * 新增交易
+   * @param {Object} transaction - { id, symbol, type, date, shares, price, amount, fee, ratio, note, currency, fxRate, fxBase, createdAt }
+   */
+  insert(transaction, store = getStore()) {
+    store.run(`
+      INSERT INTO transactions (id, symbol, type, date, shares, price, amount, fee, ratio, note, currency, fx_rate, fx_base, created_at)
+      VALUES (@id, @symbol, @type, @date, @shares, @price, @amount, @fee, @ratio, @note, @currency, @fxRate, @fxBase, @createdAt)
+    `, {
+      id: transaction.id,
+      symbol: transaction.symbol,
+      type: transaction.type,
+      date: transaction.date,
+      shares: transaction.shares || 0,
+      price: transaction.price || 0,
+      amount: transaction.amount || 0,
+      fee: transaction.fee || 0,
+      ratio: transaction.ratio ?? null,
+      note: transaction.note || '',
+      currency: transaction.currency || 'USD',
+      fxRate: transaction.fxRate ?? null,
+      fxBase: transaction.fxBase || null,
+      createdAt: transaction.createdAt || new Date().toISOString(),
+    });
+    return transaction;
+  },
+
+  /**
+   * 移除交易
+   * @returns {boolean} 是否存在
+   */
+  remove(id, store = getStore()) {
+    return store.run('DELETE FROM transactions WHERE id = ?', id).changes > 0;
+  },
+
+  /**
+   * 最後記錄時間
+   */
+  updatedAt(store = getStore()) {
+    return store.get('SELECT MAX(created_at) AS updatedAt FROM transactions').updatedAt || null;
+  },
+};
+
+// ============ 組合快照 ============
+
+function toSnapshot(row) {
+  return {
+    date: row.date,
+    currency: row.currency,
+    value: row.value,
+    cost: row.cost,
+    flow: row.flow,
+    positions: parseJSON(row.positions, {}),
+    createdAt: row.created_at,
+  };
+}
+
+const snapshots = {
+  /**
+   * 快照（依日期）
+   * @param {Object} options - { since: 只列出此日期（含）之後 }
+   */
+  list({ since = null } = {}, store = getStore()) {
+    return store.all('SELECT * FROM portfolio_snapshots WHERE date >= ? ORDER BY date', since || '').map(toSnapshot);
+  },
+
+  /**
+   * 某天之前（含）最近的快照
+   */
+  latest(date = '9999-12-31', store = getStore()) {
+    const row = store.get('SELECT * FROM portfolio_snapshots WHERE date <= ? ORDER BY date DESC LIMIT 1', date);
+    return row ? toSnapshot(row) : null;
+  },
+
+  /**
+   * 新增或取代某天的快照
+   * @param {Object} snapshot - { date, currency, value, cost, flow, positions }
+   */
+  upsert(snapshot, store = getStore()) {
+    store.run(`
+      INSERT INTO portfolio_snapshots (date, currency, value, cost, flow, positions, created_at)
+      VALUES (@date, @currency, @value, @cost, @flow, @positions, @createdAt)
+      ON CONFLICT (date) DO UPDATE SET
+        currency = excluded.currency, value = excluded.value, cost = excluded.cost,
+        flow = excluded.flow, positions = excluded.positions, created_at = excluded.created_at
+    `, {
+      date: snapshot.date,
+      currency: snapshot.currency,
+      value: snapshot.value,
+      cost: snapshot.cost,
+      flow: snapshot.flow || 0,
+      positions: JSON.stringify(snapshot.positions || {}),
+      createdAt: snapshot.createdAt || new Date().toISOString(),
+    });
+    return snapshot;
+  },
+};
+
+// ============ 日線 ============
+
+function toBar(row) {
+  return {
+    date: row.date,
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    adjClose: row.adj_close,
+    volume: row.volume,
+  };
+}
+
+const prices = {
+  /**
+   * 某檔股票的日線（依日期）
+   * @param {Object} options - { since: 此日期（含）之後, limit: 只取最近幾筆 }
+   */
+  list(symbol, { since = null, limit = null } = {}, store = getStore()) {
+    const rows = store.all(`
+      SELECT * FROM price_history
+      WHERE symbol = ? AND date >= ?
+      ORDER BY date DESC
+      ${limit ? `LIMIT ${Number(limit)}` : ''}
+    `, symbol, since || '');
+    return rows.reverse().map(toBar);
+  },
+
+  /**
+   * 新增或更新日線（同一天以新資料取代，盤中的未完成日線下次更新時修正）
+   * @param {Object[]} bars - { date, open, high, low, close, adjClose, volume }
+   * @returns {number} 寫入筆數
+   */
+  upsert(symbol, bars, store = getStore()) {
+    return store.transaction(() => {
+      const statement = store.db.prepare(`
+        INSERT INTO price_history (symbol, date, open, high, low, close, adj_close, volume)
+        VALUES (@symbol, @date, @open, @high, @low, @close, @adjClose, @volume)
+        ON CONFLICT (symbol, date) DO UPDATE SET
+          open = excluded.open, high = excluded.high, low = excluded.low, close = excluded.close,
+          adj_close = excluded.adj_close, volume = excluded.volume
+      `);
+      for (const bar of bars) {
+        statement.run({
+          symbol,
+          date: bar.date,
+          open: bar.open ?? null,
+          high: bar.high ?? null,
+          low: bar.low ?? null,
+          close: bar.close,
+          adjClose: bar.adjClose ?? null,
+          volume: bar.volume ?? null,
+        });
+      }
+      return bars.length;
+    });
+  },
+
+  /**
+   * 有日線的股票和範圍
+   * @returns {Object[]} { symbol, first, last, count }
+   */
+  symbols(store = getStore()) {
+    return store.all(`
+      SELECT symbol, MIN(date) AS first, MAX(date) AS last, COUNT(*) AS count
+      FROM price_history GROUP BY symbol ORDER BY symbol
+    `);
+  },
+
+  /**
+   * 某檔股票的日線範圍（沒有資料時為 null）
+   */
+  range(symbol, store = getStore()) {
+    const row = store.get('SELECT MIN(date) AS first, MAX(date) AS last, COUNT(*) AS count FROM price_history WHERE symbol = ?', symbol);
+    return row && row.count > 0 ? row : null;
+  },
+};
+
+// ============ 警報 ============
+
+function toAlert(row) {
+  return {
+    id: row.id,
+    symbol: row.symbol,
+    above: row.above,
+    below: row.below,
+    note: row.note,
+    rule: parseJSON(row.rule, null),
+    cooldown: row.cooldown,
+    enabled: row.enabled === 1,
+    triggered: parseJSON(row.triggered, []),
+    state: parseJSON(row.state, {}),
+    createdAt: row.created_at,
+  };
+}
+
+const alerts = {
+  /**
+   * 所有警報（依建立時間）
+   */
+  list(store = getStore()) {
+    return store.all('SELECT * FROM alerts ORDER BY created_at, id').map(toAlert);
+  },
+
+  /**
+   * 單一警報
+   */
+  get(id, store = getStore()) {
+    const row = store.get('SELECT * FROM alerts WHERE id = ?', id);
+    return row ? toAlert(row) : null;
+  },
+
+  /**
+   * 新增警報
+   * @param {Object} alert - { id, symbol, above, below, rule, cooldown, note, enabled, triggered, state, createdAt }
+   */
+  insert(alert, store = getStore()) {
+    store.run(`
+      INSERT INTO alerts (id, symbol, above, below, rule, cooldown, note, enabled, triggered, state, created_at)
+      VALUES (@id, @symbol, @above, @below, @rule, @cooldown, @note, @enabled, @triggered, @state, @createdAt)
+    `, {
+      id: alert.id,
+      symbol: alert.symbol,
+      above: alert.above ?? null,
+      below: alert.below ?? null,
+      rule: alert.rule ? JSON.stringify(alert.rule) : null,
+      cooldown: alert.cooldown ?? 60,
+      note: alert.note || '',
+      enabled: alert.enabled === false ? 0 : 1,
+      triggered: JSON.stringify(alert.triggered || []),
+      state: JSON.stringify(alert.state || {}),
+      createdAt: alert.createdAt || new Date().toISOString(),
+    });
+    return alert;
+  },
+
+  /**
+   * 啟用 / 停用
+   * @returns {boolean} 是否存在
+   */
+  setEnabled(id, enabled, store = getStore()) {
+    return store.run('UPDATE alerts SET enabled = ? WHERE id = ?', enabled ? 1 : 0, id).changes > 0;
+  },
+
+  /**
+   * 記錄觸發（只更新這個警報）
+   * @param {string} id - 警報 ID
+   * @param {Object} trigger - { type, reasons, actualPrice, time }
+   */
+  addTrigger(id, trigger, store = getStore()) {
+    return store.transaction(() => {
+      const row = store.get('SELECT triggered FROM alerts WHERE id = ?', id);
+      if (!row) return false;
+      const triggered = [...parseJSON(row.triggered, []), trigger];
+      store.run('UPDATE alerts SET triggered = ? WHERE id = ?', JSON.stringify(triggered), id);
+      return true;
+    });
+  },
+
+  /**
+   * 更新檢查狀態（如追蹤停損的高點）
+   * @returns {boolean} 是否存在
+   */
+  setState(id, state, store = getStore()) {
+    return store.run('UPDATE alerts SET state = ? WHERE id = ?', JSON.stringify(state), id).changes > 0;
+  },
+
+  /**
+   * 移除警報
+   * @returns {boolean} 是否存在
+   */
+  remove(id, store = getStore()) {
+    return store.run('DELETE FROM alerts WHERE id = ?', id).changes > 0;
+  },
+};
+
+// ============ 歷史記錄 ============
+
+const history = {
+  /**
+   * 新增一筆記錄，並移除超過保留天數的舊記錄
+   * @param {string} series - 序列名稱（如 'stablecoin'、'forex'）
+   * @param {Object} data - 記錄內容
+   * @param {Object} options - { recordedAt, retainDays }
+   */
+  append(series, data, { recordedAt = new Date().toISOString(), retainDays = null } = {}, store = getStore()) {
+    store.transaction(() => {
+      store.run('INSERT INTO history (series, recorded_at, data) VALUES (?, ?, ?)', series, recordedAt, JSON.stringify(data));
+
+      if (retainDays != null) {
+        const cutoff = new Date(Date.now() - retainDays * 24 * 60 * 60 * 1000).toISOString();
+        store.run('DELETE FROM history WHERE series = ? AND recorded_at <= ?', series, cutoff);
+      }
+    });
+    return { timestamp: recordedAt, ...data };
+  },
+
+  /**
+   * 讀取記錄（由舊到新）
+   * @param {string} series - 序列名稱
+   * @param {Object} options - { since: ISO 時間, limit }
+   * @returns {Object[]} { timestamp, ...data }
+   */
+  list(series, { since = null, limit = null } = {}, store = getStore()) {
+    const rows = store.all(`
+      SELECT recorded_at, data FROM history
+      WHERE series = ? AND recorded_at > ?
+      ORDER BY recorded_at DESC
+      ${limit ? `LIMIT ${Number(limit)}` : ''}
+    `, series, since || '');
+
+    return rows.reverse().map(row => ({ timestamp: row.recorded_at, ...parseJSON(row.data, {}) }));
+  },
+};
+
+// ============ 文章 ============
+
+// 有獨立欄位的文章屬性，其餘存在 data
+const ARTICLE_FIELDS = ['id', 'title', 'url', 'category', 'tags', 'summary', 'notionPageId', 'notionUrl', 'keyPoints', 'savedAt'];
+
+function toArticle(row, tags) {
+  return {
+    ...parseJSON(row.data, {}),
+    id: row.id,
+    title: row.title,
+    url: row.url,
+    category: row.category,
+    tags,
+    summary: row.summary,
+    notionPageId: row.notion_page_id,
+    notionUrl: row.notion_url,
+    savedAt: row.saved_at,
+    keyPoints: parseJSON(row.key_points, []),
+  };
+}
+
+const articles = {
+  /**
+   * 所有文章（依收藏時間）
+   */
+  list(store = getStore()) {
+    const tagsById = new Map();
+    for (const { article_id: id, tag } of store.all('SELECT article_id, tag FROM article_tags ORDER BY rowid')) {
+      if (!tagsById.has(id)) tagsById.set(id, []);
+      tagsById.get(id).push(tag);
+    }
+
+    return store.all('SELECT * FROM articles ORDER BY saved_at, id')
+      .map(row => toArticle(row, tagsById.get(row.id) || []));
+  },
+
+  /**
+   * 新增文章（含標籤）
+   * @param {Object} article - smart-articles 的文章項目
+   */
+  insert(article, store = getStore()) {
+    const extra = Object.fromEntries(Object.entries(article).filter(([key]) => !ARTICLE_FIELDS.includes(key)));
+
+    store.transaction(() => {
+      store.run(`
+        INSERT INTO articles (id, title, url, category, summary, notion_page_id, notion_url, key_points, saved_at, data)
+        VALUES (@id, @title, @url, @category, @summary, @notionPageId, @notionUrl, @keyPoints, @savedAt, @data)
+      `, {
+        id: article.id,
+        title: article.title || '',
+        url: article.url ?? null,
+        category: article.category ?? null,
+        summary: article.summary ?? null,
+        notionPageId: article.notionPageId ?? null,
+        notionUrl: article.notionUrl ?? null,
+        keyPoints: JSON.stringify(article.keyPoints || []),
+        savedAt: article.savedAt || new Date().toISOString(),
+        data: JSON.stringify(extra),
+      });
+
+      const insertTag = store.db.prepare('INSERT OR IGNORE INTO article_tags (article_id, tag) VALUES (?, ?)');
+      for (const tag of article.tags || []) {
+        insertTag.run(article.id, tag);
+      }
+    });
+    return article;
+  },
+
+  /**
+   * 移除文章
+   */
+  remove(id, store = getStore()) {
+    return store.run('DELETE FROM articles WHERE id = ?', id).changes > 0;
+  },
+
+  /**
+   * 標籤索引 { tag: [articleId] }
+   */
+  tagIndex(store = getStore()) {
+    const index = {};
+    for (const { article_id: id, tag } of store.all('SELECT article_id, tag FROM article_tags ORDER BY rowid')) {
+      (index[tag] = index[tag] || []).push(id);
+    }
+    return index;
+  },
+};
+
+module.exports = {
+  positions,
+  transactions,
+  snapshots,
+  prices,
+  alerts,
+  history,
+  articles,
+};
@@ -0,0 +1,191 @@
+/**
+ * 結構化結果
+ *
+ * 工具箱函數回傳的資料物件，附帶可替換的渲染器：
+ *   markdown - Telegram Markdown（預設，與原本的字串輸出相同）
+ *   text     - 純文字
+ *   html     - HTML
+ *   json     - JSON
+ */
+
+// 渲染器：{ format: { type | '*': renderer } }
+const renderers = {};
+
+/**
+ * 註冊渲染器
+ * @param {string} format - 輸出格式
+ * @param {Function} renderer - (result) => string
+ * @param {string} type - 只套用在特定結果類型（預設全部）
+ */
+function registerRenderer(format, renderer, type = '*') {
+  renderers[format] = renderers[format] || {};
+  renderers[format][type] = renderer;
+}
+
+/**
+ * 列出可用的輸出格式
+ */
+function getFormats() {
+  return Object.keys(renderers);
+}
+
+class ToolResult {
+  /**
+   * @param {string} type - 結果類型（如 stock.quotes）
+   * @param {Object} data - 結構化資料
+   * @param {string} markdown - 預設的 Markdown 輸出
+   */
+  constructor(type, data, markdown) {
+    this.type = type;
+    this.data = data;
+    this.markdown = markdown;
+    this.generatedAt = new Date().toISOString();
+  }
+
+  /**
+   * 渲染成指定格式
+   */
+  render(format = 'markdown') {
+    const byType = renderers[format];
+    const renderer = byType && (byType[this.type] || byType['*']);
+
+    if (!renderer) {
+      throw new Error(`Unknown format: ${format}`);
+    }
+
+    return renderer(this);
+  }
+
+  toString() {
+    return this.render('markdown');
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      data: this.data,
+      generatedAt: this.generatedAt,
+    };
+  }
+}
+
+/**
+ * 錯誤結果
+ *
+ * 取代原本的「模組未載入」字串，保留 error 欄位（訊息）方便判斷，
+ * code 用來區分錯誤類型：
+ *   MODULE_NOT_LOADED  - 專案模組未載入
+ *   INVALID_ARGUMENTS  - 參數不符合 schema
+ *   UNKNOWN_TOOL       - 沒有這個工具
+ *   CAPABILITY_UNAVAILABLE - 專案功能無法使用
+ */
+class ToolError extends ToolResult {
+  /**
+   * @param {string} code - 錯誤代碼
+   * @param {string} message - 錯誤訊息
+   * @param {Object} details - 其他資訊（如 module, reason, errors）
+   */
+  constructor(code, message, details = {}) {
+    super('error', { code, message, ...details }, `⚠️ ${message}`);
+    this.code = code;
+    this.error = message;
+  }
+}
+
+/**
+ * 建立結果
+ */
+function createResult(type, data, markdown) {
+  return new ToolResult(type, data, markdown);
+}
+
+/**
+ * 建立錯誤結果
+ */
+function createError(code, message, details) {
+  return new ToolError(code, message, details);
+}
+
+/**
+ * 是否為錯誤結果
+ */
+function isError(value) {
+  return value instanceof ToolError;
+}
+
+/**
+ * 是否為結構化結果
+ */
+function isResult(value) {
+  return value instanceof ToolResult;
+}
+
+/**
+ * 將任意回傳值渲染成指定格式（字串或一般物件也可以）
+ */
+function render(value, format = 'markdown') {
+  if (isResult(value)) {
+    return value.render(format);
+  }
+  if (format === 'json') {
+    return JSON.stringify(value, null, 2);
+  }
+  if (value == null || typeof value === 'string') {
+    return value;
+  }
+  return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Markdown 轉純文字
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/(^|[\s(（])_([^_\n]+)_(?=$|[\s)）.,，。])/gm, '$1$2')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+/**
+ * 跳脫 HTML 字元
+ */
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Markdown 轉 HTML
+ */
+function markdownToHTML(markdown) {
+  return escapeHTML(markdown)
+    .replace(/^#{1,6}\s+(.+)$/gm, '<b>$1</b>')
+    .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+    .replace(/(^|[\s(（])_([^_\n]+)_(?=$|[\s)）.,，。])/gm, '$1<i>$2</i>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\n/g, '<br>\n');
+}
+
+// 預設渲染器
+registerRenderer('markdown', result => result.markdown);
+registerRenderer('text', result => markdownToText(result.markdown));
+registerRenderer('html', result => markdownToHTML(result.markdown));
+registerRenderer('json', result => JSON.stringify(result.toJSON(), null, 2));
+
+module.exports = {
+  ToolResult,
+  ToolError,
+  createResult,
+  createError,
+  isResult,
+  isError,
+  render,
+  registerRenderer,
+  getFormats,
+  markdownToText,
+  markdownToHTML,
+  escapeHTML,
+};
@@ -0,0 +1,441 @@
+/**
+ * 排程器
+ *
+ * cron 格式的排程工作，記錄每個工作的最後執行狀態，
+ * 錯過的排程（電腦睡眠、程式沒在跑）會在下次檢查時補跑一次，
+ * 每個工作有自己的執行記錄檔
+ *
+ * 執行狀態檔在鎖定中更新（lib/storage.js）：常駐排程器和系統 cron 同時檢查時，
+ * 同一個排程只有先認領的程序會執行，各程序也只寫入自己改動的工作
+ *
+ * 工作定義：
+ *   {
+ *     name: 'morning-briefing',
+ *     schedule: '0 7 * * *',        // 分 時 日 月 星期
+ *     timezone: 'Asia/Taipei',      // 選用，預設系統時區
+ *     description: '早晨簡報',
+ *     catchUp: true,                // 錯過時是否補跑（預設 true）
+ *     run: async (context) => { ... },
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSON, updateJSON } = require('./storage');
+
+// 補跑時最多往回找的時間
+const MAX_LOOKBACK_MINUTES = 8 * 24 * 60;
+
+// 不補跑的工作，錯過多久內仍算準時
+const ON_TIME_GRACE_MS = 5 * 60 * 1000;
+
+// 記錄檔大小上限（超過時輪替）
+const MAX_LOG_SIZE = 512 * 1024;
+
+// cron 欄位範圍
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 },
+];
+
+/**
+ * 解析單一 cron 欄位
+ * @returns {Set<number>|null} 允許的值（* 回傳 null）
+ */
+function parseField(expr, { name, min, max }) {
+  if (expr === '*') return null;
+
+  const values = new Set();
+
+  for (const part of expr.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      [start, end = start] = range.split('-').map(n => parseInt(n, 10));
+      if (stepText && !range.includes('-')) end = max;
+    }
+
+    if ([start, end, step].some(isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`無效的 cron 欄位 ${name}: ${expr}`);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(name === 'weekday' && v === 7 ? 0 : v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * 解析 cron 表達式
+ * @param {string} expression - 如 '30 9-15 * * 1-5'
+ */
+function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`cron 需要 5 個欄位: ${expression}`);
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(fields[i], field);
+  });
+  return parsed;
+}
+
+// 各時區的日期格式器
+const formatters = new Map();
+
+/**
+ * 取得某時區的當地時間欄位
+ */
+function getZonedParts(date, timeZone) {
+  const key = timeZone || 'local';
+
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(key).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    day: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+}
+
+/**
+ * 時間是否符合 cron
+ */
+function matchesCron(cron, date, timeZone) {
+  const t = getZonedParts(date, timeZone);
+  const has = (set, value) => !set || set.has(value);
+
+  if (!has(cron.minute, t.minute) || !has(cron.hour, t.hour) || !has(cron.month, t.month)) {
+    return false;
+  }
+
+  // 日和星期都有限制時，符合其一即可（標準 cron 行為）
+  if (cron.day && cron.weekday) {
+    return cron.day.has(t.day) || cron.weekday.has(t.weekday);
+  }
+  return has(cron.day, t.day) && has(cron.weekday, t.weekday);
+}
+
+/**
+ * 找出 now 之前（含）最近一次的排程時間
+ * @returns {Date|null}
+ */
+function previousRun(cron, now, timeZone, lookbackMinutes = MAX_LOOKBACK_MINUTES) {
+  const time = new Date(now);
+  time.setSeconds(0, 0);
+
+  for (let i = 0; i <= lookbackMinutes; i++) {
+    if (matchesCron(cron, time, timeZone)) return new Date(time);
+    time.setTime(time.getTime() - 60 * 1000);
+  }
+
+  return null;
+}
+
+/**
+ * 找出 now 之後下一次的排程時間
+ * @returns {Date|null}
+ */
+function nextRun(cron, now, timeZone, lookaheadMinutes = MAX_LOOKBACK_MINUTES) {
+  const time = new Date(now);
+  time.setSeconds(0, 0);
+
+  for (let i = 0; i < lookaheadMinutes; i++) {
+    time.setTime(time.getTime() + 60 * 1000);
+    if (matchesCron(cron, time, timeZone)) return new Date(time);
+  }
+
+  return null;
+}
+
+class Scheduler {
+  /**
+   * @param {Object} options
+   * @param {string} options.stateFile - 執行狀態檔
+   * @param {string} options.logDir - 記錄檔目錄
+   * @param {Function} options.now - 取得目前時間（測試用）
+   */
+  constructor({ stateFile, logDir, now = () => new Date() }) {
+    this.stateFile = stateFile;
+    this.logDir = logDir;
+    this.now = now;
+    this.jobs = new Map();
+    this.running = new Set();
+    this.timer = null;
+    this.state = this.loadState();
+  }
+
+  /**
+   * 讀取執行狀態
+   */
+  loadState() {
+    return readJSON(this.stateFile, {});
+  }
+
+  /**
+   * 儲存執行狀態（只寫入指定的工作，其他程序的更新保留）
+   * @param {string[]} names - 工作名稱
+   */
+  saveState(names) {
+    if (names.length === 0) return;
+
+    this.state = updateJSON(this.stateFile, {}, state => {
+      for (const name of names) {
+        state[name] = this.state[name];
+      }
+    });
+  }
+
+  /**
+   * 認領一次排程：狀態檔裡的 lastScheduled 還沒到這次排程才算認領成功
+   * @returns {boolean} 是否由這個程序執行
+   */
+  claim(name, scheduledAt) {
+    let claimed = false;
+
+    this.state = updateJSON(this.stateFile, {}, state => {
+      const lastScheduled = state[name]?.lastScheduled;
+      if (lastScheduled && new Date(lastScheduled) >= scheduledAt) return;
+
+      state[name] = { ...state[name], lastScheduled: scheduledAt.toISOString() };
+      claimed = true;
+    });
+    return claimed;
+  }
+
+  /**
+   * 新增工作
+   */
+  add(job) {
+    if (!job.name || !job.schedule || typeof job.run !== 'function') {
+      throw new Error('工作需要 name、schedule 和 run');
+    }
+
+    this.jobs.set(job.name, {
+      catchUp: true,
+      description: '',
+      timezone: null,
+      ...job,
+      cron: parseCron(job.schedule),
+    });
+    return this;
+  }
+
+  /**
+   * 寫入工作記錄
+   */
+  log(name, message) {
+    fs.mkdirSync(this.logDir, { recursive: true });
+    const file = path.join(this.logDir, `${name}.log`);
+
+    if (fs.existsSync(file) && fs.statSync(file).size > MAX_LOG_SIZE) {
+      fs.renameSync(file, `${file}.1`);
+    }
+
+    fs.appendFileSync(file, `[${this.now().toISOString()}] ${message}\n`);
+  }
+
+  /**
+   * 讀取工作記錄（最後幾行）
+   */
+  readLog(name, lines = 20) {
+    const file = path.join(this.logDir, `${name}.log`);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf-8').trim().split('\n').slice(-lines);
+  }
+
+  /**
+   * 判斷工作是否該執行
+   * @returns {{ due: boolean, scheduledAt: Date|null, missed: boolean }}
+   */
+  checkDue(job, now) {
+    const scheduledAt = previousRun(job.cron, now, job.timezone);
+    const jobState = this.state[job.name];
+
+    if (!scheduledAt) {
+      return { due: false, scheduledAt: null, missed: false };
+    }
+
+    // 第一次看到這個工作：記錄基準時間，不立即執行
+    if (!jobState?.lastScheduled) {
+      this.state[job.name] = { ...jobState, lastScheduled: scheduledAt.toISOString() };
+      return { due: false, scheduledAt, missed: false };
+    }
+
+    if (new Date(jobState.lastScheduled) >= scheduledAt) {
+      return { due: false, scheduledAt, missed: false };
+    }
+
+    const late = now - scheduledAt > ON_TIME_GRACE_MS;
+    return { due: job.catchUp || !late, scheduledAt, missed: late };
+  }
+
+  /**
+   * 執行工作
+   * @param {string} name - 工作名稱
+   * @param {Object} options - { scheduledAt, missed }
+   */
+  async runJob(name, { scheduledAt = null, missed = false } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`找不到工作: ${name}`);
+    }
+    if (this.running.has(name)) {
+      this.log(name, '⏭️ 上次執行尚未結束，略過');
+      return { name, status: 'skipped' };
+    }
+
+    this.running.add(name);
+    const startedAt = this.now();
+    const jobState = this.state[name] || {};
+
+    if (missed) {
+      this.log(name, `🔁 補跑錯過的排程 ${scheduledAt.toISOString()}`);
+    }
+
+    let status = 'success';
+    let output = null;
+    let error = null;
+
+    try {
+      output = await job.run({ name, scheduledAt, missed, log: message => this.log(name, message) });
+    } catch (e) {
+      status = 'failed';
+      error = e.message;
+    } finally {
+      this.running.delete(name);
+    }
+
+    const duration = this.now() - startedAt;
+
+    this.state[name] = {
+      ...jobState,
+      lastRun: startedAt.toISOString(),
+      lastScheduled: scheduledAt ? scheduledAt.toISOString() : jobState.lastScheduled || null,
+      lastStatus: status,
+      lastError: error,
+      lastDuration: duration,
+      runs: (jobState.runs || 0) + 1,
+      failures: (jobState.failures || 0) + (status === 'failed' ? 1 : 0),
+    };
+    this.saveState([name]);
+
+    if (status === 'failed') {
+      this.log(name, `❌ 失敗 (${duration}ms): ${error}`);
+    } else {
+      this.log(name, `✅ 完成 (${duration}ms)${output != null ? `\n${String(output)}` : ''}`);
+    }
+
+    return { name, status, output, error, duration, missed };
+  }
+
+  /**
+   * 檢查並執行到期的工作
+   * @returns {Promise<Object[]>} 執行結果
+   */
+  async tick() {
+    const now = this.now();
+    const results = [];
+    const changed = [];
+
+    // 其他程序可能已執行過
+    this.state = this.loadState();
+
+    for (const job of this.jobs.values()) {
+      const before = this.state[job.name];
+      const { due, scheduledAt, missed } = this.checkDue(job, now);
+
+      if (due) {
+        if (this.claim(job.name, scheduledAt)) {
+          results.push(await this.runJob(job.name, { scheduledAt, missed }));
+        }
+      } else if (scheduledAt && missed === true) {
+        // 不補跑的工作：記錄略過
+        this.state[job.name] = { ...this.state[job.name], lastScheduled: scheduledAt.toISOString(), lastStatus: 'skipped' };
+        this.log(job.name, `⏭️ 略過錯過的排程 ${scheduledAt.toISOString()}`);
+        changed.push(job.name);
+      } else if (this.state[job.name] !== before) {
+        // 第一次看到的工作：記錄基準時間
+        changed.push(job.name);
+      }
+    }
+
+    this.saveState(changed);
+    return results;
+  }
+
+  /**
+   * 開始定時檢查
+   * @param {number} intervalMs - 檢查間隔（預設 30 秒）
+   */
+  start(intervalMs = 30 * 1000) {
+    if (this.timer) return this;
+
+    const run = () => this.tick().catch(e => console.error('Scheduler error:', e.message));
+    run();
+    this.timer = setInterval(run, intervalMs);
+    return this;
+  }
+
+  /**
+   * 停止
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 所有工作的狀態
+   */
+  getStatus() {
+    const now = this.now();
+
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      timezone: job.timezone,
+      catchUp: job.catchUp,
+      nextRun: nextRun(job.cron, now, job.timezone)?.toISOString() || null,
+      running: this.running.has(job.name),
+      ...this.state[job.name],
+    }));
+  }
+}
+
+module.exports = {
+  Scheduler,
+  parseCron,
+  matchesCron,
+  previousRun,
+  nextRun,
+  getZonedParts,
+};
@@ -0,0 +1,275 @@
+/**
+ * 工具 Schema
+ *
+ * 以 JSON Schema 描述工具箱函數的參數，
+ * 負責參數驗證，並輸出 JSON Schema / OpenAI function calling 格式
+ *
+ * 工具定義格式：
+ *   {
+ *     description: '貨幣換算',
+ *     project: 'forex-tracker',
+ *     params: { amount: { type: 'number' }, ... },  // 依函數參數順序
+ *     required: ['amount'],
+ *     oneOf: ['above', 'below'],                     // 至少需要其中一個（選用）
+ *     returns: { type: 'result', resultType: 'forex.convert', description: '...' },
+ *   }
+ */
+
+/**
+ * 取得值的 JSON Schema 類型
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * 型別是否相符（integer 也算 number）
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * 驗證單一值，並做基本的正規化（數字字串轉數字、代碼轉大寫）
+ * @returns {{ value: *, errors: string[] }}
+ */
+function validateValue(value, schema, name) {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+
+  // 數字字串 → 數字
+  if (typeof value === 'string' && value.trim() !== '' && !types.includes('string') &&
+      (types.includes('number') || types.includes('integer')) && !isNaN(Number(value))) {
+    value = Number(value);
+  }
+
+  if (types.length > 0 && !types.some(t => matchesType(value, t))) {
+    errors.push(`${name} 應為 ${types.join(' 或 ')}，收到 ${typeOf(value)}`);
+    return { value, errors };
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const upper = typeof value === 'string' ? value.toUpperCase() : value;
+    if (schema.enum.includes(upper)) {
+      value = upper;
+    } else {
+      errors.push(`${name} 必須是 ${schema.enum.join(', ')} 其中之一，收到 ${value}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${name} 不可為空`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${name} 格式不正確: ${value}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push(`${name} 必須是有限數字`);
+    }
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(`${name} 不可小於 ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      errors.push(`${name} 必須大於 ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(`${name} 不可大於 ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value = value.map((item, i) => {
+      const result = validateValue(item, schema.items, `${name}[${i}]`);
+      errors.push(...result.errors);
+      return result.value;
+    });
+  }
+
+  // 物件：properties 為已知欄位，additionalProperties 為其他欄位的 schema（如以代碼為鍵的持倉）
+  if (typeOf(value) === 'object' && (schema.properties || schema.required || typeof schema.additionalProperties === 'object')) {
+    value = { ...value };
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${name}.${key} 為必要欄位`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemSchema = schema.properties?.[key] ||
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (!itemSchema || item === undefined) continue;
+      const result = validateValue(item, itemSchema, `${name}.${key}`);
+      errors.push(...result.errors);
+      value[key] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * 驗證依位置傳入的參數
+ * @param {Object} def - 工具定義
+ * @param {Array} args - 函數參數
+ * @returns {{ args: Array, errors: string[] }}
+ */
+function validateArgs(def, args) {
+  const names = Object.keys(def.params || {});
+  const required = def.required || [];
+  const errors = [];
+  const normalized = [...args];
+
+  names.forEach((name, i) => {
+    const schema = def.params[name];
+    const value = args[i];
+
+    if (schema.rest) return; // 剩餘參數不驗證
+
+    if (value === undefined) {
+      if (required.includes(name)) errors.push(`缺少必要參數 ${name}`);
+      return;
+    }
+
+    const result = validateValue(value, schema, name);
+    normalized[i] = result.value;
+    errors.push(...result.errors);
+  });
+
+  if (def.oneOf && def.oneOf.every(name => args[names.indexOf(name)] == null)) {
+    errors.push(`至少需要提供 ${def.oneOf.join(' 或 ')} 其中之一`);
+  }
+
+  return { args: normalized, errors };
+}
+
+/**
+ * 將具名參數物件轉為依位置排列的參數
+ */
+function argsFromObject(def, params = {}) {
+  const names = Object.keys(def.params || {});
+  const args = names.map(name => params[name]);
+
+  // 剩餘參數展開
+  const last = names[names.length - 1];
+  if (last && def.params[last].rest) {
+    args.pop();
+    args.push(...(params[last] || []));
+  }
+
+  // 去掉尾端未提供的參數，讓函數的預設值生效
+  while (args.length > 0 && args[args.length - 1] === undefined) {
+    args.pop();
+  }
+
+  return args;
+}
+
+/**
+ * 將字串參數（查詢字串、命令列旗標）依 schema 轉為對應型別
+ * 陣列以逗號分隔，布林值接受 true/false/1/0，物件為 JSON，數字交給 validateValue 處理
+ * @param {Iterable<[string, string]>} entries - [名稱, 字串值]
+ * @param {Object} properties - 工具參數的 JSON Schema properties
+ */
+function parseStringParams(entries, properties = {}) {
+  const params = {};
+
+  for (const [key, value] of entries) {
+    const types = [].concat(properties[key]?.type || []);
+
+    if (typeof value !== 'string') {
+      params[key] = value;
+    } else if (types.includes('array')) {
+      params[key] = value.split(',').map(v => v.trim()).filter(Boolean);
+    } else if (types.includes('boolean') && ['true', '1', 'false', '0'].includes(value)) {
+      params[key] = value === 'true' || value === '1';
+    } else if (types.includes('object')) {
+      // 無法解析時保留字串，由驗證回報型別錯誤
+      try {
+        params[key] = JSON.parse(value);
+      } catch (e) {
+        params[key] = value;
+      }
+    } else {
+      params[key] = value;
+    }
+  }
+
+  return params;
+}
+
+/**
+ * 移除非 JSON Schema 標準的欄位
+ */
+function cleanSchema(schema) {
+  const { rest, ...clean } = schema;
+  if (rest) {
+    return { type: 'array', description: clean.description, items: clean.items || {} };
+  }
+  if (clean.items) clean.items = cleanSchema(clean.items);
+  return clean;
+}
+
+/**
+ * 工具參數的 JSON Schema
+ */
+function toParameters(def) {
+  const properties = {};
+  for (const [name, schema] of Object.entries(def.params || {})) {
+    properties[name] = cleanSchema(schema);
+  }
+
+  const parameters = {
+    type: 'object',
+    properties,
+    required: def.required || [],
+    additionalProperties: false,
+  };
+
+  if (def.oneOf) {
+    parameters.anyOf = def.oneOf.map(name => ({ required: [name] }));
+  }
+
+  return parameters;
+}
+
+/**
+ * 完整工具描述（JSON Schema）
+ */
+function toToolSchema(name, def) {
+  return {
+    name,
+    description: def.description,
+    project: def.project || null,
+    parameters: toParameters(def),
+    returns: def.returns || null,
+  };
+}
+
+/**
+ * OpenAI function calling 格式
+ */
+function toOpenAITool(name, def) {
+  return {
+    type: 'function',
+    function: {
+      name,
+      description: def.description,
+      parameters: toParameters(def),
+    },
+  };
+}
+
+module.exports = {
+  validateValue,
+  validateArgs,
+  argsFromObject,
+  parseStringParams,
+  toParameters,
+  toToolSchema,
+  toOpenAITool,
+};
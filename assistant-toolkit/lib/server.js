@@ -0,0 +1,343 @@
+/**
+ * HTTP API 伺服器
+ *
+ * 將工具箱函數包裝成 REST 路由，讓家中自動化和手機捷徑不用 Node 也能調用
+ *
+ * 回應格式：
+ *   { ok: true, type, data, generatedAt, rendered? }
+ *   { ok: false, error: { code, message, ... } }
+ *
+ * 加上 ?format=markdown|text|html 會多回傳 rendered（渲染後的文字）
+ * 加上 ?profile=margaret（或 X-Assistant-Profile 標頭）以該成員的個人設定執行
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const { isResult, isError, render } = require('./result');
+const { parseStringParams } = require('./schema');
+
+// 請求內容上限
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// 錯誤代碼對應的 HTTP 狀態碼
+const STATUS_CODES = {
+  INVALID_ARGUMENTS: 400,
+  INVALID_JSON: 400,
+  INVALID_TRANSACTION: 400,
+  INVALID_ALERT: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  HISTORY_UNAVAILABLE: 404,
+  UNKNOWN_TOOL: 404,
+  UNKNOWN_PROFILE: 404,
+  METHOD_NOT_ALLOWED: 405,
+  INSUFFICIENT_SHARES: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  MODULE_NOT_LOADED: 503,
+  CAPABILITY_UNAVAILABLE: 503,
+};
+
+// 路由表：[方法, 路徑, 工具名稱]
+const ROUTES = [
+  // 投資
+  ['GET', '/api/stocks/quotes', 'getStockQuotes'],
+  ['GET', '/api/stocks/:symbol/indicators', 'getIndicators'],
+  ['GET', '/api/portfolio', 'getPortfolio'],
+  ['GET', '/api/portfolio/summary', 'getPortfolioSummary'],
+  ['GET', '/api/portfolio/performance', 'getPortfolioReturns'],
+  ['GET', '/api/portfolio/transactions', 'getTransactions'],
+  ['POST', '/api/portfolio/transactions', 'recordTransaction'],
+  ['POST', '/api/portfolio/:symbol/buy', 'buyStock'],
+  ['POST', '/api/portfolio/:symbol/sell', 'sellStock'],
+  ['POST', '/api/alerts', 'setPriceAlert'],
+  ['POST', '/api/alerts/rules', 'setAlertRule'],
+  ['GET', '/api/alerts/check', 'checkAlerts'],
+
+  // 新聞
+  ['GET', '/api/news', 'getNewsQuick'],
+  ['GET', '/api/news/topics', 'getNewsTopics'],
+
+  // 簡報
+  ['GET', '/api/briefing/morning', 'getMorningBriefing'],
+  ['GET', '/api/briefing/quick', 'getQuickBriefing'],
+  ['GET', '/api/briefing/status', 'getStatusCheck'],
+  ['GET', '/api/weather', 'getWeather'],
+  ['GET', '/api/calendar/today', 'getTodayCalendar'],
+
+  // 穩定幣
+  ['GET', '/api/stablecoins', 'getStablecoinReport'],
+  ['GET', '/api/stablecoins/brief', 'getStablecoinBrief'],
+  ['GET', '/api/stablecoins/depeg', 'checkStablecoinDepeg'],
+
+  // RWA
+  ['GET', '/api/rwa', 'getRWAOverview'],
+  ['GET', '/api/rwa/brief', 'getRWABrief'],
+  ['GET', '/api/rwa/work', 'getRWAWorkBrief'],
+  ['GET', '/api/rwa/treasuries', 'getTreasuriesReport'],
+
+  // 匯率
+  ['GET', '/api/forex', 'getForexReport'],
+  ['GET', '/api/forex/brief', 'getForexBrief'],
+  ['GET', '/api/forex/convert', 'convertCurrency'],
+  ['GET', '/api/forex/usdtwd', 'getUsdTwdRate'],
+
+  // 加密貨幣
+  ['GET', '/api/crypto', 'getCryptoBrief'],
+  ['GET', '/api/crypto/report', 'getCryptoReport'],
+  ['GET', '/api/crypto/:symbol', 'getCoinPrice'],
+
+  // 市場儀表板
+  ['GET', '/api/market', 'getMarketReport'],
+  ['GET', '/api/market/brief', 'getMarketBrief'],
+  ['GET', '/api/market/work', 'getFintechWorkReport'],
+
+  // 記憶搜尋
+  ['GET', '/api/memory/search', 'searchMemoryBrief'],
+  ['GET', '/api/memory/stats', 'getMemoryStats'],
+  ['POST', '/api/memory/rebuild', 'rebuildMemoryIndex'],
+
+  // 台灣 Fintech / 法律新聞
+  ['GET', '/api/taiwan-fintech', 'getTaiwanFintechOverview'],
+  ['GET', '/api/taiwan-fintech/work', 'getTaiwanFintechReport'],
+  ['GET', '/api/legal', 'getLegalNewsOverview'],
+  ['GET', '/api/legal/work', 'getLegalWorkReport'],
+
+  // 故事時間
+  ['GET', '/api/story', 'tellStory'],
+  ['GET', '/api/story/goodnight', 'goodNightTim'],
+
+  // 系統狀態 / 快速問答
+  ['GET', '/api/system', 'getSystemStatus'],
+  ['GET', '/api/system/health', 'getHealthCheck'],
+  ['GET', '/api/ask', 'answerQuestion'],
+  ['GET', '/api/status/quick', 'getQuickStatus'],
+
+  // 個人設定
+  ['GET', '/api/profile', 'getProfile'],
+  ['GET', '/api/profile/:id', 'getProfile'],
+
+  // 綜合
+  ['GET', '/api/summary/daily', 'getDailySummary'],
+  ['GET', '/api/toolkit/status', 'getToolkitStatus'],
+  ['GET', '/api/capabilities', 'listCapabilities'],
+].map(([method, path, tool]) => ({ method, path, tool, segments: path.split('/').filter(Boolean) }));
+
+/**
+ * 比對路由，回傳路由和路徑參數
+ * @throws INVALID_ARGUMENTS 路徑參數的百分比編碼不正確（如 %E0）
+ */
+function matchRoute(routes, method, pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  let pathMatched = false;
+
+  for (const route of routes) {
+    if (route.segments.length !== segments.length) continue;
+
+    const params = {};
+    const matched = route.segments.every((segment, i) => {
+      if (segment.startsWith(':')) {
+        try {
+          params[segment.slice(1)] = decodeURIComponent(segments[i]);
+        } catch {
+          throw Object.assign(new Error(`路徑參數的編碼不正確: ${segments[i]}`), { code: 'INVALID_ARGUMENTS' });
+        }
+        return true;
+      }
+      return segment === segments[i];
+    });
+
+    if (!matched) continue;
+    pathMatched = true;
+    if (route.method === method) return { route, params };
+  }
+
+  return pathMatched ? { methodNotAllowed: true } : null;
+}
+
+/**
+ * 將查詢字串轉為工具參數（依 schema 的型別處理陣列和布林值）
+ * @param {URLSearchParams} searchParams
+ * @param {Object} properties - 工具參數的 JSON Schema properties
+ */
+function queryToParams(searchParams, properties = {}) {
+  const entries = [...searchParams].filter(([key]) => key !== 'format' && key !== 'profile');
+  return parseStringParams(entries, properties);
+}
+
+/**
+ * 讀取 JSON 請求內容
+ * 超過大小上限時停止收集、丟棄其餘內容（不中斷連線，413 回應才送得出去）
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        tooLarge = true;
+        req.removeAllListeners('data');
+        req.resume();
+        reject(Object.assign(new Error('請求內容過大'), { code: 'PAYLOAD_TOO_LARGE' }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (tooLarge) return;
+      const body = Buffer.concat(chunks).toString('utf-8').trim();
+      if (!body) return resolve({});
+
+      try {
+        const parsed = JSON.parse(body);
+        if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+          throw new Error('內容必須是 JSON 物件');
+        }
+        resolve(parsed);
+      } catch (e) {
+        reject(Object.assign(new Error(`無效的 JSON: ${e.message}`), { code: 'INVALID_JSON' }));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 工具回傳值轉為回應內容
+ */
+function toResponse(value, format) {
+  if (isError(value)) {
+    return {
+      status: STATUS_CODES[value.code] || 500,
+      body: { ok: false, error: value.data },
+    };
+  }
+
+  const body = isResult(value)
+    ? { ok: true, ...value.toJSON() }
+    : { ok: true, type: null, data: value === undefined ? null : value };
+
+  if (format) {
+    body.format = format;
+    body.rendered = render(value, format);
+  }
+
+  // 健康檢查為 red 時回應 503，讓監控只看狀態碼也能判斷
+  const unhealthy = isResult(value) && value.type === 'system.health' && value.data.status === 'red';
+  return { status: unhealthy ? 503 : 200, body };
+}
+
+/**
+ * 錯誤回應
+ */
+function errorResponse(code, message, details = {}) {
+  return {
+    status: STATUS_CODES[code] || 500,
+    body: { ok: false, error: { code, message, ...details } },
+  };
+}
+
+/**
+ * 建立 HTTP 伺服器
+ * @param {Object} options
+ * @param {Object} options.toolkit - 工具箱模組（需提供 invokeTool / getToolSchemas）
+ * @param {string} options.token - API token（設定後需帶 Authorization: Bearer <token>）
+ * @param {string[]} options.formats - 可用的渲染格式
+ */
+function createServer({ toolkit, token = null, formats = ['markdown', 'text', 'html', 'json'] }) {
+  const schemas = new Map(toolkit.getToolSchemas().map(s => [s.name, s]));
+
+  /**
+   * 處理單一請求
+   */
+  async function handle(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const format = url.searchParams.get('format');
+    const profile = url.searchParams.get('profile') || req.headers['x-assistant-profile'] || null;
+
+    if (url.pathname === '/health') {
+      return { status: 200, body: { ok: true, status: 'up' } };
+    }
+
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return errorResponse('UNAUTHORIZED', '需要有效的 API token');
+    }
+
+    if (format && !formats.includes(format)) {
+      return errorResponse('INVALID_ARGUMENTS', `不支援的格式: ${format}（可用: ${formats.join(', ')}）`);
+    }
+
+    // 路由列表
+    if (req.method === 'GET' && (url.pathname === '/api' || url.pathname === '/api/')) {
+      return {
+        status: 200,
+        body: {
+          ok: true,
+          routes: ROUTES.map(r => ({ method: r.method, path: r.path, tool: r.tool })),
+        },
+      };
+    }
+
+    // 工具 schema 和通用調用
+    if (req.method === 'GET' && url.pathname === '/api/tools') {
+      return { status: 200, body: { ok: true, tools: [...schemas.values()] } };
+    }
+
+    const toolMatch = url.pathname.match(/^\/api\/tools\/([A-Za-z]+)$/);
+    if (toolMatch) {
+      if (req.method !== 'POST') {
+        return errorResponse('METHOD_NOT_ALLOWED', `${url.pathname} 只接受 POST`);
+      }
+      const body = await readBody(req);
+      return toResponse(await toolkit.invokeTool(toolMatch[1], body, { profile }), format);
+    }
+
+    const match = matchRoute(ROUTES, req.method, url.pathname);
+    if (!match) {
+      return errorResponse('NOT_FOUND', `找不到路由: ${req.method} ${url.pathname}`);
+    }
+    if (match.methodNotAllowed) {
+      return errorResponse('METHOD_NOT_ALLOWED', `${url.pathname} 不支援 ${req.method}`);
+    }
+
+    const { route, params: pathParams } = match;
+    const properties = schemas.get(route.tool)?.parameters.properties;
+    const params = {
+      ...queryToParams(url.searchParams, properties),
+      ...(req.method === 'GET' ? {} : await readBody(req)),
+      ...pathParams,
+    };
+
+    return toResponse(await toolkit.invokeTool(route.tool, params, { profile }), format);
+  }
+
+  return http.createServer(async (req, res) => {
+    let response;
+
+    try {
+      response = await handle(req);
+    } catch (e) {
+      response = e.code && STATUS_CODES[e.code]
+        ? errorResponse(e.code, e.message)
+        : errorResponse('INTERNAL_ERROR', e.message);
+    }
+
+    const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+    // 請求內容沒有讀完，回應後關閉連線
+    if (response.status === STATUS_CODES.PAYLOAD_TOO_LARGE) headers.Connection = 'close';
+    res.writeHead(response.status, headers);
+    res.end(JSON.stringify(response.body));
+  });
+}
+
+module.exports = {
+  createServer,
+  matchRoute,
+  queryToParams,
+  ROUTES,
+  STATUS_CODES,
+};
@@ -0,0 +1,377 @@
+/**
+ * JSON 狀態檔的安全讀寫
+ *
+ * 所有還是 JSON 檔的狀態（寄件匣、排程狀態、設定檔、快取、新聞記錄…）都經過這裡：
+ *   - 寫入時先寫暫存檔再 rename，程式中斷不會留下寫到一半的檔案
+ *   - 讀取時檔案不存在回傳預設值，檔案損壞則拋出 STORAGE_CORRUPT（不會當作空的覆寫掉）
+ *   - updateJSON 在鎖定中讀取 → 修改 → 寫入，多個程序同時修改不會互相覆蓋
+ *
+ * 鎖是建議性的：<file>.lock 記錄持有的程序，程序已結束或超過 LOCK_STALE_MS 視為失效
+ * 失效的鎖先改名成唯一的檔名再確認、刪除，多個程序同時清除也不會刪到別人剛取得的新鎖
+ * 同一程序內可重複取得同一個鎖
+ * withLock 同步等待（上限 LOCK_SYNC_TIMEOUT_MS，避免長時間卡住事件迴圈），
+ * async 呼叫端用 withLockAsync 以計時器等待
+ *
+ * 備份：backupFile 複製到同目錄的 .backups/<檔名>.<時間>.bak，每個檔案保留最新 BACKUP_KEEP 份
+ * （資料稽核修復前會先備份，還原時取最新一份通過檢查的備份，見 lib/audit.js）
+ *
+ * 錯誤代碼：STORAGE_CORRUPT、STORAGE_LOCKED
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// 等待鎖的時間上限（withLockAsync）
+const LOCK_TIMEOUT_MS = 10 * 1000;
+
+// 同步等待鎖的時間上限（withLock 等待時整個程序停住，鎖內只做短暫的讀寫）
+const LOCK_SYNC_TIMEOUT_MS = 2 * 1000;
+
+// 鎖超過這個時間視為失效（持有者當掉）
+const LOCK_STALE_MS = 30 * 1000;
+
+// 等待鎖時的檢查間隔
+const LOCK_RETRY_MS = 25;
+
+// 寫入中的暫存檔：.<檔名>.<pid>.<隨機>.tmp
+const TEMP_FILE_PATTERN = /^\..+\.(\d+)\.[0-9a-f]{8}\.tmp$/;
+
+// 備份目錄（資料檔所在目錄下）和每個檔案保留的備份數
+const BACKUP_DIR = '.backups';
+const BACKUP_KEEP = 10;
+
+// 本程序持有的鎖（鎖檔 → 重複取得次數）
+const heldLocks = new Map();
+
+/**
+ * 儲存錯誤
+ * @param {string} code - STORAGE_CORRUPT / STORAGE_LOCKED
+ */
+function storageError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, ...details });
+}
+
+/**
+ * 同步等待（鎖的重試）
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 程序是否還在執行
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * 鎖是否失效：同一台機器上的持有程序已結束，或鎖檔太舊
+ */
+function isStaleLock(lockFile, staleMs) {
+  let stat;
+  try {
+    stat = fs.statSync(lockFile);
+  } catch (e) {
+    return false;
+  }
+
+  try {
+    const owner = JSON.parse(fs.readFileSync(lockFile, 'utf-8'));
+    if (owner.host === os.hostname() && owner.pid !== process.pid && !isAlive(owner.pid)) {
+      return true;
+    }
+  } catch (e) {
+    // 鎖檔還在寫入或已被釋放，只看時間
+  }
+
+  return Date.now() - stat.mtimeMs > staleMs;
+}
+
+/**
+ * 寫入檔案（暫存檔 + rename）
+ * @param {string} file - 檔案
+ * @param {string|Buffer} data - 內容
+ */
+function writeFileAtomic(file, data) {
+  const dir = path.dirname(file);
+  const tmp = path.join(dir, `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  try {
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * 讀取 JSON 檔
+ * @param {string} file - 檔案
+ * @param {*} defaultValue - 檔案不存在時的值
+ * @throws STORAGE_CORRUPT 檔案無法解析
+ */
+function readJSON(file, defaultValue = null) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return defaultValue;
+    throw e;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw storageError('STORAGE_CORRUPT', `${file} 無法解析: ${e.message}`, { file });
+  }
+}
+
+/**
+ * 寫入 JSON 檔（原子性）
+ * @param {string} file - 檔案
+ * @param {*} data - 內容
+ * @param {Object} options - { indent: 縮排（預設 2，0 表示不縮排）}
+ */
+function writeJSON(file, data, { indent = 2 } = {}) {
+  writeFileAtomic(file, JSON.stringify(data, null, indent || undefined) + (indent ? '\n' : ''));
+}
+
+/**
+ * 清除失效的鎖：先改名成唯一的檔名（只有一個程序會成功），確認改名的確實是失效的鎖才刪除
+ * 檢查到改名之間鎖已被換成新的時放回去（已有更新的鎖時不覆蓋）
+ */
+function breakStaleLock(lockFile, staleMs) {
+  const claimed = `${lockFile}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    fs.renameSync(lockFile, claimed);
+  } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw e;
+  }
+
+  if (!isStaleLock(claimed, staleMs)) {
+    try {
+      fs.linkSync(claimed, lockFile);
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+  }
+  fs.rmSync(claimed, { force: true });
+}
+
+/**
+ * 嘗試建立鎖檔（失效的鎖會先清除）
+ * @returns {string|null} 鎖的 token（鎖被其他程序持有時為 null）
+ */
+function tryAcquire(lockFile, staleMs) {
+  const token = crypto.randomBytes(8).toString('hex');
+  const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), token, acquiredAt: new Date().toISOString() });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockFile, owner, { flag: 'wx' });
+      return token;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    if (attempt > 0 || !isStaleLock(lockFile, staleMs)) break;
+    breakStaleLock(lockFile, staleMs);
+  }
+  return null;
+}
+
+/**
+ * 釋放鎖（鎖已被視為失效並由其他程序取得時不刪除）
+ */
+function release(lockFile, token) {
+  heldLocks.delete(lockFile);
+  try {
+    if (JSON.parse(fs.readFileSync(lockFile, 'utf-8')).token !== token) return;
+  } catch (e) {
+    return;
+  }
+  fs.rmSync(lockFile, { force: true });
+}
+
+/**
+ * 同一程序內已持有時直接執行
+ * @returns {Object|null} { result }（沒有持有時為 null）
+ */
+function runReentrant(lockFile, fn) {
+  if (!heldLocks.has(lockFile)) return null;
+  heldLocks.set(lockFile, heldLocks.get(lockFile) + 1);
+  try {
+    return { result: fn() };
+  } finally {
+    heldLocks.set(lockFile, heldLocks.get(lockFile) - 1);
+  }
+}
+
+function lockedError(file, lockFile) {
+  return storageError('STORAGE_LOCKED', `${path.basename(file)} 正被其他程序使用（${lockFile}）`, { file, lockFile });
+}
+
+/**
+ * 在鎖定中執行（跨程序，同步等待）
+ * @param {string} file - 要保護的檔案
+ * @param {Function} fn - 同步函數
+ * @param {Object} options - { timeout: 等待上限, stale: 失效時間 }
+ * @throws STORAGE_LOCKED 等待逾時
+ */
+function withLock(file, fn, { timeout = LOCK_SYNC_TIMEOUT_MS, stale = LOCK_STALE_MS } = {}) {
+  const lockFile = `${path.resolve(file)}.lock`;
+  const reentrant = runReentrant(lockFile, fn);
+  if (reentrant) return reentrant.result;
+
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+  const deadline = Date.now() + timeout;
+  let token;
+
+  while (!(token = tryAcquire(lockFile, stale))) {
+    if (Date.now() >= deadline) throw lockedError(file, lockFile);
+    sleepSync(LOCK_RETRY_MS);
+  }
+
+  heldLocks.set(lockFile, 1);
+  try {
+    return fn();
+  } finally {
+    release(lockFile, token);
+  }
+}
+
+/**
+ * 在鎖定中執行（跨程序，等待時不卡住事件迴圈）
+ * fn 仍是同步函數，鎖不會在 await 之間被本程序的其他工作當成可重複取得
+ * @param {string} file - 要保護的檔案
+ * @param {Function} fn - 同步函數
+ * @param {Object} options - { timeout: 等待上限, stale: 失效時間 }
+ * @returns {Promise<*>} fn 的回傳值
+ * @throws STORAGE_LOCKED 等待逾時
+ */
+async function withLockAsync(file, fn, { timeout = LOCK_TIMEOUT_MS, stale = LOCK_STALE_MS } = {}) {
+  const lockFile = `${path.resolve(file)}.lock`;
+  const reentrant = runReentrant(lockFile, fn);
+  if (reentrant) return reentrant.result;
+
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+  const deadline = Date.now() + timeout;
+  let token;
+
+  while (!(token = tryAcquire(lockFile, stale))) {
+    if (Date.now() >= deadline) throw lockedError(file, lockFile);
+    await sleep(LOCK_RETRY_MS);
+  }
+
+  heldLocks.set(lockFile, 1);
+  try {
+    return fn();
+  } finally {
+    release(lockFile, token);
+  }
+}
+
+/**
+ * 讀取 → 修改 → 寫入（在鎖定中完成）
+ * @param {string} file - 檔案
+ * @param {*} defaultValue - 檔案不存在時的初始值
+ * @param {Function} update - (data) => 新的資料（直接修改 data 時可不回傳）
+ * @param {Object} options - { indent, timeout, stale }
+ * @returns {*} 寫入的資料
+ */
+function updateJSON(file, defaultValue, update, { indent = 2, ...lockOptions } = {}) {
+  return withLock(file, () => {
+    const data = readJSON(file, defaultValue);
+    const result = update(data);
+    const next = result === undefined ? data : result;
+    writeJSON(file, next, { indent });
+    return next;
+  }, lockOptions);
+}
+
+/**
+ * 檔案的備份（由新到舊）
+ * @param {string} file - 資料檔
+ * @returns {Object[]} [{ file: 備份檔, createdAt, size }]
+ */
+function listBackups(file) {
+  const dir = path.join(path.dirname(file), BACKUP_DIR);
+  const prefix = `${path.basename(file)}.`;
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => name.startsWith(prefix) && name.endsWith('.bak'))
+    .sort()
+    .reverse()
+    .map((name) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return { file: path.join(dir, name), createdAt: stat.mtime.toISOString(), size: stat.size };
+    });
+}
+
+/**
+ * 備份檔案（只保留最新 keep 份）
+ * @param {string} file - 資料檔
+ * @param {Object} options - { keep: 保留份數 }
+ * @returns {string|null} 備份檔（資料檔不存在時為 null）
+ */
+function backupFile(file, { keep = BACKUP_KEEP } = {}) {
+  if (!fs.existsSync(file)) return null;
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const target = path.join(path.dirname(file), BACKUP_DIR, `${path.basename(file)}.${stamp}.bak`);
+  writeFileAtomic(target, fs.readFileSync(file));
+
+  for (const old of listBackups(file).slice(keep)) {
+    fs.rmSync(old.file, { force: true });
+  }
+  return target;
+}
+
+/**
+ * 從備份還原（在鎖定中寫入）
+ * @param {string} file - 資料檔
+ * @param {string} backup - 備份檔（listBackups 的 file）
+ */
+function restoreBackup(file, backup) {
+  withLock(file, () => writeFileAtomic(file, fs.readFileSync(backup)));
+}
+
+module.exports = {
+  readJSON,
+  writeJSON,
+  writeFileAtomic,
+  withLock,
+  withLockAsync,
+  updateJSON,
+  isStaleLock,
+  listBackups,
+  backupFile,
+  restoreBackup,
+  TEMP_FILE_PATTERN,
+  BACKUP_DIR,
+  LOCK_TIMEOUT_MS,
+  LOCK_SYNC_TIMEOUT_MS,
+  LOCK_STALE_MS,
+};
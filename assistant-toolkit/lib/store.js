@@ -0,0 +1,365 @@
+/**
+ * 共用資料庫（SQLite）
+ *
+ * 投資交易記錄、組合快照、日線、警報、穩定幣 / 匯率歷史和文章知識庫都存在同一個資料庫
+ * （設定 store.file，預設 data/assistant.db），取代整檔覆寫的 JSON：
+ *   - 每次寫入都在交易中完成，程式中斷不會留下寫到一半的檔案
+ *   - 資料庫無法讀取時拋出錯誤，不會默默回傳空的投資組合
+ *
+ * 結構變更以編號遞增的 migration 記錄（schema_migrations），開啟時自動套用
+ * 第一次開啟時會匯入舊的 JSON 檔（lib/importer.js），匯入記錄在 imports
+ *
+ * 快取（lib/cache.js）仍是檔案：可以隨時重建，不需要交易
+ *
+ * 用法：
+ *   const { positions } = require('./repositories');
+ *   positions.list();
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 結構版本：只能新增，不能修改已發布的 migration
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'portfolio-and-alerts',
+    up: `
+      CREATE TABLE positions (
+        symbol TEXT PRIMARY KEY,
+        shares REAL NOT NULL,
+        cost_basis REAL NOT NULL,
+        total_cost REAL NOT NULL,
+        note TEXT NOT NULL DEFAULT '',
+        added_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE alerts (
+        id TEXT PRIMARY KEY,
+        symbol TEXT NOT NULL,
+        above REAL,
+        below REAL,
+        note TEXT NOT NULL DEFAULT '',
+        enabled INTEGER NOT NULL DEFAULT 1,
+        triggered TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX alerts_symbol ON alerts (symbol);
+    `,
+  },
+  {
+    version: 2,
+    name: 'history',
+    up: `
+      CREATE TABLE history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        series TEXT NOT NULL,
+        recorded_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX history_series_time ON history (series, recorded_at);
+    `,
+  },
+  {
+    version: 3,
+    name: 'articles',
+    up: `
+      CREATE TABLE articles (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        url TEXT,
+        category TEXT,
+        summary TEXT,
+        notion_page_id TEXT,
+        notion_url TEXT,
+        key_points TEXT NOT NULL DEFAULT '[]',
+        saved_at TEXT NOT NULL,
+        data TEXT NOT NULL DEFAULT '{}'
+      );
+      CREATE INDEX articles_url ON articles (url);
+
+      CREATE TABLE article_tags (
+        article_id TEXT NOT NULL REFERENCES articles (id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (article_id, tag)
+      );
+      CREATE INDEX article_tags_tag ON article_tags (tag);
+    `,
+  },
+  {
+    version: 4,
+    name: 'transactions',
+    // 持倉改由交易記錄計算，原本的持倉轉為期初買進
+    up: `
+      CREATE TABLE transactions (
+        id TEXT PRIMARY KEY,
+        symbol TEXT NOT NULL,
+        type TEXT NOT NULL,
+        date TEXT NOT NULL,
+        shares REAL NOT NULL DEFAULT 0,
+        price REAL NOT NULL DEFAULT 0,
+        amount REAL NOT NULL DEFAULT 0,
+        fee REAL NOT NULL DEFAULT 0,
+        ratio REAL,
+        note TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX transactions_symbol_date ON transactions (symbol, date);
+
+      INSERT INTO transactions (id, symbol, type, date, shares, price, note, created_at)
+      SELECT 'opening-' || symbol, symbol, 'buy', substr(added_at, 1, 10), shares, cost_basis, '期初持倉', added_at
+      FROM positions WHERE shares > 0;
+    `,
+  },
+  {
+    version: 5,
+    name: 'transaction-currency',
+    // 交易的貨幣和當時的匯率（fx_rate 為 1 單位交易貨幣換成 fx_base 的金額），台股原本只可能以 .TW 記錄
+    up: `
+      ALTER TABLE transactions ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
+      ALTER TABLE transactions ADD COLUMN fx_rate REAL;
+      ALTER TABLE transactions ADD COLUMN fx_base TEXT;
+      UPDATE transactions SET currency = 'TWD' WHERE symbol LIKE '%.TW' OR symbol LIKE '%.TWO';
+    `,
+  },
+  {
+    version: 6,
+    name: 'portfolio-snapshots',
+    // 每日組合市值（基準貨幣），flow 為上一筆快照之後的淨投入
+    up: `
+      CREATE TABLE portfolio_snapshots (
+        date TEXT PRIMARY KEY,
+        currency TEXT NOT NULL,
+        value REAL NOT NULL,
+        cost REAL NOT NULL,
+        flow REAL NOT NULL DEFAULT 0,
+        positions TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 7,
+    name: 'price-history',
+    // 日線（報價只保留 5 天，技術指標需要更長的歷史）
+    up: `
+      CREATE TABLE price_history (
+        symbol TEXT NOT NULL,
+        date TEXT NOT NULL,
+        open REAL,
+        high REAL,
+        low REAL,
+        close REAL NOT NULL,
+        adj_close REAL,
+        volume REAL,
+        PRIMARY KEY (symbol, date)
+      );
+    `,
+  },
+  {
+    version: 8,
+    name: 'alert-rules',
+    // 警報條件（JSON，沒有時由 above / below 產生）、冷卻分鐘數和追蹤停損的高點
+    up: `
+      ALTER TABLE alerts ADD COLUMN rule TEXT;
+      ALTER TABLE alerts ADD COLUMN cooldown INTEGER NOT NULL DEFAULT 60;
+      ALTER TABLE alerts ADD COLUMN state TEXT NOT NULL DEFAULT '{}';
+    `,
+  },
+];
+
+/**
+ * 資料庫錯誤
+ * @param {string} code - STORE_UNAVAILABLE / STORE_MIGRATION
+ */
+function storeError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, ...details });
+}
+
+/**
+ * 載入 SQLite 驅動（assistant-toolkit 的 better-sqlite3）
+ */
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (e) {
+    throw storeError('STORE_UNAVAILABLE', `無法載入 better-sqlite3（請在 assistant-toolkit 執行 npm install）: ${e.message}`);
+  }
+}
+
+class Store {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - 資料庫檔案（':memory:' 為記憶體資料庫，測試用）
+   * @param {Object[]} options.migrations - 結構版本
+   */
+  constructor({ file, migrations = MIGRATIONS } = {}) {
+    const Database = loadDriver();
+
+    if (file !== ':memory:') {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+
+    this.file = file;
+    this.migrations = migrations;
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.pragma('busy_timeout = 5000');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS imports (
+        source TEXT PRIMARY KEY,
+        file TEXT NOT NULL,
+        rows INTEGER NOT NULL,
+        imported_at TEXT NOT NULL
+      );
+    `);
+  }
+
+  /**
+   * 目前的結構版本
+   */
+  version() {
+    return this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  }
+
+  /**
+   * 尚未套用的 migration
+   */
+  pending() {
+    const current = this.version();
+    return this.migrations.filter(m => m.version > current).sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * 套用尚未套用的 migration（每個版本一個交易，失敗時停在上一個版本）
+   * @returns {Object[]} 這次套用的版本
+   */
+  migrate() {
+    const applied = [];
+
+    for (const migration of this.pending()) {
+      try {
+        this.transaction(() => {
+          if (typeof migration.up === 'function') {
+            migration.up(this.db);
+          } else {
+            this.db.exec(migration.up);
+          }
+          this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+            .run(migration.version, migration.name, new Date().toISOString());
+        });
+      } catch (e) {
+        throw storeError('STORE_MIGRATION', `資料庫 migration ${migration.version}（${migration.name}）失敗: ${e.message}`, {
+          version: migration.version,
+        });
+      }
+      applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return applied;
+  }
+
+  /**
+   * 在交易中執行（例外時整個復原）
+   * @param {Function} fn - 同步函數
+   * @param {Object} options - { immediate: 開始時就取得寫入鎖（先讀後寫、要檢查讀到的資料時使用）}
+   */
+  transaction(fn, { immediate = false } = {}) {
+    const run = this.db.transaction(fn);
+    return immediate ? run.immediate() : run();
+  }
+
+  /**
+   * 查詢多筆
+   */
+  all(sql, ...params) {
+    return this.db.prepare(sql).all(...params);
+  }
+
+  /**
+   * 查詢一筆
+   */
+  get(sql, ...params) {
+    return this.db.prepare(sql).get(...params);
+  }
+
+  /**
+   * 執行寫入
+   */
+  run(sql, ...params) {
+    return this.db.prepare(sql).run(...params);
+  }
+
+  /**
+   * 資料庫狀態（版本、各資料表筆數、匯入記錄）
+   */
+  status() {
+    const tables = this.all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`)
+      .map(({ name }) => ({ name, rows: this.get(`SELECT COUNT(*) AS count FROM "${name}"`).count }));
+
+    return {
+      file: this.file,
+      version: this.version(),
+      latest: Math.max(0, ...this.migrations.map(m => m.version)),
+      migrations: this.all('SELECT version, name, applied_at AS appliedAt FROM schema_migrations ORDER BY version'),
+      tables,
+      imports: this.all('SELECT source, file, rows, imported_at AS importedAt FROM imports ORDER BY source'),
+    };
+  }
+
+  /**
+   * 關閉資料庫
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+// 共用資料庫（第一次使用時開啟）
+let defaultStore = null;
+
+/**
+ * 取得共用資料庫：套用 migration，並匯入尚未匯入的舊 JSON 檔
+ */
+function getStore() {
+  if (!defaultStore) {
+    const { getConfigValue } = require('./config');
+    const { importLegacyData } = require('./importer');
+
+    const store = new Store({ file: getConfigValue('store.file') });
+    store.migrate();
+
+    for (const result of importLegacyData(store)) {
+      if (result.status === 'error') {
+        console.warn(`⚠️ 無法匯入 ${result.file}: ${result.message}`);
+      }
+    }
+    defaultStore = store;
+  }
+  return defaultStore;
+}
+
+/**
+ * 替換共用資料庫（測試用）
+ * @param {Store|null} store
+ */
+function setStore(store) {
+  if (defaultStore && defaultStore !== store) defaultStore.close();
+  defaultStore = store;
+  return store;
+}
+
+module.exports = {
+  Store,
+  MIGRATIONS,
+  getStore,
+  setStore,
+};
@@ -0,0 +1,509 @@
+/**
+ * 工具定義
+ *
+ * 描述工具箱每個對外函數的參數、列舉值和回傳格式（格式見 lib/schema.js）
+ * 列舉值（貨幣、幣種、新聞主題）由已載入的專案提供
+ */
+
+// 股票代碼格式（如 TSLA、BRK.B、^GSPC）
+const TICKER_PATTERN = '^\\^?[A-Za-z0-9.\\-]{1,10}$';
+
+// 日期格式（YYYY-MM-DD）
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+/**
+ * 回傳 ToolResult 的格式描述
+ */
+function result(resultType, data, nullable = false) {
+  return { type: 'result', resultType, data, nullable };
+}
+
+/**
+ * 建立工具定義
+ * @param {Object} options
+ * @param {string[]} options.currencies - 支援的貨幣
+ * @param {string[]} options.coins - 追蹤的加密貨幣
+ * @param {string[]} options.newsTopics - 新聞主題
+ */
+function createToolDefinitions({ currencies = [], coins = [], newsTopics = [] } = {}) {
+  const currency = (description) => ({
+    type: 'string',
+    description,
+    ...(currencies.length > 0 && { enum: currencies }),
+  });
+  const amount = { type: 'number', exclusiveMinimum: 0, description: '金額' };
+  const memoryQuery = { type: 'string', minLength: 1, description: '搜尋查詢' };
+
+  return {
+    // 投資
+    getStockQuotes: {
+      description: '獲取股票報價',
+      project: 'investment-monitor',
+      params: {
+        symbols: {
+          type: 'array',
+          items: { type: 'string', pattern: TICKER_PATTERN },
+          description: '股票代碼（預設觀察清單）',
+        },
+      },
+      returns: result('stock.quotes', '{ symbols, quotes: { [symbol]: { price, change, changePercent } } }'),
+    },
+    getPortfolio: {
+      description: '獲取投資組合績效報告（總計換成基準貨幣，損益分價差和匯差）',
+      project: 'investment-monitor',
+      returns: result('portfolio.report', '{ currency, positions, totalCost, totalValue, totalGain, totalGainPercent, totalPriceGain, totalFxGain, realized }'),
+    },
+    getPortfolioSummary: {
+      description: '獲取投資組合摘要',
+      project: 'investment-monitor',
+      returns: result('portfolio.summary', '{ currency, positions, totalCost, totalValue, totalGain, totalGainPercent, totalPriceGain, totalFxGain, realized }'),
+    },
+    getPortfolioReturns: {
+      description: '獲取投資組合歷史報酬（時間加權 TWR、資金加權 XIRR、最大回檔、1W / 1M / YTD / 1Y 報酬）',
+      project: 'investment-monitor',
+      params: {
+        since: { type: 'string', pattern: '^(\\d{4}-\\d{2}-\\d{2}|1[WwMmYy]|[Yy][Tt][Dd])$', description: '起點：YYYY-MM-DD 或 1W / 1M / YTD / 1Y（預設全部）' },
+      },
+      returns: result('portfolio.returns', '{ currency, from, to, startValue, endValue, netFlow, gain, twr, xirr, maxDrawdown, periods }'),
+    },
+    getIndicators: {
+      description: '獲取技術指標（SMA / EMA、RSI、MACD、布林通道、52 週高低、ATR，由本地日線計算）',
+      project: 'investment-monitor',
+      params: {
+        symbol: { type: 'string', pattern: TICKER_PATTERN, description: '股票代碼' },
+      },
+      required: ['symbol'],
+      returns: result('stock.indicators', '{ symbol, date, close, sma20, sma50, sma200, ema12, ema26, rsi, macd, bollinger, week52, atr, atrPercent, previous, averageVolume20, bars, isStale }'),
+    },
+    buyStock: {
+      description: '記錄買進股票（持倉由交易記錄計算）',
+      project: 'investment-monitor',
+      params: {
+        symbol: { type: 'string', pattern: TICKER_PATTERN, description: '股票代碼' },
+        shares: { type: 'number', exclusiveMinimum: 0, description: '股數' },
+        price: { type: 'number', minimum: 0, description: '成交價（每股）' },
+        date: { type: 'string', pattern: DATE_PATTERN, description: '交易日 YYYY-MM-DD（預設今天）' },
+        fee: { type: 'number', minimum: 0, description: '手續費（計入成本）' },
+        fxRate: { type: 'number', exclusiveMinimum: 0, description: '當時匯率（1 單位交易貨幣換成基準貨幣，預設目前匯率）' },
+      },
+      required: ['symbol', 'shares', 'price'],
+      returns: result('portfolio.transaction', '{ transaction, position: { symbol, shares, costBasis, totalCost, lots, realized }, realized }'),
+    },
+    sellStock: {
+      description: '記錄賣出股票，回傳這筆的已實現損益',
+      project: 'investment-monitor',
+      params: {
+        symbol: { type: 'string', pattern: TICKER_PATTERN, description: '股票代碼' },
+        shares: { type: 'number', exclusiveMinimum: 0, description: '股數' },
+        price: { type: 'number', minimum: 0, description: '成交價（每股）' },
+        date: { type: 'string', pattern: DATE_PATTERN, description: '交易日 YYYY-MM-DD（預設今天）' },
+        fee: { type: 'number', minimum: 0, description: '手續費（從賣出金額扣除）' },
+        fxRate: { type: 'number', exclusiveMinimum: 0, description: '當時匯率（1 單位交易貨幣換成基準貨幣，預設目前匯率）' },
+      },
+      required: ['symbol', 'shares', 'price'],
+      returns: result('portfolio.transaction', '{ transaction, position, realized: { shares, proceeds, cost, gain, gainPercent, baseGain, fxGain } }'),
+    },
+    recordTransaction: {
+      description: '記錄其他交易：現金股利、股票分割、費用、轉入轉出',
+      project: 'investment-monitor',
+      params: {
+        type: { type: 'string', enum: ['buy', 'sell', 'dividend', 'split', 'fee', 'transfer'], description: '交易類型' },
+        symbol: { type: 'string', pattern: TICKER_PATTERN, description: '股票代碼' },
+        date: { type: 'string', pattern: DATE_PATTERN, description: '交易日 YYYY-MM-DD（預設今天）' },
+        shares: { type: 'number', description: '股數（buy / sell；transfer 正數轉入、負數轉出）' },
+        price: { type: 'number', minimum: 0, description: '每股價格（buy / sell；轉入時為每股成本，轉出時為當天市價）' },
+        amount: { type: 'number', exclusiveMinimum: 0, description: '金額（dividend / fee）' },
+        ratio: { type: 'number', exclusiveMinimum: 0, description: '分割比例（一拆二為 2，十股併一股為 0.1）' },
+        fee: { type: 'number', minimum: 0, description: '手續費' },
+        note: { type: 'string', description: '備註' },
+        currency: { type: 'string', pattern: '^[A-Za-z]{3}$', description: '交易貨幣（預設取報價，台股為 TWD）' },
+        fxRate: { type: 'number', exclusiveMinimum: 0, description: '當時匯率（1 單位交易貨幣換成基準貨幣，預設目前匯率）' },
+      },
+      required: ['type', 'symbol'],
+      returns: result('portfolio.transaction', '{ transaction, position, realized }'),
+    },
+    getTransactions: {
+      description: '獲取交易記錄和已實現損益',
+      project: 'investment-monitor',
+      params: {
+        symbol: { type: 'string', pattern: TICKER_PATTERN, description: '只列出某檔股票（預設全部）' },
+      },
+      returns: result('portfolio.transactions', '{ transactions, method, realized: [{ id, symbol, date, shares, proceeds, cost, gain }] }'),
+    },
+    setPriceAlert: {
+      description: '設定價格警報（高於或低於指定價格時通知）',
+      project: 'investment-monitor',
+      params: {
+        symbol: { type: 'string', pattern: TICKER_PATTERN, description: '股票代碼' },
+        above: { type: ['number', 'null'], exclusiveMinimum: 0, description: '高於此價格時通知' },
+        below: { type: ['number', 'null'], exclusiveMinimum: 0, description: '低於此價格時通知' },
+      },
+      required: ['symbol'],
+      oneOf: ['above', 'below'],
+      returns: result('alert.created', '{ id, symbol, above, below, note, enabled, createdAt }'),
+    },
+    setAlertRule: {
+      description: '設定條件警報（單日漲跌 %、相對成本 %、追蹤停損、成交量倍數、均線和 RSI 交叉，可用 all / any 組合，各自設定冷卻時間）',
+      project: 'investment-monitor',
+      params: {
+        symbol: { type: 'string', pattern: TICKER_PATTERN, description: '股票代碼' },
+        rule: {
+          type: 'object',
+          description: '條件，如 { "all": [{ "type": "change", "op": "below", "value": -5 }, { "type": "rsi", "cross": "below", "value": 30 }] }；' +
+            'type 可為 price / change / fromCost（op, value）、trailingStop（percent）、volume（multiple, days）、ma（average: sma20 / sma50 / sma200 / ema12 / ema26, cross）、rsi（cross, value）',
+        },
+        cooldown: { type: 'integer', minimum: 0, description: '觸發後多久不重複通知（分鐘，預設 60）' },
+        note: { type: 'string', description: '備註' },
+      },
+      required: ['symbol', 'rule'],
+      returns: result('alert.created', '{ id, symbol, rule, cooldown, note, enabled, createdAt }'),
+    },
+    checkAlerts: {
+      description: '檢查價格和條件警報（沒有觸發時回傳 null）',
+      project: 'investment-monitor',
+      returns: result('alert.triggered', '{ triggered: [{ alert, quote, trigger: { type, targetPrice, reasons, actualPrice, time } }] }', true),
+    },
+
+    // 新聞
+    getNewsTopics: {
+      description: '獲取 Fintech 新聞主題列表',
+      project: 'fintech-news',
+      returns: { type: 'array', description: '[{ id, name, priority, keywords }]' },
+    },
+    getNewsQuick: {
+      description: '獲取 Fintech 新聞快訊',
+      project: 'fintech-news',
+      returns: result('news.brief', '{ items }'),
+    },
+    processNewsResults: {
+      description: '處理新聞搜尋結果',
+      project: 'fintech-news',
+      params: {
+        results: { type: 'array', items: { type: 'object' }, description: '搜尋結果（title, url, description）' },
+        topic: {
+          type: 'string',
+          description: '新聞主題',
+          ...(newsTopics.length > 0 && { enum: newsTopics }),
+        },
+      },
+      required: ['results', 'topic'],
+      returns: { type: 'array', description: '[{ title, url, snippet, topic, source, fetchedAt, relevance }]' },
+    },
+    cacheNews: {
+      description: '快取新聞',
+      project: 'fintech-news',
+      params: {
+        items: { type: 'array', items: { type: 'object' }, description: '新聞項目' },
+      },
+      required: ['items'],
+      returns: { type: 'integer', description: '新增的新聞數量' },
+    },
+
+    // 簡報
+    getMorningBriefing: {
+      description: '獲取完整早晨簡報（天氣、行程、投資、新聞、市場）',
+      project: 'morning-briefing',
+      returns: result('briefing.morning', '{ greeting, sections: [{ id, title, content, data }] }'),
+    },
+    getQuickBriefing: {
+      description: '獲取快速簡報',
+      project: 'morning-briefing',
+      returns: result('briefing.quick', '{ symbols, quotes }'),
+    },
+    getWeather: {
+      description: '獲取天氣',
+      project: 'morning-briefing',
+      params: {
+        location: { type: 'string', minLength: 1, description: '地點（預設為設定的 weather.location）' },
+      },
+      returns: result('weather.current', '{ location, report }'),
+    },
+    getTodayCalendar: {
+      description: '獲取今日行程',
+      project: 'morning-briefing',
+      returns: result('calendar.today', '{ events }'),
+    },
+    getStatusCheck: {
+      description: '獲取狀態檢查（問候、天氣、提醒）',
+      project: 'morning-briefing',
+      returns: result('briefing.status', '{ greeting, weather, reminder }'),
+    },
+
+    // 穩定幣
+    getStablecoinReport: {
+      description: '獲取穩定幣市場報告',
+      project: 'stablecoin-tracker',
+      returns: result('stablecoin.report', '{ coins }'),
+    },
+    getStablecoinBrief: {
+      description: '獲取穩定幣簡短摘要',
+      project: 'stablecoin-tracker',
+      returns: result('stablecoin.brief', '{ coins }'),
+    },
+    checkStablecoinDepeg: {
+      description: '檢查穩定幣脫鉤（沒有脫鉤時回傳 null）',
+      project: 'stablecoin-tracker',
+      params: {
+        threshold: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: '脫鉤門檻（預設 0.01 = 1%）' },
+      },
+      returns: result('stablecoin.depeg', '{ threshold, depegged }', true),
+    },
+
+    // RWA
+    getRWAOverview: {
+      description: '獲取 RWA 市場概覽',
+      project: 'rwa-tracker',
+      returns: result('rwa.overview', '{ totalMarket, treasuries, privateCredit, commodities, realEstate, equities, growth, lastUpdated }'),
+    },
+    getRWABrief: {
+      description: '獲取 RWA 簡短摘要',
+      project: 'rwa-tracker',
+      returns: result('rwa.brief', '{ totalMarket, treasuries, privateCredit, commodities, realEstate, equities, growth, lastUpdated }'),
+    },
+    getRWAWorkBrief: {
+      description: '獲取 RWA 工作簡報',
+      project: 'rwa-tracker',
+      returns: result('rwa.work', '{ totalMarket, treasuries, privateCredit, commodities, realEstate, equities, growth, lastUpdated }'),
+    },
+    getTreasuriesReport: {
+      description: '獲取代幣化國債報告',
+      project: 'rwa-tracker',
+      returns: result('rwa.treasuries', '{ totalMarket, treasuries, privateCredit, commodities, realEstate, equities, growth, lastUpdated }'),
+    },
+
+    // 匯率
+    getForexReport: {
+      description: '獲取匯率報告',
+      project: 'forex-tracker',
+      returns: result('forex.report', '{ usd, eur }'),
+    },
+    getForexBrief: {
+      description: '獲取台幣匯率簡報',
+      project: 'forex-tracker',
+      returns: result('forex.brief', '{ usd }'),
+    },
+    convertCurrency: {
+      description: '貨幣換算',
+      project: 'forex-tracker',
+      params: {
+        amount,
+        from: currency('來源貨幣'),
+        to: currency('目標貨幣'),
+      },
+      required: ['amount', 'from', 'to'],
+      returns: { type: 'object', nullable: true, description: '{ from, to, amount, rate, result, formatted }' },
+    },
+    getUsdTwdRate: {
+      description: '獲取 USD/TWD 匯率',
+      project: 'forex-tracker',
+      returns: { type: 'object', nullable: true, description: '{ rate, lastUpdate }' },
+    },
+    usdToTwd: {
+      description: '美元換台幣',
+      project: 'forex-tracker',
+      params: { amount },
+      required: ['amount'],
+      returns: { type: 'object', nullable: true, description: '{ from, to, amount, rate, result, formatted }' },
+    },
+    twdToUsd: {
+      description: '台幣換美元',
+      project: 'forex-tracker',
+      params: { amount },
+      required: ['amount'],
+      returns: { type: 'object', nullable: true, description: '{ from, to, amount, rate, result, formatted }' },
+    },
+
+    // 加密貨幣
+    getCryptoBrief: {
+      description: '獲取加密貨幣快訊',
+      project: 'crypto-tracker',
+      returns: result('crypto.brief', '{ prices }'),
+    },
+    getCryptoReport: {
+      description: '獲取加密貨幣完整報告',
+      project: 'crypto-tracker',
+      returns: result('crypto.report', '{ prices }'),
+    },
+    getCoinPrice: {
+      description: '獲取特定幣種價格',
+      project: 'crypto-tracker',
+      params: {
+        symbol: {
+          type: 'string',
+          description: '幣種代碼',
+          ...(coins.length > 0 && { enum: coins }),
+        },
+      },
+      required: ['symbol'],
+      returns: result('crypto.coin', '{ symbol, coin: { usd, twd, usd_24h_change, usd_market_cap } }'),
+    },
+    getBtcPrice: {
+      description: '獲取 BTC 價格',
+      project: 'crypto-tracker',
+      returns: result('crypto.coin', '{ symbol, coin }'),
+    },
+    getEthPrice: {
+      description: '獲取 ETH 價格',
+      project: 'crypto-tracker',
+      returns: result('crypto.coin', '{ symbol, coin }'),
+    },
+
+    // 市場儀表板
+    getMarketReport: {
+      description: '獲取綜合市場報告',
+      project: 'market-dashboard',
+      returns: result('market.report', '{ portfolio, forex, crypto, stablecoins, rwa }'),
+    },
+    getMarketBrief: {
+      description: '獲取市場速報',
+      project: 'market-dashboard',
+      returns: result('market.brief', '{ portfolio, forex, crypto, stablecoins, rwa }'),
+    },
+    getFintechWorkReport: {
+      description: '獲取 Fintech 工作報告',
+      project: 'market-dashboard',
+      returns: result('market.work', '{ rwa, stablecoins }'),
+    },
+
+    // 記憶搜尋
+    searchMemory: {
+      description: '搜尋記憶（原始結果）',
+      project: 'memory-search',
+      params: {
+        query: memoryQuery,
+        limit: { type: 'integer', minimum: 1, maximum: 50, description: '結果數量（預設 5）' },
+      },
+      required: ['query'],
+      returns: { type: 'array', description: '[{ text, source, startLine, endLine, chunkType, score, matchType }]' },
+    },
+    searchMemoryBrief: {
+      description: '搜尋記憶（簡報格式）',
+      project: 'memory-search',
+      params: {
+        query: memoryQuery,
+        limit: { type: 'integer', minimum: 1, maximum: 50, description: '結果數量（預設 3）' },
+      },
+      required: ['query'],
+      returns: result('memory.search', '{ query, results }'),
+    },
+    rebuildMemoryIndex: {
+      description: '重建記憶索引',
+      project: 'memory-search',
+      returns: { type: 'object', description: '{ filesIndexed, chunksIndexed }' },
+    },
+    getMemoryStats: {
+      description: '獲取記憶索引統計',
+      project: 'memory-search',
+      returns: { type: 'object', description: '{ totalChunks, totalFiles, byType }' },
+    },
+
+    // 台灣 Fintech
+    getTaiwanFintechOverview: {
+      description: '獲取台灣 Fintech 概覽',
+      project: 'taiwan-fintech',
+      returns: result('taiwanFintech.overview', '{ topics, entities }'),
+    },
+    getTaiwanFintechReport: {
+      description: '獲取台灣 Fintech 工作報告',
+      project: 'taiwan-fintech',
+      returns: result('taiwanFintech.work', '{ topics }'),
+    },
+
+    // 法律新聞
+    getLegalNewsOverview: {
+      description: '獲取法律新聞概覽（Margaret）',
+      project: 'legal-news',
+      returns: result('legal.overview', '{ topics, entities }'),
+    },
+    getLegalWorkReport: {
+      description: '獲取法律工作報告（Margaret）',
+      project: 'legal-news',
+      returns: result('legal.work', '{ topics }'),
+    },
+
+    // 故事時間
+    tellStory: {
+      description: '說一個睡前故事（Tim）',
+      project: 'story-time',
+      params: {
+        short: { type: 'boolean', description: '是否使用簡短版' },
+      },
+      returns: result('story', '{ short, story }'),
+    },
+    goodNightTim: {
+      description: '給 Tim 的晚安訊息',
+      project: 'story-time',
+      returns: result('story.goodnight', '{ message }'),
+    },
+
+    // 系統狀態
+    getSystemStatus: {
+      description: '獲取系統狀態報告',
+      project: 'system-status',
+      returns: result('system.status', '{ services, projects, sections, health }（sections 為簡報各區塊的耗時統計）'),
+    },
+    getHealthCheck: {
+      description: '健康檢查（資料新鮮度、最後取得、快取、資料庫、外部 API），整體為 green / yellow / red',
+      project: 'system-status',
+      params: {
+        project: { type: 'string', pattern: '^[a-z][a-z0-9-]*$', description: '只檢查某個專案（如 forex-tracker）' },
+      },
+      returns: result('system.health', '{ status, exitCode, counts, checkedAt, probes: [{ project, name, kind, status, message, durationMs, details }] }'),
+    },
+
+    // 快速問答
+    answerQuestion: {
+      description: '回答問題（問答路由 → 收藏的文章 → 筆記和日報，都沒有資料時回傳 null）',
+      project: 'quick-answers',
+      params: {
+        question: { type: 'string', minLength: 1, description: '問題' },
+        chat: { type: 'string', pattern: '^[A-Za-z0-9:_-]{1,64}$', description: '對話 ID（記住上一個問題，可追問；預設為目前的成員）' },
+      },
+      required: ['question'],
+      returns: result('answer', '{ question, answer, source: router / knowledge / memory, confidence, lowConfidence, intent, entities, references }', true),
+    },
+    getQuickStatus: {
+      description: '快速狀態（時間、天氣、股價）',
+      project: 'quick-answers',
+      returns: result('status.quick', '{ lines }'),
+    },
+
+    // 個人設定
+    getProfile: {
+      description: '成員的個人設定（簡報區塊、觀察清單、新聞主題、通知、勿擾時段）',
+      params: {
+        id: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9-]*$', description: '成員 ID（如 barry / margaret / tim，預設目前的成員）' },
+      },
+      returns: result('profile', '{ id, name, language, briefing, watchlist, newsTopics, channel, topics, quietHours, timezone }'),
+    },
+
+    // 綜合
+    getDailySummary: {
+      description: '每日摘要（所有重要資訊）',
+      returns: result('summary.daily', '{ briefing } 或 { sections }（簡報模組未載入時）'),
+    },
+    getToolkitStatus: {
+      description: '工具箱狀態（各專案是否載入）',
+      returns: { type: 'object', description: '{ [alias]: boolean, loaded, failed, capabilities }' },
+    },
+    listCapabilities: {
+      description: '列出所有專案宣告的功能（含無法使用的原因）',
+      returns: { type: 'array', description: '[{ project, alias, owner, name, available, reason }]' },
+    },
+    callCapability: {
+      description: '動態調用專案功能',
+      params: {
+        project: { type: 'string', minLength: 1, description: '專案名稱或別名（如 forex-tracker / forex）' },
+        capability: { type: 'string', minLength: 1, description: '功能名稱' },
+        args: { rest: true, description: '參數' },
+      },
+      required: ['project', 'capability'],
+      returns: { type: 'any', description: '專案功能的回傳值' },
+    },
+  };
+}
+
+module.exports = {
+  createToolDefinitions,
+  TICKER_PATTERN,
+};
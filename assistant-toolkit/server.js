@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * 工具箱 HTTP API
+ *
+ * 用法：
+ *   node server.js [port]
+ *
+ * 設定（lib/config.js，環境變數優先）：
+ *   server.port   TOOLKIT_PORT       連接埠（預設 3100）
+ *   server.host   TOOLKIT_HOST       綁定位址（預設 127.0.0.1，開放區網請設 0.0.0.0 並設定 token）
+ *   server.token  TOOLKIT_API_TOKEN  API token（設定後需帶 Authorization: Bearer <token>）
+ *
+ * 範例：
+ *   curl 'http://localhost:3100/api/stocks/quotes?symbols=ONDS,TSLA'
+ *   curl 'http://localhost:3100/api/forex/convert?amount=100&from=USD&to=TWD&format=text'
+ *   curl -X POST localhost:3100/api/alerts -d '{"symbol":"TSLA","below":400}'
+ */
+
+const toolkit = require('./index');
+const { createServer } = require('./lib/server');
+const { getConfigValue, CONFIG_SCHEMA } = require('./lib/config');
+
+const DEFAULT_HOST = CONFIG_SCHEMA['server.host'].default;
+
+/**
+ * 啟動伺服器
+ */
+function start(port = getConfigValue('server.port'), host = getConfigValue('server.host')) {
+  const token = getConfigValue('server.token');
+  const server = createServer({ toolkit, token });
+
+  if (!token && host !== DEFAULT_HOST) {
+    console.warn('⚠️ 未設定 server.token（TOOLKIT_API_TOKEN），區網內任何人都能調用 API');
+  }
+
+  server.listen(port, host, () => {
+    const { port: actualPort } = server.address();
+    console.log(`🧰 工具箱 API 已啟動: http://${host}:${actualPort}/api`);
+  });
+
+  return server;
+}
+
+module.exports = { start };
+
+if (require.main === module) {
+  start(process.argv[2] ? parseInt(process.argv[2], 10) : undefined);
+}
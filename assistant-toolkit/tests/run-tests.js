@@ -0,0 +1,1504 @@
+#!/usr/bin/env node
+
+/**
+ * 助手工具箱測試
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 測試計數
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${e.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * 建立暫存專案目錄
+ * @param {Object} projects - { 專案名稱: { manifest, code } }
+ */
+function createFixture(projects) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-test-'));
+
+  for (const [name, { manifest, code }] of Object.entries(projects)) {
+    const projectDir = path.join(dir, name);
+    fs.mkdirSync(projectDir);
+    if (manifest) {
+      fs.writeFileSync(path.join(projectDir, 'manifest.json'), JSON.stringify(manifest));
+    }
+    if (code) {
+      fs.writeFileSync(path.join(projectDir, 'index.js'), code);
+    }
+  }
+
+  return dir;
+}
+
+// 測試
+async function runTests() {
+  console.log('🧪 助手工具箱測試\n');
+
+  const { ProjectRegistry, sortByDependencies } = require('../lib/registry');
+
+  // 註冊表測試
+  test('registry - 依相依順序排序', () => {
+    const sorted = sortByDependencies([
+      { name: 'a', dependencies: ['b'] },
+      { name: 'b', dependencies: ['c'] },
+      { name: 'c', dependencies: [] },
+    ]);
+    assert(sorted.map(m => m.name).join(',') === 'c,b,a', `Got: ${sorted.map(m => m.name)}`);
+  });
+
+  const fixtureDir = createFixture({
+    alpha: {
+      manifest: { name: 'alpha', alias: 'a', owner: 'Barry', entry: 'index.js', capabilities: ['hello', 'missing'] },
+      code: 'module.exports = { hello: (n) => `hi ${n}` };',
+    },
+    beta: {
+      manifest: { name: 'beta', entry: 'index.js', capabilities: ['run'] },
+      code: 'throw new Error("boom");',
+    },
+    gamma: {
+      manifest: { name: 'gamma', entry: 'index.js', dependencies: ['beta'], capabilities: ['run'] },
+      code: 'module.exports = { run: () => 1 };',
+    },
+    notes: {},
+  });
+
+  const registry = new ProjectRegistry(fixtureDir).loadAll();
+
+  test('registry - 掃描有 manifest 的專案', () => {
+    assert(registry.projects.size === 3, `Got: ${registry.projects.size}`);
+    assert(!registry.projects.has('notes'));
+  });
+
+  test('registry - 以名稱或別名取得模組', () => {
+    assert(registry.get('alpha') === registry.get('a'));
+    assert(registry.getCapability('a', 'hello')('Tim') === 'hi Tim');
+  });
+
+  test('registry - 記錄載入失敗原因', () => {
+    const status = registry.getStatus();
+    const beta = status.failed.find(f => f.name === 'beta');
+    const gamma = status.failed.find(f => f.name === 'gamma');
+    assert(beta && beta.reason === 'boom', `Got: ${beta && beta.reason}`);
+    assert(gamma && gamma.reason.includes('beta'), `Got: ${gamma && gamma.reason}`);
+  });
+
+  test('registry - 列出無法使用的功能', () => {
+    const missing = registry.listCapabilities().find(c => c.name === 'missing');
+    assert(missing && !missing.available);
+    assert(missing.reason.includes('missing'));
+    assert(registry.getCapability('alpha', 'missing') === null);
+  });
+
+  fs.rmSync(fixtureDir, { recursive: true, force: true });
+
+  // 結果渲染測試
+  const { createResult, registerRenderer, render } = require('../lib/result');
+  const result = createResult('test.quote', { price: 1.5 }, '📈 **ONDS** $1.50\n_更新時間: 09:00_');
+
+  test('result - 預設輸出原本的 Markdown', () => {
+    assert(String(result) === '📈 **ONDS** $1.50\n_更新時間: 09:00_');
+    assert(`${result}`.includes('**ONDS**'));
+  });
+
+  test('result - 純文字移除 Markdown 標記', () => {
+    const text = result.render('text');
+    assert(text === '📈 ONDS $1.50\n更新時間: 09:00', `Got: ${text}`);
+  });
+
+  test('result - HTML 跳脫並轉換標記', () => {
+    const html = createResult('test', {}, '**A & B** <x>').render('html');
+    assert(html === '<b>A &amp; B</b> &lt;x&gt;', `Got: ${html}`);
+  });
+
+  test('result - JSON 包含類型和資料', () => {
+    const json = JSON.parse(result.render('json'));
+    assert(json.type === 'test.quote');
+    assert(json.data.price === 1.5);
+  });
+
+  test('result - 可註冊特定類型的渲染器', () => {
+    registerRenderer('text', r => `price=${r.data.price}`, 'test.quote');
+    assert(result.render('text') === 'price=1.5');
+    assert(createResult('other', {}, '**x**').render('text') === 'x');
+  });
+
+  test('result - render 相容一般字串', () => {
+    assert(render('純文字', 'html') === '純文字');
+    assert(render(null) === null);
+  });
+
+  test('result - 錯誤結果保留 error 欄位', () => {
+    const { createError, isError } = require('../lib/result');
+    const error = createError('MODULE_NOT_LOADED', '匯率模組未載入', { module: 'forex-tracker' });
+    assert(isError(error));
+    assert(error.error === '匯率模組未載入' && error.code === 'MODULE_NOT_LOADED');
+    assert(String(error) === '⚠️ 匯率模組未載入');
+    assert(error.toJSON().data.module === 'forex-tracker');
+  });
+
+  // Schema 測試
+  const schema = require('../lib/schema');
+  const { createToolDefinitions } = require('../lib/tools');
+  const tools = createToolDefinitions({ currencies: ['USD', 'TWD'], coins: ['BTC', 'ETH'], newsTopics: ['rwa'] });
+
+  test('schema - 驗證並正規化參數', () => {
+    const { args, errors } = schema.validateArgs(tools.convertCurrency, ['1000', 'usd', 'TWD']);
+    assert(errors.length === 0, `Got: ${errors}`);
+    assert(args[0] === 1000 && args[1] === 'USD');
+  });
+
+  test('schema - 回報列舉、必要參數和型別錯誤', () => {
+    const { errors } = schema.validateArgs(tools.convertCurrency, [-5, 'GBP']);
+    assert(errors.length === 3, `Got: ${errors}`);
+    assert(errors.some(e => e.includes('GBP')));
+    assert(errors.some(e => e.includes('to')));
+    assert(schema.validateArgs(tools.tellStory, ['yes']).errors.length === 1);
+  });
+
+  test('schema - 至少需要其中一個參數', () => {
+    assert(schema.validateArgs(tools.setPriceAlert, ['TSLA']).errors.length === 1);
+    assert(schema.validateArgs(tools.setPriceAlert, ['TSLA', null, 400]).errors.length === 0);
+  });
+
+  test('schema - 字串參數的物件以 JSON 解析', () => {
+    const rule = { rule: { type: 'change', op: 'below', value: -5 } };
+    const params = schema.parseStringParams([['rule', JSON.stringify(rule.rule)], ['cooldown', '30']], tools.setAlertRule.params);
+    assert(params.rule.value === -5 && params.cooldown === '30');
+    assert(schema.parseStringParams([['rule', '{oops']], tools.setAlertRule.params).rule === '{oops');
+  });
+
+  test('schema - 具名參數轉為位置參數', () => {
+    assert(JSON.stringify(schema.argsFromObject(tools.setPriceAlert, { symbol: 'TSLA', below: 400 })) === '["TSLA",null,400]');
+    assert(schema.argsFromObject(tools.searchMemory, { query: 'x' }).length === 1);
+    const args = schema.argsFromObject(tools.callCapability, { project: 'forex', capability: 'convert', args: [1, 'USD'] });
+    assert(JSON.stringify(args) === '["forex","convert",1,"USD"]', `Got: ${JSON.stringify(args)}`);
+  });
+
+  test('schema - 輸出 OpenAI 工具定義', () => {
+    const tool = schema.toOpenAITool('getCoinPrice', tools.getCoinPrice);
+    assert(tool.type === 'function' && tool.function.name === 'getCoinPrice');
+    assert(tool.function.parameters.properties.symbol.enum.join() === 'BTC,ETH');
+    assert(tool.function.parameters.required[0] === 'symbol');
+    const rest = schema.toParameters(tools.callCapability).properties.args;
+    assert(rest.type === 'array' && !('rest' in rest));
+  });
+
+  // HTTP API 測試（使用假的工具箱，不連網路）
+  const { createServer, matchRoute, queryToParams, ROUTES } = require('../lib/server');
+  const { createError } = require('../lib/result');
+  const calls = [];
+  const fakeToolkit = {
+    getToolSchemas: () => Object.entries(tools).map(([name, def]) => schema.toToolSchema(name, def)),
+    invokeTool: async (name, params, options = {}) => {
+      calls.push({ name, params, options });
+      if (name === 'getCoinPrice') return createError('INVALID_ARGUMENTS', 'symbol 錯誤');
+      if (name === 'getHealthCheck') return createResult('system.health', { status: 'red', exitCode: 2, probes: [] }, '🔴');
+      return createResult('test', params, `**${name}**`);
+    },
+  };
+
+  /**
+   * 發送請求到測試伺服器
+   */
+  function request(server, method, urlPath, body, headers = {}) {
+    const http = require('http');
+    return new Promise((resolve, reject) => {
+      const req = http.request({ port: server.address().port, method, path: urlPath, headers }, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      if (body) req.write(body);
+      req.end();
+    });
+  }
+
+  test('server - 路由比對和路徑參數', () => {
+    const match = matchRoute(ROUTES, 'GET', '/api/crypto/eth');
+    assert(match.route.tool === 'getCoinPrice' && match.params.symbol === 'eth');
+    assert(matchRoute(ROUTES, 'GET', '/api/crypto/report').route.tool === 'getCryptoReport');
+    assert(matchRoute(ROUTES, 'DELETE', '/api/alerts').methodNotAllowed);
+    assert(matchRoute(ROUTES, 'GET', '/api/nope') === null);
+    let error = null;
+    try { matchRoute(ROUTES, 'GET', '/api/crypto/%E0'); } catch (e) { error = e; }
+    assert(error && error.code === 'INVALID_ARGUMENTS', '編碼不正確的路徑參數');
+  });
+
+  test('server - 查詢字串依 schema 轉換型別', () => {
+    const props = schema.toParameters(tools.getStockQuotes).properties;
+    const params = queryToParams(new URLSearchParams('symbols=ONDS, TSLA&format=text'), props);
+    assert(JSON.stringify(params) === '{"symbols":["ONDS","TSLA"]}', `Got: ${JSON.stringify(params)}`);
+    const story = queryToParams(new URLSearchParams('short=true'), schema.toParameters(tools.tellStory).properties);
+    assert(story.short === true);
+  });
+
+  const server = createServer({ toolkit: fakeToolkit, token: 'secret' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const auth = { Authorization: 'Bearer secret' };
+
+  await asyncTest('server - GET 路由回傳 JSON 和渲染文字', async () => {
+    const res = await request(server, 'GET', '/api/forex/convert?amount=100&from=USD&to=TWD&format=text', null, auth);
+    assert(res.status === 200 && res.body.ok);
+    assert(res.body.type === 'test' && res.body.data.amount === '100');
+    assert(res.body.rendered === 'convertCurrency', `Got: ${res.body.rendered}`);
+  });
+
+  await asyncTest('server - POST 使用 JSON 內容', async () => {
+    const res = await request(server, 'POST', '/api/alerts', '{"symbol":"TSLA","below":400}', auth);
+    assert(res.status === 200);
+    assert(calls[calls.length - 1].name === 'setPriceAlert' && calls[calls.length - 1].params.below === 400);
+  });
+
+  await asyncTest('server - 錯誤對應 HTTP 狀態碼', async () => {
+    assert((await request(server, 'GET', '/api/crypto/doge', null, auth)).status === 400);
+    assert((await request(server, 'GET', '/api/nope', null, auth)).status === 404);
+    assert((await request(server, 'POST', '/api/alerts', '{bad', auth)).body.error.code === 'INVALID_JSON');
+    assert((await request(server, 'GET', '/api/story')).status === 401);
+    assert((await request(server, 'GET', '/health')).status === 200);
+    assert((await request(server, 'GET', '/api/system/health', null, auth)).status === 503);
+    const badPath = await request(server, 'GET', '/api/crypto/%E0', null, auth);
+    assert(badPath.status === 400 && badPath.body.error.code === 'INVALID_ARGUMENTS', JSON.stringify(badPath));
+  });
+
+  await asyncTest('server - 請求內容過大時回應 413 並關閉連線', async () => {
+    const big = JSON.stringify({ note: 'x'.repeat(2 * 1024 * 1024) });
+    const res = await request(server, 'POST', '/api/alerts', big, auth);
+    assert(res.status === 413 && res.body.error.code === 'PAYLOAD_TOO_LARGE', JSON.stringify(res.body));
+    assert(res.headers.connection === 'close');
+    assert((await request(server, 'GET', '/health')).status === 200, '伺服器仍可處理下一個請求');
+  });
+
+  await asyncTest('server - ?profile= 以該成員的設定執行', async () => {
+    const res = await request(server, 'GET', '/api/legal?profile=margaret', null, auth);
+    assert(res.status === 200 && calls[calls.length - 1].options.profile === 'margaret');
+    assert(JSON.stringify(calls[calls.length - 1].params) === '{}');
+    await request(server, 'GET', '/api/briefing/morning', null, { ...auth, 'X-Assistant-Profile': 'tim' });
+    assert(calls[calls.length - 1].options.profile === 'tim');
+  });
+
+  server.close();
+
+  // 命令列測試（使用同一個假的工具箱）
+  const { createCLI, parseArgv } = require('../lib/cli');
+  const cli = createCLI(fakeToolkit);
+
+  /**
+   * 執行命令列並收集輸出
+   */
+  async function runCLI(...argv) {
+    const out = [];
+    const err = [];
+    const code = await cli.run(argv, { stdout: t => out.push(t), stderr: t => err.push(t) });
+    return { code, stdout: out.join('\n'), stderr: err.join('\n') };
+  }
+
+  test('cli - 拆解旗標和位置參數', () => {
+    const { positionals, flags } = parseArgv(['100', '--from=usd', '--to', 'TWD', '--json', '--short'], { short: { type: 'boolean' } });
+    assert(positionals.join() === '100');
+    assert(flags.from === 'usd' && flags.to === 'TWD' && flags.json === 'true' && flags.short === 'true');
+  });
+
+  await asyncTest('cli - 位置參數依 schema 順序對應', async () => {
+    const res = await runCLI('forex', 'convert', '100', 'USD', '--to', 'TWD');
+    assert(res.code === 0, res.stderr);
+    const params = calls[calls.length - 1].params;
+    assert(params.amount === '100' && params.from === 'USD' && params.to === 'TWD', JSON.stringify(params));
+  });
+
+  await asyncTest('cli - 陣列參數收集剩下的位置參數', async () => {
+    await runCLI('investment', 'quotes', 'ONDS', 'TSLA');
+    assert(calls[calls.length - 1].params.symbols.join() === 'ONDS,TSLA');
+  });
+
+  await asyncTest('cli - --json 輸出結構化結果', async () => {
+    const res = await runCLI('story', 'tell', '--short', '--json');
+    const json = JSON.parse(res.stdout);
+    assert(json.type === 'test' && json.data.short === true, res.stdout);
+  });
+
+  await asyncTest('cli - 錯誤回傳非零結束代碼', async () => {
+    assert((await runCLI('nope')).code === 2);
+    assert((await runCLI('forex', 'nope')).code === 2);
+    const res = await runCLI('crypto', 'price', 'DOGE');
+    assert(res.code === 2 && res.stderr.includes('symbol'));
+    assert((await runCLI('system', 'health')).code === 2);
+  });
+
+  await asyncTest('cli - --profile 指定成員，未知的成員回傳錯誤', async () => {
+    const res = await runCLI('briefing', 'morning', '--profile', 'margaret');
+    assert(res.code === 0 && calls[calls.length - 1].options.profile === 'margaret', res.stderr);
+    const unknown = await runCLI('briefing', 'morning', '--profile', 'nobody');
+    assert(unknown.code === 2 && unknown.stderr.includes('nobody'));
+  });
+
+  await asyncTest('cli - 說明和補全', async () => {
+    assert((await runCLI('forex', 'convert', '--help')).stdout.includes('可用: USD, TWD'));
+    assert(cli.complete(['fo']).join() === 'forex');
+    assert(cli.complete(['crypto', 'price', '--symbol', '']).join() === 'BTC,ETH');
+    assert(cli.findModule('forex-tracker') === 'forex');
+  });
+
+  // 排程器測試
+  const { Scheduler, parseCron, matchesCron, previousRun } = require('../lib/scheduler');
+
+  test('scheduler - 解析 cron 欄位', () => {
+    const cron = parseCron('*/15 9-15 * * 1-5');
+    assert([...cron.minute].join() === '0,15,30,45');
+    assert(cron.hour.has(9) && cron.hour.has(15) && !cron.hour.has(16));
+    assert(cron.day === null);
+    assert(parseCron('0 7 * * 7').weekday.has(0));
+    let threw = false;
+    try { parseCron('61 * * * *'); } catch (e) { threw = true; }
+    assert(threw);
+  });
+
+  test('scheduler - 依時區比對', () => {
+    const cron = parseCron('0 7 * * *');
+    // 台北 07:00 = UTC 23:00（前一天）
+    assert(matchesCron(cron, new Date('2026-03-01T23:00:00Z'), 'Asia/Taipei'));
+    assert(!matchesCron(cron, new Date('2026-03-01T07:00:00Z'), 'Asia/Taipei'));
+    const market = parseCron('30 9-15 * * 1-5');
+    // 2026-03-06 是週五，紐約 09:30 EST = UTC 14:30
+    assert(matchesCron(market, new Date('2026-03-06T14:30:00Z'), 'America/New_York'));
+    assert(!matchesCron(market, new Date('2026-03-07T14:30:00Z'), 'America/New_York'));
+    const prev = previousRun(market, new Date('2026-03-07T12:00:00Z'), 'America/New_York');
+    assert(prev.toISOString() === '2026-03-06T20:30:00.000Z', `Got: ${prev.toISOString()}`);
+  });
+
+  await asyncTest('scheduler - 補跑錯過的排程並記錄狀態', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-scheduler-'));
+    let now = new Date('2026-03-01T22:00:00Z');
+    const runs = [];
+    const create = () => new Scheduler({ stateFile: path.join(dir, 'state.json'), logDir: path.join(dir, 'logs'), now: () => now })
+      .add({ name: 'briefing', schedule: '0 7 * * *', timezone: 'Asia/Taipei', run: async () => { runs.push('briefing'); return '早安'; } })
+      .add({ name: 'alerts', schedule: '0 * * * *', catchUp: false, run: async () => { runs.push('alerts'); } });
+
+    await create().tick(); // 建立基準
+    assert(runs.length === 0);
+
+    // 睡了三小時：簡報補跑一次，警報略過
+    now = new Date('2026-03-02T01:10:00Z');
+    const results = await create().tick();
+    assert(runs.join() === 'briefing', `Got: ${runs}`);
+    assert(results[0].missed);
+
+    const state = JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf-8'));
+    assert(state.briefing.lastStatus === 'success' && state.briefing.runs === 1);
+    assert(state.alerts.lastStatus === 'skipped');
+
+    // 同一個排程不重複執行
+    await create().tick();
+    assert(runs.length === 1);
+
+    const log = create().readLog('briefing').join('\n');
+    assert(log.includes('補跑') && log.includes('早安'), log);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await asyncTest('scheduler - 記錄失敗的工作', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-scheduler-'));
+    const scheduler = new Scheduler({ stateFile: path.join(dir, 'state.json'), logDir: dir })
+      .add({ name: 'broken', schedule: '* * * * *', run: async () => { throw new Error('API down'); } });
+    const result = await scheduler.runJob('broken');
+    assert(result.status === 'failed' && result.error === 'API down');
+    assert(scheduler.getStatus()[0].failures === 1);
+    assert(scheduler.readLog('broken')[0].includes('API down'));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await asyncTest('scheduler - 兩個排程器同時檢查時只執行一次', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-scheduler-'));
+    let now = new Date('2026-03-01T22:00:00Z');
+    let runs = 0;
+    const create = () => new Scheduler({ stateFile: path.join(dir, 'state.json'), logDir: dir, now: () => now })
+      .add({ name: 'snapshot', schedule: '0 23 * * *', run: async () => { runs++; await new Promise(r => setTimeout(r, 20)); } });
+
+    const [daemon, cron] = [create(), create()];
+    await daemon.tick();
+
+    now = new Date('2026-03-01T23:00:30Z');
+    await Promise.all([daemon.tick(), cron.tick()]);
+    assert(runs === 1, `Got: ${runs}`);
+
+    const state = JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf-8'));
+    assert(state.snapshot.runs === 1 && state.snapshot.lastStatus === 'success');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // 通知測試（本機 HTTP 伺服器模擬 Telegram Bot API）
+  const { Outbox, telegramTransport, stdoutTransport, retryDelay } = require('../lib/notifications');
+  const telegramRequests = [];
+  let telegramFailures = 1;
+  const fakeTelegram = require('http').createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      telegramRequests.push({ url: req.url, body: JSON.parse(body) });
+      if (telegramFailures > 0) {
+        telegramFailures--;
+        res.writeHead(502);
+        res.end(JSON.stringify({ ok: false, description: 'Bad Gateway' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, result: { message_id: telegramRequests.length } }));
+    });
+  });
+  await new Promise(resolve => fakeTelegram.listen(0, '127.0.0.1', resolve));
+
+  const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-outbox-'));
+  let outboxNow = new Date('2026-03-02T00:00:00Z');
+  const printed = [];
+  const outbox = new Outbox({
+    file: path.join(outboxDir, 'outbox.json'),
+    transports: [
+      telegramTransport({ token: 'TEST', apiBase: `http://127.0.0.1:${fakeTelegram.address().port}` }),
+      stdoutTransport({ write: text => printed.push(text) }),
+    ],
+    recipients: {
+      barry: { name: 'Barry', topics: ['investment'], routes: [{ transport: 'telegram', chatId: '111' }] },
+      margaret: { name: 'Margaret', topics: ['legal'], routes: [{ transport: 'stdout' }] },
+    },
+    now: () => outboxNow,
+  });
+
+  test('notify - 指數退避', () => {
+    assert(retryDelay(1) === 30000 && retryDelay(2) === 60000);
+    assert(retryDelay(20) === 60 * 60 * 1000);
+  });
+
+  await asyncTest('notify - 依主題分送並在失敗後重試', async () => {
+    const first = await outbox.send({ topic: 'investment', text: '🔔 **TSLA** 突破 $400', dedupeKey: 'alert:1' });
+    assert(first.queued.length === 1 && first.queued[0].recipient === 'barry');
+    assert(first.retrying === 1, `Got: ${JSON.stringify(first)}`);
+
+    // 還沒到重試時間
+    assert((await outbox.flush()).sent === 0);
+
+    outboxNow = new Date(outboxNow.getTime() + 31 * 1000);
+    assert((await outbox.flush()).sent === 1);
+
+    const request = telegramRequests[telegramRequests.length - 1];
+    assert(request.url === '/botTEST/sendMessage');
+    assert(request.body.chat_id === '111' && request.body.text.includes('<b>TSLA</b>'), JSON.stringify(request.body));
+    assert(outbox.getStats().sent === 1);
+  });
+
+  await asyncTest('notify - 相同 dedupeKey 不重複送出', async () => {
+    const again = await outbox.send({ topic: 'investment', text: '🔔 **TSLA** 突破 $400', dedupeKey: 'alert:1' });
+    assert(again.queued.length === 0 && again.skipped.length === 1);
+  });
+
+  await asyncTest('notify - 指定收件人和無法重試的錯誤', async () => {
+    await outbox.send({ to: 'margaret', text: '⚖️ 法律新聞' });
+    assert(printed[0] === '📨 [margaret] ⚖️ 法律新聞');
+
+    const broken = new Outbox({
+      file: path.join(outboxDir, 'broken.json'),
+      transports: [telegramTransport({ token: null })],
+      recipients: { barry: { topics: ['x'], routes: [{ transport: 'telegram', chatId: '1' }] } },
+    });
+    const result = await broken.send({ topic: 'x', text: 'hi' });
+    assert(result.failed === 1 && broken.list('failed')[0].lastError.includes('token'));
+    assert(broken.retryFailed() === 1 && broken.getStats().pending === 1);
+  });
+
+  fakeTelegram.close();
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+
+  // 設定測試
+  const { loadConfig, setConfigValue } = require('../lib/config');
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-config-'));
+  const configFile = path.join(configDir, 'assistant.json');
+
+  test('config - 預設值 → 設定檔 → 環境變數', () => {
+    fs.writeFileSync(configFile, JSON.stringify({ investment: { watchlist: ['NVDA'] }, weather: { location: 'Hsinchu' } }));
+    const config = loadConfig({ file: configFile, env: { ASSISTANT_WEATHER_LOCATION: 'Tainan', TOOLKIT_PORT: '8080' } });
+
+    assert(config.values.investment.watchlist[0] === 'NVDA' && config.sources['investment.watchlist'] === 'file');
+    assert(config.values.weather.location === 'Tainan' && config.sources['weather.location'] === 'env');
+    assert(config.values.server.port === 8080 && config.values.server.host === '127.0.0.1');
+    assert(config.values.family.calendarFile === path.join(configDir, 'family-calendar.json'));
+  });
+
+  test('config - 不合格的值改用下一層並記錄錯誤', () => {
+    fs.writeFileSync(configFile, JSON.stringify({ investment: { watchlist: ['$$$'] }, server: { port: 'abc' } }));
+    const config = loadConfig({ file: configFile, env: { ASSISTANT_WATCHLIST: 'aapl, msft' } });
+
+    assert(config.values.investment.watchlist.join() === 'AAPL,MSFT');
+    assert(config.values.server.port === 3100 && config.sources['server.port'] === 'default');
+    assert(config.errors.length === 2 && config.errors.every(e => e.source === 'file'), JSON.stringify(config.errors));
+  });
+
+  test('config - 寫入前驗證並保留其他設定', () => {
+    fs.writeFileSync(configFile, JSON.stringify({ weather: { location: 'Hsinchu' } }));
+
+    const result = setConfigValue('investment.watchlist', 'onds,tsla,nvda', { file: configFile, env: { ASSISTANT_WATCHLIST: 'X' } });
+    assert(result.value.join() === 'ONDS,TSLA,NVDA' && result.overriddenBy === 'ASSISTANT_WATCHLIST');
+
+    setConfigValue('notion.token', 'null', { file: configFile, env: {} });
+    const saved = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+    assert(saved.weather.location === 'Hsinchu' && saved.investment.watchlist.length === 3 && saved.notion.token === null);
+
+    let error = null;
+    try { setConfigValue('server.port', '70000', { file: configFile, env: {} }); } catch (e) { error = e; }
+    assert(error && error.message.includes('65535'));
+    error = null;
+    try { setConfigValue('unknown.key', 'x', { file: configFile, env: {} }); } catch (e) { error = e; }
+    assert(error && error.message.includes('未知的設定'));
+  });
+
+  fs.rmSync(configDir, { recursive: true, force: true });
+
+  // 個人設定測試
+  const profiles = require('../lib/profiles');
+  const { getConfigValue } = require('../lib/config');
+  const { getDefaultRecipients } = require('../lib/notifications');
+  const profilesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-profiles-'));
+  const profilesFile = path.join(profilesDir, 'profiles.json');
+
+  test('profiles - 內建成員、設定檔覆蓋和新成員', () => {
+    fs.writeFileSync(profilesFile, JSON.stringify({
+      barry: { watchlist: ['nvda'], quietHours: '25:00-07:00' },
+      grandma: { name: '阿嬤', channel: 'none' },
+      'Bad Id': {},
+    }));
+    const { profiles: loaded, errors } = profiles.loadProfiles({ file: profilesFile });
+
+    assert(loaded.barry.watchlist.join() === 'NVDA' && loaded.barry.quietHours === '23:30-07:00');
+    assert(loaded.margaret.briefing.includes('legal') && !loaded.margaret.briefing.includes('investment'));
+    assert(loaded.tim.briefing.includes('story') && loaded.tim.channel === 'none');
+    assert(loaded.grandma.name === '阿嬤' && loaded.grandma.language === 'zh-TW');
+    assert(errors.length === 2 && errors.some(e => e.key === 'quietHours'), JSON.stringify(errors));
+  });
+
+  test('profiles - 寫入前驗證，新的 ID 新增成員', () => {
+    fs.writeFileSync(profilesFile, JSON.stringify({ margaret: { language: 'en' } }));
+
+    const result = profiles.setProfileValue('margaret', 'briefing', 'legal,fsc', { file: profilesFile });
+    assert(result.value.join() === 'legal,fsc' && !result.created);
+    assert(profiles.setProfileValue('grandpa', 'quietHours', '21:00-06:30', { file: profilesFile }).created);
+
+    const saved = JSON.parse(fs.readFileSync(profilesFile, 'utf-8'));
+    assert(saved.margaret.language === 'en' && saved.margaret.briefing.length === 2 && saved.grandpa.quietHours === '21:00-06:30');
+
+    let error = null;
+    try { profiles.setProfileValue('margaret', 'briefing', 'sports', { file: profilesFile }); } catch (e) { error = e; }
+    assert(error && error.message.includes('briefing'));
+  });
+
+  await asyncTest('profiles - 目前的成員隨非同步呼叫傳遞，並覆蓋共用設定', async () => {
+    const watchlist = getConfigValue('investment.watchlist');
+    const margaret = { ...profiles.getProfile('margaret'), watchlist: ['2330.TW'] };
+
+    const seen = await profiles.runWithProfile(margaret, async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return { id: profiles.currentProfile().id, watchlist: getConfigValue('investment.watchlist') };
+    });
+    assert(seen.id === 'margaret' && seen.watchlist.join() === '2330.TW', JSON.stringify(seen));
+    assert(profiles.runWithProfile('tim', () => profiles.currentProfile().name) === 'Tim');
+    assert(getConfigValue('investment.watchlist').join() === watchlist.join());
+
+    let error = null;
+    try { profiles.runWithProfile('nobody', () => null); } catch (e) { error = e; }
+    assert(error && error.code === 'UNKNOWN_PROFILE');
+  });
+
+  test('profiles - 勿擾時段（跨午夜、時區）', () => {
+    const end = profiles.quietHoursEnd('22:30-07:00', 'Asia/Taipei', new Date('2026-03-01T15:00:00Z')); // 23:00 台北
+    assert(end.toISOString() === '2026-03-01T23:00:00.000Z', `Got: ${end && end.toISOString()}`);
+    assert(profiles.quietHoursEnd('22:30-07:00', 'Asia/Taipei', new Date('2026-03-01T04:00:00Z')) === null); // 12:00
+    assert(profiles.quietHoursEnd('13:00-14:00', 'UTC', new Date('2026-03-01T13:30:00Z')).toISOString() === '2026-03-01T14:00:00.000Z');
+    assert(profiles.quietHoursEnd(null, 'UTC') === null);
+  });
+
+  await asyncTest('profiles - 通知收件人來自個人設定，勿擾時段延後送出', async () => {
+    const recipients = getDefaultRecipients({ TELEGRAM_CHAT_MARGARET: '222' }, profiles.listProfiles());
+    assert(recipients.margaret.routes[0].chatId === '222' && recipients.barry.routes[0].transport === 'stdout');
+    assert(!recipients.tim && recipients.margaret.topics.includes('legal'));
+
+    const printed = [];
+    const outbox = new Outbox({
+      file: path.join(profilesDir, 'outbox.json'),
+      transports: [stdoutTransport({ write: text => printed.push(text) })],
+      recipients: {
+        margaret: { topics: ['legal'], routes: [{ transport: 'stdout' }], quietHours: '22:30-07:00', timezone: 'Asia/Taipei' },
+      },
+      now: () => new Date('2026-03-01T15:00:00Z'),
+    });
+
+    const quiet = await outbox.send({ topic: 'legal', text: '⚖️ 夜間快訊' });
+    assert(quiet.deferred === 1 && quiet.sent === 0 && printed.length === 0);
+    assert(outbox.list('pending')[0].nextAttemptAt === '2026-03-01T23:00:00.000Z');
+
+    const urgent = await outbox.send({ topic: 'legal', text: '🚨 緊急', urgent: true });
+    assert(urgent.deferred === 0 && urgent.sent === 1 && printed[0].includes('緊急'));
+  });
+
+  fs.rmSync(profilesDir, { recursive: true, force: true });
+
+  // 快速問答路由測試（只分類，不調用模組）
+  const { extractEntities } = require('../../quick-answers/src/entities');
+  const { classify } = require('../../quick-answers/src/router');
+  const now = new Date(2026, 9, 18, 9, 0);
+  const watchlist = ['ONDS', 'TSLA'];
+
+  test('quick-answers - 實體擷取（貨幣、金額、幣種、代碼、日期、地點）', () => {
+    const forex = extractEntities('用台幣換 1000 美元', { now, watchlist });
+    assert(forex.pair.from === 'USD' && forex.pair.to === 'TWD' && forex.amounts[0] === 1000, JSON.stringify(forex));
+    assert(extractEntities('NT$3萬是多少日圓', { now, watchlist }).pair.to === 'JPY');
+    assert(extractEntities('btc 和以太坊', { now, watchlist }).coins.join() === 'BTC,ETH');
+
+    const stocks = extractEntities('tsla、NVDA、台積電 和 RWA、USDT', { now, watchlist });
+    assert(stocks.tickers.join() === 'TSLA,NVDA,2330.TW', stocks.tickers.join());
+
+    const when = extractEntities('明天台中天氣', { now, watchlist });
+    assert(when.dates[0].date === '2026-10-19' && when.locations[0].name === 'Taichung' && when.amounts.length === 0);
+    assert(extractEntities('10/25 的行程', { now, watchlist }).dates[0].date === '2026-10-25');
+    assert(extractEntities('這週有誰生日', { now, watchlist }).dates[0].days === 7);
+  });
+
+  test('quick-answers - 意圖分類和信心度', () => {
+    const top = question => classify(question, { now, watchlist }).matches[0];
+
+    assert(top('1000 美元換台幣').intent === 'forex.convert' && top('1000 美元換台幣').confidence === 1);
+    assert(top('BTC 多少').intent === 'crypto.coin');
+    assert(top('NVDA 現在多少').intent === 'stock.quote');
+    assert(top('USD/JPY 匯率').intent === 'forex.rate');
+    assert(top('加密貨幣市場').intent === 'crypto.market');
+    assert(top('加密貨幣詐騙新聞').intent === 'legal.news');
+    assert(top('這週有誰生日').intent === 'family.reminders');
+    assert(top('說個睡前故事').intent === 'story');
+    assert(classify('你好', { now, watchlist }).matches.length === 0);
+  });
+
+  test('quick-answers - 只考慮已載入的模組', () => {
+    const { matches } = classify('1000 美元換台幣', { now, watchlist, isAvailable: intent => intent.project !== 'forex-tracker' });
+    assert(matches.length === 0, JSON.stringify(matches));
+  });
+
+  const { resolve, getContext, saveContext } = require('../../quick-answers/src/context');
+  const { Cache: ContextCache } = require('../lib/cache');
+
+  test('quick-answers - 追問沿用上一輪的意圖和實體', () => {
+    const turn = (question, context) => {
+      const result = resolve(question, { context, now, watchlist });
+      return { ...result, context: { intent: result.matches[0]?.intent, entities: result.entities } };
+    };
+
+    const yen = turn('換成日圓呢？', turn('1000 美元換台幣').context);
+    assert(yen.fromContext && yen.matches[0].intent === 'forex.convert', JSON.stringify(yen.matches));
+    assert(yen.entities.pair.from === 'USD' && yen.entities.pair.to === 'JPY' && yen.entities.amounts[0] === 1000);
+
+    const alert = turn('設個警報 400', turn('TSLA 多少').context);
+    assert(alert.matches[0].intent === 'stock.alert' && alert.entities.tickers.join() === 'TSLA' && alert.entities.amounts[0] === 400);
+    assert(turn('它現在多少', alert.context).entities.tickers.join() === 'TSLA');
+
+    assert(turn('台中呢？', turn('台北天氣').context).matches[0].intent === 'weather');
+
+    // 換主題、沒有關聯的問題不沿用
+    const coin = turn('那 ETH 呢？', turn('TSLA 多少').context);
+    assert(coin.matches[0].intent === 'crypto.coin' && coin.entities.tickers.length === 0 && !coin.fromContext);
+    assert(turn('你好', turn('TSLA 多少').context).matches.length === 0);
+  });
+
+  test('quick-answers - 上下文依對話保存，逾時失效', () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-context-'));
+    let clock = Date.parse('2026-03-01T00:00:00Z');
+    const contextCache = new ContextCache({ dir: cacheDir, now: () => clock });
+
+    saveContext('barry', { intent: 'crypto.coin', entities: { coins: ['BTC'] } }, { cache: contextCache, ttl: 10 * 60 * 1000 });
+    assert(getContext('barry', { cache: contextCache }).intent === 'crypto.coin');
+    assert(getContext('margaret', { cache: contextCache }) === null);
+
+    clock += 11 * 60 * 1000;
+    assert(getContext('barry', { cache: contextCache }) === null);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  const { answerFromArticles, answerFromMemory, lowConfidenceNotice, searchTerms } = require('../../quick-answers/src/knowledge');
+  const { QAEngine } = require('../../knowledge-intelligence/src/qa/engine');
+
+  test('quick-answers - 問知識時即時狀況的意圖降低信心度', () => {
+    const status = classify('穩定幣有沒有脫鉤', { now, watchlist }).matches[0];
+    const risk = classify('穩定幣的主要風險是什麼？', { now, watchlist }).matches[0];
+    assert(status.confidence === 0.8 && risk.intent === 'stablecoin' && risk.confidence === 0.4, JSON.stringify(risk));
+    assert(classify('BTC 為什麼跌', { now, watchlist }).matches[0].confidence === 0.9);
+  });
+
+  test('quick-answers - 從收藏的文章和筆記回答，附來源和信心度', () => {
+    const engine = new QAEngine();
+    engine.loadArticles([
+      { id: 'a1', title: '穩定幣的風險', summary: '穩定幣的主要風險是儲備不透明和擠兌。', keyPoints: ['儲備資產透明度', '擠兌與脫鉤'], tags: ['穩定幣'], savedAt: '2026-03-01T00:00:00Z' },
+      { id: 'a2', title: '台灣天氣', summary: '梅雨季節', keyPoints: [], tags: ['天氣'], savedAt: '2026-03-01T00:00:00Z' },
+    ]);
+    const article = answerFromArticles('穩定幣的主要風險是什麼？', engine);
+    assert(article && article.source === 'knowledge' && article.confidence > 0 && article.confidence <= 1, JSON.stringify(article));
+    assert(article.answer.includes('穩定幣的風險') && article.references[0].title === '穩定幣的風險');
+
+    assert(searchTerms('穩定幣的主要風險是什麼？').join() === '穩定幣,主要風險');
+    const queries = [];
+    const memory = {
+      searchMemory: (query) => {
+        queries.push(query);
+        return [{ text: '穩定幣風險筆記', source: '/memory/2026-03-14.md', startLine: 3, score: 5, matchType: 'good' }];
+      },
+      formatSearchResults: (query, results) => `🔍 ${query}: ${results.length}`,
+    };
+    const note = answerFromMemory('穩定幣的主要風險是什麼？', memory);
+    assert(queries[0] === '穩定幣 主要風險' && note.source === 'memory' && note.confidence === 0.5);
+    assert(answerFromMemory('穩定幣', { ...memory, searchMemory: () => [] }) === null);
+    assert(lowConfidenceNotice({ source: 'memory', confidence: 0.25 }).includes('25%'));
+  });
+
+  const golden = require('../../quick-answers/src/golden');
+
+  test('quick-answers - 黃金問題全部通過，沒有回歸', () => {
+    const report = golden.runGolden(golden.loadGoldenQuestions(), { baseline: golden.loadBaseline() });
+    const failed = report.results.filter(r => !r.passed).map(r => r.id);
+    assert(report.accuracy === 1 && report.regressions.length === 0, `失敗: ${failed.join(', ')}`);
+    assert(report.added.length === 0, `基準沒有的題目: ${report.added.join(', ')}`);
+  });
+
+  test('quick-answers - 黃金問題的混淆矩陣和回歸', () => {
+    const report = golden.runGolden({
+      now: '2026-03-02T09:00:00+08:00',
+      watchlist: ['TSLA'],
+      minConfidence: 0.5,
+      questions: [
+        { id: 'coin', question: 'BTC 多少', intent: 'crypto.coin', entities: { coins: ['BTC'] } },
+        { id: 'wrong-intent', question: 'TSLA 多少', intent: 'crypto.coin' },
+        { id: 'wrong-entity', question: '台中天氣', intent: 'weather', entities: { locations: ['Taipei'] } },
+        { id: 'fallback', question: '穩定幣的主要風險是什麼？', intent: null },
+        { id: 'follow-up', question: '那 ETH 呢？', after: ['BTC 多少'], intent: 'crypto.coin', entities: { coins: ['ETH'] } },
+      ],
+    }, { baseline: { results: { coin: true, 'wrong-intent': true, 'wrong-entity': false } } });
+
+    assert(report.passed === 3 && report.intentAccuracy === 0.8 && report.entityAccuracy === 0.8, JSON.stringify(report.results));
+    assert(report.matrix['crypto.coin']['stock.quote'] === 1 && report.matrix['crypto.coin']['crypto.coin'] === 2);
+    assert(report.matrix['(none)']['(none)'] === 1 && report.results[3].confidence === 0.4);
+    assert(report.results[2].entityErrors[0].field === 'locations' && report.results[2].entityErrors[0].actual[0] === 'Taichung');
+    assert(report.regressions.join() === 'wrong-intent' && report.added.join() === 'fallback,follow-up');
+
+    const text = golden.formatGoldenReport(report);
+    assert(text.includes('crypto.coin → stock.quote: 1') && text.includes('🔻'), text);
+  });
+
+  // 健康檢查測試（假的快取、時鐘和 HTTP 客戶端，不連網）
+  const health = require('../lib/health');
+
+  await asyncTest('health - 整體狀態取最差的探針，逾時和例外為 red', async () => {
+    const probe = (name, result) => ({ project: 'demo', probe: { name, check: async () => result } });
+    const green = await health.runProbes({ probes: [probe('a', { status: 'green', message: 'ok' })] });
+    assert(green.status === 'green' && green.exitCode === 0);
+
+    const report = await health.runProbes({
+      timeout: 50,
+      probes: [
+        probe('a', { status: 'green', message: 'ok' }),
+        probe('b', { status: 'yellow', message: '慢' }),
+        { project: 'demo', probe: { name: 'hang', check: () => new Promise(() => {}) } },
+        { project: 'other', probe: { name: 'boom', check: () => { throw new Error('壞了'); } } },
+      ],
+    });
+    assert(report.status === 'red' && report.exitCode === 2, JSON.stringify(report.counts));
+    assert(report.counts.green === 1 && report.counts.yellow === 1 && report.counts.red === 2);
+    assert(report.probes.find(p => p.name === 'hang').message.includes('逾時'));
+    assert(report.probes.find(p => p.name === 'boom').message === '壞了');
+    assert((await health.runProbes({ probes: report.probes.map(() => probe('b', { status: 'yellow' })) })).exitCode === 1);
+
+    const text = health.formatHealthReport(report, { verbose: false });
+    assert(text.includes('**demo**') && text.includes('🔴 hang') && !text.includes('🟢'), text);
+  });
+
+  await asyncTest('health - 最後取得、快取年齡和資料檔新鮮度', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-health-'));
+    let clock = Date.parse('2026-03-01T00:00:00Z');
+    const probeCache = new ContextCache({ dir: cacheDir, now: () => clock, maxStale: 24 * 60 * 60 * 1000 });
+    const run = async probe => (await health.runProbes({ probes: [{ project: 'demo', probe }] })).probes[0];
+
+    assert((await run(health.lastFetch('fetch', 'rates', { cache: probeCache }))).status === 'yellow');
+    probeCache.set('rates', 'USD', { rate: 32 }, { ttl: 60 * 60 * 1000 });
+
+    clock += 2 * 60 * 60 * 1000;
+    assert((await run(health.lastFetch('fetch', 'rates', { cache: probeCache }))).status === 'green');
+    assert((await run(health.cacheAge('cache', 'rates', { cache: probeCache }))).status === 'green');
+
+    clock += 2 * 24 * 60 * 60 * 1000;
+    const stale = await run(health.lastFetch('fetch', 'rates', { cache: probeCache }));
+    assert(stale.status === 'red' && stale.details.ageMs === 50 * 60 * 60 * 1000, JSON.stringify(stale));
+    const unusable = await run(health.cacheAge('cache', 'rates', { cache: probeCache }));
+    assert(unusable.status === 'red' && unusable.details.unusable === 1, JSON.stringify(unusable));
+
+    const file = path.join(cacheDir, 'data.json');
+    const now = () => Date.parse('2026-03-01T12:00:00Z');
+    assert((await run(health.fileFreshness('file', file, { now }))).message === '檔案不存在');
+    fs.writeFileSync(file, '{}');
+    fs.utimesSync(file, new Date('2026-03-01T00:00:00Z'), new Date('2026-03-01T00:00:00Z'));
+    assert((await run(health.fileFreshness('file', file, { now, warnAfter: 6 * 60 * 60 * 1000 }))).status === 'yellow');
+
+    const noDriver = await run(health.dbIntegrity('db', file, { driver: () => { throw new Error('no driver'); } }));
+    assert(noDriver.status === 'red' && noDriver.message.includes('no driver'));
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  await asyncTest('health - 外部 API 連線狀態和延遲', async () => {
+    let clock = 0;
+    const fakeClient = responses => ({
+      request: async () => {
+        const next = responses.shift();
+        clock += next.latency;
+        if (next.error) throw Object.assign(new Error(next.error), next.details);
+        return { status: 200 };
+      },
+    });
+    const run = async client => (await health.runProbes({
+      probes: [{ project: 'demo', probe: health.reachability('api', 'https://api.example.com/ping', { client, now: () => clock }) }],
+    })).probes[0];
+
+    const fast = await run(fakeClient([{ latency: 120 }]));
+    assert(fast.status === 'green' && fast.details.latencyMs === 120, JSON.stringify(fast));
+    assert((await run(fakeClient([{ latency: 3000 }]))).status === 'yellow');
+    const notFound = await run(fakeClient([{ latency: 10, error: 'HTTP 404', details: { code: 'HTTP_STATUS', status: 404 } }]));
+    assert(notFound.status === 'yellow' && notFound.details.httpStatus === 404);
+    const down = await run(fakeClient([{ latency: 10, error: '連線失敗', details: { code: 'HTTP_NETWORK' } }]));
+    assert(down.status === 'red' && down.details.code === 'HTTP_NETWORK');
+  });
+
+  test('health - 依 manifest 的 health 載入各專案的探針', () => {
+    const dir = createFixture({
+      alpha: { manifest: { name: 'alpha', entry: 'index.js', health: 'index.js' }, code: 'module.exports = [{ name: "up", check: () => ({ status: "green" }) }];' },
+      beta: { manifest: { name: 'beta', entry: 'index.js', health: 'index.js' }, code: 'throw new Error("boom");' },
+      gamma: { manifest: { name: 'gamma', entry: 'index.js' }, code: '' },
+    });
+    health.clearProbes();
+    const failed = health.loadProbes(dir);
+    assert(health.getProbes().map(p => `${p.project}/${p.probe.name}`).join() === 'alpha/up');
+    assert(failed.length === 1 && failed[0].project === 'beta' && failed[0].error === 'boom');
+    health.clearProbes();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // 資料稽核測試（暫存目錄）
+  const audit = require('../lib/audit');
+  const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-audit-'));
+  const positionsSchema = {
+    type: 'object',
+    required: ['positions'],
+    properties: {
+      positions: { type: 'object', additionalProperties: { type: 'object', required: ['shares'], properties: { shares: { type: 'number', minimum: 0 } } } },
+      updatedAt: audit.TIMESTAMP,
+    },
+  };
+  const portfolioCheck = file => audit.jsonFile('portfolio', file, {
+    schema: positionsSchema,
+    records: data => Object.values(data.positions),
+    updatedAt: data => data.updatedAt,
+    staleAfter: 30 * 24 * 60 * 60 * 1000,
+  });
+
+  await asyncTest('audit - JSON 資料檔的格式、過期和沒有資料', async () => {
+    const file = path.join(auditDir, 'portfolio.json');
+    const now = new Date('2026-10-01T00:00:00Z');
+    const run = () => audit.runAudit({ checks: [{ project: 'demo', check: portfolioCheck(file) }], now });
+
+    assert((await run()).status === 'ok', '檔案不存在時預設不回報');
+
+    fs.writeFileSync(file, JSON.stringify({ positions: {}, updatedAt: '2026-01-30T17:03:20.495Z' }));
+    const stale = await run();
+    assert(stale.findings.map(f => f.type).join() === 'empty,stale', JSON.stringify(stale.findings));
+    assert(stale.status === 'warning' && stale.exitCode === 1);
+    assert(stale.findings[1].message.startsWith('243 天沒有更新'), stale.findings[1].message);
+
+    fs.writeFileSync(file, JSON.stringify({ positions: { TSLA: { shares: -1 } }, updatedAt: 'yesterday' }));
+    const invalid = await run();
+    assert(invalid.status === 'error' && invalid.exitCode === 2 && invalid.findings[0].type === 'invalid');
+    assert(invalid.findings[0].details.errors.length === 2, JSON.stringify(invalid.findings[0].details));
+    assert(invalid.findings[0].repair === null, '沒有備份時不能修復');
+
+    fs.writeFileSync(file, '{"positions": {');
+    const corrupt = await run();
+    assert(corrupt.findings[0].type === 'corrupt' && corrupt.findings[0].message.includes('沒有可用的備份'));
+    assert(audit.formatAuditReport(corrupt).includes('demo/portfolio'));
+  });
+
+  await asyncTest('audit - 從最新一份有效的備份還原，dry run 不寫入', async () => {
+    const file = path.join(auditDir, 'restore.json');
+    const checks = [{ project: 'demo', check: portfolioCheck(file) }];
+    const good = JSON.stringify({ positions: { TSLA: { shares: 10 } }, updatedAt: '2026-09-30T00:00:00Z' });
+    const now = new Date('2026-10-01T00:00:00Z');
+
+    fs.writeFileSync(file, good);
+    assert(audit.backupData({ checks })[0].backup);
+    fs.writeFileSync(file, '{"positions": ');
+    assert(audit.backupData({ checks })[0].backup === null, '損壞的檔案不備份');
+
+    const planned = await audit.runRepairs({ dryRun: true, checks, now });
+    assert(planned.repairs.length === 1 && planned.repairs[0].status === 'planned' && planned.repairs[0].action === 'restore');
+    assert(fs.readFileSync(file, 'utf-8') === '{"positions": ', 'dry run 不應寫入');
+
+    const repaired = await audit.runRepairs({ checks, now });
+    assert(repaired.repairs[0].status === 'repaired', JSON.stringify(repaired.repairs));
+    assert(fs.readFileSync(file, 'utf-8') === good);
+    assert(repaired.report.status === 'ok');
+    assert(require('../lib/storage').listBackups(file).length === 2, '還原前先備份損壞的檔案');
+  });
+
+  await asyncTest('audit - 快取中過期太久的項目和遺留的暫存檔', async () => {
+    let clock = Date.parse('2026-03-01T00:00:00Z');
+    const auditCache = new ContextCache({ dir: path.join(auditDir, 'cache'), now: () => clock, maxStale: 24 * 60 * 60 * 1000 });
+    auditCache.set('rates', 'USD', { rate: 32 }, { ttl: 60 * 60 * 1000 });
+    auditCache.set('rates', 'JPY', { rate: 0.21 });
+    clock += 3 * 24 * 60 * 60 * 1000;
+
+    const leftover = path.join(auditDir, '.state.json.99999999.0123abcd.tmp');
+    fs.writeFileSync(leftover, '{');
+    const checks = [
+      { project: 'demo', check: audit.cacheFiles('cache', { cache: auditCache }) },
+      { project: 'demo', check: audit.leftovers('leftovers', [auditDir]) },
+      { project: 'demo', check: audit.searchIndex('index', leftover, { driver: () => { throw new Error('no driver'); } }) },
+    ];
+
+    const report = await audit.runAudit({ checks });
+    assert(report.findings.map(f => f.type).join() === 'orphaned,orphaned,unavailable', JSON.stringify(report.findings));
+    assert(report.findings[0].details.keys.join() === 'USD' && report.counts.repairable === 2);
+
+    const { repairs } = await audit.runRepairs({ checks, actions: ['prune'] });
+    assert(repairs.every(r => r.status === 'repaired'), JSON.stringify(repairs));
+    assert(Object.keys(auditCache.load('rates')).join() === 'JPY');
+    assert(!fs.existsSync(leftover));
+  });
+
+  await asyncTest('audit - 共用資料庫的資料表：格式、沒有資料和最新一筆的時間', async () => {
+    const { Store } = require('../lib/store');
+    const { articles } = require('../lib/repositories');
+    const store = new Store({ file: ':memory:' });
+    store.migrate();
+    const now = new Date('2026-10-01T00:00:00Z');
+    const check = audit.storeTable('articles', {
+      records: db => articles.list(db),
+      schema: { type: 'object', required: ['title'], properties: { title: { type: 'string', minLength: 1 }, savedAt: audit.TIMESTAMP } },
+      latest: items => items[items.length - 1].savedAt,
+      staleAfter: 30 * 24 * 60 * 60 * 1000,
+      empty: 'info',
+      inspect: items => items.length > 1 ? [audit.finding('duplicate', 'warning', '重複')] : [],
+      store,
+    });
+    const run = () => audit.runAudit({ checks: [{ project: 'demo', check }], now });
+
+    const empty = await run();
+    assert(empty.findings.map(f => f.type).join() === 'empty' && empty.status === 'ok', JSON.stringify(empty.findings));
+
+    articles.insert({ id: 'a1', title: '', tags: [], savedAt: '2026-08-01T00:00:00Z' }, store);
+    const stale = await run();
+    assert(stale.findings.map(f => f.type).join() === 'invalid,stale', JSON.stringify(stale.findings));
+    assert(stale.findings[0].message.includes('articles[a1].title'), stale.findings[0].message);
+    assert(stale.findings[1].message.startsWith('61 天沒有新資料（最新 2026-08-01）'), stale.findings[1].message);
+
+    articles.insert({ id: 'a2', title: '新文章', tags: [], savedAt: '2026-09-30T00:00:00Z' }, store);
+    const inspected = await run();
+    assert(inspected.findings.map(f => f.type).join() === 'invalid,duplicate', JSON.stringify(inspected.findings));
+    assert(audit.backupData({ checks: [{ project: 'demo', check }] }).length === 0, '資料表不另外備份檔案');
+  });
+
+  fs.rmSync(auditDir, { recursive: true, force: true });
+
+  // HTTP 客戶端測試（模擬 fetch，不連網）
+  const http = require('../lib/http');
+
+  /**
+   * 依序回傳指定回應的 fetch
+   */
+  function fakeFetch(responses, calls = []) {
+    return async (url, options) => {
+      calls.push({ url, options });
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return new Response(next.body, { status: next.status, headers: next.headers || {} });
+    };
+  }
+
+  await asyncTest('http - 5xx 以指數退避重試，429 採用 Retry-After', async () => {
+    const waits = [];
+    const client = new http.HttpClient({
+      hostLimits: {},
+      sleep: async ms => waits.push(ms),
+      fetch: fakeFetch([
+        { status: 503, body: 'down' },
+        { status: 429, body: '{}', headers: { 'Retry-After': '3' } },
+        { status: 200, body: '{"ok":true}' },
+      ]),
+    });
+
+    const data = await client.getJSON('https://api.example.com/x');
+    assert(data.ok === true);
+    assert(waits.join() === '500,3000', `Got: ${waits}`);
+  });
+
+  await asyncTest('http - Retry-After 超過退避上限時直接拋出', async () => {
+    const waits = [];
+    const calls = [];
+    const client = new http.HttpClient({
+      hostLimits: {},
+      sleep: async ms => waits.push(ms),
+      fetch: fakeFetch([{ status: 429, body: '{}', headers: { 'Retry-After': '3600' } }], calls),
+    });
+
+    let error = null;
+    try { await client.getJSON('https://api.example.com/x'); } catch (e) { error = e; }
+    assert(calls.length === 1 && waits.length === 0, `Got: ${waits}`);
+    assert(error.code === 'HTTP_STATUS' && error.status === 429 && error.retryAfter === 3600 * 1000);
+  });
+
+  await asyncTest('http - 4xx 不重試並回傳結構化錯誤', async () => {
+    const calls = [];
+    const client = new http.HttpClient({ hostLimits: {}, fetch: fakeFetch([{ status: 404, body: '{"message":"not found"}' }], calls) });
+
+    let error = null;
+    try { await client.getJSON('https://api.example.com/missing'); } catch (e) { error = e; }
+    assert(calls.length === 1);
+    assert(error.code === 'HTTP_STATUS' && error.status === 404 && error.body.message === 'not found');
+    assert(error.message.includes('api.example.com'));
+  });
+
+  await asyncTest('http - 逾時和網路錯誤重試後拋出', async () => {
+    const timeout = Object.assign(new Error('aborted'), { name: 'TimeoutError' });
+    const client = new http.HttpClient({ hostLimits: {}, retries: 1, sleep: async () => {}, fetch: fakeFetch([timeout, new TypeError('fetch failed')]) });
+
+    let error = null;
+    try { await client.getJSON('https://api.example.com/slow'); } catch (e) { error = e; }
+    assert(error.code === 'HTTP_NETWORK' && error.attempts === 2, `Got: ${error && error.code}`);
+  });
+
+  await asyncTest('http - 同一主機依間隔限制請求', async () => {
+    let clock = 0;
+    const waits = [];
+    const client = new http.HttpClient({
+      hostLimits: { 'api.coingecko.com': { minInterval: 2500 } },
+      now: () => clock,
+      sleep: async ms => { waits.push(ms); clock += ms; },
+      fetch: fakeFetch([{ status: 200, body: '1' }, { status: 200, body: '2' }, { status: 200, body: '3' }]),
+    });
+
+    await client.getJSON('https://api.coingecko.com/a');
+    await client.getJSON('https://api.coingecko.com/b');
+    await client.getJSON('https://other.example.com/c');
+    assert(waits.join() === '2500', `Got: ${waits}`);
+  });
+
+  await asyncTest('http - 錄製後以 fixture 離線重播追蹤器', async () => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-fixtures-'));
+    const prices = { bitcoin: { usd: 65000, twd: 2100000, usd_24h_change: 1.5, usd_market_cap: 1.2e12 } };
+
+    // 錄製（模擬 CoinGecko 回應），不保存 Authorization
+    http.configure({
+      fixtures: 'record',
+      fixturesDir,
+      hostLimits: {},
+      fetch: fakeFetch([{ status: 200, body: JSON.stringify(prices) }]),
+    });
+    const { fetchPrices } = require('../../crypto-tracker/src/index');
+    await fetchPrices();
+
+    const [file] = fs.readdirSync(fixturesDir);
+    assert(file.startsWith('api.coingecko.com-'), `Got: ${file}`);
+
+    // 重播：沒有 fetch 也能取得相同資料
+    http.configure({ fixtures: 'replay', fixturesDir, fetch: () => { throw new Error('不應連網'); } });
+    const replayed = await fetchPrices();
+    assert(replayed.bitcoin.usd === 65000);
+
+    let error = null;
+    try { await http.getJSON('https://api.coingecko.com/unknown'); } catch (e) { error = e; }
+    assert(error.code === 'HTTP_NO_FIXTURE');
+
+    http.configure({ fixtures: 'off' });
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  await asyncTest('http - 錄製時不保存錯誤回應', async () => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-fixtures-'));
+    const client = new http.HttpClient({
+      fixtures: 'record',
+      fixturesDir,
+      hostLimits: {},
+      retries: 1,
+      sleep: async () => {},
+      fetch: fakeFetch([{ status: 503, body: 'down' }, { status: 503, body: 'down' }]),
+    });
+
+    let error = null;
+    try { await client.getJSON('https://api.example.com/flaky'); } catch (e) { error = e; }
+    assert(error.code === 'HTTP_STATUS' && error.status === 503);
+    assert(fs.readdirSync(fixturesDir).length === 0, '不應錄製 503');
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  // 快取測試
+  const { Cache, cache: sharedCache } = require('../lib/cache');
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-cache-'));
+  let cacheNow = Date.parse('2026-03-02T00:00:00Z');
+  const testCache = new Cache({ dir: cacheDir, maxEntries: 3, now: () => cacheNow });
+
+  await asyncTest('cache - 有效期內不重新載入，過期且載入失敗時回傳舊資料', async () => {
+    let loads = 0;
+    const loader = async () => { loads++; if (loads > 1) throw new Error('API down'); return { rate: 31.5 }; };
+
+    await testCache.fetch('forex', 'rates:USD', loader, { ttl: 60 * 1000 });
+    const cached = await testCache.fetch('forex', 'rates:USD', loader, { ttl: 60 * 1000 });
+    assert(loads === 1 && cached.isStale === false);
+
+    cacheNow += 2 * 60 * 1000;
+    const stale = await testCache.fetch('forex', 'rates:USD', loader, { ttl: 60 * 1000 });
+    assert(loads === 2 && stale.isStale === true && stale.value.rate === 31.5 && stale.error === 'API down');
+    assert(testCache.get('forex', 'rates:USD') === null && testCache.get('forex', 'rates:USD', { allowStale: true }));
+
+    let error = null;
+    try { await testCache.fetch('forex', 'rates:EUR', loader, { ttl: 60 * 1000 }); } catch (e) { error = e; }
+    assert(error && error.message === 'API down');
+  });
+
+  await asyncTest('cache - background 模式先回傳舊資料再更新', async () => {
+    testCache.set('crypto', 'prices', { btc: 1 }, { ttl: -1 });
+    const result = await testCache.fetch('crypto', 'prices', async () => ({ btc: 2 }), { ttl: 60 * 1000, background: true });
+    assert(result.isStale && result.value.btc === 1);
+
+    await Promise.all(testCache.refreshing.values());
+    assert(testCache.get('crypto', 'prices').value.btc === 2);
+  });
+
+  test('cache - 超過上限時先移除過期再移除最舊', () => {
+    testCache.set('quotes', 'A', 1, { ttl: 60 * 1000 });
+    cacheNow += 1000;
+    testCache.set('quotes', 'B', 2, { ttl: -1 });
+    cacheNow += 1000;
+    testCache.set('quotes', 'C', 3, { ttl: 60 * 1000 });
+    testCache.set('quotes', 'D', 4, { ttl: 60 * 1000 });
+    testCache.set('quotes', 'E', 5, { ttl: 60 * 1000 });
+
+    const keys = Object.keys(testCache.load('quotes')).sort().join();
+    assert(keys === 'C,D,E', `Got: ${keys}`);
+  });
+
+  test('cache - 統計和清除', () => {
+    const stats = testCache.stats();
+    const quotes = stats.find(n => n.namespace === 'quotes');
+    assert(quotes.entries === 3 && quotes.fresh === 3 && stats.find(n => n.namespace === 'forex').stale === 1);
+    assert(testCache.clear('quotes') === 3 && !testCache.namespaces().includes('quotes'));
+    assert(testCache.clear() === 2 && testCache.stats().length === 0);
+  });
+
+  await asyncTest('cache - 追蹤器在 API 失敗時於報告標示舊資料', async () => {
+    const originalDir = sharedCache.dir;
+    sharedCache.dir = cacheDir;
+    http.configure({ fixtures: 'replay', fixturesDir: cacheDir });
+    sharedCache.set('crypto', 'prices', { bitcoin: { usd: 65000, usd_24h_change: 1 } }, { ttl: -1 });
+
+    const { getPrices, generateBrief } = require('../../crypto-tracker/src/index');
+    const prices = await getPrices();
+    const brief = await generateBrief(prices);
+    assert(prices.isStale === true && prices.bitcoin.usd === 65000);
+    assert(brief.includes('快取資料'), brief);
+
+    http.configure({ fixtures: 'off' });
+    sharedCache.dir = originalDir;
+  });
+
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+
+  // 區塊管線測試
+  const { runSections, renderSection, getSectionStats } = require('../lib/pipeline');
+  const pipelineDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-pipeline-'));
+  const pipelineCache = new Cache({ dir: path.join(pipelineDir, 'cache') });
+  const statsFile = path.join(pipelineDir, 'stats.json');
+  const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+  await asyncTest('pipeline - 區塊同時執行，逾時的區塊不等待', async () => {
+    const started = Date.now();
+    const results = await runSections([
+      { id: 'a', title: 'A', load: () => delay(60, { content: 'a', data: 1 }) },
+      { id: 'b', title: 'B', load: () => delay(60, { content: 'b' }) },
+      { id: 'slow', title: 'Slow', load: () => delay(400, { content: 'late' }), timeout: 100 },
+      { id: 'broken', title: 'Broken', load: () => { throw new Error('boom'); } },
+    ], { name: 'test', timeout: 1000, cache: pipelineCache, statsFile });
+
+    const elapsed = Date.now() - started;
+    assert(elapsed < 300, `Took ${elapsed}ms`);
+    assert(results.map(r => r.id).join() === 'a,b,slow,broken');
+    assert(results[0].status === 'ok' && results[0].data === 1);
+    assert(results[2].status === 'timeout' && renderSection(results[2]).includes('逾時'));
+    assert(results[3].status === 'error' && renderSection(results[3]).includes('boom'));
+  });
+
+  await asyncTest('pipeline - 逾時顯示上次成功（含晚到）的內容', async () => {
+    await delay(400);
+    const [slow] = await runSections([
+      { id: 'slow', title: 'Slow', load: () => delay(400, { content: 'again' }), timeout: 50 },
+    ], { name: 'test', cache: pipelineCache, statsFile });
+
+    assert(slow.status === 'stale' && slow.reason === 'timeout' && slow.content === 'late', JSON.stringify(slow));
+    assert(renderSection(slow).startsWith('⏱️') && renderSection(slow).endsWith('late'));
+
+    // 範圍不同（如不同成員）不共用舊內容
+    const [other] = await runSections([{ id: 'slow', title: 'Slow', load: () => delay(400, {}), timeout: 50 }],
+      { name: 'test', scope: 'tim', cache: pipelineCache, statsFile: null });
+    assert(other.status === 'timeout');
+  });
+
+  test('pipeline - 記錄各區塊耗時和逾時次數', () => {
+    const stats = getSectionStats(statsFile);
+    const slow = stats.find(s => s.section === 'test.slow');
+    assert(stats.length === 4 && slow.runs === 2 && slow.timeouts === 2 && slow.lastStatus === 'stale', JSON.stringify(stats));
+    assert(stats.find(s => s.section === 'test.broken').errors === 1);
+    assert(stats.find(s => s.section === 'test.a').p50Ms >= 50);
+  });
+
+  await delay(400);
+  fs.rmSync(pipelineDir, { recursive: true, force: true });
+
+  // JSON 狀態檔測試
+  const storage = require('../lib/storage');
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-storage-'));
+
+  test('storage - 原子寫入不留暫存檔，損壞的檔案拋出錯誤', () => {
+    const file = path.join(storageDir, 'nested', 'state.json');
+    storage.writeJSON(file, { ok: true });
+    assert(storage.readJSON(file).ok === true);
+    assert(fs.readdirSync(path.dirname(file)).join() === 'state.json');
+    assert(storage.readJSON(path.join(storageDir, 'missing.json'), []).length === 0);
+
+    fs.writeFileSync(file, '{"ok": tr');
+    let error = null;
+    try { storage.updateJSON(file, {}, data => { data.ok = false; }); } catch (e) { error = e; }
+    assert(error && error.code === 'STORAGE_CORRUPT');
+    assert(fs.readFileSync(file, 'utf-8') === '{"ok": tr', '損壞的檔案不應被覆寫');
+  });
+
+  test('storage - 其他程序持有鎖時逾時，程序已結束的鎖會被取代', () => {
+    const file = path.join(storageDir, 'locked.json');
+    const owner = pid => fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid, host: os.hostname() }));
+
+    owner(process.ppid);
+    let error = null;
+    try { storage.withLock(file, () => null, { timeout: 100 }); } catch (e) { error = e; }
+    assert(error && error.code === 'STORAGE_LOCKED');
+
+    owner(2 ** 22 + 12345);
+    assert(storage.withLock(file, () => storage.withLock(file, () => 'reentrant')) === 'reentrant');
+    assert(!fs.existsSync(`${file}.lock`));
+  });
+
+  test('storage - 失效的鎖改名後才刪除，釋放時不刪除別人的鎖', () => {
+    const file = path.join(storageDir, 'stale.json');
+    const lockFile = `${file}.lock`;
+
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid, host: os.hostname(), token: 'old' }));
+    const old = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lockFile, old, old);
+    assert(storage.withLock(file, () => JSON.parse(fs.readFileSync(lockFile, 'utf-8')).pid) === process.pid);
+    assert(!fs.readdirSync(storageDir).some(name => name.startsWith('stale.json.lock')), '不應留下鎖或改名的檔案');
+
+    // 持有中的鎖被視為失效並由別人取得時，釋放不刪除別人的鎖
+    storage.withLock(file, () => {
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid, host: os.hostname(), token: 'other' }));
+    });
+    assert(JSON.parse(fs.readFileSync(lockFile, 'utf-8')).token === 'other');
+    fs.rmSync(lockFile);
+  });
+
+  await asyncTest('storage - withLockAsync 等待時不卡住事件迴圈', async () => {
+    const file = path.join(storageDir, 'async.json');
+    const lockFile = `${file}.lock`;
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid, host: os.hostname(), token: 'other' }));
+
+    let released = false;
+    setTimeout(() => { released = true; fs.rmSync(lockFile); }, 100);
+    const result = await storage.withLockAsync(file, () => released);
+    assert(result === true, '計時器應在等待中執行');
+    assert(!fs.existsSync(lockFile));
+
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid, host: os.hostname() }));
+    let error = null;
+    try { await storage.withLockAsync(file, () => null, { timeout: 100 }); } catch (e) { error = e; }
+    assert(error && error.code === 'STORAGE_LOCKED');
+    fs.rmSync(lockFile);
+  });
+
+  await asyncTest('storage - 兩個程序同時 updateJSON 不會遺失更新', async () => {
+    const { spawn } = require('child_process');
+    const file = path.join(storageDir, 'counter.json');
+    const script = `
+      const { updateJSON } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'storage'))});
+      for (let i = 0; i < 50; i++) updateJSON(${JSON.stringify(file)}, { count: 0 }, data => { data.count++; });
+    `;
+    const run = () => new Promise((resolve, reject) => {
+      spawn(process.execPath, ['-e', script], { stdio: 'inherit' })
+        .on('exit', code => (code === 0 ? resolve() : reject(new Error(`exit ${code}`))));
+    });
+
+    await Promise.all([run(), run()]);
+    assert(storage.readJSON(file).count === 100, `Got: ${storage.readJSON(file).count}`);
+  });
+
+  fs.rmSync(storageDir, { recursive: true, force: true });
+
+  // 資料庫測試（記憶體資料庫）
+  const { Store, MIGRATIONS } = require('../lib/store');
+  const { LEGACY_SOURCES, importLegacyData } = require('../lib/importer');
+  const repositories = require('../lib/repositories');
+  const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolkit-legacy-'));
+
+  test('store - migration 依序套用且只套用一次', () => {
+    const store = new Store({ file: ':memory:' });
+    const applied = store.migrate();
+    assert(applied.length === MIGRATIONS.length && store.version() === MIGRATIONS[MIGRATIONS.length - 1].version);
+    assert(store.migrate().length === 0);
+    assert(store.status().tables.some(t => t.name === 'positions'));
+    store.close();
+  });
+
+  test('store - migration 失敗時復原該版本', () => {
+    const store = new Store({
+      file: ':memory:',
+      migrations: [
+        { version: 1, name: 'ok', up: 'CREATE TABLE a (id INTEGER)' },
+        { version: 2, name: 'broken', up: 'CREATE TABLE b (id INTEGER); CREATE TABLE a (id INTEGER)' },
+      ],
+    });
+
+    let error = null;
+    try { store.migrate(); } catch (e) { error = e; }
+    assert(error && error.code === 'STORE_MIGRATION' && error.version === 2);
+    assert(store.version() === 1 && !store.status().tables.some(t => t.name === 'b'));
+    store.close();
+  });
+
+  test('store - 匯入舊 JSON 檔，每個來源只匯入一次，壞檔不寫入', () => {
+    const store = new Store({ file: ':memory:' });
+    store.migrate();
+
+    const write = (name, data) => {
+      const file = path.join(legacyDir, name);
+      fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+      return file;
+    };
+    const sources = [
+      {
+        source: 'portfolio',
+        file: write('portfolio.json', { positions: { onds: { symbol: 'onds', shares: 100, costBasis: 3, totalCost: 300, addedAt: '2026-01-30T00:00:00Z' } } }),
+        import: (data, s) => Object.values(data.positions).map(p => repositories.positions.upsert({ ...p, symbol: p.symbol.toUpperCase() }, s)).length,
+      },
+      {
+        source: 'broken',
+        file: write('broken.json', '{"alerts": ['),
+        import: () => 0,
+      },
+    ];
+
+    const dryRun = importLegacyData(store, { sources, dryRun: true });
+    assert(dryRun[0].status === 'pending' && dryRun[0].rows === 1 && repositories.positions.list(store).length === 0);
+
+    const results = importLegacyData(store, { sources });
+    assert(results[0].status === 'imported' && results[1].status === 'error');
+    assert(repositories.positions.get('ONDS', store).costBasis === 3);
+    assert(importLegacyData(store, { sources })[0].status === 'skipped');
+    store.close();
+  });
+
+  test('store - 舊持倉匯入為期初買進，台股記為 TWD', () => {
+    const store = new Store({ file: ':memory:' });
+    store.migrate();
+    const [portfolio] = LEGACY_SOURCES;
+    const sources = [{
+      ...portfolio,
+      file: path.join(legacyDir, 'opening.json'),
+    }];
+    fs.writeFileSync(sources[0].file, JSON.stringify({ positions: {
+      '2330.TW': { symbol: '2330.tw', shares: 100, costBasis: 580, addedAt: '2026-01-30T00:00:00Z' },
+      TSLA: { symbol: 'TSLA', shares: 5, costBasis: 250, addedAt: '2026-01-30T00:00:00Z' },
+    } }));
+
+    assert(importLegacyData(store, { sources })[0].rows === 2);
+    const [tw] = repositories.transactions.list({ symbol: '2330.TW' }, store);
+    const [us] = repositories.transactions.list({ symbol: 'TSLA' }, store);
+    assert(tw.currency === 'TWD' && tw.price === 580 && tw.date === '2026-01-30', `Got: ${tw.currency}`);
+    assert(us.currency === 'USD');
+    store.close();
+  });
+
+  test('store - 警報、歷史和文章的存取', () => {
+    const store = new Store({ file: ':memory:' });
+    store.migrate();
+    const { alerts, history, articles } = repositories;
+
+    alerts.insert({ id: 'alert_1', symbol: 'TSLA', below: 400, createdAt: '2026-03-01T00:00:00Z' }, store);
+    alerts.addTrigger('alert_1', { type: 'below', actualPrice: 390 }, store);
+    alerts.setEnabled('alert_1', false, store);
+    const alert = alerts.get('alert_1', store);
+    assert(alert.triggered.length === 1 && alert.enabled === false && alert.above === null);
+    assert(alert.rule === null && alert.cooldown === 60);
+
+    alerts.insert({ id: 'alert_2', symbol: 'TSLA', rule: { type: 'trailingStop', percent: 10 }, cooldown: 240 }, store);
+    alerts.setState('alert_2', { peak: 420 }, store);
+    const ruleAlert = alerts.get('alert_2', store);
+    assert(ruleAlert.rule.percent === 10 && ruleAlert.cooldown === 240 && ruleAlert.state.peak === 420);
+
+    history.append('forex', { usdTwd: 31 }, { recordedAt: '2020-01-01T00:00:00Z' }, store);
+    history.append('forex', { usdTwd: 32 }, { retainDays: 90 }, store);
+    const rates = history.list('forex', {}, store);
+    assert(rates.length === 1 && rates[0].usdTwd === 32);
+
+    articles.insert({ id: 'art_1', title: 'RWA', tags: ['RWA', '穩定幣'], savedAt: '2026-03-01T00:00:00Z', readingTime: 5 }, store);
+    const [article] = articles.list(store);
+    assert(article.tags.join() === 'RWA,穩定幣' && article.readingTime === 5);
+    assert(articles.tagIndex(store)['穩定幣'][0] === 'art_1');
+    assert(articles.remove('art_1', store) && Object.keys(articles.tagIndex(store)).length === 0);
+    store.close();
+  });
+
+  fs.rmSync(legacyDir, { recursive: true, force: true });
+
+  // 報告
+  console.log(`\n📊 結果: ${passed} 通過, ${failed} 失敗`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(e => {
+  console.error('Test error:', e);
+  process.exit(1);
+});
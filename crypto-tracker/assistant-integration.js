@@ -24,6 +24,13 @@ module.exports = {
    */
   async getCoinPrice(symbol) {
     const coin = await crypto.getCoin(symbol);
+    return this.formatCoinPrice(coin, symbol);
+  },
+
+  /**
+   * 格式化幣種價格
+   */
+  formatCoinPrice(coin, symbol = coin?.symbol) {
     if (!coin) {
       return `找不到 ${symbol}`;
     }
@@ -52,6 +59,34 @@ module.exports = {
     return await this.getCoinPrice('ETH');
   },
 
+  /**
+   * 獲取原始價格資料（CoinGecko 格式）
+   */
+  async getPrices() {
+    return await crypto.getPrices();
+  },
+
+  /**
+   * 獲取特定幣種的原始資料
+   */
+  async getCoin(symbol) {
+    return await crypto.getCoin(symbol);
+  },
+
+  /**
+   * 格式化快訊（搭配原始資料使用）
+   */
+  async formatCryptoBrief(prices) {
+    return await crypto.generateBrief(prices);
+  },
+
+  /**
+   * 格式化完整報告（搭配原始資料使用）
+   */
+  async formatCryptoReport(prices) {
+    return await crypto.generateReport(prices);
+  },
+
   /**
    * 獲取所有追蹤的幣種
    */
@@ -0,0 +1,11 @@
+/**
+ * 加密貨幣追蹤 - 健康檢查探針（見 assistant-toolkit/lib/health.js）
+ */
+
+const { lastFetch, cacheAge, reachability } = require('../assistant-toolkit/lib/health');
+
+module.exports = [
+  lastFetch('prices-fetch', 'crypto', { warnAfter: 6 * 60 * 60 * 1000, failAfter: 24 * 60 * 60 * 1000 }),
+  cacheAge('prices-cache', 'crypto'),
+  reachability('coingecko', 'https://api.coingecko.com/api/v3/ping'),
+];
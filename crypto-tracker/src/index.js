@@ -5,9 +5,8 @@
  * API: CoinGecko (免費，無需 API key)
  */
 
-const https = require('https');
-const fs = require('fs');
-const path = require('path');
+const { getJSON } = require('../../assistant-toolkit/lib/http');
+const { cache, staleNotice } = require('../../assistant-toolkit/lib/cache');
 
 // 追蹤的加密貨幣
 const TRACKED_COINS = [
@@ -21,92 +20,40 @@ const TRACKED_COINS = [
   { id: 'polkadot', symbol: 'DOT', name: 'Polkadot' }
 ];
 
-// 快取設定
-const CACHE_DIR = path.join(__dirname, '..', 'cache');
-const CACHE_FILE = path.join(CACHE_DIR, 'prices.json');
+// 快取設定（共用快取）
 const CACHE_DURATION = 5 * 60 * 1000; // 5 分鐘
 
-// 確保快取目錄存在
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-}
-
-// HTTP GET 請求
-function httpGet(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, {
-      headers: {
-        'User-Agent': 'CryptoTracker/1.0',
-        'Accept': 'application/json'
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error('JSON 解析失敗'));
-          }
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}`));
-        }
-      });
-    }).on('error', reject);
-  });
-}
-
 // 從 CoinGecko 獲取價格
 async function fetchPrices() {
   const ids = TRACKED_COINS.map(c => c.id).join(',');
   const url = `https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=usd,twd&include_24hr_change=true&include_market_cap=true`;
   
   try {
-    return await httpGet(url);
+    return await getJSON(url, {
+      headers: {
+        'User-Agent': 'CryptoTracker/1.0',
+        'Accept': 'application/json'
+      }
+    });
   } catch (error) {
     console.error('API 請求失敗:', error.message);
     return null;
   }
 }
 
-// 讀取快取
-function readCache() {
-  ensureCacheDir();
+// 獲取價格（帶快取，API 失敗時回傳舊價格並標記 isStale）
+async function getPrices() {
   try {
-    if (fs.existsSync(CACHE_FILE)) {
-      const cache = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
-      if (Date.now() - cache.timestamp < CACHE_DURATION) {
-        return cache.data;
-      }
-    }
-  } catch (e) {
-    // 快取讀取失敗
-  }
-  return null;
-}
-
-// 寫入快取
-function writeCache(data) {
-  ensureCacheDir();
-  fs.writeFileSync(CACHE_FILE, JSON.stringify({
-    timestamp: Date.now(),
-    data: data
-  }, null, 2));
-}
+    const { value, isStale, storedAt } = await cache.fetch('crypto', 'prices', async () => {
+      const data = await fetchPrices();
+      if (!data) throw new Error('API 請求失敗');
+      return data;
+    }, { ttl: CACHE_DURATION });
 
-// 獲取價格（帶快取）
-async function getPrices() {
-  let data = readCache();
-  if (!data) {
-    data = await fetchPrices();
-    if (data) {
-      writeCache(data);
-    }
+    return isStale ? { ...value, isStale, cachedAt: storedAt } : value;
+  } catch (error) {
+    return null;
   }
-  return data;
 }
 
 // 格式化數字
@@ -134,15 +81,18 @@ function formatChange(change) {
   return `${emoji} ${sign}${change.toFixed(2)}%`;
 }
 
-// 生成完整報告
-async function generateReport() {
-  const data = await getPrices();
+// 生成完整報告（可傳入已獲取的價格資料）
+async function generateReport(data = null) {
+  data = data || await getPrices();
   if (!data) {
     return '❌ 無法獲取加密貨幣價格';
   }
 
   let report = '# 📊 加密貨幣市場報告\n\n';
   report += `*更新時間: ${new Date().toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })}*\n\n`;
+  if (data.isStale) {
+    report += `${staleNotice(data.cachedAt)}\n\n`;
+  }
   
   let totalMarketCap = 0;
   const coins = [];
@@ -194,9 +144,9 @@ async function generateReport() {
   return report;
 }
 
-// 生成簡報
-async function generateBrief() {
-  const data = await getPrices();
+// 生成簡報（可傳入已獲取的價格資料）
+async function generateBrief(data = null) {
+  data = data || await getPrices();
   if (!data) {
     return '❌ 無法獲取價格';
   }
@@ -216,6 +166,10 @@ async function generateBrief() {
     }
   }
 
+  if (data.isStale) {
+    brief += `\n${staleNotice(data.cachedAt)}\n`;
+  }
+
   return brief;
 }
 
@@ -236,7 +190,8 @@ async function getCoin(symbol) {
     priceUsd: info.usd,
     priceTwd: info.twd,
     change24h: info.usd_24h_change,
-    marketCap: info.usd_market_cap
+    marketCap: info.usd_market_cap,
+    isStale: data.isStale || false
   };
 }
 
@@ -279,6 +234,7 @@ async function main() {
 
 // 導出給助手使用
 module.exports = {
+  fetchPrices,
   getPrices,
   generateReport,
   generateBrief,
@@ -11,17 +11,15 @@
  */
 
 const fs = require('fs').promises;
-const path = require('path');
-
-const CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'family-calendar.json');
+const { getConfigValue } = require('../assistant-toolkit/lib/config');
 
+// 紀念日設定檔（共用設定 family.calendarFile）
 async function loadConfig() {
   try {
-    const data = await fs.readFile(CONFIG_PATH, 'utf-8');
+    const data = await fs.readFile(getConfigValue('family.calendarFile'), 'utf-8');
     return JSON.parse(data);
   } catch (error) {
-    console.error('無法載入配置:', error.message);
-    process.exit(1);
+    throw new Error(`無法載入配置: ${error.message}`);
   }
 }
 
@@ -145,7 +143,14 @@ async function main() {
     lookAheadDays = parseInt(args[daysIndex + 1], 10) || 30;
   }
   
-  const { upcoming, missing } = await checkDates(lookAheadDays);
+  let result;
+  try {
+    result = await checkDates(lookAheadDays);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  const { upcoming, missing } = result;
   
   if (jsonOutput) {
     console.log(JSON.stringify({ upcoming, missing }, null, 2));
@@ -5,9 +5,13 @@
  * 助手應配合 web_search 工具使用這些函數
  */
 
-const { TOPICS, CACHE_FILE, readJSON, writeJSON } = require('./src/config');
+const { TOPICS, CACHE_FILE, readJSON } = require('./src/config');
 const { parseSearchResults, filterNewItems, markAsSeen, rankAndFilter } = require('./src/sources/search');
 const { formatNewsList, formatByTopic, formatBrief, formatDailyDigest } = require('./src/reports/formatter');
+const { cache } = require('../assistant-toolkit/lib/cache');
+
+// 最多保留的新聞數
+const MAX_NEWS = 200;
 
 /**
  * 獲取主題列表
@@ -62,34 +66,41 @@ function processSearchResults(searchResults, topicId) {
   return ranked;
 }
 
+/**
+ * 讀取快取的新聞（共用快取，不過期）
+ * 共用快取還沒有資料時，沿用舊的 data/cache.json
+ */
+function loadNews() {
+  const entry = cache.get('fintech-news', 'news');
+  if (entry) return entry.value;
+  return readJSON(CACHE_FILE, { news: [] }).news || [];
+}
+
 /**
  * 儲存新聞到快取
  */
 function cacheNews(items) {
-  const cache = readJSON(CACHE_FILE, { news: [], lastUpdate: null });
-  
+  const news = loadNews();
+
   // 合併新項目
-  const existingUrls = new Set(cache.news.map(n => n.url));
+  const existingUrls = new Set(news.map(n => n.url));
   const newItems = items.filter(item => !existingUrls.has(item.url));
-  
-  cache.news = [...newItems, ...cache.news].slice(0, 200); // 最多保留 200 條
-  cache.lastUpdate = new Date().toISOString();
-  
-  writeJSON(CACHE_FILE, cache);
-  
+
+  cache.set('fintech-news', 'news', [...newItems, ...news].slice(0, MAX_NEWS));
+
   return newItems.length;
 }
 
 /**
  * 獲取快取的新聞
+ * @param {string|string[]|null} topicId - 主題（可多個，null 為全部）
  */
 function getCachedNews(topicId = null, limit = 20) {
-  const cache = readJSON(CACHE_FILE, { news: [] });
-  
-  let news = cache.news;
+  let news = loadNews();
   
   if (topicId) {
-    news = news.filter(n => n.topic === topicId);
+    const topics = [].concat(topicId);
+    news = news.filter(n => topics.includes(n.topic));
   }
   
   return news.slice(0, limit);
@@ -167,9 +178,10 @@ function getSuggestedQueries() {
 /**
  * 快速新聞更新
  * 返回最近的重要新聞
+ * @param {string[]|null} topics - 只看這些主題（null 為全部）
  */
-function getQuickUpdate() {
-  const items = getCachedNews(null, 10);
+function getQuickUpdate(topics = null) {
+  const items = getCachedNews(topics, 10);
   
   if (items.length === 0) {
     return '📰 尚無快取的新聞。請先搜尋相關主題。';
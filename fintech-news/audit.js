@@ -0,0 +1,42 @@
+/**
+ * 金融科技新聞 - 資料稽核（見 assistant-toolkit/lib/audit.js）
+ * data/cache.json 是舊版新聞快取，共用快取還沒有資料時才會讀取
+ */
+
+const path = require('path');
+const { jsonFile, TIMESTAMP } = require('../assistant-toolkit/lib/audit');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const CACHE_SCHEMA = {
+  type: 'object',
+  required: ['news'],
+  properties: {
+    news: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'url', 'topic'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          url: { type: 'string', pattern: '^https?://' },
+          snippet: { type: 'string' },
+          topic: { type: 'string', minLength: 1 },
+          source: { type: 'string' },
+          fetchedAt: TIMESTAMP,
+          relevance: { type: 'number' },
+        },
+      },
+    },
+  },
+};
+
+module.exports = [
+  jsonFile('legacy-cache', path.join(__dirname, 'data', 'cache.json'), {
+    schema: CACHE_SCHEMA,
+    records: data => data.news,
+    updatedAt: data => data.news.map(item => item.fetchedAt).filter(Boolean).sort().pop(),
+    staleAfter: 7 * DAY,
+    note: '舊版新聞快取，新聞已改存共用快取',
+  }),
+];
@@ -0,0 +1,9 @@
+/**
+ * 金融科技新聞 - 健康檢查探針（見 assistant-toolkit/lib/health.js）
+ */
+
+const { lastFetch } = require('../assistant-toolkit/lib/health');
+
+module.exports = [
+  lastFetch('news-fetch', 'fintech-news', { warnAfter: 24 * 60 * 60 * 1000, failAfter: 72 * 60 * 60 * 1000 }),
+];
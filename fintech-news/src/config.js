@@ -4,10 +4,11 @@
 
 const path = require('path');
 const fs = require('fs');
+const { readJSON, writeJSON, updateJSON } = require('../../assistant-toolkit/lib/storage');
 
 // 資料存儲
 const DATA_DIR = path.join(__dirname, '../data');
-const CACHE_FILE = path.join(DATA_DIR, 'cache.json');
+const CACHE_FILE = path.join(DATA_DIR, 'cache.json'); // 舊版新聞快取（現在改存共用快取，這裡只讀取）
 const HISTORY_FILE = path.join(DATA_DIR, 'history.json');
 
 // 確保資料夾存在
@@ -73,21 +74,7 @@ const TOPICS = {
   },
 };
 
-// 讀取 JSON
-function readJSON(file, defaultValue = {}) {
-  try {
-    if (fs.existsSync(file)) {
-      return JSON.parse(fs.readFileSync(file, 'utf-8'));
-    }
-  } catch (e) {}
-  return defaultValue;
-}
-
-// 寫入 JSON
-function writeJSON(file, data) {
-  fs.writeFileSync(file, JSON.stringify(data, null, 2));
-}
-
+// 讀寫 JSON：共用的 lib/storage.js（原子寫入，損壞的檔案會拋出錯誤而不是當作空的）
 module.exports = {
   DATA_DIR,
   CACHE_FILE,
@@ -95,4 +82,5 @@ module.exports = {
   TOPICS,
   readJSON,
   writeJSON,
+  updateJSON,
 };
@@ -5,7 +5,7 @@
  * 助手可以使用 web_search 工具來搜尋新聞
  */
 
-const { TOPICS, CACHE_FILE, HISTORY_FILE, readJSON, writeJSON } = require('../config');
+const { TOPICS, CACHE_FILE, HISTORY_FILE, readJSON, updateJSON } = require('../config');
 
 /**
  * 生成搜尋查詢
@@ -70,15 +70,15 @@ function isAlreadySeen(url) {
  * 標記為已看
  */
 function markAsSeen(urls) {
-  const history = readJSON(HISTORY_FILE, { seen: [] });
-  history.seen = [...new Set([...history.seen, ...urls])];
-  
-  // 只保留最近 1000 條
-  if (history.seen.length > 1000) {
-    history.seen = history.seen.slice(-1000);
-  }
-  
-  writeJSON(HISTORY_FILE, history);
+  // 鎖定中重新讀取，同時執行的檢查不會互相覆蓋
+  updateJSON(HISTORY_FILE, { seen: [] }, history => {
+    history.seen = [...new Set([...history.seen, ...urls])];
+
+    // 只保留最近 1000 條
+    if (history.seen.length > 1000) {
+      history.seen = history.seen.slice(-1000);
+    }
+  });
 }
 
 /**
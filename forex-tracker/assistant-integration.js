@@ -19,6 +19,28 @@ module.exports = {
     return await forex.generateTwdBrief();
   },
 
+  /**
+   * 獲取原始匯率資料
+   * @param {string} base - 基準貨幣
+   */
+  getRates: async (base = 'USD') => {
+    return await forex.fetchExchangeRates(base);
+  },
+
+  /**
+   * 格式化完整匯率報告（搭配原始資料使用）
+   */
+  formatForexReport: async (usdRates, eurRates) => {
+    return await forex.generateFullReport(usdRates, eurRates);
+  },
+
+  /**
+   * 格式化台幣匯率簡報（搭配原始資料使用）
+   */
+  formatForexBrief: async (usdRates) => {
+    return await forex.generateTwdBrief(usdRates);
+  },
+
   /**
    * 貨幣換算
    */
@@ -53,4 +75,18 @@ module.exports = {
   twdToUsd: async (twdAmount) => {
     return await forex.convert(twdAmount, 'TWD', 'USD');
   },
+  /**
+   * 儲存歷史快照
+   * @returns {Promise<boolean>} 是否成功
+   */
+  saveSnapshot: async () => {
+    return await forex.saveHistory();
+  },
+
+  /**
+   * 獲取支援的貨幣
+   */
+  getSupportedCurrencies: () => {
+    return [...forex.SUPPORTED_CURRENCIES];
+  },
 };
@@ -0,0 +1,13 @@
+/**
+ * 匯率追蹤 - 健康檢查探針（見 assistant-toolkit/lib/health.js）
+ */
+
+const { dataFreshness, lastFetch, cacheAge, reachability } = require('../assistant-toolkit/lib/health');
+
+module.exports = [
+  // 每天 23:00 的 history-snapshot 工作寫入
+  dataFreshness('history', 'forex'),
+  lastFetch('rates-fetch', 'forex'),
+  cacheAge('rates-cache', 'forex'),
+  reachability('open-er-api', 'https://open.er-api.com/v6/latest/USD'),
+];
@@ -5,14 +5,12 @@
  * 追蹤 USD/TWD 及主要貨幣匯率
  */
 
-const fs = require('fs');
-const path = require('path');
+const { getJSON } = require('../../assistant-toolkit/lib/http');
+const { cache, staleNotice } = require('../../assistant-toolkit/lib/cache');
+const { history } = require('../../assistant-toolkit/lib/repositories');
 
-// 資料目錄
-const DATA_DIR = path.join(__dirname, '../data');
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+// 歷史保留天數
+const HISTORY_DAYS = 90;
 
 // 追蹤的貨幣對
 const CURRENCY_PAIRS = {
@@ -24,86 +22,52 @@ const CURRENCY_PAIRS = {
   'EUR/USD': { base: 'EUR', target: 'USD', name: '歐元/美元', emoji: '🇪🇺🇺🇸' },
 };
 
-// 快取設定
-const CACHE_FILE = path.join(DATA_DIR, 'cache.json');
+// 支援的貨幣（追蹤貨幣對中出現的所有貨幣）
+const SUPPORTED_CURRENCIES = [...new Set(
+  Object.values(CURRENCY_PAIRS).flatMap(pair => [pair.base, pair.target])
+)];
+
+// 快取設定（共用快取）
 const CACHE_TTL = 60 * 60 * 1000; // 1 小時
 
 /**
- * 讀取快取
+ * 從 exchangerate-api.com 獲取匯率（免費，無需 API key）
+ * @returns {Promise<Object>} 匯率（失敗時拋出例外）
  */
-function readCache() {
-  try {
-    if (fs.existsSync(CACHE_FILE)) {
-      return JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
-    }
-  } catch (e) {}
-  return {};
-}
+async function requestExchangeRates(baseCurrency) {
+  // 使用免費的 exchangerate-api
+  const url = `https://open.er-api.com/v6/latest/${baseCurrency}`;
+
+  const data = await getJSON(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0',
+    },
+  });
 
-/**
- * 寫入快取
- */
-function writeCache(data) {
-  fs.writeFileSync(CACHE_FILE, JSON.stringify(data, null, 2));
+  if (data.result !== 'success') {
+    throw new Error(data['error-type'] || 'API error');
+  }
+
+  return {
+    base: baseCurrency,
+    rates: data.rates,
+    lastUpdate: data.time_last_update_utc,
+    nextUpdate: data.time_next_update_utc,
+  };
 }
 
 /**
- * 從 exchangerate-api.com 獲取匯率（免費，無需 API key）
+ * 獲取匯率（帶快取，API 失敗時回傳舊匯率並標記 isStale）
  */
 async function fetchExchangeRates(baseCurrency = 'USD') {
-  // 檢查快取
-  const cache = readCache();
-  const cacheKey = `rates_${baseCurrency}`;
-  
-  if (cache[cacheKey]) {
-    const age = Date.now() - cache[cacheKey].fetchedAt;
-    if (age < CACHE_TTL) {
-      return cache[cacheKey].rates;
-    }
-  }
-
   try {
-    // 使用免費的 exchangerate-api
-    const url = `https://open.er-api.com/v6/latest/${baseCurrency}`;
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0',
-      },
+    const { value, isStale, storedAt } = await cache.fetch('forex', `rates:${baseCurrency}`, () => requestExchangeRates(baseCurrency), {
+      ttl: CACHE_TTL,
     });
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    if (data.result !== 'success') {
-      throw new Error(data['error-type'] || 'API error');
-    }
-
-    const rates = {
-      base: baseCurrency,
-      rates: data.rates,
-      lastUpdate: data.time_last_update_utc,
-      nextUpdate: data.time_next_update_utc,
-    };
-
-    // 儲存快取
-    cache[cacheKey] = {
-      rates,
-      fetchedAt: Date.now(),
-    };
-    writeCache(cache);
-
-    return rates;
+    return isStale ? { ...value, isStale, cachedAt: storedAt } : value;
   } catch (error) {
     console.error('Fetch error:', error.message);
-    // 返回快取資料（如果有）
-    if (cache[cacheKey]) {
-      console.log('使用快取資料...');
-      return cache[cacheKey].rates;
-    }
     return null;
   }
 }
@@ -127,15 +91,18 @@ async function getExchangeRate(base, target) {
 
 /**
  * 生成完整匯率報告
+ * @param {Object} usdRates - 已獲取的 USD 匯率（未提供時重新獲取）
+ * @param {Object} eurRates - 已獲取的 EUR 匯率（未提供時重新獲取）
  */
-async function generateFullReport() {
-  console.log('💱 獲取匯率資料中...\n');
-
+async function generateFullReport(usdRates = null, eurRates = null) {
   let report = '💱 **匯率報告**\n\n';
 
   // 獲取 USD 為基準的匯率
-  const usdRates = await fetchExchangeRates('USD');
-  const eurRates = await fetchExchangeRates('EUR');
+  if (!usdRates) {
+    console.log('💱 獲取匯率資料中...\n');
+    usdRates = await fetchExchangeRates('USD');
+    eurRates = eurRates || await fetchExchangeRates('EUR');
+  }
 
   if (!usdRates) {
     return '❌ 無法獲取匯率資料';
@@ -172,14 +139,19 @@ async function generateFullReport() {
   report += '\n━━━━━━━━━━━━━━━━━━\n';
   report += `_更新時間: ${usdRates.lastUpdate}_`;
 
+  if (usdRates.isStale) {
+    report += `\n${staleNotice(usdRates.cachedAt)}`;
+  }
+
   return report;
 }
 
 /**
  * 生成台幣匯率簡報
+ * @param {Object} usdRates - 已獲取的 USD 匯率（未提供時重新獲取）
  */
-async function generateTwdBrief() {
-  const usdRates = await fetchExchangeRates('USD');
+async function generateTwdBrief(usdRates = null) {
+  usdRates = usdRates || await fetchExchangeRates('USD');
 
   if (!usdRates) {
     return '💱 匯率資料暫時無法獲取';
@@ -193,6 +165,10 @@ async function generateTwdBrief() {
   brief += `🇺🇸 USD/TWD: ${twdRate.toFixed(2)}\n`;
   brief += `🇯🇵 JPY/TWD: ${jpyTwd.toFixed(2)} (每百日圓)\n`;
 
+  if (usdRates.isStale) {
+    brief += `\n${staleNotice(usdRates.cachedAt)}`;
+  }
+
   return brief.trim();
 }
 
@@ -219,6 +195,7 @@ async function convert(amount, from, to) {
     rate,
     result,
     formatted: `${amount.toLocaleString()} ${from} = ${result.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${to}`,
+    isStale: rates.isStale || false,
   };
 }
 
@@ -227,33 +204,19 @@ async function convert(amount, from, to) {
  */
 async function saveHistory() {
   const usdRates = await fetchExchangeRates('USD');
-  
-  if (!usdRates) {
-    return false;
-  }
-
-  const historyFile = path.join(DATA_DIR, 'history.json');
-  let history = [];
 
-  if (fs.existsSync(historyFile)) {
-    try {
-      history = JSON.parse(fs.readFileSync(historyFile, 'utf-8'));
-    } catch (e) {}
+  // 舊的快取匯率不記入歷史
+  if (!usdRates || usdRates.isStale) {
+    return false;
   }
 
-  history.push({
-    timestamp: new Date().toISOString(),
+  // 只保留最近 90 天
+  history.append('forex', {
     usdTwd: usdRates.rates.TWD,
     usdJpy: usdRates.rates.JPY,
     usdCny: usdRates.rates.CNY,
     usdEur: usdRates.rates.EUR,
-  });
-
-  // 只保留最近 90 天
-  const ninetyDaysAgo = Date.now() - 90 * 24 * 60 * 60 * 1000;
-  history = history.filter(h => new Date(h.timestamp).getTime() > ninetyDaysAgo);
-
-  fs.writeFileSync(historyFile, JSON.stringify(history, null, 2));
+  }, { retainDays: HISTORY_DAYS });
   return true;
 }
 
@@ -331,4 +294,5 @@ module.exports = {
   generateTwdBrief,
   convert,
   saveHistory,
+  SUPPORTED_CURRENCIES,
 };
@@ -4,30 +4,49 @@
  * 讓助手可以直接調用投資監控功能
  */
 
-const { fetchQuotes, formatQuote } = require('./src/market/quotes');
-const { calculatePerformance, formatPortfolioReport, formatPortfolioSummary, setPosition } = require('./src/market/portfolio');
-const { getAlerts, addAlert, checkAlerts, formatAlertsList, formatTriggeredAlert } = require('./src/alerts/manager');
+const { fetchQuotes, formatQuote, quoteCurrency, getStaleSince } = require('./src/market/quotes');
+const { staleNotice } = require('../assistant-toolkit/lib/cache');
+const { calculatePerformance, formatPortfolioReport, formatPortfolioSummary } = require('./src/market/portfolio');
+const { takeSnapshot, getSnapshots, getReturns, formatReturns, formatSnapshot } = require('./src/market/snapshots');
+const { getTransactions, getLedger, recordTransaction, deleteTransaction, formatTransaction, formatTransactionHistory } = require('./src/market/ledger');
+const { updateHistory, getHistory, getIndicators, getStoredIndicators, formatHistoryUpdate } = require('./src/market/history');
+const { computeIndicators, formatIndicators } = require('./src/analysis/indicators');
+const { getAlerts, addAlert, prepareHistory, checkAlerts, formatAlertsList, formatTriggeredAlert } = require('./src/alerts/manager');
+const { validateRule, describeRule, evaluateRule } = require('./src/alerts/rules');
 const { generateDailyReport, generateQuickUpdate } = require('./src/reports/daily');
-const { WATCHLIST, formatCurrency, formatPercent } = require('./src/utils/config');
+const { WATCHLIST, inferCurrency, formatCurrency, formatPercent } = require('./src/utils/config');
 
 /**
  * 獲取快速股票報價（適合聊天回覆）
  */
 async function getQuickQuote(symbols = WATCHLIST) {
   const quotes = await fetchQuotes(symbols);
-  
+  return formatQuickQuote(quotes, symbols);
+}
+
+/**
+ * 格式化快速報價
+ * @param {Object} quotes - fetchQuotes 的結果
+ * @param {string[]} symbols - 顯示順序
+ */
+function formatQuickQuote(quotes, symbols = Object.keys(quotes)) {
   let result = '';
   for (const symbol of symbols) {
     const q = quotes[symbol];
     if (q && !q.error) {
       const emoji = q.change >= 0 ? '📈' : '📉';
       const sign = q.change >= 0 ? '+' : '';
-      result += `${emoji} **${q.symbol}** $${q.price.toFixed(2)} (${sign}${q.changePercent.toFixed(2)}%)\n`;
+      result += `${emoji} **${q.symbol}** ${formatCurrency(q.price, quoteCurrency(q))} (${sign}${q.changePercent.toFixed(2)}%)\n`;
     } else {
       result += `❌ ${symbol}: 無法獲取\n`;
     }
   }
-  
+
+  const staleSince = getStaleSince(quotes);
+  if (staleSince) {
+    result += `\n${staleNotice(staleSince)}`;
+  }
+
   return result.trim();
 }
 
@@ -48,11 +67,58 @@ async function getPortfolioFull() {
 }
 
 /**
- * 設定持倉
+ * 記錄買進
  */
-function setHolding(symbol, shares, costBasis, note = '') {
-  const position = setPosition(symbol, shares, costBasis, note);
-  return `✅ 已設定 ${position.symbol}: ${position.shares} 股 @ ${formatCurrency(position.costBasis)}`;
+async function buyStock(symbol, shares, price, { date, fee, note, fxRate } = {}) {
+  return formatTransaction(await recordTransaction({ type: 'buy', symbol, shares, price, date, fee, note, fxRate }));
+}
+
+/**
+ * 記錄賣出（回覆包含這筆的已實現損益）
+ */
+async function sellStock(symbol, shares, price, { date, fee, note, fxRate } = {}) {
+  return formatTransaction(await recordTransaction({ type: 'sell', symbol, shares, price, date, fee, note, fxRate }));
+}
+
+/**
+ * 獲取交易記錄
+ * @param {string} symbol - 只列出某檔股票（預設全部）
+ */
+function getTransactionHistory(symbol = null) {
+  return formatTransactionHistory(getTransactions(symbol), getLedger());
+}
+
+/**
+ * 獲取歷史報酬（TWR、XIRR、最大回檔、期間報酬）
+ * @param {string} since - YYYY-MM-DD 或 1W / 1M / YTD / 1Y（預設全部）
+ */
+function getPortfolioReturns(since = null) {
+  return formatReturns(getReturns({ since }));
+}
+
+/**
+ * 記錄組合快照（排程 portfolio-snapshot 使用）
+ * @param {string} date - 快照日期（預設昨天）
+ */
+async function savePortfolioSnapshot(date = undefined) {
+  return formatSnapshot(await takeSnapshot({ date }));
+}
+
+/**
+ * 獲取技術指標（均線、RSI、MACD、布林通道、52 週高低、ATR）
+ * @param {string} symbol - 股票代碼
+ */
+async function getTechnicalIndicators(symbol) {
+  const indicators = await getIndicators(symbol);
+  const text = formatIndicators(indicators.symbol, indicators);
+  return indicators.isStale ? `${text}\n\n⚠️ 無法更新日線，使用本地資料` : text;
+}
+
+/**
+ * 補上最新日線（排程 price-history 使用，預設關注清單和持倉）
+ */
+async function updatePriceHistory() {
+  return formatHistoryUpdate(await updateHistory());
 }
 
 /**
@@ -60,9 +126,30 @@ function setHolding(symbol, shares, costBasis, note = '') {
  */
 function setAlert(symbol, above = null, below = null, note = '') {
   const alert = addAlert(symbol, { above, below, note });
+  return formatAlertCreated(alert);
+}
+
+/**
+ * 新增條件警報（漲跌幅、相對成本、追蹤停損、成交量、均線和 RSI 交叉，可用 all / any 組合）
+ * @param {Object} rule - 條件（見 src/alerts/rules.js）
+ * @param {number} cooldown - 觸發後多久不重複通知（分鐘，預設 60）
+ */
+async function setAlertRule(symbol, rule, cooldown = undefined, note = '') {
+  const alert = addAlert(symbol, { rule, cooldown, note });
+  return formatAlertCreated(alert, await prepareHistory(alert));
+}
+
+/**
+ * 格式化警報設定結果
+ * @param {Object} history - prepareHistory 的結果（有下載日線時）
+ */
+function formatAlertCreated(alert, history = null) {
   let msg = `✅ 已設定 ${alert.symbol} 警報\n`;
-  if (above) msg += `📈 高於 ${formatCurrency(above)}\n`;
-  if (below) msg += `📉 低於 ${formatCurrency(below)}`;
+  if (alert.rule) msg += `📐 ${describeRule(alert.rule, inferCurrency(alert.symbol))}\n`;
+  if (alert.above) msg += `📈 高於 ${formatCurrency(alert.above, inferCurrency(alert.symbol))}\n`;
+  if (alert.below) msg += `📉 低於 ${formatCurrency(alert.below, inferCurrency(alert.symbol))}`;
+  if (history?.error) msg += `⚠️ 無法下載日線（${history.error}），成交量 / 均線 / RSI 條件暫時不會成立`;
+  else if (history) msg += `📥 已下載日線（${history.count} 天）`;
   return msg;
 }
 
@@ -76,6 +163,13 @@ async function checkAndReportAlerts() {
     return null; // 沒有觸發的警報
   }
   
+  return formatTriggeredAlerts(triggered);
+}
+
+/**
+ * 格式化觸發的警報列表
+ */
+function formatTriggeredAlerts(triggered) {
   return triggered.map(item => formatTriggeredAlert(item)).join('\n');
 }
 
@@ -119,13 +213,53 @@ module.exports = {
   getQuickQuote,
   getPortfolioSummary,
   getPortfolioFull,
-  setHolding,
+  buyStock,
+  sellStock,
+  getTransactionHistory,
+  getPortfolioReturns,
+  savePortfolioSnapshot,
+  getTechnicalIndicators,
+  updatePriceHistory,
   setAlert,
+  setAlertRule,
   checkAndReportAlerts,
   getMorningUpdate,
   generateDailyReport,
+  // 格式化（搭配原始資料使用）
+  formatQuickQuote,
+  formatTransaction,
+  formatTransactionHistory,
+  formatReturns,
+  formatSnapshot,
+  formatIndicators,
+  formatHistoryUpdate,
+  formatAlertCreated,
+  formatTriggeredAlerts,
+  formatPortfolioReport,
+  formatPortfolioSummary,
+  formatCurrency,
+  quoteCurrency,
   // 原始函數（進階用途）
   fetchQuotes,
   calculatePerformance,
+  getTransactions,
+  getLedger,
+  recordTransaction,
+  deleteTransaction,
+  takeSnapshot,
+  getSnapshots,
+  getReturns,
+  getHistory,
+  getIndicators,
+  getStoredIndicators,
+  computeIndicators,
+  updateHistory,
+  addAlert,
+  prepareHistory,
+  getAlerts,
+  checkAlerts,
+  validateRule,
+  describeRule,
+  evaluateRule,
   WATCHLIST,
 };
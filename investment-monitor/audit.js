@@ -0,0 +1,145 @@
+/**
+ * 投資監控 - 資料稽核（見 assistant-toolkit/lib/audit.js）
+ * 交易、警報、快照和日線都存在共用資料庫，檢查資料表的記錄格式、
+ * 參照不到的股票代碼和快照、日線多久沒有更新
+ */
+
+const { storeTable, finding, TIMESTAMP } = require('../assistant-toolkit/lib/audit');
+const { transactions, alerts, snapshots, prices } = require('../assistant-toolkit/lib/repositories');
+const { TRANSACTION_TYPES, buildPositions } = require('./src/market/ledger');
+const { validateRule } = require('./src/alerts/rules');
+const { WATCHLIST } = require('./src/utils/config');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_LISTED = 5;
+
+const SYMBOL = { type: 'string', pattern: '^[A-Z0-9.^=-]+$' };
+const DATE = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+const NUMBER = { type: ['number', 'null'] };
+const PRICE = { type: ['number', 'null'], exclusiveMinimum: 0 };
+
+const TRANSACTION_SCHEMA = {
+  type: 'object',
+  required: ['id', 'symbol', 'type', 'date'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    symbol: SYMBOL,
+    type: { type: 'string', enum: TRANSACTION_TYPES },
+    date: DATE,
+    shares: NUMBER,
+    price: { type: ['number', 'null'], minimum: 0 },
+    amount: NUMBER,
+    fee: { type: ['number', 'null'], minimum: 0 },
+    ratio: PRICE,
+    currency: { type: ['string', 'null'], pattern: '^[A-Z]{3}$' },
+    fxRate: PRICE,
+    createdAt: TIMESTAMP,
+  },
+};
+
+const ALERT_SCHEMA = {
+  type: 'object',
+  required: ['id', 'symbol'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    symbol: SYMBOL,
+    above: PRICE,
+    below: PRICE,
+    cooldown: { type: ['integer', 'null'], minimum: 0 },
+    enabled: { type: 'boolean' },
+    triggered: { type: 'array' },
+    createdAt: TIMESTAMP,
+  },
+};
+
+/**
+ * 列出前幾個代碼
+ */
+function listSymbols(symbols) {
+  return symbols.slice(0, MAX_LISTED).join(', ') + (symbols.length > MAX_LISTED ? ` 等 ${symbols.length} 檔` : '');
+}
+
+/**
+ * 交易記錄：重算持倉是否成立、是否有快照，持倉中的股票是否有日線（快照要用日線估值）
+ */
+function inspectTransactions(items, { store }) {
+  const findings = [];
+  if (!snapshots.latest(undefined, store)) {
+    findings.push(finding('empty', 'warning', '有交易記錄但沒有組合快照（排程 portfolio-snapshot 可能沒有執行）'));
+  }
+
+  let positions;
+  try {
+    ({ positions } = buildPositions(items));
+  } catch (error) {
+    return [...findings, finding('inconsistent', 'error', `交易記錄無法重算持倉: ${error.message}`, { code: error.code })];
+  }
+
+  const priced = new Set(prices.symbols(store).map(s => s.symbol));
+  const unpriced = Object.values(positions)
+    .filter(position => position.shares > 0 && !priced.has(position.symbol))
+    .map(position => position.symbol);
+  if (unpriced.length > 0) {
+    findings.push(finding('unpriced', 'warning', `持倉沒有日線，快照無法估值: ${listSymbols(unpriced)}（執行 history backfill）`, { symbols: unpriced }));
+  }
+  return findings;
+}
+
+/**
+ * 警報：條件格式，以及代碼沒有交易、日線也不在關注清單的警報
+ */
+function inspectAlerts(items, { store }) {
+  const findings = [];
+
+  const invalid = items.filter(alert => {
+    if (!alert.rule) return false;
+    try {
+      validateRule(alert.rule);
+      return false;
+    } catch {
+      return true;
+    }
+  }).map(alert => alert.id);
+  if (invalid.length > 0) {
+    findings.push(finding('invalid', 'error', `${invalid.length} 個警報的條件格式錯誤: ${listSymbols(invalid)}`, { ids: invalid }));
+  }
+
+  const known = new Set([
+    ...WATCHLIST,
+    ...transactions.list({}, store).map(t => t.symbol),
+    ...prices.symbols(store).map(s => s.symbol),
+  ]);
+  const orphaned = items.filter(alert => !known.has(alert.symbol));
+  if (orphaned.length > 0) {
+    const symbols = [...new Set(orphaned.map(alert => alert.symbol))];
+    findings.push(finding('orphaned', 'warning', `${orphaned.length} 個警報的代碼沒有交易、日線，也不在關注清單: ${listSymbols(symbols)}`,
+      { ids: orphaned.map(alert => alert.id), symbols }));
+  }
+
+  return findings;
+}
+
+module.exports = [
+  storeTable('transactions', {
+    records: store => transactions.list({}, store),
+    schema: TRANSACTION_SCHEMA,
+    inspect: inspectTransactions,
+  }),
+  storeTable('alerts', {
+    records: store => alerts.list(store),
+    schema: ALERT_SCHEMA,
+    inspect: inspectAlerts,
+  }),
+  storeTable('portfolio-snapshots', {
+    records: store => snapshots.list({}, store),
+    latest: items => items[items.length - 1].date,
+    staleAfter: 3 * DAY,
+    note: '排程 portfolio-snapshot 可能沒有執行',
+  }),
+  storeTable('price-history', {
+    records: store => prices.symbols(store),
+    latest: items => items.reduce((max, s) => s.last > max ? s.last : max, ''),
+    staleAfter: 5 * DAY,
+    note: '排程 price-history 可能沒有執行',
+  }),
+];
@@ -0,0 +1,12 @@
+/**
+ * 投資監控 - 健康檢查探針（見 assistant-toolkit/lib/health.js）
+ */
+
+const { lastFetch, cacheAge, reachability } = require('../assistant-toolkit/lib/health');
+
+module.exports = [
+  // 報價只在查詢時取得，週末和假日沒有查詢是正常的
+  lastFetch('quotes-fetch', 'quotes', { warnAfter: 3 * 24 * 60 * 60 * 1000, failAfter: null }),
+  cacheAge('quotes-cache', 'quotes'),
+  reachability('yahoo-finance', 'https://query1.finance.yahoo.com/v8/finance/chart/SPY?interval=1d&range=1d'),
+];
@@ -1,22 +1,30 @@
 /**
  * 價格警報管理
+ *
+ * 舊警報只有 above / below，新警報以 rule 描述條件（見 ./rules.js）
+ * 每個警報觸發後在 cooldown 分鐘內不重複通知
+ * 成交量、均線和 RSI 條件使用本地日線：新增時沒有日線會先下載（prepareHistory），
+ * 之後由排程 price-history 每天更新（見 ../market/history.js 的 trackedSymbols）
  */
 
-const { ALERTS_FILE, readJSON, writeJSON, formatCurrency } = require('../utils/config');
+const { formatCurrency, inferCurrency, normalizeSymbol } = require('../utils/config');
 const { fetchQuotes } = require('../market/quotes');
+const { getPortfolio } = require('../market/portfolio');
+const { getHistory, backfillHistory } = require('../market/history');
+const { HISTORY_TYPES, validateRule, alertRule, usesType, describeRule, evaluateRule, createContext } = require('./rules');
+const { alerts: alertsRepo } = require('../../../assistant-toolkit/lib/repositories');
+
+// 預設冷卻時間（分鐘）
+const DEFAULT_COOLDOWN = 60;
+
+// 計算指標使用的日線數
+const HISTORY_BARS = 520;
 
 /**
  * 獲取所有警報
  */
 function getAlerts() {
-  return readJSON(ALERTS_FILE, { alerts: [] }).alerts;
-}
-
-/**
- * 儲存警報
- */
-function saveAlerts(alerts) {
-  writeJSON(ALERTS_FILE, { alerts, updatedAt: new Date().toISOString() });
+  return alertsRepo.list();
 }
 
 /**
@@ -25,63 +33,98 @@ function saveAlerts(alerts) {
  * @param {Object} options - 選項
  * @param {number} options.above - 上限價格
  * @param {number} options.below - 下限價格
+ * @param {Object} options.rule - 條件（見 ./rules.js，不和 above / below 同時使用）
+ * @param {number} options.cooldown - 冷卻時間（分鐘，預設 60）
  * @param {string} options.note - 備註
+ * @throws INVALID_ALERT 沒有條件或條件格式不正確
  */
 function addAlert(symbol, options = {}) {
-  const alerts = getAlerts();
-  
+  const above = options.above || null;
+  const below = options.below || null;
+  const rule = options.rule || null;
+  const cooldown = options.cooldown ?? DEFAULT_COOLDOWN;
+
+  if (rule && (above || below)) {
+    throw Object.assign(new Error('rule 和 above / below 不能同時使用（價格條件請寫在 rule 中）'), { code: 'INVALID_ALERT' });
+  }
+  if (!rule && !above && !below) {
+    throw Object.assign(new Error('請提供 above、below 或 rule'), { code: 'INVALID_ALERT' });
+  }
+  if (!Number.isInteger(cooldown) || cooldown < 0) {
+    throw Object.assign(new Error('cooldown 必須是不小於 0 的整數（分鐘）'), { code: 'INVALID_ALERT' });
+  }
+  if (rule) validateRule(rule);
+
   const alert = {
     id: `alert_${Date.now()}`,
-    symbol: symbol.toUpperCase(),
-    above: options.above || null,
-    below: options.below || null,
+    symbol: normalizeSymbol(symbol),
+    above,
+    below,
+    rule,
+    cooldown,
     note: options.note || '',
     enabled: true,
     triggered: [],
+    state: {},
     createdAt: new Date().toISOString(),
   };
 
-  alerts.push(alert);
-  saveAlerts(alerts);
-  
+  alertsRepo.insert(alert);
   return alert;
 }
 
+/**
+ * 條件需要日線但本地還沒有時下載一年（新增警報後呼叫）
+ * @returns {Promise<Object|null>} backfillHistory 的結果或 { symbol, error }；不需要下載時為 null
+ */
+async function prepareHistory(alert) {
+  if (!needsHistory(alert)) return null;
+  try {
+    return await backfillHistory(alert.symbol);
+  } catch (error) {
+    return { symbol: alert.symbol, error: error.message };
+  }
+}
+
+/**
+ * 條件需要日線但本地沒有
+ */
+function needsHistory(alert) {
+  return Boolean(alert.rule) && usesType(alert.rule, HISTORY_TYPES) && getHistory(alert.symbol, { limit: 1 }).length === 0;
+}
+
 /**
  * 移除警報
  */
 function removeAlert(alertId) {
-  const alerts = getAlerts();
-  const index = alerts.findIndex(a => a.id === alertId);
-  
-  if (index === -1) {
-    return false;
-  }
-  
-  alerts.splice(index, 1);
-  saveAlerts(alerts);
-  return true;
+  return alertsRepo.remove(alertId);
 }
 
 /**
  * 啟用/停用警報
  */
 function toggleAlert(alertId, enabled) {
-  const alerts = getAlerts();
-  const alert = alerts.find(a => a.id === alertId);
-  
-  if (!alert) {
-    return false;
-  }
-  
-  alert.enabled = enabled;
-  saveAlerts(alerts);
-  return true;
+  return alertsRepo.setEnabled(alertId, enabled);
+}
+
+/**
+ * 是否還在冷卻時間內
+ */
+function isCoolingDown(alert, now = Date.now()) {
+  const cooldown = (alert.cooldown ?? DEFAULT_COOLDOWN) * 60 * 1000;
+  return alert.triggered.some(t => now - new Date(t.time).getTime() < cooldown);
+}
+
+/**
+ * 警報的貨幣（報價沒有時由代碼推測）
+ */
+function alertCurrency(alert, quote = null) {
+  return quote?.currency || inferCurrency(alert.symbol);
 }
 
 /**
  * 檢查警報觸發
- * @returns {Promise<Object[]>} 觸發的警報列表
+ * @returns {Promise<Object[]>} 觸發的警報列表 [{ alert, quote, trigger: { type, reasons, actualPrice, time } }]
  */
 async function checkAlerts() {
   const alerts = getAlerts();
@@ -94,6 +137,11 @@ async function checkAlerts() {
   // 獲取所有需要檢查的股票報價
   const symbols = [...new Set(enabledAlerts.map(a => a.symbol))];
   const quotes = await fetchQuotes(symbols);
+
+  // 持倉和日線只在條件需要時讀取
+  const rules = new Map(enabledAlerts.map(a => [a.id, alertRule(a)]));
+  const positions = [...rules.values()].some(rule => usesType(rule, ['fromCost'])) ? getPortfolio().positions : {};
+  const histories = {};
   
   const triggered = [];
   const now = new Date().toISOString();
@@ -105,52 +153,64 @@ async function checkAlerts() {
       continue;
     }
 
-    const price = quote.price;
-    let triggerType = null;
-    let triggerPrice = null;
+    const rule = rules.get(alert.id);
 
-    // 檢查上限
-    if (alert.above && price >= alert.above) {
-      triggerType = 'above';
-      triggerPrice = alert.above;
+    // 追蹤停損：記錄設定後的最高價
+    let peak = null;
+    if (usesType(rule, ['trailingStop'])) {
+      peak = Math.max(alert.state.peak || 0, quote.price);
+      if (peak !== alert.state.peak) {
+        alert.state = { ...alert.state, peak };
+        alertsRepo.setState(alert.id, alert.state);
+      }
     }
-    
-    // 檢查下限
-    if (alert.below && price <= alert.below) {
-      triggerType = 'below';
-      triggerPrice = alert.below;
+
+    let bars = [];
+    if (usesType(rule, HISTORY_TYPES)) {
+      histories[alert.symbol] = histories[alert.symbol] || getHistory(alert.symbol, { limit: HISTORY_BARS });
+      bars = histories[alert.symbol];
     }
 
-    if (triggerType) {
-      // 檢查最近是否已觸發過（1小時內不重複）
-      const recentTrigger = alert.triggered.find(t => {
-        const triggerTime = new Date(t.time).getTime();
-        const oneHourAgo = Date.now() - 60 * 60 * 1000;
-        return t.type === triggerType && triggerTime > oneHourAgo;
-      });
-
-      if (!recentTrigger) {
-        const triggerInfo = {
-          type: triggerType,
-          targetPrice: triggerPrice,
-          actualPrice: price,
-          time: now,
-        };
-
-        // 記錄觸發
-        alert.triggered.push(triggerInfo);
-        
-        triggered.push({
-          alert,
-          quote,
-          trigger: triggerInfo,
-        });
-      }
+    const context = createContext({
+      quote,
+      position: positions[alert.symbol] || null,
+      bars,
+      peak,
+      currency: alertCurrency(alert, quote),
+      crosses: alert.state.crosses,
+    });
+    const { matched, reasons, crosses } = evaluateRule(rule, context);
+
+    if (!matched || isCoolingDown(alert)) {
+      continue;
     }
-  }
 
-  // 儲存更新的警報
-  saveAlerts(alerts);
+    // 交叉記下日線日期，同一次交叉不再觸發
+    if (crosses.length > 0) {
+      const fired = Object.fromEntries(crosses.map(key => [key, context.barDate]));
+      alert.state = { ...alert.state, crosses: { ...alert.state.crosses, ...fired } };
+      alertsRepo.setState(alert.id, alert.state);
+    }
+
+    // 舊警報保留 above / below 類型
+    const triggerInfo = {
+      type: alert.rule ? 'rule' : alert.above && quote.price >= alert.above ? 'above' : 'below',
+      ...(!alert.rule && { targetPrice: alert.above && quote.price >= alert.above ? alert.above : alert.below }),
+      reasons,
+      actualPrice: quote.price,
+      time: now,
+    };
+
+    // 記錄觸發（只更新這個警報，檢查期間新增的警報不受影響）
+    alert.triggered.push(triggerInfo);
+    alertsRepo.addTrigger(alert.id, triggerInfo);
+
+    triggered.push({
+      alert,
+      quote,
+      trigger: triggerInfo,
+    });
+  }
 
   return triggered;
 }
@@ -167,13 +227,26 @@ function formatAlertsList(alerts) {
 
   for (const alert of alerts) {
     const status = alert.enabled ? '✅' : '⏸️';
+    const currency = alertCurrency(alert);
     output += `${status} **${alert.symbol}**\n`;
     
+    if (alert.rule) {
+      output += `   📐 ${describeRule(alert.rule, currency)}\n`;
+      if (alert.state?.peak) {
+        output += `   🏔️ 設定後高點 ${formatCurrency(alert.state.peak, currency)}\n`;
+      }
+      if (needsHistory(alert)) {
+        output += `   ⚠️ 沒有日線，成交量 / 均線 / RSI 條件不會成立（\`history backfill ${alert.symbol}\`）\n`;
+      }
+    }
     if (alert.above) {
-      output += `   📈 高於 ${formatCurrency(alert.above)}\n`;
+      output += `   📈 高於 ${formatCurrency(alert.above, currency)}\n`;
     }
     if (alert.below) {
-      output += `   📉 低於 ${formatCurrency(alert.below)}\n`;
+      output += `   📉 低於 ${formatCurrency(alert.below, currency)}\n`;
+    }
+    if ((alert.cooldown ?? DEFAULT_COOLDOWN) !== DEFAULT_COOLDOWN) {
+      output += `   ⏱️ 冷卻 ${alert.cooldown} 分鐘\n`;
     }
     if (alert.note) {
       output += `   💬 ${alert.note}\n`;
@@ -189,13 +262,28 @@ function formatAlertsList(alerts) {
  */
 function formatTriggeredAlert(item) {
   const { alert, quote, trigger } = item;
+  const currency = alertCurrency(alert, quote);
+
+  if (trigger.type === 'rule') {
+    let msg = `🔔 **條件警報**\n\n`;
+    msg += `**${alert.symbol}** 符合條件：${describeRule(alert.rule, currency)}\n`;
+    for (const reason of trigger.reasons) {
+      msg += `• ${reason}\n`;
+    }
+    msg += `現價: ${formatCurrency(trigger.actualPrice, currency)}\n`;
+    if (alert.note) {
+      msg += `備註: ${alert.note}\n`;
+    }
+    return msg;
+  }
+
   const emoji = trigger.type === 'above' ? '🚀' : '⚠️';
   const direction = trigger.type === 'above' ? '突破上限' : '跌破下限';
 
   let msg = `${emoji} **價格警報**\n\n`;
   msg += `**${alert.symbol}** ${direction}！\n`;
-  msg += `目標價: ${formatCurrency(trigger.targetPrice)}\n`;
-  msg += `現價: ${formatCurrency(trigger.actualPrice)}\n`;
+  msg += `目標價: ${formatCurrency(trigger.targetPrice, currency)}\n`;
+  msg += `現價: ${formatCurrency(trigger.actualPrice, currency)}\n`;
   
   if (alert.note) {
     msg += `備註: ${alert.note}\n`;
@@ -205,11 +293,14 @@ function formatTriggeredAlert(item) {
 }
 
 module.exports = {
+  DEFAULT_COOLDOWN,
   getAlerts,
   addAlert,
+  prepareHistory,
   removeAlert,
   toggleAlert,
   checkAlerts,
+  isCoolingDown,
   formatAlertsList,
   formatTriggeredAlert,
 };
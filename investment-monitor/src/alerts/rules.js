@@ -0,0 +1,339 @@
+/**
+ * 警報條件
+ *
+ * 條件以 JSON 描述，可用 all（且）/ any（或）組合：
+ *   { all: [ { type: 'change', op: 'below', value: -5 }, { type: 'rsi', cross: 'below', value: 30 } ] }
+ *
+ *   price         價格 ≥ / ≤ value                       { op: above | below, value }
+ *   change        相對前一天收盤的漲跌 %                 { op, value }（如 -5 為跌 5%）
+ *   fromCost      相對持倉成本的漲跌 %（沒有持倉時不成立） { op, value }
+ *   trailingStop  從設定後的最高價回落 percent %          { percent }
+ *   volume        成交量為前 days 日均量的 multiple 倍以上 { multiple, days = 20 }
+ *   ma            價格升破 / 跌破均線                     { average: sma20 | sma50 | sma200 | ema12 | ema26, cross: above | below }
+ *   rsi           RSI 升破 / 跌破 value                   { cross, value }
+ *
+ * 交叉條件比較前一天和今天（今天以即時報價取代日線的最後一筆），只在交叉當天成立，
+ * 同一次交叉只觸發一次（警報的 state.crosses 記錄已觸發交叉的日線日期）
+ * 錯誤代碼：INVALID_ALERT（條件格式不正確）
+ */
+
+const { computeIndicators } = require('../analysis/indicators');
+const { formatCurrency, formatPercent } = require('../utils/config');
+
+// 可用的均線（computeIndicators 的欄位）
+const MOVING_AVERAGES = ['sma20', 'sma50', 'sma200', 'ema12', 'ema26'];
+
+// 需要歷史日線的條件
+const HISTORY_TYPES = ['volume', 'ma', 'rsi'];
+
+// 組合的最大層數
+const MAX_DEPTH = 5;
+
+/**
+ * 警報錯誤
+ */
+function alertError(message, details = {}) {
+  return Object.assign(new Error(message), { code: 'INVALID_ALERT', ...details });
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// 各條件的欄位檢查，回傳錯誤訊息（正確時為 null）
+const VALIDATORS = {
+  price: c => (['above', 'below'].includes(c.op) && isNumber(c.value) && c.value > 0 ? null : 'price 需要 op（above / below）和大於 0 的 value'),
+  change: c => (['above', 'below'].includes(c.op) && isNumber(c.value) ? null : 'change 需要 op（above / below）和 value（%）'),
+  fromCost: c => (['above', 'below'].includes(c.op) && isNumber(c.value) ? null : 'fromCost 需要 op（above / below）和 value（%）'),
+  trailingStop: c => (isNumber(c.percent) && c.percent > 0 && c.percent < 100 ? null : 'trailingStop 需要 0 ~ 100 之間的 percent'),
+  volume: c => (isNumber(c.multiple) && c.multiple > 0 && (c.days == null || (Number.isInteger(c.days) && c.days >= 2 && c.days <= 250))
+    ? null : 'volume 需要大於 0 的 multiple，days 為 2 ~ 250 的整數'),
+  ma: c => (MOVING_AVERAGES.includes(c.average) && ['above', 'below'].includes(c.cross)
+    ? null : `ma 需要 average（${MOVING_AVERAGES.join(' / ')}）和 cross（above / below）`),
+  rsi: c => (['above', 'below'].includes(c.cross) && isNumber(c.value) && c.value > 0 && c.value < 100
+    ? null : 'rsi 需要 cross（above / below）和 0 ~ 100 之間的 value'),
+};
+
+/**
+ * 檢查條件格式
+ * @throws INVALID_ALERT
+ */
+function validateRule(rule, depth = 0) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw alertError('條件必須是物件');
+  }
+  if (depth > MAX_DEPTH) {
+    throw alertError(`條件最多 ${MAX_DEPTH} 層`);
+  }
+
+  const group = rule.all || rule.any;
+  if (rule.all || rule.any) {
+    if (rule.all && rule.any) throw alertError('同一層只能使用 all 或 any 其中之一');
+    if (!Array.isArray(group) || group.length === 0) throw alertError('all / any 必須是非空陣列');
+    group.forEach(child => validateRule(child, depth + 1));
+    return rule;
+  }
+
+  const validate = VALIDATORS[rule.type];
+  if (!validate) {
+    throw alertError(`未知的條件類型: ${rule.type}（可用 ${Object.keys(VALIDATORS).join(', ')}）`);
+  }
+  const message = validate(rule);
+  if (message) throw alertError(message, { rule });
+  return rule;
+}
+
+/**
+ * 舊警報（above / below）的條件：任一成立即觸發
+ */
+function legacyRule(alert) {
+  const conditions = [];
+  if (alert.above) conditions.push({ type: 'price', op: 'above', value: alert.above });
+  if (alert.below) conditions.push({ type: 'price', op: 'below', value: alert.below });
+  return conditions.length === 1 ? conditions[0] : { any: conditions };
+}
+
+/**
+ * 警報的條件（新警報為 rule，舊警報由 above / below 產生）
+ */
+function alertRule(alert) {
+  return alert.rule || legacyRule(alert);
+}
+
+/**
+ * 條件中所有的單一條件
+ */
+function flattenRule(rule) {
+  const group = rule.all || rule.any;
+  return group ? group.flatMap(flattenRule) : [rule];
+}
+
+/**
+ * 條件是否使用某些類型
+ */
+function usesType(rule, types) {
+  return flattenRule(rule).some(c => types.includes(c.type));
+}
+
+/**
+ * 交叉條件的識別（如 ma:sma50:above、rsi:30:below）
+ */
+function crossKey(c) {
+  return `${c.type}:${c.type === 'ma' ? c.average : c.value}:${c.cross}`;
+}
+
+/**
+ * 這次交叉是否已觸發過（同一天的日線）
+ */
+function alreadyCrossed(c, context) {
+  return context.barDate != null && context.crosses?.[crossKey(c)] === context.barDate;
+}
+
+/**
+ * 日線加上即時報價（同一天取代最後一筆，較新時加在最後）
+ * @param {Object[]} bars - 本地日線
+ * @param {Object} quote - fetchQuotes 的報價
+ */
+function withLiveBar(bars, quote) {
+  if (bars.length === 0 || !quote) return bars;
+
+  const date = quote.history?.[quote.history.length - 1]?.date;
+  const last = bars[bars.length - 1];
+  if (!date || date < last.date) return bars;
+
+  const live = {
+    date,
+    open: null,
+    high: quote.dayHigh ?? quote.price,
+    low: quote.dayLow ?? quote.price,
+    close: quote.price,
+    volume: quote.volume ?? null,
+  };
+  return date === last.date ? [...bars.slice(0, -1), live] : [...bars, live];
+}
+
+/**
+ * 前 days 天的平均成交量（不含最後一筆）
+ */
+function averageVolume(bars, days) {
+  const window = bars.slice(-days - 1, -1).filter(bar => bar.volume != null);
+  if (window.length < days) return null;
+  return window.reduce((sum, bar) => sum + bar.volume, 0) / days;
+}
+
+function compare(actual, op, target) {
+  return op === 'above' ? actual >= target : actual <= target;
+}
+
+function threshold(op, text) {
+  return `${op === 'above' ? '≥' : '≤'} ${text}`;
+}
+
+// 均線名稱（sma50 → SMA50）
+function averageLabel(average) {
+  return average.toUpperCase();
+}
+
+/**
+ * 單一條件的描述（列表用）
+ */
+function describeCondition(c, currency = 'USD') {
+  switch (c.type) {
+    case 'price':
+      return `價格 ${threshold(c.op, formatCurrency(c.value, currency))}`;
+    case 'change':
+      return `單日漲跌 ${threshold(c.op, formatPercent(c.value))}`;
+    case 'fromCost':
+      return `相對成本 ${threshold(c.op, formatPercent(c.value))}`;
+    case 'trailingStop':
+      return `從高點回落 ${c.percent}%（追蹤停損）`;
+    case 'volume':
+      return `成交量 ≥ ${c.days || 20} 日均量 ${c.multiple} 倍`;
+    case 'ma':
+      return `價格${c.cross === 'above' ? '升破' : '跌破'} ${averageLabel(c.average)}`;
+    case 'rsi':
+      return `RSI ${c.cross === 'above' ? '升破' : '跌破'} ${c.value}`;
+    default:
+      return c.type;
+  }
+}
+
+/**
+ * 條件的描述（如「單日漲跌 ≤ -5.00% 且 RSI 跌破 30」）
+ */
+function describeRule(rule, currency = 'USD', nested = false) {
+  const group = rule.all || rule.any;
+  if (!group) return describeCondition(rule, currency);
+
+  const text = group.map(child => describeRule(child, currency, true)).join(rule.all ? ' 且 ' : ' 或 ');
+  return nested && group.length > 1 ? `（${text}）` : text;
+}
+
+/**
+ * 檢查單一條件
+ * @returns {string|null} 成立時的說明；不成立或缺資料時為 null
+ */
+function checkCondition(c, context) {
+  const { quote, position, bars, indicators, peak, currency } = context;
+  const money = value => formatCurrency(value, currency);
+  const price = quote.price;
+
+  switch (c.type) {
+    case 'price':
+      return compare(price, c.op, c.value)
+        ? `現價 ${money(price)} ${c.op === 'above' ? '突破' : '跌破'} ${money(c.value)}`
+        : null;
+
+    case 'change':
+      return isNumber(quote.changePercent) && compare(quote.changePercent, c.op, c.value)
+        ? `單日${quote.changePercent >= 0 ? '上漲' : '下跌'} ${formatPercent(quote.changePercent)}（門檻 ${threshold(c.op, formatPercent(c.value))}）`
+        : null;
+
+    case 'fromCost': {
+      if (!position || !position.costBasis) return null;
+      const fromCost = ((price - position.costBasis) / position.costBasis) * 100;
+      return compare(fromCost, c.op, c.value)
+        ? `相對成本 ${money(position.costBasis)} ${formatPercent(fromCost)}（門檻 ${threshold(c.op, formatPercent(c.value))}）`
+        : null;
+    }
+
+    case 'trailingStop': {
+      if (!peak) return null;
+      const drop = (1 - price / peak) * 100;
+      return drop >= c.percent
+        ? `從高點 ${money(peak)} 回落 ${drop.toFixed(2)}%（追蹤停損 ${c.percent}%）`
+        : null;
+    }
+
+    case 'volume': {
+      const days = c.days || 20;
+      const average = bars ? averageVolume(bars, days) : null;
+      const volume = bars?.[bars.length - 1]?.volume;
+      if (!average || volume == null) return null;
+      return volume >= average * c.multiple
+        ? `成交量 ${Math.round(volume).toLocaleString('en-US')} 為 ${days} 日均量的 ${(volume / average).toFixed(1)} 倍（門檻 ${c.multiple} 倍）`
+        : null;
+    }
+
+    case 'ma': {
+      const current = indicators?.[c.average];
+      const previous = indicators?.previous?.[c.average];
+      if (current == null || previous == null || alreadyCrossed(c, context)) return null;
+      const crossed = c.cross === 'above'
+        ? indicators.previous.close < previous && indicators.close >= current
+        : indicators.previous.close > previous && indicators.close <= current;
+      return crossed
+        ? `價格 ${money(indicators.close)} ${c.cross === 'above' ? '升破' : '跌破'} ${averageLabel(c.average)} ${money(current)}（前一天 ${money(indicators.previous.close)}，${averageLabel(c.average)} ${money(previous)}）`
+        : null;
+    }
+
+    case 'rsi': {
+      const current = indicators?.rsi;
+      const previous = indicators?.previous?.rsi;
+      if (current == null || previous == null || alreadyCrossed(c, context)) return null;
+      const crossed = c.cross === 'above'
+        ? previous < c.value && current >= c.value
+        : previous > c.value && current <= c.value;
+      return crossed
+        ? `RSI 由 ${previous.toFixed(1)} ${c.cross === 'above' ? '升破' : '跌破'} ${c.value}（目前 ${current.toFixed(1)}）`
+        : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * 檢查條件
+ * @param {Object} rule - 條件
+ * @param {Object} context - { quote, position, bars, indicators, peak, currency, barDate, crosses }
+ * @returns {Object} { matched, reasons: 成立條件的說明, crosses: 成立的交叉條件（crossKey）}
+ */
+function evaluateRule(rule, context) {
+  const group = rule.all || rule.any;
+  if (!group) {
+    const reason = checkCondition(rule, context);
+    const isCross = reason != null && (rule.type === 'ma' || rule.type === 'rsi');
+    return { matched: reason != null, reasons: reason ? [reason] : [], crosses: isCross ? [crossKey(rule)] : [] };
+  }
+
+  const results = group.map(child => evaluateRule(child, context));
+  const matched = rule.all ? results.every(r => r.matched) : results.some(r => r.matched);
+  const contributing = matched ? results.filter(r => r.matched) : [];
+  return {
+    matched,
+    reasons: contributing.flatMap(r => r.reasons),
+    crosses: contributing.flatMap(r => r.crosses),
+  };
+}
+
+/**
+ * 建立檢查用的資料（日線加上即時報價後計算指標）
+ * @param {Object} options - { quote, position, bars: 本地日線, peak, currency, crosses: 已觸發的交叉 { crossKey: 日期 } }
+ */
+function createContext({ quote, position = null, bars = [], peak = null, currency = 'USD', crosses = {} }) {
+  const live = withLiveBar(bars, quote);
+  return {
+    quote,
+    position,
+    bars: live,
+    indicators: live.length > 0 ? computeIndicators(live) : null,
+    barDate: live.length > 0 ? live[live.length - 1].date : null,
+    crosses,
+    peak,
+    currency,
+  };
+}
+
+module.exports = {
+  MOVING_AVERAGES,
+  HISTORY_TYPES,
+  validateRule,
+  alertRule,
+  usesType,
+  withLiveBar,
+  describeRule,
+  evaluateRule,
+  createContext,
+};
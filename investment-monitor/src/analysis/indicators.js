@@ -0,0 +1,281 @@
+/**
+ * 技術指標
+ *
+ * 輸入為依日期排序的日線 { date, open, high, low, close, volume }，
+ * 序列函數回傳和輸入等長的陣列，資料不足的位置為 null
+ *
+ *   sma / ema        簡單 / 指數移動平均
+ *   rsi              相對強弱（Wilder 平滑，預設 14 日）
+ *   macd             12 / 26 日 EMA 差，9 日訊號線
+ *   bollinger        20 日均線 ± 2 倍標準差
+ *   atr              平均真實區間（Wilder 平滑，預設 14 日）
+ *   week52           52 週高低點
+ */
+
+const { inferCurrency, formatCurrency, formatPercent } = require('../utils/config');
+
+// RSI 超買 / 超賣門檻
+const RSI_OVERBOUGHT = 70;
+const RSI_OVERSOLD = 30;
+
+/**
+ * 簡單移動平均
+ */
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
+/**
+ * 指數移動平均（以前 period 筆的簡單平均為起點）
+ */
+function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  const start = values.findIndex(v => v != null);
+  if (start < 0 || values.length - start < period) return result;
+
+  let previous = values.slice(start, start + period).reduce((sum, v) => sum + v, 0) / period;
+  result[start + period - 1] = previous;
+  for (let i = start + period; i < values.length; i++) {
+    previous = values[i] * k + previous * (1 - k);
+    result[i] = previous;
+  }
+  return result;
+}
+
+/**
+ * Wilder 平滑（RSI、ATR 使用）
+ */
+function wilder(values, period, first = 0) {
+  const result = new Array(values.length).fill(null);
+  if (values.length - first < period) return result;
+
+  let average = values.slice(first, first + period).reduce((sum, v) => sum + v, 0) / period;
+  result[first + period - 1] = average;
+  for (let i = first + period; i < values.length; i++) {
+    average = (average * (period - 1) + values[i]) / period;
+    result[i] = average;
+  }
+  return result;
+}
+
+/**
+ * 相對強弱指標（0-100）
+ */
+function rsi(closes, period = 14) {
+  const gains = closes.map((close, i) => (i === 0 ? 0 : Math.max(close - closes[i - 1], 0)));
+  const losses = closes.map((close, i) => (i === 0 ? 0 : Math.max(closes[i - 1] - close, 0)));
+  const avgGain = wilder(gains, period, 1);
+  const avgLoss = wilder(losses, period, 1);
+
+  return closes.map((_, i) => {
+    if (avgGain[i] == null) return null;
+    if (avgLoss[i] === 0) return avgGain[i] === 0 ? 50 : 100;
+    return 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  });
+}
+
+/**
+ * MACD
+ * @returns {Object} { macd, signal, histogram }（各為序列）
+ */
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => (fastEma[i] != null && slowEma[i] != null ? fastEma[i] - slowEma[i] : null));
+  const signal = ema(line, signalPeriod);
+  return {
+    macd: line,
+    signal,
+    histogram: line.map((value, i) => (value != null && signal[i] != null ? value - signal[i] : null)),
+  };
+}
+
+/**
+ * 布林通道（母體標準差）
+ * @returns {Object} { upper, middle, lower }（各為序列）
+ */
+function bollinger(closes, period = 20, multiplier = 2) {
+  const middle = sma(closes, period);
+  const deviation = closes.map((_, i) => {
+    if (middle[i] == null) return null;
+    const window = closes.slice(i - period + 1, i + 1);
+    return Math.sqrt(window.reduce((sum, v) => sum + (v - middle[i]) ** 2, 0) / period);
+  });
+  return {
+    upper: middle.map((m, i) => (m == null ? null : m + multiplier * deviation[i])),
+    middle,
+    lower: middle.map((m, i) => (m == null ? null : m - multiplier * deviation[i])),
+  };
+}
+
+/**
+ * 平均真實區間
+ */
+function atr(bars, period = 14) {
+  const ranges = bars.map((bar, i) => {
+    if (i === 0) return bar.high - bar.low;
+    const previousClose = bars[i - 1].close;
+    return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+  });
+  return wilder(ranges, period, 1);
+}
+
+/**
+ * 52 週高低點（到第 index 筆為止的一年內）
+ * @returns {Object|null} { high, highDate, low, lowDate }
+ */
+function week52(bars, index = bars.length - 1) {
+  if (index < 0) return null;
+  const end = Date.parse(bars[index].date);
+  const window = bars.slice(0, index + 1).filter(bar => end - Date.parse(bar.date) < 365 * 24 * 60 * 60 * 1000);
+
+  let high = window[0];
+  let low = window[0];
+  for (const bar of window) {
+    if ((bar.high ?? bar.close) >= (high.high ?? high.close)) high = bar;
+    if ((bar.low ?? bar.close) <= (low.low ?? low.close)) low = bar;
+  }
+  return { high: high.high ?? high.close, highDate: high.date, low: low.low ?? low.close, lowDate: low.date };
+}
+
+/**
+ * 計算所有指標在某一天的值
+ */
+function valuesAt(bars, series, i) {
+  const close = bars[i].close;
+  const { upper, middle, lower } = series.bollinger;
+  const range = week52(bars, i);
+  const band = upper[i] != null && upper[i] !== lower[i] ? (close - lower[i]) / (upper[i] - lower[i]) : null;
+
+  return {
+    date: bars[i].date,
+    close,
+    volume: bars[i].volume ?? null,
+    sma20: series.sma20[i],
+    sma50: series.sma50[i],
+    sma200: series.sma200[i],
+    ema12: series.ema12[i],
+    ema26: series.ema26[i],
+    rsi: series.rsi[i],
+    macd: { macd: series.macd.macd[i], signal: series.macd.signal[i], histogram: series.macd.histogram[i] },
+    bollinger: { upper: upper[i], middle: middle[i], lower: lower[i], percentB: band },
+    week52: {
+      ...range,
+      fromHigh: (close / range.high - 1) * 100,
+      fromLow: (close / range.low - 1) * 100,
+    },
+    atr: series.atr[i],
+    atrPercent: series.atr[i] != null ? (series.atr[i] / close) * 100 : null,
+  };
+}
+
+/**
+ * 計算最新和前一天的指標（前一天用於判斷交叉）
+ * @param {Object[]} bars - 日線（依日期）
+ * @returns {Object|null} { ...最新一天的值, previous: 前一天的值, bars: 筆數 }；沒有日線時為 null
+ */
+function computeIndicators(bars) {
+  if (bars.length === 0) return null;
+
+  const closes = bars.map(bar => bar.close);
+  const series = {
+    sma20: sma(closes, 20),
+    sma50: sma(closes, 50),
+    sma200: sma(closes, 200),
+    ema12: ema(closes, 12),
+    ema26: ema(closes, 26),
+    rsi: rsi(closes, 14),
+    macd: macd(closes),
+    bollinger: bollinger(closes),
+    atr: atr(bars, 14),
+  };
+
+  const last = bars.length - 1;
+  return {
+    ...valuesAt(bars, series, last),
+    previous: last > 0 ? valuesAt(bars, series, last - 1) : null,
+    averageVolume20: sma(bars.map(bar => bar.volume || 0), 20)[last],
+    bars: bars.length,
+  };
+}
+
+/**
+ * RSI 狀態
+ */
+function describeRsi(value) {
+  if (value == null) return '';
+  if (value >= RSI_OVERBOUGHT) return ' 🔥 超買';
+  if (value <= RSI_OVERSOLD) return ' 🧊 超賣';
+  return '';
+}
+
+/**
+ * 格式化技術指標
+ * @param {string} symbol - 股票代碼（決定貨幣格式）
+ * @param {Object} indicators - computeIndicators 的結果
+ */
+function formatIndicators(symbol, indicators) {
+  if (!indicators) {
+    return `📭 ${symbol} 沒有歷史價格`;
+  }
+
+  const currency = inferCurrency(symbol);
+  const money = value => (value == null ? '—' : formatCurrency(value, currency));
+  const number = (value, digits = 2) => (value == null ? '—' : value.toFixed(digits));
+  const position = average => (average == null ? '' : indicators.close >= average ? '↑' : '↓');
+  const { sma20, sma50, sma200, ema12, ema26, rsi: rsiValue, macd: m, bollinger: b, week52: w } = indicators;
+
+  const lines = [
+    `📐 **${symbol} 技術指標**（${indicators.date}，收盤 ${money(indicators.close)}）`,
+    '',
+    `均線: SMA20 ${money(sma20)}${position(sma20)}｜SMA50 ${money(sma50)}${position(sma50)}｜SMA200 ${money(sma200)}${position(sma200)}`,
+    `EMA: 12 日 ${money(ema12)}｜26 日 ${money(ema26)}`,
+    `RSI(14): ${number(rsiValue, 1)}${describeRsi(rsiValue)}`,
+    `MACD: ${number(m.macd)}｜訊號 ${number(m.signal)}｜柱狀 ${number(m.histogram)}${m.histogram == null ? '' : m.histogram >= 0 ? ' 🟢' : ' 🔴'}`,
+    `布林通道(20, 2): ${money(b.lower)} ~ ${money(b.upper)}${b.percentB == null ? '' : `（%B ${number(b.percentB)}）`}`,
+    `52 週: 高 ${money(w.high)}（${w.highDate}）｜低 ${money(w.low)}（${w.lowDate}）`,
+    `　距高點 ${formatPercent(w.fromHigh)}｜距低點 ${formatPercent(w.fromLow)}`,
+    `ATR(14): ${money(indicators.atr)}${indicators.atrPercent == null ? '' : `（${number(indicators.atrPercent)}%）`}`,
+  ];
+
+  if (indicators.bars < 200) {
+    lines.push('', `⚠️ 只有 ${indicators.bars} 天的歷史，部分指標無法計算（可執行 history backfill）`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 一行摘要（每日報告用）
+ */
+function formatIndicatorSummary(symbol, indicators) {
+  if (!indicators) return `${symbol}: —`;
+  const parts = [`RSI ${indicators.rsi == null ? '—' : indicators.rsi.toFixed(0)}${describeRsi(indicators.rsi)}`];
+  if (indicators.sma50 != null) parts.push(`${indicators.close >= indicators.sma50 ? '站上' : '跌破'} SMA50`);
+  if (indicators.sma200 != null) parts.push(`${indicators.close >= indicators.sma200 ? '站上' : '跌破'} SMA200`);
+  parts.push(`距 52 週高點 ${formatPercent(indicators.week52.fromHigh)}`);
+  return `${symbol}: ${parts.join('｜')}`;
+}
+
+module.exports = {
+  RSI_OVERBOUGHT,
+  RSI_OVERSOLD,
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  atr,
+  week52,
+  computeIndicators,
+  formatIndicators,
+  formatIndicatorSummary,
+};
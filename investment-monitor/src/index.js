@@ -6,15 +6,22 @@
  * 使用方法:
  *   node src/index.js quote ONDS TSLA
  *   node src/index.js alert add ONDS --above 5 --below 2
- *   node src/index.js portfolio set ONDS 1000 --cost 3.50
+ *   node src/index.js portfolio buy ONDS 1000 --price 3.50
+ *   node src/index.js indicators TSLA
  *   node src/index.js daily
  */
 
 const { fetchQuotes, formatQuote } = require('./market/quotes');
-const { getAlerts, addAlert, removeAlert, checkAlerts, formatAlertsList, formatTriggeredAlert } = require('./alerts/manager');
-const { getPortfolio, setPosition, removePosition, calculatePerformance, formatPortfolioReport } = require('./market/portfolio');
+const { DEFAULT_COOLDOWN, getAlerts, addAlert, prepareHistory, removeAlert, checkAlerts, formatAlertsList, formatTriggeredAlert } = require('./alerts/manager');
+const { describeRule } = require('./alerts/rules');
+const { calculatePerformance, formatPortfolioReport } = require('./market/portfolio');
+const { takeSnapshot, getReturns, formatReturns, formatSnapshot } = require('./market/snapshots');
+const { resolveSince } = require('./market/returns');
+const { getTransactions, getLedger, recordTransaction, deleteTransaction, formatTransaction, formatTransactionHistory } = require('./market/ledger');
+const { BACKFILL_RANGES, backfillHistory, updateHistory, getHistoryStatus, getIndicators, formatHistoryUpdate, formatHistoryStatus } = require('./market/history');
+const { formatIndicators } = require('./analysis/indicators');
 const { generateDailyReport, generateQuickUpdate } = require('./reports/daily');
-const { WATCHLIST, formatCurrency } = require('./utils/config');
+const { WATCHLIST, normalizeSymbol, inferCurrency, formatCurrency } = require('./utils/config');
 
 async function main() {
   const args = process.argv.slice(2);
@@ -42,6 +49,15 @@ async function main() {
         await handlePortfolio(args.slice(1));
         break;
 
+      case 'indicators':
+      case 'ind':
+        await handleIndicators(args.slice(1));
+        break;
+
+      case 'history':
+        await handleHistory(args.slice(1));
+        break;
+
       case 'daily':
       case 'd':
         await handleDaily();
@@ -70,7 +86,7 @@ async function main() {
 
 // 報價指令
 async function handleQuote(args) {
-  const symbols = args.length > 0 ? args.map(s => s.toUpperCase()) : WATCHLIST;
+  const symbols = args.length > 0 ? args.map(normalizeSymbol) : WATCHLIST;
   
   console.log('📊 獲取報價中...\n');
   const quotes = await fetchQuotes(symbols);
@@ -94,17 +110,27 @@ async function handleAlert(args) {
       }
 
       const options = parseOptions(args.slice(2));
-      const alert = addAlert(symbol, {
-        above: options.above ? parseFloat(options.above) : null,
-        below: options.below ? parseFloat(options.below) : null,
-        note: options.note || '',
-      });
+      let alert;
+      try {
+        alert = addAlert(symbol, alertOptions(options));
+      } catch (error) {
+        if (error.code !== 'INVALID_ALERT') throw error;
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+      }
 
       console.log('✅ 警報已新增\n');
       console.log(`股票: ${alert.symbol}`);
-      if (alert.above) console.log(`高於: ${formatCurrency(alert.above)}`);
-      if (alert.below) console.log(`低於: ${formatCurrency(alert.below)}`);
+      if (alert.rule) console.log(`條件: ${describeRule(alert.rule, inferCurrency(alert.symbol))}`);
+      if (alert.above) console.log(`高於: ${formatCurrency(alert.above, inferCurrency(alert.symbol))}`);
+      if (alert.below) console.log(`低於: ${formatCurrency(alert.below, inferCurrency(alert.symbol))}`);
+      if (alert.cooldown !== DEFAULT_COOLDOWN) console.log(`冷卻: ${alert.cooldown} 分鐘`);
       console.log(`ID: ${alert.id}`);
+
+      const history = await prepareHistory(alert);
+      if (history?.error) console.log(`\n⚠️ 無法下載日線（${history.error}），成交量 / 均線 / RSI 條件在 \`history backfill ${alert.symbol}\` 之前不會成立`);
+      else if (history) console.log(`\n📥 已下載日線 ${history.first} ~ ${history.last}（${history.count} 天）`);
       break;
     }
 
@@ -148,6 +174,8 @@ async function handleAlert(args) {
     default:
       console.log('警報指令:');
       console.log('  alert add <SYMBOL> --above <PRICE> --below <PRICE>');
+      console.log('  alert add <SYMBOL> --change -5 --rsi-below 30 [--any] [--cooldown <MIN>]');
+      console.log('  alert add <SYMBOL> --rule \'{"any": [...]}\'');
       console.log('  alert remove <ID>');
       console.log('  alert list');
       console.log('  alert check');
@@ -159,52 +187,250 @@ async function handlePortfolio(args) {
   const subCommand = args[0];
 
   switch (subCommand) {
-    case 'set': {
+    case 'buy':
+    case 'sell': {
       const symbol = args[1];
-      const shares = args[2] ? parseFloat(args[2]) : null;
-      
-      if (!symbol || shares == null) {
-        console.error('❌ 用法: portfolio set <SYMBOL> <SHARES> --cost <PRICE>');
+      const options = parseOptions(args.slice(3));
+      if (!symbol || !args[2] || options.price == null) {
+        console.error(`❌ 用法: portfolio ${subCommand} <SYMBOL> <SHARES> --price <PRICE> [--date YYYY-MM-DD] [--fee <FEE>]`);
         return;
       }
 
-      const options = parseOptions(args.slice(3));
-      const cost = options.cost ? parseFloat(options.cost) : 0;
+      await record({ type: subCommand, symbol, shares: args[2], price: options.price, ...pick(options) });
+      break;
+    }
 
-      const position = setPosition(symbol, shares, cost, options.note || '');
-      
-      console.log('✅ 持倉已設定\n');
-      console.log(`股票: ${position.symbol}`);
-      console.log(`股數: ${position.shares}`);
-      console.log(`成本: ${formatCurrency(position.costBasis)}/股`);
-      console.log(`總投入: ${formatCurrency(position.totalCost)}`);
+    case 'dividend':
+    case 'fee': {
+      const symbol = args[1];
+      if (!symbol || !args[2]) {
+        console.error(`❌ 用法: portfolio ${subCommand} <SYMBOL> <AMOUNT> [--date YYYY-MM-DD]`);
+        return;
+      }
+
+      await record({ type: subCommand, symbol, amount: args[2], ...pick(parseOptions(args.slice(3))) });
       break;
     }
 
-    case 'remove':
-    case 'rm': {
+    case 'split': {
       const symbol = args[1];
-      if (!symbol) {
-        console.error('❌ 請提供股票代碼');
+      if (!symbol || !args[2]) {
+        console.error('❌ 用法: portfolio split <SYMBOL> <RATIO> [--date YYYY-MM-DD]（一拆二為 2）');
         return;
       }
-      
-      if (removePosition(symbol)) {
-        console.log(`✅ 已移除 ${symbol.toUpperCase()} 持倉`);
+
+      await record({ type: 'split', symbol, ratio: args[2], ...pick(parseOptions(args.slice(3))) });
+      break;
+    }
+
+    case 'transfer': {
+      const symbol = args[1];
+      if (!symbol || !args[2]) {
+        console.error('❌ 用法: portfolio transfer <SYMBOL> <±SHARES> --price <COST|市價> [--date YYYY-MM-DD]');
+        return;
+      }
+
+      const options = parseOptions(args.slice(3));
+      await record({ type: 'transfer', symbol, shares: args[2], price: options.price, ...pick(options) });
+      break;
+    }
+
+    case 'history': {
+      const symbol = args[1] || null;
+      console.log(formatTransactionHistory(getTransactions(symbol), getLedger()));
+      break;
+    }
+
+    case 'delete': {
+      const id = args[1];
+      if (!id) {
+        console.error('❌ 請提供交易 ID（portfolio history 可查看）');
+        return;
+      }
+
+      if (deleteTransaction(id)) {
+        console.log('✅ 交易已刪除');
       } else {
-        console.log('❌ 找不到該持倉');
+        console.log('❌ 找不到該交易');
+      }
+      break;
+    }
+
+    case 'performance':
+    case 'perf': {
+      const { since } = parseOptions(args.slice(1));
+      if (since !== undefined && !resolveSince(since, '2000-01-01')) {
+        console.error('❌ --since 應為 YYYY-MM-DD 或 1W / 1M / YTD / 1Y');
+        process.exitCode = 1;
+        return;
       }
+      console.log(formatReturns(getReturns({ since })));
+      break;
+    }
+
+    case 'snapshot': {
+      const { date } = parseOptions(args.slice(1));
+      console.log('📸 記錄組合快照中...\n');
+      console.log(formatSnapshot(await takeSnapshot(typeof date === 'string' ? { date } : {})));
       break;
     }
 
+    case 'set':
+    case 'remove':
+    case 'rm':
+      console.error('❌ 持倉改由交易記錄計算，請使用 portfolio buy / sell（portfolio help 查看用法）');
+      process.exitCode = 1;
+      break;
+
     case 'view':
     case 'report':
-    default: {
+    case undefined: {
       console.log('📊 計算投資組合績效中...\n');
       const performance = await calculatePerformance();
       console.log(formatPortfolioReport(performance));
       break;
     }
+
+    default:
+      console.log('投資組合指令:');
+      console.log('  portfolio buy <SYMBOL> <SHARES> --price <PRICE>');
+      console.log('  portfolio sell <SYMBOL> <SHARES> --price <PRICE>');
+      console.log('  portfolio dividend <SYMBOL> <AMOUNT>');
+      console.log('  portfolio split <SYMBOL> <RATIO>');
+      console.log('  portfolio fee <SYMBOL> <AMOUNT>');
+      console.log('  portfolio transfer <SYMBOL> <±SHARES> --price <COST>');
+      console.log('  portfolio history [SYMBOL]');
+      console.log('  portfolio delete <ID>');
+      console.log('  portfolio view');
+      console.log('  portfolio performance [--since YYYY-MM-DD|1W|1M|YTD|1Y]');
+      console.log('  portfolio snapshot [--date YYYY-MM-DD]');
+  }
+}
+
+// 警報選項：只有 --above / --below 時為舊式警報，其他條件組成 rule（預設全部成立，--any 為任一成立）
+function alertOptions(options) {
+  const number = key => (options[key] === undefined ? undefined : parseFloat(options[key]));
+  const cooldown = options.cooldown === undefined ? undefined : Number(options.cooldown);
+  const note = typeof options.note === 'string' ? options.note : '';
+
+  if (typeof options.rule === 'string') {
+    try {
+      return { rule: JSON.parse(options.rule), cooldown, note };
+    } catch (e) {
+      throw Object.assign(new Error(`--rule 不是有效的 JSON: ${e.message}`), { code: 'INVALID_ALERT' });
+    }
+  }
+
+  const direction = value => (value >= 0 ? 'above' : 'below');
+  const conditions = [];
+  if (options.change !== undefined) conditions.push({ type: 'change', op: direction(number('change')), value: number('change') });
+  if (options['from-cost'] !== undefined) conditions.push({ type: 'fromCost', op: direction(number('from-cost')), value: number('from-cost') });
+  if (options.trailing !== undefined) conditions.push({ type: 'trailingStop', percent: number('trailing') });
+  if (options.volume !== undefined) {
+    conditions.push({ type: 'volume', multiple: number('volume'), ...(options['volume-days'] !== undefined && { days: Number(options['volume-days']) }) });
+  }
+  if (options['cross-above'] !== undefined) conditions.push({ type: 'ma', average: String(options['cross-above']).toLowerCase(), cross: 'above' });
+  if (options['cross-below'] !== undefined) conditions.push({ type: 'ma', average: String(options['cross-below']).toLowerCase(), cross: 'below' });
+  if (options['rsi-above'] !== undefined) conditions.push({ type: 'rsi', cross: 'above', value: number('rsi-above') });
+  if (options['rsi-below'] !== undefined) conditions.push({ type: 'rsi', cross: 'below', value: number('rsi-below') });
+
+  if (conditions.length === 0) {
+    return { above: number('above') || null, below: number('below') || null, cooldown, note };
+  }
+
+  if (options.above !== undefined) conditions.unshift({ type: 'price', op: 'above', value: number('above') });
+  if (options.below !== undefined) conditions.unshift({ type: 'price', op: 'below', value: number('below') });
+  const rule = conditions.length === 1 ? conditions[0] : { [options.any ? 'any' : 'all']: conditions };
+  return { rule, cooldown, note };
+}
+
+// 記錄交易並顯示結果
+async function record(input) {
+  try {
+    console.log(formatTransaction(await recordTransaction(input)));
+  } catch (error) {
+    if (error.code !== 'INVALID_TRANSACTION' && error.code !== 'INSUFFICIENT_SHARES') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// 交易的共用選項
+function pick(options) {
+  return {
+    date: options.date,
+    fee: options.fee,
+    currency: options.currency,
+    fxRate: options.fx,
+    note: typeof options.note === 'string' ? options.note : '',
+  };
+}
+
+// 技術指標指令
+async function handleIndicators(args) {
+  const symbol = args[0];
+  if (!symbol) {
+    console.error('❌ 請提供股票代碼');
+    return;
+  }
+
+  console.log('📐 計算技術指標中...\n');
+  try {
+    const indicators = await getIndicators(symbol);
+    console.log(formatIndicators(indicators.symbol, indicators));
+    if (indicators.isStale) console.log('\n⚠️ 無法更新日線，使用本地資料');
+  } catch (error) {
+    if (error.code !== 'HISTORY_UNAVAILABLE') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// 歷史價格指令
+async function handleHistory(args) {
+  const subCommand = args[0];
+
+  switch (subCommand) {
+    case 'backfill': {
+      const optionStart = args.findIndex(arg => arg.startsWith('--'));
+      const symbols = args.slice(1, optionStart < 0 ? args.length : optionStart);
+      const { range = '1y' } = parseOptions(args.slice(1));
+      if (symbols.length === 0 || !BACKFILL_RANGES.includes(range)) {
+        console.error(`❌ 用法: history backfill <SYMBOLS...> [--range ${BACKFILL_RANGES.join('|')}]`);
+        process.exitCode = 1;
+        return;
+      }
+
+      console.log(`📥 下載 ${range} 日線中...\n`);
+      for (const symbol of symbols) {
+        try {
+          const result = await backfillHistory(symbol, { range });
+          console.log(formatHistoryUpdate([result]));
+        } catch (error) {
+          console.log(formatHistoryUpdate([{ symbol, error: error.message }]));
+        }
+      }
+      break;
+    }
+
+    case 'update': {
+      const symbols = args.slice(1);
+      console.log('🔄 更新日線中...\n');
+      const results = symbols.length > 0 ? await updateHistory(symbols) : await updateHistory();
+      console.log(formatHistoryUpdate(results));
+      break;
+    }
+
+    case 'status':
+    case undefined:
+      console.log(formatHistoryStatus(getHistoryStatus()));
+      break;
+
+    default:
+      console.log('歷史價格指令:');
+      console.log(`  history backfill <SYMBOLS...> --range ${BACKFILL_RANGES.join('|')}`);
+      console.log('  history update [SYMBOLS...]');
+      console.log('  history status');
   }
 }
 
@@ -245,21 +471,51 @@ function showHelp() {
   node src/index.js <command> [options]
 
 指令:
-  quote [SYMBOLS...]     獲取股票報價 (預設: ${WATCHLIST.join(', ')})
+  quote [SYMBOLS...]     獲取股票報價（台股可只輸入代號，如 2330） (預設: ${WATCHLIST.join(', ')})
   
-  alert add <SYMBOL>     新增價格警報
+  alert add <SYMBOL>     新增警報（多個條件預設全部成立才觸發）
     --above <PRICE>      設定上限價格
     --below <PRICE>      設定下限價格
+    --change <±PCT>      單日漲跌（-5 為跌 5% 以上）
+    --from-cost <±PCT>   相對持倉成本（-10 為虧損 10% 以上）
+    --trailing <PCT>     從設定後的高點回落（追蹤停損）
+    --volume <N>         成交量為日均量的 N 倍（--volume-days 天數，預設 20）
+    --cross-above <MA>   價格升破均線（sma20 / sma50 / sma200 / ema12 / ema26）
+    --cross-below <MA>   價格跌破均線
+    --rsi-above <N>      RSI 升破 N
+    --rsi-below <N>      RSI 跌破 N
+    --any                任一條件成立即觸發
+    --rule <JSON>        自訂條件（all / any 巢狀組合）
+    --cooldown <MIN>     觸發後多久不重複通知（分鐘，預設 ${DEFAULT_COOLDOWN}）
     --note <TEXT>        備註
   alert remove <ID>      移除警報
   alert list             列出所有警報
   alert check            檢查警報觸發
 
-  portfolio set <SYMBOL> <SHARES>  設定持倉
-    --cost <PRICE>       成本價（每股）
+  portfolio buy <SYMBOL> <SHARES>   記錄買進
+    --price <PRICE>      成交價（每股）
+    --date <YYYY-MM-DD>  交易日（預設今天）
+    --fee <FEE>          手續費
+    --currency <CODE>    交易貨幣（預設取報價，台股為 TWD）
+    --fx <RATE>          當時匯率（1 單位交易貨幣換成基準貨幣，預設目前匯率）
     --note <TEXT>        備註
-  portfolio remove <SYMBOL>        移除持倉
+  portfolio sell <SYMBOL> <SHARES>  記錄賣出（選項同 buy）
+  portfolio dividend <SYMBOL> <AMOUNT>   記錄現金股利
+  portfolio split <SYMBOL> <RATIO>       記錄分割（一拆二為 2）
+  portfolio fee <SYMBOL> <AMOUNT>        記錄其他費用
+  portfolio transfer <SYMBOL> <±SHARES>  轉入（--price 每股成本）或轉出（--price 當天市價）
+  portfolio history [SYMBOL]       交易記錄和已實現損益
+  portfolio delete <ID>            刪除交易
   portfolio view                   查看組合績效
+  portfolio performance            歷史報酬（TWR、XIRR、最大回檔、期間報酬）
+    --since <DATE|PERIOD>  起點（YYYY-MM-DD 或 1W / 1M / YTD / 1Y，預設全部）
+  portfolio snapshot               記錄組合快照（預設昨天，--date 指定）
+
+  indicators <SYMBOL>    技術指標（均線、RSI、MACD、布林通道、52 週高低、ATR）
+  history backfill <SYMBOLS...>   下載歷史日線
+    --range <RANGE>      ${BACKFILL_RANGES.join(' / ')}（預設 1y）
+  history update [SYMBOLS...]     補上最新日線（預設關注清單和持倉）
+  history status                  已存的日線範圍
 
   daily                  生成每日報告
   quick                  快速更新
@@ -267,7 +523,14 @@ function showHelp() {
 範例:
   node src/index.js quote ONDS TSLA
   node src/index.js alert add ONDS --above 5.00 --below 2.00
-  node src/index.js portfolio set ONDS 1000 --cost 3.50
+  node src/index.js alert add TSLA --change -5 --volume 2 --cooldown 240
+  node src/index.js alert add 2330 --trailing 10
+  node src/index.js portfolio buy ONDS 1000 --price 3.50 --date 2026-01-15
+  node src/index.js portfolio sell ONDS 500 --price 4.20
+  node src/index.js portfolio buy 0050 1000 --price 180
+  node src/index.js portfolio performance --since YTD
+  node src/index.js history backfill TSLA 2330 --range 5y
+  node src/index.js indicators TSLA
   node src/index.js daily
   `);
 }
@@ -0,0 +1,57 @@
+/**
+ * 匯率換算
+ *
+ * 匯率來自 forex-tracker（共用快取，API 失敗時使用舊匯率）
+ * 匯率以「1 單位外幣 = 多少基準貨幣」表示，如基準 TWD 時 USD 約為 32
+ */
+
+// forex-tracker 無法載入時，只能計算基準貨幣的持倉
+let forex = null;
+try {
+  forex = require('../../../forex-tracker/src/index');
+} catch (e) {
+  forex = null;
+}
+
+/**
+ * 獲取多個貨幣換成基準貨幣的匯率
+ * @param {string[]} currencies - 貨幣
+ * @param {string} base - 基準貨幣
+ * @returns {Promise<Object>} { base, rates: { [currency]: 匯率 }, missing: 無法換算的貨幣, isStale, lastUpdate }
+ */
+async function getFxRates(currencies, base) {
+  const rates = { [base]: 1 };
+  const foreign = [...new Set(currencies)].filter(currency => currency && currency !== base);
+
+  let data = null;
+  if (foreign.length > 0 && forex) {
+    data = await forex.fetchExchangeRates(base);
+  }
+
+  for (const currency of foreign) {
+    const perBase = data?.rates?.[currency];
+    if (perBase) rates[currency] = 1 / perBase;
+  }
+
+  return {
+    base,
+    rates,
+    missing: foreign.filter(currency => !rates[currency]),
+    isStale: data?.isStale || false,
+    lastUpdate: data?.lastUpdate || null,
+  };
+}
+
+/**
+ * 單一貨幣換成基準貨幣的匯率
+ * @returns {Promise<number|null>} 無法取得時為 null
+ */
+async function getFxRate(currency, base) {
+  const { rates } = await getFxRates([currency], base);
+  return rates[currency] || null;
+}
+
+module.exports = {
+  getFxRates,
+  getFxRate,
+};
@@ -0,0 +1,220 @@
+/**
+ * 歷史價格（日線 OHLCV）
+ *
+ * 報價只保留 5 天，技術指標需要的歷史存在共用資料庫（price_history）：
+ *   backfillHistory  第一次下載較長的歷史（range 1y / 2y / 5y / 10y / max）
+ *   updateHistory    每天補上最後一筆之後的日線（排程 price-history，關注清單、持倉和警報）
+ *   getIndicators    由本地日線計算技術指標，沒有資料時先下載一年
+ *
+ * 錯誤代碼：HISTORY_UNAVAILABLE（找不到代碼或來源沒有資料）
+ */
+
+const { getJSON } = require('../../../assistant-toolkit/lib/http');
+const { prices: pricesRepo, alerts: alertsRepo } = require('../../../assistant-toolkit/lib/repositories');
+const { getPortfolio } = require('./portfolio');
+const { WATCHLIST, normalizeSymbol } = require('../utils/config');
+const { computeIndicators } = require('../analysis/indicators');
+const { HISTORY_TYPES, usesType } = require('../alerts/rules');
+
+// 可下載的範圍
+const BACKFILL_RANGES = ['1y', '2y', '5y', '10y', 'max'];
+
+// 技術指標需要的日線數（SMA200 + 前一天）
+const INDICATOR_BARS = 260;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 歷史價格錯誤
+ */
+function historyError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, ...details });
+}
+
+/**
+ * 從 Yahoo Finance 下載日線
+ * @param {string} symbol - 股票代碼
+ * @param {string} range - 5d / 1mo / 3mo / 1y / 5y ...
+ * @returns {Promise<Object[]>} 日線（依日期，日期為交易所當地日期）
+ */
+async function fetchDailyBars(symbol, range) {
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=1d&range=${range}`;
+
+  const data = await getJSON(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)',
+    },
+  });
+  const chart = data.chart?.result?.[0];
+
+  if (!chart || !chart.timestamp) {
+    throw historyError('HISTORY_UNAVAILABLE', `${symbol} 沒有歷史價格`, { symbol });
+  }
+
+  return parseChartBars(chart);
+}
+
+/**
+ * Yahoo chart 回應轉為日線
+ * 沒有收盤價的日線略過；缺最高 / 最低價時以開盤和收盤價補上（ATR 等指標不會變成 NaN）
+ * @param {Object} chart - chart.result[0]
+ * @returns {Object[]} { date, open, high, low, close, adjClose, volume }
+ */
+function parseChartBars(chart) {
+  const offset = chart.meta?.gmtoffset || 0;
+  const quote = chart.indicators?.quote?.[0] || {};
+  const adjClose = chart.indicators?.adjclose?.[0]?.adjclose || [];
+
+  return chart.timestamp.map((ts, i) => {
+    const open = quote.open?.[i] ?? null;
+    const close = quote.close?.[i] ?? null;
+    const known = [open, close].filter(value => value != null);
+    return {
+      date: new Date((ts + offset) * 1000).toISOString().slice(0, 10),
+      open,
+      high: quote.high?.[i] ?? (known.length > 0 ? Math.max(...known) : null),
+      low: quote.low?.[i] ?? (known.length > 0 ? Math.min(...known) : null),
+      close,
+      adjClose: adjClose[i] ?? null,
+      volume: quote.volume?.[i] ?? null,
+    };
+  }).filter(bar => bar.close != null);
+}
+
+/**
+ * 下載歷史並寫入（已有的日期以新資料取代）
+ * @param {string} symbol - 股票代碼
+ * @param {Object} options - { range: 1y / 2y / 5y / 10y / max }
+ * @returns {Promise<Object>} { symbol, range, saved, first, last, count }
+ */
+async function backfillHistory(symbol, { range = '1y' } = {}) {
+  if (!BACKFILL_RANGES.includes(range)) {
+    throw historyError('INVALID_ARGUMENTS', `range 必須是 ${BACKFILL_RANGES.join(', ')} 其中之一`);
+  }
+
+  symbol = normalizeSymbol(symbol);
+  const bars = await fetchDailyBars(symbol, range);
+  const saved = pricesRepo.upsert(symbol, bars);
+  return { symbol, range, saved, ...pricesRepo.range(symbol) };
+}
+
+/**
+ * 補上最後一筆之後的日線（沒有資料時下載一年）
+ * @returns {Promise<Object>} { symbol, range, saved, first, last, count }
+ */
+async function updateSymbol(symbol, now = new Date()) {
+  symbol = normalizeSymbol(symbol);
+  const existing = pricesRepo.range(symbol);
+  if (!existing) return backfillHistory(symbol, { range: '1y' });
+
+  // 含最後一筆（可能是盤中未完成的日線）
+  const gap = (now.getTime() - Date.parse(existing.last)) / DAY_MS;
+  const range = gap <= 5 ? '5d' : gap <= 28 ? '1mo' : gap <= 85 ? '3mo' : '1y';
+  const bars = await fetchDailyBars(symbol, range);
+  const saved = pricesRepo.upsert(symbol, bars.filter(bar => bar.date >= existing.last));
+  return { symbol, range, saved, ...pricesRepo.range(symbol) };
+}
+
+/**
+ * 要追蹤日線的股票：關注清單、目前持倉、條件需要日線的警報和已有日線的股票
+ */
+function trackedSymbols() {
+  return [
+    ...WATCHLIST,
+    ...Object.keys(getPortfolio().positions),
+    ...alertsRepo.list().filter(a => a.enabled && a.rule && usesType(a.rule, HISTORY_TYPES)).map(a => a.symbol),
+    ...pricesRepo.symbols().map(s => s.symbol),
+  ];
+}
+
+/**
+ * 更新多檔股票的日線（單檔失敗不影響其他）
+ * @param {string[]} symbols - 股票代碼（預設 trackedSymbols）
+ * @returns {Promise<Object[]>} 每檔的結果 { symbol, range, saved, first, last, count } 或 { symbol, error }
+ */
+async function updateHistory(symbols = trackedSymbols()) {
+  const results = [];
+  for (const symbol of [...new Set(symbols.map(normalizeSymbol))]) {
+    try {
+      results.push(await updateSymbol(symbol));
+    } catch (error) {
+      results.push({ symbol, error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * 本地日線
+ * @param {Object} options - { since, limit }
+ */
+function getHistory(symbol, options = {}) {
+  return pricesRepo.list(normalizeSymbol(symbol), options);
+}
+
+/**
+ * 已存的日線範圍
+ * @returns {Object[]} { symbol, first, last, count }
+ */
+function getHistoryStatus() {
+  return pricesRepo.symbols();
+}
+
+/**
+ * 本地日線計算的技術指標（不連網，報告和警報使用）
+ * @returns {Object|null} 沒有日線時為 null
+ */
+function getStoredIndicators(symbol) {
+  return computeIndicators(getHistory(symbol, { limit: INDICATOR_BARS * 2 }));
+}
+
+/**
+ * 技術指標：先補上最新日線（失敗時用本地資料並標記 isStale）
+ * @returns {Promise<Object>} computeIndicators 的結果加上 { symbol, isStale }
+ * @throws HISTORY_UNAVAILABLE 本地沒有資料且無法下載
+ */
+async function getIndicators(symbol) {
+  symbol = normalizeSymbol(symbol);
+  let isStale = false;
+  try {
+    await updateSymbol(symbol);
+  } catch (error) {
+    if (!pricesRepo.range(symbol)) throw error;
+    isStale = true;
+  }
+
+  return { symbol, ...getStoredIndicators(symbol), isStale };
+}
+
+/**
+ * 格式化更新結果
+ */
+function formatHistoryUpdate(results) {
+  if (results.length === 0) return '📭 沒有要更新的股票';
+  return results.map(r => (r.error
+    ? `❌ ${r.symbol}: ${r.error}`
+    : `✅ ${r.symbol}: ${r.saved} 筆（${r.first} ~ ${r.last}，共 ${r.count} 天）`)).join('\n');
+}
+
+/**
+ * 格式化已存的日線範圍
+ */
+function formatHistoryStatus(rows) {
+  if (rows.length === 0) return '📭 還沒有歷史價格\n\n執行 `history backfill <SYMBOL>` 下載';
+  return ['🗄️ **歷史價格**', '', ...rows.map(r => `${r.symbol}: ${r.first} ~ ${r.last}（${r.count} 天）`)].join('\n');
+}
+
+module.exports = {
+  BACKFILL_RANGES,
+  fetchDailyBars,
+  parseChartBars,
+  trackedSymbols,
+  backfillHistory,
+  updateHistory,
+  getHistory,
+  getHistoryStatus,
+  getStoredIndicators,
+  getIndicators,
+  formatHistoryUpdate,
+  formatHistoryStatus,
+};
@@ -0,0 +1,538 @@
+/**
+ * 交易記錄
+ *
+ * 持倉由交易記錄計算，不直接修改：
+ *   buy       買進 shares 股，每股 price，手續費 fee 計入成本
+ *   sell      賣出 shares 股，每股 price，手續費 fee 從賣出金額扣除，產生已實現損益
+ *   dividend  現金股利 amount
+ *   split     分割 ratio（2 為一拆二，0.1 為十股併一股），股數乘上 ratio，總成本不變
+ *   fee       其他費用 amount（如 ADR 保管費），從已實現損益扣除
+ *   transfer  轉入（shares 為正，price 為每股成本）或轉出（shares 為負，price 為當天市價，依成本移出，不產生損益）
+ *
+ * 淨投入（報酬率用）：轉出以市值計算取回金額，快照市值減少的部分不會被當成損益
+ *
+ * 賣出和轉出依設定 investment.costMethod 配對批次：
+ *   fifo     先買進的先賣出
+ *   average  所有批次合併為平均成本
+ *
+ * 金額都是交易貨幣（currency，預設取報價的 currency，如台股為 TWD）；
+ * 每筆交易記錄當時 1 單位交易貨幣換成基準貨幣（investment.baseCurrency）的匯率 fxRate，
+ * 持倉和已實現損益另外以基準貨幣計算（base），並把損益拆成價差和匯差：
+ *   價差 = 交易貨幣的損益 × 賣出時匯率
+ *   匯差 = 成本 ×（賣出時匯率 - 買進時匯率）
+ *
+ * 錯誤代碼：INVALID_TRANSACTION（欄位錯誤）、INSUFFICIENT_SHARES（賣出超過持股）
+ */
+
+const crypto = require('crypto');
+const { transactions: transactionsRepo } = require('../../../assistant-toolkit/lib/repositories');
+const { getStore } = require('../../../assistant-toolkit/lib/store');
+const { getConfigValue } = require('../../../assistant-toolkit/lib/config');
+const { normalizeSymbol, inferCurrency, getBaseCurrency, formatCurrency, formatPercent } = require('../utils/config');
+const { fetchQuotes } = require('./quotes');
+const { getFxRate } = require('./fx');
+
+// 交易類型
+const TRANSACTION_TYPES = ['buy', 'sell', 'dividend', 'split', 'fee', 'transfer'];
+
+// 成本計算方式
+const COST_METHODS = ['fifo', 'average'];
+
+// 顯示名稱
+const TYPE_LABELS = { buy: '買進', sell: '賣出', dividend: '股利', split: '分割', fee: '費用', transfer: '轉帳' };
+const METHOD_LABELS = { fifo: '先進先出', average: '平均成本' };
+
+// 股數的比較誤差（零股、分割後的小數）
+const EPSILON = 1e-8;
+
+/**
+ * 交易錯誤
+ */
+function ledgerError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, ...details });
+}
+
+/**
+ * 去掉浮點誤差
+ */
+function round(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * 無法換算時（缺匯率）為 null
+ */
+function finite(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * 今天（YYYY-MM-DD，台北時間）
+ */
+function today() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Taipei' }).format(new Date());
+}
+
+/**
+ * 驗證並正規化交易
+ * @param {Object} input - { type, symbol, date, shares, price, amount, fee, ratio, note, currency, fxRate }
+ * @returns {Object} 交易（currency、fxRate 未提供時為 null）
+ * @throws INVALID_TRANSACTION
+ */
+function normalizeTransaction(input) {
+  const invalid = message => ledgerError('INVALID_TRANSACTION', message, { transaction: input });
+  const number = (name, { positive = false, signed = false } = {}) => {
+    const value = input[name] == null || input[name] === '' ? 0 : Number(input[name]);
+    if (!Number.isFinite(value)) throw invalid(`${name} 必須是數字`);
+    if (positive && value <= 0) throw invalid(`${name} 必須大於 0`);
+    if (!signed && value < 0) throw invalid(`${name} 不可小於 0`);
+    return value;
+  };
+
+  const type = String(input.type || '').toLowerCase();
+  if (!TRANSACTION_TYPES.includes(type)) {
+    throw invalid(`交易類型必須是 ${TRANSACTION_TYPES.join(', ')} 其中之一`);
+  }
+
+  const symbol = normalizeSymbol(input.symbol);
+  if (!symbol) throw invalid('缺少股票代碼');
+
+  const currency = input.currency ? String(input.currency).toUpperCase() : null;
+  if (currency && !/^[A-Z]{3}$/.test(currency)) throw invalid(`貨幣代碼應為三個字母: ${input.currency}`);
+  const fxRate = input.fxRate == null || input.fxRate === '' ? null : number('fxRate', { positive: true });
+
+  const date = input.date || today();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+    throw invalid(`日期格式應為 YYYY-MM-DD: ${date}`);
+  }
+
+  const transaction = { type, symbol, date, shares: 0, price: 0, amount: 0, fee: number('fee'), ratio: null, note: input.note || '', currency, fxRate };
+
+  switch (type) {
+    case 'buy':
+    case 'sell':
+      transaction.shares = number('shares', { positive: true });
+      transaction.price = number('price');
+      break;
+    case 'dividend':
+    case 'fee':
+      transaction.amount = number('amount', { positive: true });
+      break;
+    case 'split':
+      transaction.ratio = number('ratio', { positive: true });
+      break;
+    case 'transfer':
+      transaction.shares = number('shares', { signed: true });
+      if (transaction.shares === 0) throw invalid('shares 不可為 0（正數轉入、負數轉出）');
+      transaction.price = number('price', { positive: transaction.shares < 0 });
+      break;
+    default:
+      break;
+  }
+
+  return transaction;
+}
+
+/**
+ * 依成本方式移出股數
+ * @returns {Object} 移出的成本 { cost, baseCost }
+ */
+function removeShares(state, shares, transaction) {
+  if (shares > state.shares + EPSILON) {
+    throw ledgerError('INSUFFICIENT_SHARES',
+      `${transaction.symbol} 在 ${transaction.date} 只有 ${round(state.shares)} 股，無法${transaction.type === 'sell' ? '賣出' : '轉出'} ${shares} 股`,
+      { symbol: transaction.symbol, held: round(state.shares), requested: shares });
+  }
+
+  let remaining = shares;
+  let cost = 0;
+  let baseCost = 0;
+  while (remaining > EPSILON && state.lots.length > 0) {
+    const lot = state.lots[0];
+    const taken = Math.min(lot.shares, remaining);
+    const portion = taken / lot.shares;
+    const lotCost = lot.cost * portion;
+    const lotBaseCost = lot.baseCost * portion;
+    lot.shares = round(lot.shares - taken);
+    lot.cost -= lotCost;
+    lot.baseCost -= lotBaseCost;
+    cost += lotCost;
+    baseCost += lotBaseCost;
+    remaining = round(remaining - taken);
+    if (lot.shares <= EPSILON) state.lots.shift();
+  }
+
+  state.shares = round(state.shares - shares);
+  return { cost, baseCost };
+}
+
+/**
+ * 加入批次（平均成本時合併成一個批次）
+ */
+function addLot(state, lot, method) {
+  state.shares = round(state.shares + lot.shares);
+  if (method === 'average' && state.lots.length > 0) {
+    state.lots[0].shares = round(state.lots[0].shares + lot.shares);
+    state.lots[0].cost += lot.cost;
+    state.lots[0].baseCost += lot.baseCost;
+  } else {
+    state.lots.push(lot);
+  }
+}
+
+/**
+ * 由交易記錄計算持倉
+ * @param {Object[]} transactions - 交易（依日期排序，fxRate 為換成基準貨幣的匯率，缺少時基準貨幣的數字為 null）
+ * @param {Object} options - { method: fifo / average }
+ * @returns {Object} { positions: { [symbol]: 持倉 }, realized: 每筆賣出的已實現損益, flows: 每筆交易的淨投入 }
+ * @throws INSUFFICIENT_SHARES 賣出或轉出超過當時的持股
+ */
+function buildPositions(transactions, { method = 'fifo' } = {}) {
+  if (!COST_METHODS.includes(method)) {
+    throw ledgerError('INVALID_TRANSACTION', `成本計算方式必須是 ${COST_METHODS.join(', ')} 其中之一`);
+  }
+
+  const states = new Map();
+  const realized = [];
+  // 淨投入（投入為正、取回為負）：買進、費用、轉入為投入，賣出、股利、轉出為取回
+  const flows = [];
+  const addFlow = (transaction, amount, baseAmount) => {
+    flows.push({ id: transaction.id, symbol: transaction.symbol, date: transaction.date, amount, baseAmount: finite(baseAmount) });
+  };
+
+  for (const transaction of transactions) {
+    const { symbol } = transaction;
+    if (!states.has(symbol)) {
+      states.set(symbol, {
+        symbol,
+        currency: transaction.currency || 'USD',
+        shares: 0,
+        lots: [],
+        realizedGain: 0,
+        dividends: 0,
+        fees: 0,
+        base: { realizedGain: 0, realizedFx: 0, dividends: 0, fees: 0 },
+        transactions: 0,
+        firstDate: transaction.date,
+        lastDate: null,
+      });
+    }
+    const state = states.get(symbol);
+    const fx = transaction.fxRate ?? NaN;
+    state.transactions++;
+    state.lastDate = transaction.date;
+
+    switch (transaction.type) {
+      case 'buy': {
+        const cost = transaction.shares * transaction.price + transaction.fee;
+        addLot(state, { date: transaction.date, shares: transaction.shares, cost, baseCost: cost * fx }, method);
+        addFlow(transaction, cost, cost * fx);
+        break;
+      }
+
+      case 'sell': {
+        const { cost, baseCost } = removeShares(state, transaction.shares, transaction);
+        const proceeds = transaction.shares * transaction.price - transaction.fee;
+        const gain = proceeds - cost;
+        const fxGain = cost * fx - baseCost;
+        state.realizedGain += gain;
+        state.base.realizedGain += gain * fx;
+        state.base.realizedFx += fxGain;
+        realized.push({
+          id: transaction.id,
+          symbol,
+          currency: state.currency,
+          date: transaction.date,
+          shares: transaction.shares,
+          price: transaction.price,
+          proceeds,
+          cost,
+          gain,
+          gainPercent: cost > 0 ? (gain / cost) * 100 : 0,
+          fxRate: finite(fx),
+          baseProceeds: finite(proceeds * fx),
+          baseCost: finite(baseCost),
+          baseGain: finite(proceeds * fx - baseCost),
+          fxGain: finite(fxGain),
+        });
+        addFlow(transaction, -proceeds, -proceeds * fx);
+        break;
+      }
+
+      case 'dividend':
+        state.dividends += transaction.amount - transaction.fee;
+        state.base.dividends += (transaction.amount - transaction.fee) * fx;
+        addFlow(transaction, -(transaction.amount - transaction.fee), -(transaction.amount - transaction.fee) * fx);
+        break;
+
+      case 'fee':
+        state.fees += transaction.amount;
+        state.base.fees += transaction.amount * fx;
+        addFlow(transaction, transaction.amount, transaction.amount * fx);
+        break;
+
+      case 'split':
+        for (const lot of state.lots) lot.shares = round(lot.shares * transaction.ratio);
+        state.shares = round(state.shares * transaction.ratio);
+        break;
+
+      case 'transfer':
+        if (transaction.shares > 0) {
+          const cost = transaction.shares * transaction.price + transaction.fee;
+          addLot(state, { date: transaction.date, shares: transaction.shares, cost, baseCost: cost * fx }, method);
+          addFlow(transaction, cost, cost * fx);
+        } else {
+          // 轉出依成本移出持股，取回金額為市值（舊記錄沒有價格時依成本）
+          const removed = removeShares(state, -transaction.shares, transaction);
+          const marketValue = transaction.price > 0 ? -transaction.shares * transaction.price : null;
+          state.fees += transaction.fee;
+          state.base.fees += transaction.fee * fx;
+          addFlow(transaction,
+            transaction.fee - (marketValue ?? removed.cost),
+            transaction.fee * fx - (marketValue != null ? marketValue * fx : removed.baseCost));
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  const positions = {};
+  for (const state of states.values()) {
+    const totalCost = state.lots.reduce((sum, lot) => sum + lot.cost, 0);
+    const baseCost = state.lots.reduce((sum, lot) => sum + lot.baseCost, 0);
+    const { realizedGain, realizedFx, dividends, fees } = state.base;
+    const baseRealized = realizedGain + realizedFx + dividends - fees;
+    positions[state.symbol] = {
+      symbol: state.symbol,
+      currency: state.currency,
+      shares: state.shares,
+      costBasis: state.shares > EPSILON ? totalCost / state.shares : 0,
+      totalCost,
+      lots: state.lots.map(lot => ({ date: lot.date, shares: lot.shares, costBasis: lot.cost / lot.shares, cost: lot.cost, baseCost: finite(lot.baseCost) })),
+      realizedGain: state.realizedGain,
+      dividends: state.dividends,
+      fees: state.fees,
+      realized: state.realizedGain + state.dividends - state.fees,
+      // 基準貨幣（缺匯率時為 null）
+      base: Number.isFinite(baseCost) && Number.isFinite(baseRealized)
+        ? { cost: baseCost, realizedGain, realizedFx, dividends, fees, realized: baseRealized }
+        : null,
+      transactions: state.transactions,
+      addedAt: state.firstDate,
+      lastDate: state.lastDate,
+    };
+  }
+
+  return { positions, realized, flows };
+}
+
+/**
+ * 設定的成本計算方式
+ */
+function getCostMethod() {
+  return getConfigValue('investment.costMethod');
+}
+
+/**
+ * 交易記錄
+ * @param {string} symbol - 只列出某檔股票（預設全部）
+ */
+function getTransactions(symbol = null) {
+  return transactionsRepo.list({ symbol: symbol ? normalizeSymbol(symbol) : null });
+}
+
+/**
+ * 交易換成基準貨幣的匯率：同貨幣為 1，記錄時的基準相同時用當時匯率，否則用目前匯率
+ * @param {Object} rates - 目前匯率 { [currency]: 匯率 }
+ * @returns {number|null}
+ */
+function resolveFxRate(transaction, base, rates = {}) {
+  if (transaction.currency === base) return 1;
+  if (transaction.fxBase === base && transaction.fxRate) return transaction.fxRate;
+  return rates[transaction.currency] ?? null;
+}
+
+/**
+ * 目前的帳本（持倉和已實現損益）
+ * @param {Object} options - { method: 成本計算方式（預設設定值）, base: 基準貨幣（預設設定值）, rates: 目前匯率 }
+ */
+function getLedger({ method = getCostMethod(), base = getBaseCurrency(), rates = {} } = {}) {
+  const transactions = transactionsRepo.list().map(t => ({ ...t, fxRate: resolveFxRate(t, base, rates) }));
+  return { method, base, ...buildPositions(transactions, { method }) };
+}
+
+/**
+ * 報價的貨幣（無法獲取時為 null）
+ */
+async function quoteCurrency(symbol) {
+  const quote = (await fetchQuotes([symbol]))[symbol];
+  return quote && !quote.error ? quote.currency || null : null;
+}
+
+/**
+ * 記錄交易（先重算該股票的持倉，賣出超過持股時不寫入）
+ * 貨幣依序取：指定值 → 之前的交易 → 報價 → 代碼後綴；匯率未指定時用目前匯率
+ * 報價和匯率先查好，檢查持股和寫入在同一個資料庫交易中完成，同時記錄的兩筆賣出不會都通過檢查
+ * @param {Object} input - { type, symbol, date, shares, price, amount, fee, ratio, note, currency, fxRate }
+ * @returns {Promise<Object>} { transaction, position: 記錄後的持倉, realized: 這筆賣出的已實現損益 }
+ * @throws INVALID_TRANSACTION / INSUFFICIENT_SHARES
+ */
+async function recordTransaction(input) {
+  const normalized = normalizeTransaction(input);
+  const mismatch = known => normalized.currency && known && normalized.currency !== known;
+  const mismatchError = known => ledgerError('INVALID_TRANSACTION',
+    `${normalized.symbol} 之前的交易是 ${known}，不能記錄為 ${normalized.currency}`, { transaction: input });
+
+  const known = transactionsRepo.list({ symbol: normalized.symbol })[0]?.currency;
+  if (mismatch(known)) throw mismatchError(known);
+
+  const base = getBaseCurrency();
+  const currency = normalized.currency || known || await quoteCurrency(normalized.symbol) || inferCurrency(normalized.symbol);
+  const fxRate = normalized.fxRate || (currency === base ? 1 : await getFxRate(currency, base));
+
+  const transaction = {
+    id: `txn_${Date.now()}_${crypto.randomBytes(2).toString('hex')}`,
+    ...normalized,
+    currency,
+    fxRate,
+    fxBase: fxRate ? base : null,
+    createdAt: new Date().toISOString(),
+  };
+
+  return getStore().transaction(() => {
+    // 查詢報價期間可能有其他交易寫入，重新讀取
+    const previous = transactionsRepo.list({ symbol: normalized.symbol });
+    if (previous.length > 0 && previous[0].currency !== currency) throw mismatchError(previous[0].currency);
+
+    // 補記較早日期的交易時，之後的賣出也要仍然成立
+    const history = [...previous, transaction]
+      .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt))
+      .map(t => ({ ...t, fxRate: resolveFxRate(t, base, { [currency]: fxRate }) }));
+    const { positions, realized } = buildPositions(history, { method: getCostMethod() });
+
+    transactionsRepo.insert(transaction);
+    return {
+      transaction,
+      position: positions[transaction.symbol],
+      realized: realized.find(r => r.id === transaction.id) || null,
+    };
+  }, { immediate: true });
+}
+
+/**
+ * 刪除交易（記錯時用；刪除後之後的賣出不成立時不刪除）
+ * @returns {Object|null} 刪除的交易（不存在時為 null）
+ * @throws INSUFFICIENT_SHARES
+ */
+function deleteTransaction(id) {
+  const transaction = transactionsRepo.get(id);
+  if (!transaction) return null;
+
+  const remaining = transactionsRepo.list({ symbol: transaction.symbol }).filter(t => t.id !== id);
+  buildPositions(remaining, { method: getCostMethod() });
+
+  transactionsRepo.remove(id);
+  return transaction;
+}
+
+/**
+ * 交易內容（一行，不含日期）
+ */
+function describeTransaction(t) {
+  const money = value => formatCurrency(value, t.currency || 'USD');
+  const fee = t.fee ? `，手續費 ${money(t.fee)}` : '';
+  switch (t.type) {
+    case 'buy':
+    case 'sell':
+      return `${TYPE_LABELS[t.type]} ${t.symbol} ${t.shares} 股 @ ${money(t.price)}${fee}`;
+    case 'dividend':
+    case 'fee':
+      return `${TYPE_LABELS[t.type]} ${t.symbol} ${money(t.amount)}${fee}`;
+    case 'split':
+      return `${TYPE_LABELS[t.type]} ${t.symbol} ${t.ratio >= 1 ? `1 拆 ${t.ratio}` : `${round(1 / t.ratio)} 併 1`}`;
+    case 'transfer':
+      return t.shares > 0
+        ? `轉入 ${t.symbol} ${t.shares} 股（成本 ${money(t.price)}/股）${fee}`
+        : `轉出 ${t.symbol} ${-t.shares} 股${fee}`;
+    default:
+      return `${t.type} ${t.symbol}`;
+  }
+}
+
+/**
+ * 格式化記錄交易的結果
+ * @param {Object} result - recordTransaction 的結果
+ */
+function formatTransaction({ transaction, position, realized }) {
+  const { currency, fxBase, fxRate } = transaction;
+  const money = value => formatCurrency(value, currency);
+  let msg = `✅ ${transaction.date} ${describeTransaction(transaction)}\n`;
+
+  if (realized) {
+    const emoji = realized.gain >= 0 ? '💰' : '💸';
+    msg += `${emoji} 已實現: ${money(realized.gain)} (${formatPercent(realized.gainPercent)})\n`;
+    if (fxBase && fxBase !== currency && realized.baseGain != null) {
+      msg += `   ${fxBase}: ${formatCurrency(realized.baseGain, fxBase)}（價差 ${formatCurrency(realized.baseGain - realized.fxGain, fxBase)}、匯差 ${formatCurrency(realized.fxGain, fxBase)}）\n`;
+    }
+  }
+  msg += position.shares > 0
+    ? `持股: ${position.shares} 股，平均成本 ${money(position.costBasis)}/股\n`
+    : '持股: 已出清\n';
+  if (fxBase && fxBase !== currency) {
+    msg += `💱 匯率: 1 ${currency} = ${fxRate.toFixed(4)} ${fxBase}\n`;
+  }
+  msg += `ID: ${transaction.id}`;
+
+  return msg;
+}
+
+/**
+ * 格式化交易記錄
+ * @param {Object[]} transactions - 交易（依日期）
+ * @param {Object} ledger - getLedger 的結果（顯示每筆賣出的損益和已實現合計）
+ */
+function formatTransactionHistory(transactions, ledger) {
+  if (transactions.length === 0) {
+    return '📭 沒有交易記錄\n\n使用 `portfolio buy` 記錄買進';
+  }
+
+  const realizedById = new Map(ledger.realized.map(r => [r.id, r]));
+  const lines = [`📒 **交易記錄**（${transactions.length} 筆，${METHOD_LABELS[ledger.method]}）`, ''];
+
+  for (const t of transactions) {
+    const sale = realizedById.get(t.id);
+    const gain = sale ? `｜${sale.gain >= 0 ? '💰' : '💸'} ${formatCurrency(sale.gain, t.currency)}` : '';
+    lines.push(`${t.date} ${describeTransaction(t)}${gain}`);
+    lines.push(`   _${t.id}_${t.note ? ` ${t.note}` : ''}`);
+  }
+
+  const symbols = [...new Set(transactions.map(t => t.symbol))];
+  const withRealized = symbols.map(symbol => ledger.positions[symbol]).filter(p => p && (p.realizedGain || p.dividends || p.fees));
+  if (withRealized.length > 0) {
+    lines.push('', '**已實現損益**');
+    for (const p of withRealized) {
+      const money = value => formatCurrency(value, p.currency);
+      lines.push(`${p.symbol}: ${money(p.realized)}（賣出 ${money(p.realizedGain)}、股利 ${money(p.dividends)}、費用 -${money(p.fees)}）`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  COST_METHODS,
+  normalizeTransaction,
+  buildPositions,
+  resolveFxRate,
+  getCostMethod,
+  getTransactions,
+  getLedger,
+  recordTransaction,
+  deleteTransaction,
+  describeTransaction,
+  formatTransaction,
+  formatTransactionHistory,
+};
@@ -1,87 +1,66 @@
 /**
  * 投資組合管理
+ *
+ * 每檔持倉以自己的交易貨幣計算（報價的 currency，如台股為 TWD），
+ * 總計換成基準貨幣（investment.baseCurrency，預設 TWD），損益拆成價差和匯差
  */
 
-const { PORTFOLIO_FILE, readJSON, writeJSON, formatCurrency, formatPercent } = require('../utils/config');
+const { getBaseCurrency, formatCurrency, formatPercent } = require('../utils/config');
 const { fetchQuotes } = require('./quotes');
+const { getFxRates } = require('./fx');
+const { getLedger } = require('./ledger');
+const { transactions: transactionsRepo } = require('../../../assistant-toolkit/lib/repositories');
 
 /**
- * 獲取投資組合
+ * 獲取投資組合（由交易記錄計算，只列出還有持股的）
  */
 function getPortfolio() {
-  return readJSON(PORTFOLIO_FILE, { 
-    positions: {},
-    updatedAt: null,
-  });
+  const { positions } = getLedger();
+  return {
+    positions: Object.fromEntries(Object.entries(positions).filter(([, p]) => p.shares > 0)),
+    updatedAt: transactionsRepo.updatedAt(),
+  };
 }
 
 /**
- * 儲存投資組合
+ * 計算投資組合績效（總計為基準貨幣）
+ * @param {Object} options - { quotes: 指定的價格（如快照用的收盤價），預設為即時報價 }
  */
-function savePortfolio(portfolio) {
-  portfolio.updatedAt = new Date().toISOString();
-  writeJSON(PORTFOLIO_FILE, portfolio);
-}
+async function calculatePerformance({ quotes: prices = null } = {}) {
+  const base = getBaseCurrency();
+  const { positions: current } = getLedger({ base });
+  const symbols = Object.values(current).filter(p => p.shares > 0).map(p => p.symbol);
 
-/**
- * 設定持倉
- * @param {string} symbol - 股票代碼
- * @param {number} shares - 股數
- * @param {number} costBasis - 成本價（每股）
- * @param {string} note - 備註
- */
-function setPosition(symbol, shares, costBasis, note = '') {
-  const portfolio = getPortfolio();
-  
-  portfolio.positions[symbol.toUpperCase()] = {
-    symbol: symbol.toUpperCase(),
-    shares,
-    costBasis,
-    totalCost: shares * costBasis,
-    note,
-    addedAt: new Date().toISOString(),
-  };
-  
-  savePortfolio(portfolio);
-  return portfolio.positions[symbol.toUpperCase()];
-}
+  // 獲取最新報價和持倉、報價用到的匯率
+  const quotes = prices || (symbols.length > 0 ? await fetchQuotes(symbols) : {});
+  const fx = await getFxRates([
+    ...Object.values(current).map(p => p.currency),
+    ...Object.values(quotes).map(q => q.currency).filter(Boolean),
+  ], base);
 
-/**
- * 移除持倉
- */
-function removePosition(symbol) {
-  const portfolio = getPortfolio();
-  
-  if (!portfolio.positions[symbol.toUpperCase()]) {
-    return false;
-  }
-  
-  delete portfolio.positions[symbol.toUpperCase()];
-  savePortfolio(portfolio);
-  return true;
-}
+  const { method, positions: all } = getLedger({ base, rates: fx.rates });
+  const positions = Object.values(all).filter(p => p.shares > 0);
+  const closed = Object.values(all).filter(p => p.shares <= 0);
+  const realized = summarizeRealized(Object.values(all));
+  const fxInfo = { rates: fx.rates, missing: fx.missing, isStale: fx.isStale, lastUpdate: fx.lastUpdate };
 
-/**
- * 計算投資組合績效
- */
-async function calculatePerformance() {
-  const portfolio = getPortfolio();
-  const positions = Object.values(portfolio.positions);
-  
   if (positions.length === 0) {
     return {
+      currency: base,
       positions: [],
+      closed,
+      method,
       totalCost: 0,
       totalValue: 0,
       totalGain: 0,
       totalGainPercent: 0,
+      totalPriceGain: 0,
+      totalFxGain: 0,
+      realized,
+      fx: fxInfo,
     };
   }
 
-  // 獲取最新報價
-  const symbols = positions.map(p => p.symbol);
-  const quotes = await fetchQuotes(symbols);
-
   // 計算每個持倉的績效
   const enrichedPositions = positions.map(pos => {
     const quote = quotes[pos.symbol];
@@ -95,16 +74,24 @@ async function calculatePerformance() {
         gainPercent: null,
         dayChange: null,
         dayChangePercent: null,
+        baseValue: null,
         error: quote?.error || 'No quote data',
       };
     }
 
+    // 交易貨幣
     const currentValue = pos.shares * quote.price;
     const gain = currentValue - pos.totalCost;
-    const gainPercent = (gain / pos.totalCost) * 100;
+    const gainPercent = pos.totalCost > 0 ? (gain / pos.totalCost) * 100 : 0;
     const dayChange = pos.shares * quote.change;
     const dayChangePercent = quote.changePercent;
 
+    // 基準貨幣：價差以目前匯率換算，匯差為成本在買進和現在匯率下的差額
+    const fxRate = fx.rates[quote.currency || pos.currency] ?? null;
+    const costFxRate = fx.rates[pos.currency] ?? null;
+    const valued = fxRate != null && costFxRate != null && pos.base != null;
+    const baseValue = valued ? currentValue * fxRate : null;
+
     return {
       ...pos,
       name: quote.name,
@@ -115,36 +102,83 @@ async function calculatePerformance() {
       dayChange,
       dayChangePercent,
       marketState: quote.marketState,
+      fxRate,
+      baseCost: valued ? pos.base.cost : null,
+      baseValue,
+      baseGain: valued ? baseValue - pos.base.cost : null,
+      priceGain: valued ? baseValue - pos.totalCost * costFxRate : null,
+      fxGain: valued ? pos.totalCost * costFxRate - pos.base.cost : null,
+      baseDayChange: valued ? dayChange * fxRate : null,
     };
   });
 
-  // 計算總計
-  const validPositions = enrichedPositions.filter(p => p.currentValue != null);
-  const totalCost = validPositions.reduce((sum, p) => sum + p.totalCost, 0);
-  const totalValue = validPositions.reduce((sum, p) => sum + p.currentValue, 0);
+  // 計算總計（基準貨幣，缺匯率的持倉不計入）
+  const validPositions = enrichedPositions.filter(p => p.baseValue != null);
+  const sum = field => validPositions.reduce((total, p) => total + p[field], 0);
+  const totalCost = sum('baseCost');
+  const totalValue = sum('baseValue');
   const totalGain = totalValue - totalCost;
   const totalGainPercent = totalCost > 0 ? (totalGain / totalCost) * 100 : 0;
-  const totalDayChange = validPositions.reduce((sum, p) => sum + (p.dayChange || 0), 0);
 
   return {
+    currency: base,
     positions: enrichedPositions,
+    closed,
+    method,
     totalCost,
     totalValue,
     totalGain,
     totalGainPercent,
-    totalDayChange,
+    totalPriceGain: sum('priceGain'),
+    totalFxGain: sum('fxGain'),
+    totalDayChange: sum('baseDayChange'),
+    realized,
+    unvalued: enrichedPositions.filter(p => !p.error && p.baseValue == null).map(p => p.symbol),
+    fx: fxInfo,
     calculatedAt: new Date().toISOString(),
   };
 }
 
 /**
- * 格式化投資組合報告
+ * 已實現損益合計（基準貨幣，含已出清的持倉；缺匯率的持倉列在 missing）
+ * @returns {Object} { gain: 賣出價差, fx: 賣出匯差, dividends, fees, total, missing }
+ */
+function summarizeRealized(positions) {
+  const valued = positions.filter(p => p.base);
+  const sum = field => valued.reduce((total, p) => total + p.base[field], 0);
+  return {
+    gain: sum('realizedGain'),
+    fx: sum('realizedFx'),
+    dividends: sum('dividends'),
+    fees: sum('fees'),
+    total: sum('realized'),
+    missing: positions.filter(p => !p.base && p.realized).map(p => p.symbol),
+  };
+}
+
+/**
+ * 已實現損益（一行）
+ * @param {string} currency - 基準貨幣
+ */
+function formatRealized(realized, currency) {
+  const money = value => formatCurrency(value, currency);
+  const parts = [`賣出 ${money(realized.gain)}`];
+  if (realized.fx) parts.push(`匯差 ${money(realized.fx)}`);
+  if (realized.dividends) parts.push(`股利 ${money(realized.dividends)}`);
+  if (realized.fees) parts.push(`費用 -${money(realized.fees)}`);
+  const emoji = realized.total >= 0 ? '💰' : '💸';
+  return `${emoji} ${money(realized.total)}（${parts.join('、')}）`;
+}
+
+/**
+ * 格式化投資組合報告（個股為交易貨幣，總計為基準貨幣）
  */
 function formatPortfolioReport(performance) {
-  const { positions, totalCost, totalValue, totalGain, totalGainPercent, totalDayChange } = performance;
+  const { currency, positions, closed = [], totalCost, totalValue, totalGain, totalGainPercent, totalPriceGain, totalFxGain, totalDayChange, realized, unvalued = [] } = performance;
+  const money = value => formatCurrency(value, currency);
 
-  if (positions.length === 0) {
-    return '📭 尚未設定任何持倉\n\n使用 `portfolio set` 來新增持倉';
+  if (positions.length === 0 && closed.length === 0) {
+    return '📭 尚未記錄任何交易\n\n使用 `portfolio buy` 記錄買進';
   }
 
   let report = '📊 **投資組合報告**\n\n';
@@ -156,29 +190,52 @@ function formatPortfolioReport(performance) {
       continue;
     }
 
+    const local = value => formatCurrency(value, pos.currency);
     const gainEmoji = pos.gain >= 0 ? '📈' : '📉';
     const dayEmoji = pos.dayChange >= 0 ? '🟢' : '🔴';
 
     report += `**${pos.symbol}** (${pos.name})\n`;
     report += `├ 持股: ${pos.shares} 股\n`;
-    report += `├ 成本: ${formatCurrency(pos.costBasis)}/股 (總: ${formatCurrency(pos.totalCost)})\n`;
-    report += `├ 現價: ${formatCurrency(pos.currentPrice)}/股 (總: ${formatCurrency(pos.currentValue)})\n`;
-    report += `├ ${gainEmoji} 損益: ${formatCurrency(pos.gain)} (${formatPercent(pos.gainPercent)})\n`;
-    report += `└ ${dayEmoji} 今日: ${formatCurrency(pos.dayChange)} (${formatPercent(pos.dayChangePercent)})\n`;
+    report += `├ 成本: ${local(pos.costBasis)}/股 (總: ${local(pos.totalCost)})\n`;
+    report += `├ 現價: ${local(pos.currentPrice)}/股 (總: ${local(pos.currentValue)})\n`;
+    report += `├ ${gainEmoji} 未實現: ${local(pos.gain)} (${formatPercent(pos.gainPercent)})\n`;
+    if (pos.currency !== currency && pos.baseValue != null) {
+      report += `├ 💱 ${currency}: ${money(pos.baseGain)}（價差 ${money(pos.priceGain)}、匯差 ${money(pos.fxGain)}）\n`;
+    }
+    if (pos.realized) {
+      report += `├ 💰 已實現: ${local(pos.realized)}\n`;
+    }
+    report += `└ ${dayEmoji} 今日: ${local(pos.dayChange)} (${formatPercent(pos.dayChangePercent)})\n`;
     report += '\n';
   }
 
+  if (closed.length > 0) {
+    report += `📦 已出清: ${closed.map(p => `${p.symbol}（${formatCurrency(p.realized, p.currency)}）`).join('、')}\n\n`;
+  }
+
   // 總計
   report += '━━━━━━━━━━━━━━━━━━\n';
-  report += `**總投入**: ${formatCurrency(totalCost)}\n`;
-  report += `**總市值**: ${formatCurrency(totalValue)}\n`;
+  report += `**總投入**: ${money(totalCost)}\n`;
+  report += `**總市值**: ${money(totalValue)}\n`;
   
   const totalEmoji = totalGain >= 0 ? '📈' : '📉';
-  report += `**總損益**: ${totalEmoji} ${formatCurrency(totalGain)} (${formatPercent(totalGainPercent)})\n`;
-  
+  report += `**未實現損益**: ${totalEmoji} ${money(totalGain)} (${formatPercent(totalGainPercent)})\n`;
+  if (positions.some(p => p.currency !== currency && p.baseValue != null)) {
+    report += `├ 價差: ${money(totalPriceGain)}\n`;
+    report += `└ 匯差: ${money(totalFxGain)}\n`;
+  }
+  if (realized && (realized.gain || realized.fx || realized.dividends || realized.fees)) {
+    report += `**已實現損益**: ${formatRealized(realized, currency)}\n`;
+  }
+
   if (totalDayChange !== undefined) {
     const dayEmoji = totalDayChange >= 0 ? '🟢' : '🔴';
-    report += `**今日變化**: ${dayEmoji} ${formatCurrency(totalDayChange)}\n`;
+    report += `**今日變化**: ${dayEmoji} ${money(totalDayChange)}\n`;
+  }
+
+  const missing = [...new Set([...unvalued, ...(realized?.missing || [])])];
+  if (missing.length > 0) {
+    report += `\n⚠️ 無法取得匯率，未計入總計: ${missing.join(', ')}\n`;
   }
 
   return report;
@@ -188,7 +245,8 @@ function formatPortfolioReport(performance) {
  * 簡潔版組合摘要（用於每日報告）
  */
 function formatPortfolioSummary(performance) {
-  const { positions, totalValue, totalGain, totalGainPercent, totalDayChange } = performance;
+  const { currency, positions, totalValue, totalGain, totalGainPercent, totalFxGain, totalDayChange, realized } = performance;
+  const money = value => formatCurrency(value, currency);
 
   if (positions.length === 0) {
     return '（尚無持倉資料）';
@@ -197,16 +255,20 @@ function formatPortfolioSummary(performance) {
   const totalEmoji = totalGain >= 0 ? '📈' : '📉';
   const dayEmoji = totalDayChange >= 0 ? '🟢' : '🔴';
 
-  let summary = `總市值: ${formatCurrency(totalValue)}\n`;
-  summary += `${totalEmoji} 總損益: ${formatCurrency(totalGain)} (${formatPercent(totalGainPercent)})\n`;
-  summary += `${dayEmoji} 今日: ${formatCurrency(totalDayChange)}\n\n`;
+  let summary = `總市值: ${money(totalValue)}\n`;
+  summary += `${totalEmoji} 未實現: ${money(totalGain)} (${formatPercent(totalGainPercent)})`;
+  summary += totalFxGain ? `（匯差 ${money(totalFxGain)}）\n` : '\n';
+  if (realized && realized.total) {
+    summary += `💰 已實現: ${money(realized.total)}\n`;
+  }
+  summary += `${dayEmoji} 今日: ${money(totalDayChange)}\n\n`;
 
   // 個股快速摘要
   for (const pos of positions) {
     if (pos.error) continue;
     
     const emoji = pos.dayChange >= 0 ? '🟢' : '🔴';
-    summary += `${emoji} ${pos.symbol}: ${formatCurrency(pos.currentPrice)} (${formatPercent(pos.dayChangePercent)})\n`;
+    summary += `${emoji} ${pos.symbol}: ${formatCurrency(pos.currentPrice, pos.currency)} (${formatPercent(pos.dayChangePercent)})\n`;
   }
 
   return summary;
@@ -214,9 +276,9 @@ function formatPortfolioSummary(performance) {
 
 module.exports = {
   getPortfolio,
-  setPosition,
-  removePosition,
   calculatePerformance,
+  summarizeRealized,
+  formatRealized,
   formatPortfolioReport,
   formatPortfolioSummary,
 };
@@ -3,87 +3,86 @@
  * 使用 Yahoo Finance 獲取即時報價
  */
 
-const { CACHE_FILE, CACHE_TTL, readJSON, writeJSON } = require('../utils/config');
+const { CACHE_TTL, inferCurrency, formatCurrency } = require('../utils/config');
+const { getJSON } = require('../../../assistant-toolkit/lib/http');
+const { cache, staleNotice } = require('../../../assistant-toolkit/lib/cache');
+
+// 快取命名空間
+const CACHE_NAMESPACE = 'quotes';
+
+/**
+ * 從 Yahoo Finance 獲取單一報價
+ * @param {string} symbol - 股票代碼
+ * @returns {Promise<Object>} 報價資料（失敗時拋出例外）
+ */
+async function fetchQuote(symbol) {
+  // 使用 Yahoo Finance chart API
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=5d`;
+
+  const data = await getJSON(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)',
+    },
+  });
+  const chart = data.chart?.result?.[0];
+
+  if (!chart) {
+    throw new Error('No data returned');
+  }
+
+  const meta = chart.meta;
+  const quote = chart.indicators?.quote?.[0];
+  const timestamps = chart.timestamp || [];
+
+  // 獲取最新價格
+  const currentPrice = meta.regularMarketPrice;
+  const previousClose = meta.chartPreviousClose || meta.previousClose;
+  const change = currentPrice - previousClose;
+  const changePercent = (change / previousClose) * 100;
+
+  // 獲取歷史數據（5天）
+  const history = timestamps.map((ts, i) => ({
+    date: new Date(ts * 1000).toISOString().split('T')[0],
+    open: quote?.open?.[i],
+    high: quote?.high?.[i],
+    low: quote?.low?.[i],
+    close: quote?.close?.[i],
+    volume: quote?.volume?.[i],
+  })).filter(d => d.close != null);
+
+  return {
+    symbol: meta.symbol,
+    name: meta.shortName || meta.longName || symbol,
+    price: currentPrice,
+    previousClose,
+    change,
+    changePercent,
+    dayHigh: meta.regularMarketDayHigh,
+    dayLow: meta.regularMarketDayLow,
+    volume: meta.regularMarketVolume,
+    marketCap: meta.marketCap,
+    exchange: meta.exchangeName,
+    currency: meta.currency,
+    marketState: meta.marketState, // PRE, REGULAR, POST, CLOSED
+    history: history.slice(-5),
+    fetchedAt: new Date().toISOString(),
+  };
+}
 
 /**
- * 從 Yahoo Finance 獲取報價
+ * 獲取報價（帶快取，來源失敗時回傳舊報價並標記 isStale）
  * @param {string[]} symbols - 股票代碼列表
  * @returns {Promise<Object>} 報價資料
  */
 async function fetchQuotes(symbols) {
   const results = {};
-  
+
   for (const symbol of symbols) {
     try {
-      // 檢查快取
-      const cached = getCachedQuote(symbol);
-      if (cached) {
-        results[symbol] = cached;
-        continue;
-      }
-
-      // 使用 Yahoo Finance chart API
-      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=5d`;
-      
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)',
-        },
+      const { value, isStale, storedAt } = await cache.fetch(CACHE_NAMESPACE, symbol, () => fetchQuote(symbol), {
+        ttl: CACHE_TTL.quote,
       });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      const data = await response.json();
-      const chart = data.chart?.result?.[0];
-      
-      if (!chart) {
-        throw new Error('No data returned');
-      }
-
-      const meta = chart.meta;
-      const quote = chart.indicators?.quote?.[0];
-      const timestamps = chart.timestamp || [];
-      
-      // 獲取最新價格
-      const currentPrice = meta.regularMarketPrice;
-      const previousClose = meta.chartPreviousClose || meta.previousClose;
-      const change = currentPrice - previousClose;
-      const changePercent = (change / previousClose) * 100;
-
-      // 獲取歷史數據（5天）
-      const history = timestamps.map((ts, i) => ({
-        date: new Date(ts * 1000).toISOString().split('T')[0],
-        open: quote?.open?.[i],
-        high: quote?.high?.[i],
-        low: quote?.low?.[i],
-        close: quote?.close?.[i],
-        volume: quote?.volume?.[i],
-      })).filter(d => d.close != null);
-
-      const result = {
-        symbol: meta.symbol,
-        name: meta.shortName || meta.longName || symbol,
-        price: currentPrice,
-        previousClose,
-        change,
-        changePercent,
-        dayHigh: meta.regularMarketDayHigh,
-        dayLow: meta.regularMarketDayLow,
-        volume: meta.regularMarketVolume,
-        marketCap: meta.marketCap,
-        exchange: meta.exchangeName,
-        currency: meta.currency,
-        marketState: meta.marketState, // PRE, REGULAR, POST, CLOSED
-        history: history.slice(-5),
-        fetchedAt: new Date().toISOString(),
-      };
-
-      // 快取結果
-      cacheQuote(symbol, result);
-      results[symbol] = result;
-
+      results[symbol] = isStale ? { ...value, isStale, cachedAt: storedAt } : value;
     } catch (error) {
       results[symbol] = {
         symbol,
@@ -97,30 +96,33 @@ async function fetchQuotes(symbols) {
 }
 
 /**
- * 檢查快取
+ * 檢查快取（未過期的報價）
  */
 function getCachedQuote(symbol) {
-  const cache = readJSON(CACHE_FILE, { quotes: {} });
-  const cached = cache.quotes?.[symbol];
-  
-  if (cached) {
-    const age = Date.now() - new Date(cached.fetchedAt).getTime();
-    if (age < CACHE_TTL.quote) {
-      return cached;
-    }
-  }
-  
-  return null;
+  return cache.get(CACHE_NAMESPACE, symbol)?.value || null;
 }
 
 /**
  * 儲存到快取
  */
 function cacheQuote(symbol, data) {
-  const cache = readJSON(CACHE_FILE, { quotes: {} });
-  cache.quotes = cache.quotes || {};
-  cache.quotes[symbol] = data;
-  writeJSON(CACHE_FILE, cache);
+  cache.set(CACHE_NAMESPACE, symbol, data, { ttl: CACHE_TTL.quote });
+}
+
+/**
+ * 報價中最舊的快取時間（有舊資料時）
+ * @returns {string|null}
+ */
+function getStaleSince(quotes) {
+  const times = Object.values(quotes).filter(q => q?.isStale).map(q => q.cachedAt).sort();
+  return times[0] || null;
+}
+
+/**
+ * 報價的貨幣（舊快取沒有 currency 時由代碼推測）
+ */
+function quoteCurrency(quote) {
+  return quote.currency || inferCurrency(quote.symbol);
 }
 
 /**
@@ -136,10 +138,11 @@ function formatQuote(quote) {
   const emoji = change >= 0 ? '📈' : '📉';
   const sign = change >= 0 ? '+' : '';
   const stateEmoji = marketState === 'REGULAR' ? '🟢' : marketState === 'CLOSED' ? '🔴' : '🟡';
+  const money = value => (value == null ? 'N/A' : formatCurrency(value, quoteCurrency(quote)));
 
   let output = `${emoji} **${symbol}** (${name})\n`;
-  output += `💰 $${price.toFixed(2)} (${sign}${change.toFixed(2)} / ${sign}${changePercent.toFixed(2)}%)\n`;
-  output += `📊 High: $${dayHigh?.toFixed(2) || 'N/A'} | Low: $${dayLow?.toFixed(2) || 'N/A'}\n`;
+  output += `💰 ${money(price)} (${sign}${money(change)} / ${sign}${changePercent.toFixed(2)}%)\n`;
+  output += `📊 High: ${money(dayHigh)} | Low: ${money(dayLow)}\n`;
   
   if (volume) {
     const volStr = volume >= 1000000 ? `${(volume/1000000).toFixed(2)}M` : 
@@ -149,12 +152,19 @@ function formatQuote(quote) {
   
   output += `${stateEmoji} Market: ${marketState}`;
 
+  if (quote.isStale) {
+    output += `\n${staleNotice(quote.cachedAt)}`;
+  }
+
   return output;
 }
 
 module.exports = {
+  fetchQuote,
   fetchQuotes,
   formatQuote,
+  quoteCurrency,
   getCachedQuote,
   cacheQuote,
+  getStaleSince,
 };
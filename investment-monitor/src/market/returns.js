@@ -0,0 +1,258 @@
+/**
+ * 報酬率計算（由每日快照）
+ *
+ * 快照：{ date, value: 當天收盤市值, flow: 上一筆快照之後的淨投入（投入為正）}
+ * 淨投入視為發生在當天收盤（買進後的市值已包含在 value）
+ *
+ *   時間加權（TWR）  每段 (value - flow) / 前一天 value 連乘，不受投入時機和金額影響，比較操作績效
+ *   資金加權（XIRR） 讓所有現金流折現為 0 的年化報酬，反映實際賺到的錢
+ *   最大回檔        TWR 累積淨值從高點的最大跌幅（不受投入和取回影響）
+ */
+
+const { formatCurrency, formatPercent } = require('../utils/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 期間報酬：名稱 → 起點日期
+const PERIODS = {
+  '1W': date => addDays(date, -7),
+  '1M': date => addMonths(date, -1),
+  YTD: date => `${Number(date.slice(0, 4)) - 1}-12-31`,
+  '1Y': date => addMonths(date, -12),
+};
+
+/**
+ * 日期加減天數（YYYY-MM-DD）
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 日期加減月數（月底超過時取該月最後一天）
+ */
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * 兩個日期相差的年數
+ */
+function yearsBetween(from, to) {
+  return (Date.parse(to) - Date.parse(from)) / (365 * DAY_MS);
+}
+
+/**
+ * 解析 --since：YYYY-MM-DD 或期間名稱（1W / 1M / YTD / 1Y）
+ * @param {string} since
+ * @param {string} asOf - 以哪一天為準（最新快照日期）
+ * @returns {string|null} 起點日期（無法解析時為 null）
+ */
+function resolveSince(since, asOf) {
+  if (!since) return null;
+  const period = PERIODS[String(since).toUpperCase()];
+  if (period) return period(asOf);
+  return /^\d{4}-\d{2}-\d{2}$/.test(since) && !isNaN(Date.parse(since)) ? since : null;
+}
+
+/**
+ * 取出計算區間的快照：起點為 since 當天或之前最近的一筆（沒有時為區間內第一筆）
+ * @param {Object[]} snapshots - 依日期排序的快照
+ */
+function sliceSnapshots(snapshots, since = null) {
+  if (!since) return snapshots;
+  let start = 0;
+  for (let i = 0; i < snapshots.length; i++) {
+    if (snapshots[i].date <= since) start = i;
+  }
+  return snapshots.slice(start);
+}
+
+/**
+ * 每日報酬（第一筆為起點，不計報酬；前一天市值為 0 時該段不計）
+ * @returns {Object[]} { date, return }
+ */
+function periodReturns(snapshots) {
+  const result = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const previous = snapshots[i - 1].value;
+    if (previous <= 0) continue;
+    result.push({ date: snapshots[i].date, return: (snapshots[i].value - snapshots[i].flow) / previous - 1 });
+  }
+  return result;
+}
+
+/**
+ * 時間加權報酬
+ * @returns {number|null} 區間報酬（小數，0.05 = 5%）；快照不足兩筆時為 null
+ */
+function timeWeightedReturn(snapshots) {
+  if (snapshots.length < 2) return null;
+  return periodReturns(snapshots).reduce((growth, r) => growth * (1 + r.return), 1) - 1;
+}
+
+/**
+ * 年化內部報酬率（XIRR）
+ * @param {Object[]} cashflows - { date, amount }（投入為負、取回和期末市值為正）
+ * @returns {number|null} 年化報酬（小數）；無解時為 null
+ */
+function xirr(cashflows) {
+  const flows = cashflows.filter(f => f.amount !== 0);
+  if (!flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0)) return null;
+
+  const start = flows[0].date;
+  const npv = rate => flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, yearsBetween(start, f.date)), 0);
+
+  // 二分法：NPV 對報酬率單調遞減（先投入後取回）
+  let low = -0.9999;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < 1e-7) return mid;
+    if (value * npv(low) > 0) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * 資金加權報酬：期初市值為投入，每筆淨投入，期末市值為取回
+ * @returns {number|null} 年化報酬（小數）
+ */
+function moneyWeightedReturn(snapshots) {
+  if (snapshots.length < 2) return null;
+  const [first, ...rest] = snapshots;
+  const last = snapshots[snapshots.length - 1];
+  return xirr([
+    { date: first.date, amount: -first.value },
+    ...rest.map(s => ({ date: s.date, amount: -s.flow })),
+    { date: last.date, amount: last.value },
+  ]);
+}
+
+/**
+ * 最大回檔（TWR 累積淨值）
+ * @returns {Object|null} { drawdown: 跌幅（負數小數）, peakDate, troughDate }
+ */
+function maxDrawdown(snapshots) {
+  if (snapshots.length < 2) return null;
+
+  let index = 1;
+  let peak = { value: 1, date: snapshots[0].date };
+  let worst = { drawdown: 0, peakDate: snapshots[0].date, troughDate: snapshots[0].date };
+
+  for (const r of periodReturns(snapshots)) {
+    index *= 1 + r.return;
+    if (index > peak.value) {
+      peak = { value: index, date: r.date };
+    } else if (index / peak.value - 1 < worst.drawdown) {
+      worst = { drawdown: index / peak.value - 1, peakDate: peak.date, troughDate: r.date };
+    }
+  }
+  return worst;
+}
+
+/**
+ * 分析區間績效
+ * @param {Object[]} snapshots - 所有快照（依日期）
+ * @param {Object} options - { since: YYYY-MM-DD 或期間名稱 }
+ * @returns {Object|null} 快照不足時為 null
+ */
+function analyzeReturns(snapshots, { since = null } = {}) {
+  if (snapshots.length === 0) return null;
+
+  const asOf = snapshots[snapshots.length - 1].date;
+  const range = sliceSnapshots(snapshots, resolveSince(since, asOf));
+  const first = range[0];
+  const last = range[range.length - 1];
+  const netFlow = range.slice(1).reduce((sum, s) => sum + s.flow, 0);
+
+  // 期間報酬都以最新快照為終點，起點之前沒有快照時為 null
+  const periods = {};
+  for (const [name, start] of Object.entries(PERIODS)) {
+    const startDate = start(asOf);
+    periods[name] = snapshots[0].date <= startDate ? timeWeightedReturn(sliceSnapshots(snapshots, startDate)) : null;
+  }
+
+  return {
+    currency: last.currency,
+    from: first.date,
+    to: last.date,
+    snapshots: range.length,
+    startValue: first.value,
+    endValue: last.value,
+    netFlow,
+    gain: last.value - first.value - netFlow,
+    twr: timeWeightedReturn(range),
+    xirr: moneyWeightedReturn(range),
+    maxDrawdown: maxDrawdown(range),
+    periods,
+  };
+}
+
+/**
+ * 報酬率（百分比，null 顯示為 —）
+ */
+function formatReturn(value) {
+  return value == null ? '—' : formatPercent(value * 100);
+}
+
+/**
+ * 格式化區間績效
+ */
+function formatReturns(analysis) {
+  if (!analysis) {
+    return '📭 還沒有組合快照\n\n每天由排程 portfolio-snapshot 記錄，或執行 `portfolio snapshot`';
+  }
+
+  const money = value => formatCurrency(value, analysis.currency);
+  const gainEmoji = analysis.gain >= 0 ? '📈' : '📉';
+  const lines = [
+    `📈 **投資組合績效**（${analysis.from} ~ ${analysis.to}，${analysis.currency}）`,
+    '',
+    `期初市值: ${money(analysis.startValue)}`,
+    `期末市值: ${money(analysis.endValue)}`,
+    `淨投入: ${money(analysis.netFlow)}`,
+    `${gainEmoji} 損益: ${money(analysis.gain)}`,
+    '',
+    `時間加權報酬（TWR）: ${formatReturn(analysis.twr)}`,
+    `資金加權報酬（XIRR，年化）: ${formatReturn(analysis.xirr)}`,
+  ];
+
+  const drawdown = analysis.maxDrawdown;
+  if (drawdown && drawdown.drawdown < 0) {
+    lines.push(`最大回檔: ${formatReturn(drawdown.drawdown)}（${drawdown.peakDate} → ${drawdown.troughDate}）`);
+  }
+
+  lines.push('', '**期間報酬**');
+  lines.push(Object.entries(analysis.periods).map(([name, value]) => `${name}: ${formatReturn(value)}`).join('｜'));
+
+  if (analysis.snapshots < 2) {
+    lines.push('', '⚠️ 快照不足兩筆，還無法計算報酬率');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  PERIODS,
+  addDays,
+  addMonths,
+  resolveSince,
+  sliceSnapshots,
+  periodReturns,
+  timeWeightedReturn,
+  xirr,
+  moneyWeightedReturn,
+  maxDrawdown,
+  analyzeReturns,
+  formatReturn,
+  formatReturns,
+};
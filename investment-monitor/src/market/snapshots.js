@@ -0,0 +1,138 @@
+/**
+ * 每日組合快照
+ *
+ * 報價只保留 5 天，組合的歷史市值由每天的快照記錄（共用資料庫 portfolio_snapshots）：
+ *   value      收盤市值（基準貨幣）
+ *   cost       持倉成本（基準貨幣）
+ *   flow       上一筆快照之後的淨投入（交易記錄計算，投入為正）
+ *   positions  每檔的股數、價格、匯率和市值
+ *
+ * 排程 portfolio-snapshot 每天 06:00（台北）記錄前一天：台股和美股都已收盤
+ * 價格是快照日的收盤價（本地日線，快照前先補上），不是記錄當下的即時報價；匯率為記錄當下的匯率
+ */
+
+const { snapshots: snapshotsRepo } = require('../../../assistant-toolkit/lib/repositories');
+const { calculatePerformance, getPortfolio } = require('./portfolio');
+const { getLedger, getTransactions } = require('./ledger');
+const { getHistory, updateHistory } = require('./history');
+const { analyzeReturns, formatReturns, addDays } = require('./returns');
+const { formatCurrency } = require('../utils/config');
+
+// 快照日沒有交易（假日）時往前找收盤價的天數
+const CLOSE_LOOKBACK_DAYS = 10;
+
+/**
+ * 快照錯誤
+ */
+function snapshotError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, ...details });
+}
+
+/**
+ * 昨天（YYYY-MM-DD，台北時間）
+ */
+function yesterday(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Taipei' }).format(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+}
+
+/**
+ * 某天的收盤價（當天沒有交易時取之前最近一天，最多往前 CLOSE_LOOKBACK_DAYS 天）
+ * @returns {Object} 給 calculatePerformance 的報價 { symbol: { symbol, price, change, changePercent } 或 { symbol, error } }
+ */
+function closingQuotes(symbols, date) {
+  return Object.fromEntries(symbols.map((symbol) => {
+    const bars = getHistory(symbol, { since: addDays(date, -CLOSE_LOOKBACK_DAYS) }).filter(bar => bar.date <= date);
+    const [previous, bar] = bars.length > 1 ? bars.slice(-2) : [null, bars[0]];
+    if (!bar) return [symbol, { symbol, error: `沒有 ${date} 的收盤價` }];
+
+    const change = previous ? bar.close - previous.close : 0;
+    return [symbol, {
+      symbol,
+      price: bar.close,
+      change,
+      changePercent: previous ? (change / previous.close) * 100 : 0,
+      date: bar.date,
+    }];
+  }));
+}
+
+/**
+ * 記錄某天的快照（同一天重新記錄時取代）
+ * @param {Object} options - { date: 快照日期（預設昨天）}
+ * @returns {Promise<Object|null>} 快照；沒有任何交易時為 null
+ * @throws SNAPSHOT_INCOMPLETE 有持倉沒有收盤價或無法取得匯率（不記錄不完整的市值）
+ */
+async function takeSnapshot({ date = yesterday() } = {}) {
+  if (getTransactions().length === 0) return null;
+
+  // 本地日線還沒有快照日（或快照日的日線可能是盤中存的）時先補上，失敗的由下面的檢查回報
+  const symbols = Object.keys(getPortfolio().positions);
+  const outdated = symbols.filter(symbol => !(getHistory(symbol, { limit: 1 })[0]?.date > date));
+  if (outdated.length > 0) await updateHistory(outdated);
+
+  const performance = await calculatePerformance({ quotes: closingQuotes(symbols, date) });
+  const missing = performance.positions.filter(p => p.baseValue == null).map(p => p.symbol);
+  if (missing.length > 0) {
+    throw snapshotError('SNAPSHOT_INCOMPLETE', `無法取得 ${date} 的收盤價或匯率，未記錄快照: ${missing.join(', ')}`, { missing });
+  }
+
+  // 上一筆快照之後到快照日的淨投入
+  const previous = snapshotsRepo.latest(addDays(date, -1));
+  const { flows } = getLedger({ base: performance.currency, rates: performance.fx.rates });
+  const window = flows.filter(f => f.date <= date && (!previous || f.date > previous.date));
+  const unconverted = [...new Set(window.filter(f => f.baseAmount == null).map(f => f.symbol))];
+  if (unconverted.length > 0) {
+    throw snapshotError('SNAPSHOT_INCOMPLETE', `無法取得匯率，未記錄快照: ${unconverted.join(', ')}`, { missing: unconverted });
+  }
+
+  return snapshotsRepo.upsert({
+    date,
+    currency: performance.currency,
+    value: performance.totalValue,
+    cost: performance.totalCost,
+    flow: window.reduce((sum, f) => sum + f.baseAmount, 0),
+    positions: Object.fromEntries(performance.positions.map(p => [p.symbol, {
+      shares: p.shares,
+      price: p.currentPrice,
+      currency: p.currency,
+      fxRate: p.fxRate,
+      value: p.baseValue,
+    }])),
+  });
+}
+
+/**
+ * 快照（依日期）
+ * @param {Object} options - { since }
+ */
+function getSnapshots({ since = null } = {}) {
+  return snapshotsRepo.list({ since });
+}
+
+/**
+ * 區間績效（TWR、XIRR、最大回檔、期間報酬）
+ * @param {Object} options - { since: YYYY-MM-DD 或 1W / 1M / YTD / 1Y }
+ * @returns {Object|null} 沒有快照時為 null
+ */
+function getReturns({ since = null } = {}) {
+  return analyzeReturns(getSnapshots(), { since });
+}
+
+/**
+ * 格式化快照記錄結果
+ */
+function formatSnapshot(snapshot) {
+  if (!snapshot) return '📭 沒有交易記錄，未記錄快照';
+  return `📸 ${snapshot.date} 快照：市值 ${formatCurrency(snapshot.value, snapshot.currency)}，` +
+    `淨投入 ${formatCurrency(snapshot.flow, snapshot.currency)}（${Object.keys(snapshot.positions).length} 檔）`;
+}
+
+module.exports = {
+  yesterday,
+  closingQuotes,
+  takeSnapshot,
+  getSnapshots,
+  getReturns,
+  formatReturns,
+  formatSnapshot,
+};
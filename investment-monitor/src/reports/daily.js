@@ -2,10 +2,12 @@
  * 每日投資報告
  */
 
-const { fetchQuotes, formatQuote } = require('../market/quotes');
+const { fetchQuotes, formatQuote, quoteCurrency } = require('../market/quotes');
 const { calculatePerformance, formatPortfolioSummary } = require('../market/portfolio');
 const { checkAlerts, formatTriggeredAlert } = require('../alerts/manager');
-const { WATCHLIST } = require('../utils/config');
+const { getStoredIndicators } = require('../market/history');
+const { formatIndicatorSummary } = require('../analysis/indicators');
+const { WATCHLIST, formatCurrency } = require('../utils/config');
 
 /**
  * 生成每日報告
@@ -42,6 +44,21 @@ async function generateDailyReport() {
     sections.push(`⚠️ 獲取報價時發生錯誤: ${error.message}\n`);
   }
 
+  // 技術指標（只列出已有日線的股票，不連網；沒有日線的股票 getStoredIndicators 為 null）
+  try {
+    const summaries = WATCHLIST
+      .map(symbol => [symbol, getStoredIndicators(symbol)])
+      .filter(([, indicators]) => indicators)
+      .map(([symbol, indicators]) => formatIndicatorSummary(symbol, indicators));
+    if (summaries.length > 0) {
+      sections.push('📐 **技術指標**\n');
+      sections.push(summaries.join('\n'));
+      sections.push('');
+    }
+  } catch (error) {
+    sections.push(`⚠️ 計算技術指標時發生錯誤: ${error.message}\n`);
+  }
+
   // 2. 投資組合狀態
   sections.push('━━━━━━━━━━━━━━━━━━');
   sections.push('💼 **投資組合**\n');
@@ -87,7 +104,7 @@ async function generateQuickUpdate() {
     if (quote && !quote.error) {
       const emoji = quote.change >= 0 ? '📈' : '📉';
       const sign = quote.change >= 0 ? '+' : '';
-      update += `${emoji} **${symbol}**: $${quote.price.toFixed(2)} (${sign}${quote.changePercent.toFixed(2)}%)\n`;
+      update += `${emoji} **${symbol}**: ${formatCurrency(quote.price, quoteCurrency(quote))} (${sign}${quote.changePercent.toFixed(2)}%)\n`;
     }
   }
 
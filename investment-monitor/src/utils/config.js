@@ -2,29 +2,45 @@
  * 投資監控系統 - 配置
  */
 
-const path = require('path');
-const fs = require('fs');
+const { getConfigValue } = require('../../../assistant-toolkit/lib/config');
 
-// 資料存儲路徑
-const DATA_DIR = path.join(__dirname, '../../data');
-const PORTFOLIO_FILE = path.join(DATA_DIR, 'portfolio.json');
-const ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
-const CACHE_FILE = path.join(DATA_DIR, 'cache.json');
+// 持倉和警報存在共用資料庫（assistant-toolkit/lib/repositories.js），
+// 舊的 data/portfolio.json、data/alerts.json 會在第一次開啟時匯入
 
-// 確保資料夾存在
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-// Barry 的持股
-const WATCHLIST = ['ONDS', 'TSLA'];
+// 關注的股票（共用設定 investment.watchlist）
+const WATCHLIST = getConfigValue('investment.watchlist');
 
-// 快取時間（毫秒）
+// 快取時間（毫秒，共用快取 assistant-toolkit/lib/cache.js）
 const CACHE_TTL = {
   quote: 60 * 1000,      // 1 分鐘
   news: 30 * 60 * 1000,  // 30 分鐘
 };
 
+// 交易所代碼後綴對應的貨幣（報價沒有 currency 時使用）
+const SUFFIX_CURRENCIES = {
+  TW: 'TWD',
+  TWO: 'TWD',
+  T: 'JPY',
+  HK: 'HKD',
+};
+
+// 股票代碼正規化：轉大寫，台股只輸入數字（如 0050、2330、00632R）時補上 .TW
+function normalizeSymbol(symbol) {
+  const upper = String(symbol || '').trim().toUpperCase();
+  return /^\d{4,6}[A-Z]?$/.test(upper) ? `${upper}.TW` : upper;
+}
+
+// 由代碼推測交易貨幣（無後綴為美股）
+function inferCurrency(symbol) {
+  const suffix = normalizeSymbol(symbol).split('.').slice(1).pop();
+  return SUFFIX_CURRENCIES[suffix] || 'USD';
+}
+
+// 投資組合總計的貨幣（共用設定 investment.baseCurrency）
+function getBaseCurrency() {
+  return getConfigValue('investment.baseCurrency');
+}
+
 // 貨幣格式化
 function formatCurrency(value, currency = 'USD') {
   return new Intl.NumberFormat('en-US', {
@@ -39,32 +55,12 @@ function formatPercent(value) {
   return `${sign}${value.toFixed(2)}%`;
 }
 
-// 讀取 JSON 檔案
-function readJSON(file, defaultValue = {}) {
-  try {
-    if (fs.existsSync(file)) {
-      return JSON.parse(fs.readFileSync(file, 'utf-8'));
-    }
-  } catch (e) {
-    console.error(`Error reading ${file}:`, e.message);
-  }
-  return defaultValue;
-}
-
-// 寫入 JSON 檔案
-function writeJSON(file, data) {
-  fs.writeFileSync(file, JSON.stringify(data, null, 2));
-}
-
 module.exports = {
-  DATA_DIR,
-  PORTFOLIO_FILE,
-  ALERTS_FILE,
-  CACHE_FILE,
   WATCHLIST,
   CACHE_TTL,
+  normalizeSymbol,
+  inferCurrency,
+  getBaseCurrency,
   formatCurrency,
   formatPercent,
-  readJSON,
-  writeJSON,
 };
@@ -40,11 +40,19 @@ function assert(condition, message = 'Assertion failed') {
 async function runTests() {
   console.log('🧪 投資監控系統測試\n');
 
+  // 使用記憶體資料庫，不寫入真實的 assistant.db（和工具箱測試相同）
+  const { Store, setStore } = require('../../assistant-toolkit/lib/store');
+  setStore(new Store({ file: ':memory:' })).migrate();
+
   // 載入模組
   const config = require('../src/utils/config');
-  const { fetchQuotes } = require('../src/market/quotes');
-  const { addAlert, getAlerts, removeAlert } = require('../src/alerts/manager');
-  const { setPosition, getPortfolio, removePosition, calculatePerformance } = require('../src/market/portfolio');
+  const { fetchQuotes, formatQuote } = require('../src/market/quotes');
+  const { addAlert, getAlerts, removeAlert, isCoolingDown } = require('../src/alerts/manager');
+  const rules = require('../src/alerts/rules');
+  const { getPortfolio, calculatePerformance } = require('../src/market/portfolio');
+  const { buildPositions, recordTransaction, deleteTransaction } = require('../src/market/ledger');
+  const returns = require('../src/market/returns');
+  const indicators = require('../src/analysis/indicators');
 
   // 配置測試
   test('config - WATCHLIST 存在', () => {
@@ -65,6 +73,12 @@ async function runTests() {
     assert(result === '-3.20%', `Got: ${result}`);
   });
 
+  test('config - 台股代號補上 .TW 並推測貨幣', () => {
+    assert(config.normalizeSymbol('2330') === '2330.TW');
+    assert(config.normalizeSymbol('brk.b') === 'BRK.B');
+    assert(config.inferCurrency('0050') === 'TWD' && config.inferCurrency('TSLA') === 'USD');
+  });
+
   // 報價測試
   await asyncTest('quotes - 可以獲取 AAPL 報價', async () => {
     const quotes = await fetchQuotes(['AAPL']);
@@ -72,6 +86,12 @@ async function runTests() {
     assert(quotes.AAPL.price > 0 || quotes.AAPL.error, 'Invalid price');
   });
 
+  test('quotes - 台股報價以新台幣顯示', () => {
+    const output = formatQuote({ symbol: '2330.TW', name: 'TSMC', price: 1005, change: -15, changePercent: -1.47, dayHigh: 1020, dayLow: 1000, currency: 'TWD', marketState: 'CLOSED' });
+    assert(output.includes('NT$1,005.00 (-NT$15.00 / -1.47%)') && output.includes('High: NT$1,020.00'), `Got: ${output}`);
+    assert(formatQuote({ symbol: '0050', name: 'ETF', price: 180, change: 1, changePercent: 0.5, marketState: 'REGULAR' }).includes('Low: N/A'));
+  });
+
   // 警報測試
   test('alerts - 可以新增警報', () => {
     const alert = addAlert('TEST', { above: 100, below: 50, note: 'test' });
@@ -96,13 +116,219 @@ async function runTests() {
     }
   });
 
+  // 交易記錄測試（純計算）
+  const trades = [
+    { id: 't1', type: 'buy', symbol: 'ABC', date: '2026-01-02', shares: 10, price: 10, fee: 0 },
+    { id: 't2', type: 'buy', symbol: 'ABC', date: '2026-02-02', shares: 10, price: 20, fee: 0 },
+    { id: 't3', type: 'sell', symbol: 'ABC', date: '2026-03-02', shares: 10, price: 25, fee: 0 },
+  ];
+
+  test('ledger - FIFO 先賣出最早的批次', () => {
+    const { positions, realized } = buildPositions(trades, { method: 'fifo' });
+    assert(realized[0].gain === 150, `Got: ${realized[0].gain}`);
+    assert(positions.ABC.shares === 10 && positions.ABC.costBasis === 20);
+  });
+
+  test('ledger - 平均成本', () => {
+    const { positions, realized } = buildPositions(trades, { method: 'average' });
+    assert(realized[0].gain === 100, `Got: ${realized[0].gain}`);
+    assert(positions.ABC.shares === 10 && positions.ABC.costBasis === 15);
+  });
+
+  test('ledger - 分割、股利、費用和轉帳', () => {
+    const { positions } = buildPositions([
+      { type: 'buy', symbol: 'ABC', date: '2026-01-02', shares: 10, price: 30, fee: 0 },
+      { type: 'split', symbol: 'ABC', date: '2026-02-02', ratio: 3, fee: 0 },
+      { type: 'dividend', symbol: 'ABC', date: '2026-03-02', amount: 12, fee: 0 },
+      { type: 'fee', symbol: 'ABC', date: '2026-03-03', amount: 2, fee: 0 },
+      { type: 'transfer', symbol: 'ABC', date: '2026-04-02', shares: -15, price: 0, fee: 0 },
+    ]);
+    assert(positions.ABC.shares === 15, `Got: ${positions.ABC.shares}`);
+    assert(positions.ABC.totalCost === 150 && positions.ABC.costBasis === 10);
+    assert(positions.ABC.realized === 10, `Got: ${positions.ABC.realized}`);
+  });
+
+  test('ledger - 基準貨幣損益拆成價差和匯差', () => {
+    const { positions, realized } = buildPositions([
+      { id: 'u1', type: 'buy', symbol: 'ABC', currency: 'USD', date: '2026-01-02', shares: 10, price: 10, fee: 0, fxRate: 30 },
+      { id: 'u2', type: 'sell', symbol: 'ABC', currency: 'USD', date: '2026-03-02', shares: 5, price: 12, fee: 0, fxRate: 32 },
+    ]);
+    assert(realized[0].gain === 10 && realized[0].baseGain === 420, `Got: ${realized[0].baseGain}`);
+    assert(realized[0].fxGain === 100 && positions.ABC.base.realizedGain === 320);
+    assert(positions.ABC.base.cost === 1500 && positions.ABC.currency === 'USD');
+  });
+
+  test('ledger - 缺匯率時基準貨幣為 null', () => {
+    const { positions } = buildPositions([trades[0]]);
+    assert(positions.ABC.base === null);
+  });
+
+  test('ledger - 轉出以市值計算取回金額', () => {
+    const { flows } = buildPositions([
+      { id: 'x1', type: 'buy', symbol: 'ABC', date: '2026-01-02', shares: 10, price: 10, fee: 0, fxRate: 1 },
+      { id: 'x2', type: 'transfer', symbol: 'ABC', date: '2026-02-02', shares: -4, price: 25, fee: 1, fxRate: 1 },
+      { id: 'x3', type: 'transfer', symbol: 'ABC', date: '2026-03-02', shares: -2, price: 0, fee: 0, fxRate: 1 },
+    ]);
+    assert(flows.map(f => f.baseAmount).join() === '100,-99,-20', `Got: ${flows.map(f => f.baseAmount)}`);
+  });
+
+  test('ledger - 賣出超過持股被拒絕', () => {
+    try {
+      buildPositions([trades[0], { ...trades[2], shares: 11 }]);
+      assert(false, 'Should throw');
+    } catch (e) {
+      assert(e.code === 'INSUFFICIENT_SHARES', `Got: ${e.code}`);
+    }
+  });
+
+  // 報酬率測試（純計算）
+  const snapshots = [
+    { date: '2025-12-31', currency: 'TWD', value: 1000, flow: 1000 },
+    { date: '2026-01-31', currency: 'TWD', value: 1100, flow: 0 },
+    { date: '2026-02-28', currency: 'TWD', value: 2089, flow: 1000 },
+    { date: '2026-03-31', currency: 'TWD', value: 2297.9, flow: 0 },
+  ];
+
+  test('returns - 時間加權報酬不受投入影響', () => {
+    const twr = returns.timeWeightedReturn(snapshots);
+    assert(Math.abs(twr - (1.1 * 0.99 * 1.1 - 1)) < 1e-9, `Got: ${twr}`);
+  });
+
+  test('returns - 交易記錄產生淨投入', () => {
+    const { flows } = buildPositions(trades.map(t => ({ ...t, fxRate: 1 })));
+    assert(flows.map(f => f.baseAmount).join() === '100,200,-250', `Got: ${flows.map(f => f.baseAmount)}`);
+  });
+
+  test('returns - XIRR 一年翻倍為 100%', () => {
+    const rate = returns.xirr([{ date: '2025-01-01', amount: -100 }, { date: '2026-01-01', amount: 200 }]);
+    assert(Math.abs(rate - 1) < 1e-6, `Got: ${rate}`);
+  });
+
+  test('returns - 最大回檔和期間報酬', () => {
+    const drawdown = returns.maxDrawdown(snapshots);
+    assert(Math.abs(drawdown.drawdown + 0.01) < 1e-9 && drawdown.troughDate === '2026-02-28');
+    const analysis = returns.analyzeReturns(snapshots, { since: '2026-01-31' });
+    assert(analysis.from === '2026-01-31' && analysis.netFlow === 1000 && Math.abs(analysis.gain - 197.9) < 1e-9);
+    assert(Math.abs(analysis.periods.YTD - returns.timeWeightedReturn(snapshots)) < 1e-9 && analysis.periods['1Y'] === null);
+  });
+
+  // 技術指標測試（純計算）
+  const bars = Array.from({ length: 30 }, (_, i) => ({
+    date: returns.addDays('2026-01-01', i),
+    high: 101 + i,
+    low: 99 + i,
+    close: 100 + i,
+    volume: 1000,
+  }));
+
+  test('indicators - SMA / EMA', () => {
+    assert(indicators.sma([1, 2, 3, 4, 5], 3).join() === ',,2,3,4', `Got: ${indicators.sma([1, 2, 3, 4, 5], 3)}`);
+    assert(indicators.ema([null, 5, 5, 5, 5], 3).join() === ',,,5,5');
+  });
+
+  test('indicators - RSI 漲跌相同為 50、只漲為 100', () => {
+    const alternating = Array.from({ length: 15 }, (_, i) => 10 + (i % 2));
+    assert(indicators.rsi(alternating)[14] === 50, `Got: ${indicators.rsi(alternating)[14]}`);
+    assert(indicators.rsi(bars.map(b => b.close))[29] === 100 && indicators.rsi(alternating)[13] === null);
+  });
+
+  test('indicators - 布林通道、ATR、52 週高低', () => {
+    const band = indicators.bollinger(new Array(20).fill(10));
+    assert(band.upper[19] === 10 && band.lower[19] === 10 && band.middle[18] === null);
+    assert(indicators.atr(bars)[29] === 2, `Got: ${indicators.atr(bars)[29]}`);
+    const range = indicators.week52([{ date: '2025-01-02', high: 500, low: 1, close: 2 }, ...bars]);
+    assert(range.high === 130 && range.low === 99 && range.lowDate === '2026-01-01');
+  });
+
+  test('indicators - 最新和前一天的指標', () => {
+    const result = indicators.computeIndicators(bars);
+    assert(result.date === '2026-01-30' && result.previous.date === '2026-01-29' && result.bars === 30);
+    assert(result.sma20 === 119.5 && result.sma50 === null && result.averageVolume20 === 1000);
+    assert(Math.abs(result.week52.fromLow - (129 / 99 - 1) * 100) < 1e-9);
+    assert(indicators.computeIndicators([]) === null);
+  });
+
+  test('history - 缺最高 / 最低價的日線以開盤和收盤價補上', () => {
+    const { parseChartBars } = require('../src/market/history');
+    const day = 24 * 60 * 60;
+    const parsed = parseChartBars({
+      timestamp: [1767225600, 1767225600 + day, 1767225600 + 2 * day],
+      indicators: { quote: [{ open: [10, 11, null], high: [12, null, 13], low: [9, null, null], close: [11, 12, null], volume: [100, null, 50] }] },
+    });
+    assert(parsed.length === 2 && parsed[1].high === 12 && parsed[1].low === 11, `Got: ${JSON.stringify(parsed[1])}`);
+    const repaired = [...bars.slice(0, -1), { ...bars[bars.length - 1], ...parsed[1] }];
+    assert(Number.isFinite(indicators.computeIndicators(repaired).atr));
+  });
+
+  // 警報條件測試（純計算）
+  const quote = { symbol: 'ABC', price: 90, changePercent: -6, volume: 3000, history: [{ date: '2026-01-31' }] };
+
+  test('rules - 條件格式檢查', () => {
+    assert(rules.validateRule({ all: [{ type: 'change', op: 'below', value: -5 }, { type: 'rsi', cross: 'below', value: 30 }] }));
+    for (const rule of [{ type: 'ma', average: 'sma7', cross: 'above' }, { any: [] }, { type: 'trailingStop', percent: 120 }, { type: 'moon' }]) {
+      try {
+        rules.validateRule(rule);
+        assert(false, `Should throw: ${JSON.stringify(rule)}`);
+      } catch (e) {
+        assert(e.code === 'INVALID_ALERT', `Got: ${e.code}`);
+      }
+    }
+  });
+
+  test('rules - AND / OR 組合和觸發說明', () => {
+    const context = rules.createContext({ quote, position: { costBasis: 100 }, bars, peak: 110 });
+    const rule = { any: [
+      { all: [{ type: 'change', op: 'below', value: -5 }, { type: 'volume', multiple: 2 }] },
+      { type: 'price', op: 'above', value: 200 },
+    ] };
+    const result = rules.evaluateRule(rule, context);
+    assert(result.matched && result.reasons.length === 2 && result.reasons[1].includes('3.0 倍'), `Got: ${result.reasons}`);
+    assert(!rules.evaluateRule({ all: [rule, { type: 'fromCost', op: 'above', value: 0 }] }, context).matched);
+    assert(rules.evaluateRule({ type: 'fromCost', op: 'below', value: -10 }, context).reasons[0].includes('-10.00%'));
+    assert(rules.evaluateRule({ type: 'trailingStop', percent: 15 }, context).matched);
+    assert(rules.describeRule(rule) === '（單日漲跌 ≤ -5.00% 且 成交量 ≥ 20 日均量 2 倍） 或 價格 ≥ $200.00', `Got: ${rules.describeRule(rule)}`);
+  });
+
+  test('rules - 均線和 RSI 交叉只在當天成立', () => {
+    // 即時報價取代同一天的日線：收盤 129 → 90，跌破 SMA20
+    const context = rules.createContext({ quote: { ...quote, history: [{ date: '2026-01-30' }] }, bars });
+    assert(context.bars.length === 30 && context.indicators.close === 90);
+    assert(rules.evaluateRule({ type: 'ma', average: 'sma20', cross: 'below' }, context).matched);
+    assert(!rules.evaluateRule({ type: 'ma', average: 'sma20', cross: 'above' }, context).matched);
+    assert(rules.evaluateRule({ type: 'rsi', cross: 'below', value: 70 }, context).reasons[0].startsWith('RSI 由 100.0 跌破 70'));
+    const next = rules.createContext({ quote: { ...quote, history: [{ date: '2026-01-31' }] }, bars: context.bars });
+    assert(!rules.evaluateRule({ type: 'ma', average: 'sma20', cross: 'below' }, next).matched);
+  });
+
+  test('rules - 同一次交叉只觸發一次', () => {
+    const live = { ...quote, history: [{ date: '2026-01-30' }] };
+    const rule = { any: [{ type: 'ma', average: 'sma20', cross: 'below' }, { type: 'rsi', cross: 'below', value: 70 }] };
+    const first = rules.evaluateRule(rule, rules.createContext({ quote: live, bars }));
+    assert(first.crosses.join() === 'ma:sma20:below,rsi:70:below', `Got: ${first.crosses}`);
+
+    // 同一天稍後再檢查：已記錄的交叉不再成立
+    const crosses = Object.fromEntries(first.crosses.map(key => [key, '2026-01-30']));
+    const later = rules.createContext({ quote: { ...live, price: 89 }, bars, crosses });
+    assert(later.barDate === '2026-01-30' && !rules.evaluateRule(rule, later).matched);
+    assert(rules.evaluateRule(rule, rules.createContext({ quote: live, bars, crosses: { [first.crosses[0]]: '2026-01-02' } })).crosses.length === 2);
+  });
+
+  test('alerts - 冷卻時間內不重複觸發', () => {
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    const alert = { cooldown: 240, triggered: [{ time: '2026-03-01T09:00:00Z' }] };
+    assert(isCoolingDown(alert, now) && !isCoolingDown({ ...alert, cooldown: 120 }, now));
+    assert(!isCoolingDown({ triggered: [{ time: '2026-03-01T10:30:00Z' }] }, now));
+  });
+
   // 組合測試
-  test('portfolio - 可以設定持倉', () => {
-    const pos = setPosition('TEST', 100, 10, 'test position');
-    assert(pos.symbol === 'TEST');
-    assert(pos.shares === 100);
-    assert(pos.costBasis === 10);
-    assert(pos.totalCost === 1000);
+  let testTransaction = null;
+  await asyncTest('portfolio - 可以記錄買進', async () => {
+    const { transaction, position } = await recordTransaction({ type: 'buy', symbol: 'TEST', shares: 100, price: 10, currency: 'USD', note: 'test position' });
+    testTransaction = transaction;
+    assert(position.symbol === 'TEST');
+    assert(position.shares === 100);
+    assert(position.costBasis === 10);
+    assert(position.totalCost === 1000);
   });
 
   test('portfolio - 可以讀取組合', () => {
@@ -115,11 +341,64 @@ async function runTests() {
     const perf = await calculatePerformance();
     assert(perf.positions);
     assert(typeof perf.totalCost === 'number');
+    assert(typeof perf.realized.total === 'number');
+  });
+
+  await asyncTest('portfolio - 同時記錄的賣出不會超過持股', async () => {
+    await recordTransaction({ type: 'buy', symbol: 'RACE', shares: 10, price: 10, currency: 'USD', fxRate: 30 });
+    const sell = () => recordTransaction({ type: 'sell', symbol: 'RACE', shares: 10, price: 12, currency: 'USD' });
+    const results = await Promise.allSettled([sell(), sell()]);
+    const rejected = results.filter(r => r.status === 'rejected');
+    assert(rejected.length === 1 && rejected[0].reason.code === 'INSUFFICIENT_SHARES', `Got: ${results.map(r => r.status)}`);
+    assert(!getPortfolio().positions.RACE);
   });
 
-  test('portfolio - 可以移除持倉', () => {
-    const result = removePosition('TEST');
-    assert(result === true);
+  test('ledger - 轉出需要當天市價', () => {
+    let error = null;
+    try { require('../src/market/ledger').normalizeTransaction({ type: 'transfer', symbol: 'ABC', shares: -5 }); } catch (e) { error = e; }
+    assert(error && error.code === 'INVALID_TRANSACTION');
+  });
+
+  test('portfolio - 可以刪除交易', () => {
+    assert(testTransaction, 'No transaction recorded');
+    const result = deleteTransaction(testTransaction.id);
+    assert(result && result.id === testTransaction.id);
+  });
+
+  test('snapshots - 以快照日的收盤價估值（假日取前一天）', () => {
+    const { prices } = require('../../assistant-toolkit/lib/repositories');
+    const { closingQuotes } = require('../src/market/snapshots');
+    prices.upsert('TEST', [
+      { date: '2026-03-05', open: 9, high: 11, low: 9, close: 10, volume: 100 },
+      { date: '2026-03-06', open: 10, high: 13, low: 10, close: 12, volume: 100 },
+      { date: '2026-03-09', open: 12, high: 20, low: 12, close: 19, volume: 100 },
+    ]);
+    const quotes = closingQuotes(['TEST', 'NONE'], '2026-03-08');
+    assert(quotes.TEST.price === 12 && quotes.TEST.date === '2026-03-06' && quotes.TEST.change === 2, `Got: ${JSON.stringify(quotes.TEST)}`);
+    assert(quotes.NONE.error);
+  });
+
+  await asyncTest('audit - 檢查共用資料庫的交易、警報、快照和日線', async () => {
+    const { Store, getStore, setStore } = require('../../assistant-toolkit/lib/store');
+    const { transactions, alerts, snapshots, prices } = require('../../assistant-toolkit/lib/repositories');
+    const { runAudit } = require('../../assistant-toolkit/lib/audit');
+    const shared = getStore();
+    setStore(new Store({ file: ':memory:' })).migrate();
+    try {
+      transactions.insert({ id: 't1', symbol: 'AUD1', type: 'buy', date: '2026-09-01', shares: 10, price: 5, fee: 0, currency: 'USD', createdAt: '2026-09-01T00:00:00Z' });
+      alerts.insert({ id: 'a1', symbol: 'GONE', above: 10, createdAt: '2026-09-01T00:00:00Z' });
+      snapshots.upsert({ date: '2026-09-20', currency: 'USD', value: 50, cost: 50, flow: 0, positions: {} });
+      prices.upsert('OLD', [{ date: '2026-09-15', open: 1, high: 1, low: 1, close: 1, volume: 1 }]);
+
+      const checks = require('../audit').map(check => ({ project: 'investment-monitor', check }));
+      const report = await runAudit({ checks, now: new Date('2026-10-01T00:00:00Z') });
+      const found = report.findings.map(f => `${f.check}:${f.type}`).join();
+      assert(found === 'transactions:unpriced,alerts:orphaned,portfolio-snapshots:stale,price-history:stale', found);
+      assert(report.findings[0].details.symbols.join() === 'AUD1');
+      assert(report.findings[1].details.symbols.join() === 'GONE');
+    } finally {
+      setStore(shared);
+    }
   });
 
   // 報告
@@ -1,22 +1,37 @@
 /**
  * 向量存儲模組
  * 負責向量資料的持久化和載入
+ *
+ * 修改時在鎖定中重新讀取索引再套用這次的變更（updateJSON），
+ * 多個程序同時新增文檔不會覆蓋彼此的資料
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const { updateJSON } = require('../../../assistant-toolkit/lib/storage');
 
 const DATA_DIR = path.join(__dirname, '..', '..', 'data', 'vectors');
 const INDEX_FILE = path.join(DATA_DIR, 'index.json');
 
+/**
+ * 空的索引
+ */
+function emptyIndex(createdAt = null) {
+  return {
+    version: '1.0',
+    createdAt,
+    updatedAt: null,
+    documents: {},
+  };
+}
+
 class VectorStore {
-  constructor() {
-    this.index = {
-      version: '1.0',
-      createdAt: null,
-      updatedAt: null,
-      documents: {},
-    };
+  /**
+   * @param {Object} options - { file: 索引檔（預設 data/vectors/index.json，測試用）}
+   */
+  constructor({ file = INDEX_FILE } = {}) {
+    this.file = file;
+    this.index = emptyIndex();
     this.loaded = false;
   }
 
@@ -24,7 +39,7 @@ class VectorStore {
    * 確保資料目錄存在
    */
   async ensureDataDir() {
-    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
   }
 
   /**
@@ -33,7 +48,7 @@ class VectorStore {
   async load() {
     try {
       await this.ensureDataDir();
-      const data = await fs.readFile(INDEX_FILE, 'utf-8');
+      const data = await fs.readFile(this.file, 'utf-8');
       this.index = JSON.parse(data);
       this.loaded = true;
     } catch (error) {
@@ -48,12 +63,14 @@ class VectorStore {
   }
 
   /**
-   * 儲存索引
+   * 儲存變更：鎖定中重新讀取索引、套用變更後寫入（原子寫入，中斷時保留上一版索引）
+   * @param {Function} change - (index) => 修改索引
    */
-  async save() {
-    await this.ensureDataDir();
-    this.index.updatedAt = new Date().toISOString();
-    await fs.writeFile(INDEX_FILE, JSON.stringify(this.index, null, 2));
+  async save(change = () => {}) {
+    this.index = updateJSON(this.file, emptyIndex(new Date().toISOString()), (index) => {
+      change(index);
+      index.updatedAt = new Date().toISOString();
+    });
   }
 
   /**
@@ -61,15 +78,17 @@ class VectorStore {
    */
   async addDocument(id, vector, metadata = {}) {
     if (!this.loaded) await this.load();
-    
-    this.index.documents[id] = {
+
+    const doc = {
       id,
       vector,
       metadata,
       addedAt: new Date().toISOString(),
     };
-    
-    await this.save();
+
+    await this.save((index) => {
+      index.documents[id] = doc;
+    });
   }
 
   /**
@@ -79,16 +98,16 @@ class VectorStore {
     if (!this.loaded) await this.load();
     
     const now = new Date().toISOString();
-    for (const doc of documents) {
-      this.index.documents[doc.id] = {
-        id: doc.id,
-        vector: doc.vector,
-        metadata: doc.metadata || {},
-        addedAt: now,
-      };
-    }
-    
-    await this.save();
+    await this.save((index) => {
+      for (const doc of documents) {
+        index.documents[doc.id] = {
+          id: doc.id,
+          vector: doc.vector,
+          metadata: doc.metadata || {},
+          addedAt: now,
+        };
+      }
+    });
   }
 
   /**
@@ -110,9 +129,10 @@ class VectorStore {
    */
   async removeDocument(id) {
     if (!this.loaded) await this.load();
-    
-    delete this.index.documents[id];
-    await this.save();
+
+    await this.save((index) => {
+      delete index.documents[id];
+    });
   }
 
   /**
@@ -144,13 +164,9 @@ class VectorStore {
    * 清空所有資料
    */
   async clear() {
-    this.index = {
-      version: '1.0',
-      createdAt: new Date().toISOString(),
-      updatedAt: null,
-      documents: {},
-    };
-    await this.save();
+    await this.save((index) => {
+      Object.assign(index, emptyIndex(new Date().toISOString()));
+    });
   }
 }
 
@@ -12,31 +12,21 @@
  *   node src/index.js stats               # 統計資訊
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-
+const { articles: articlesRepo } = require('../../assistant-toolkit/lib/repositories');
 const { SemanticSearch } = require('./search/semantic');
 const { TrendAnalyzer } = require('./analysis/trends');
 const { ConnectionDiscovery } = require('./analysis/connections');
 const { InsightGenerator } = require('./analysis/insights');
 const { QAEngine } = require('./qa/engine');
 
-// 知識庫路徑
-const KNOWLEDGE_BASE_PATH = path.join(
-  __dirname, '..', '..', 'smart-articles', 'data', 'knowledge-base.json'
-);
-
 /**
- * 載入知識庫
+ * 載入知識庫（smart-articles 收藏的文章，存在共用資料庫）
  */
 async function loadKnowledgeBase() {
   try {
-    const data = await fs.readFile(KNOWLEDGE_BASE_PATH, 'utf-8');
-    const kb = JSON.parse(data);
-    return kb.articles || [];
+    return articlesRepo.list();
   } catch (error) {
     console.error('無法載入知識庫:', error.message);
-    console.error('請確認路徑:', KNOWLEDGE_BASE_PATH);
     return [];
   }
 }
@@ -125,6 +125,27 @@ async function runTests() {
   });
 
   // 測試語意搜尋
+  // 兩個實例（模擬兩個程序）各自載入後新增，彼此的文檔都要保留
+  const fs = require('fs');
+  const os = require('os');
+  const { VectorStore } = require('../src/embeddings/store');
+  const vectorDir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-vectors-'));
+  const vectorFile = path.join(vectorDir, 'index.json');
+  const storeA = new VectorStore({ file: vectorFile });
+  const storeB = new VectorStore({ file: vectorFile });
+  await storeA.load();
+  await storeB.load();
+  await storeA.addDocument('a', [1, 0]);
+  await storeB.addDocument('b', [0, 1]);
+  await storeA.removeDocument('missing');
+
+  test('VectorStore 同時新增不會覆蓋其他實例的文檔', () => {
+    const saved = JSON.parse(fs.readFileSync(vectorFile, 'utf-8'));
+    assertEqual(Object.keys(saved.documents).sort().join(), 'a,b', '索引檔');
+    assertTrue(storeA.hasDocument('b'), '儲存後應取得其他實例的文檔');
+  });
+  fs.rmSync(vectorDir, { recursive: true, force: true });
+
   console.log('\n🔍 語意搜尋測試\n');
   
   test('SemanticSearch 應正確索引和搜尋', () => {
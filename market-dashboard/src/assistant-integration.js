@@ -2,12 +2,28 @@
  * 市場儀表板 - 助手整合模組
  */
 
-const { getFullReport, getQuickSummary, getWorkReport } = require('./index');
+const {
+  getFullReport,
+  getQuickSummary,
+  getWorkReport,
+  collectMarketData,
+  collectWorkData,
+  formatFullReport,
+  formatQuickSummary,
+  formatWorkReport
+} = require('./index');
 
 module.exports = {
   getFullReport,
   getQuickSummary,
   getWorkReport,
+
+  // 原始資料與格式化
+  collectMarketData,
+  collectWorkData,
+  formatFullReport,
+  formatQuickSummary,
+  formatWorkReport,
   
   // 別名
   getMarketReport: getFullReport,
@@ -9,7 +9,7 @@ const path = require('path');
 // 載入各個追蹤器
 const loadModule = (modulePath) => {
   try {
-    return require(path.join(__dirname, '..', '..', modulePath, 'src', 'assistant-integration.js'));
+    return require(path.join(__dirname, '..', '..', modulePath, 'assistant-integration.js'));
   } catch (e) {
     return null;
   }
@@ -22,9 +22,53 @@ const stablecoinTracker = loadModule('stablecoin-tracker');
 const rwaTracker = loadModule('rwa-tracker');
 
 /**
- * 取得完整市場報告
+ * 收集各追蹤器的原始資料
+ * 無法取得的項目不會出現在結果中
  */
-async function getFullReport() {
+async function collectMarketData() {
+  const data = {};
+
+  // 股票投資
+  try {
+    if (investmentMonitor) data.portfolio = await investmentMonitor.calculatePerformance();
+  } catch (e) {}
+
+  // 匯率
+  try {
+    if (forexTracker) {
+      const usd = await forexTracker.getRates('USD');
+      if (usd) data.forex = { usd };
+    }
+  } catch (e) {}
+
+  // 加密貨幣
+  try {
+    if (cryptoTracker) {
+      const prices = await cryptoTracker.getPrices();
+      if (prices) data.crypto = prices;
+    }
+  } catch (e) {}
+
+  // 穩定幣
+  try {
+    if (stablecoinTracker) {
+      const coins = await stablecoinTracker.getStablecoinData();
+      if (coins.length > 0) data.stablecoins = coins;
+    }
+  } catch (e) {}
+
+  // RWA
+  try {
+    if (rwaTracker) data.rwa = rwaTracker.getStats();
+  } catch (e) {}
+
+  return data;
+}
+
+/**
+ * 格式化完整市場報告
+ */
+async function formatFullReport(data) {
   const sections = [];
   const timestamp = new Date().toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
   
@@ -32,67 +76,49 @@ async function getFullReport() {
   sections.push(`*更新時間: ${timestamp}*\n`);
   
   // 股票投資
-  try {
-    if (investmentMonitor) {
-      const portfolio = await investmentMonitor.getPortfolio();
-      sections.push(`## 💼 投資組合\n`);
-      sections.push(portfolio);
-    }
-  } catch (e) {
-    sections.push(`## 💼 投資組合\n⚠️ 無法取得資料\n`);
+  if (investmentMonitor) {
+    sections.push(`## 💼 投資組合\n`);
+    sections.push(data.portfolio ? investmentMonitor.formatPortfolioReport(data.portfolio) : '⚠️ 無法取得資料\n');
   }
   
   // 匯率
-  try {
-    if (forexTracker) {
-      const forex = await forexTracker.getForexBrief();
-      sections.push(`## 💱 匯率\n`);
-      sections.push(forex);
-    }
-  } catch (e) {
-    sections.push(`## 💱 匯率\n⚠️ 無法取得資料\n`);
+  if (forexTracker) {
+    sections.push(`## 💱 匯率\n`);
+    sections.push(data.forex ? await forexTracker.formatForexBrief(data.forex.usd) : '⚠️ 無法取得資料\n');
   }
   
   // 加密貨幣
-  try {
-    if (cryptoTracker) {
-      const crypto = await cryptoTracker.getCryptoBrief();
-      sections.push(`## 🪙 加密貨幣\n`);
-      sections.push(crypto);
-    }
-  } catch (e) {
-    sections.push(`## 🪙 加密貨幣\n⚠️ 無法取得資料\n`);
+  if (cryptoTracker) {
+    sections.push(`## 🪙 加密貨幣\n`);
+    sections.push(data.crypto ? await cryptoTracker.formatCryptoBrief(data.crypto) : '⚠️ 無法取得資料\n');
   }
   
   // 穩定幣
-  try {
-    if (stablecoinTracker) {
-      const stablecoin = await stablecoinTracker.getStablecoinBrief();
-      sections.push(`## 💵 穩定幣\n`);
-      sections.push(stablecoin);
-    }
-  } catch (e) {
-    sections.push(`## 💵 穩定幣\n⚠️ 無法取得資料\n`);
+  if (stablecoinTracker) {
+    sections.push(`## 💵 穩定幣\n`);
+    sections.push(data.stablecoins ? await stablecoinTracker.generateBriefSummary(data.stablecoins) : '⚠️ 無法取得資料\n');
   }
   
   // RWA
-  try {
-    if (rwaTracker) {
-      const rwa = rwaTracker.getRWABrief();
-      sections.push(`## 🏦 RWA 市場\n`);
-      sections.push(rwa);
-    }
-  } catch (e) {
-    sections.push(`## 🏦 RWA 市場\n⚠️ 無法取得資料\n`);
+  if (rwaTracker) {
+    sections.push(`## 🏦 RWA 市場\n`);
+    sections.push(data.rwa ? rwaTracker.getRWABrief() : '⚠️ 無法取得資料\n');
   }
   
   return sections.join('\n');
 }
 
 /**
- * 取得精簡市場摘要
+ * 取得完整市場報告
  */
-async function getQuickSummary() {
+async function getFullReport() {
+  return await formatFullReport(await collectMarketData());
+}
+
+/**
+ * 格式化精簡市場摘要
+ */
+function formatQuickSummary(data) {
   const lines = [];
   const timestamp = new Date().toLocaleString('zh-TW', { 
     timeZone: 'Asia/Taipei',
@@ -104,37 +130,53 @@ async function getQuickSummary() {
   lines.push('');
   
   // 股票
-  try {
-    if (investmentMonitor) {
-      const summary = await investmentMonitor.getPortfolioSummary();
-      lines.push(`💼 ${summary}`);
-    }
-  } catch (e) {}
+  if (data.portfolio) {
+    lines.push(`💼 ${investmentMonitor.formatPortfolioSummary(data.portfolio)}`);
+  }
   
   // 匯率
-  try {
-    if (forexTracker) {
-      const usdTwd = await forexTracker.getUsdTwd();
-      lines.push(`💱 USD/TWD: ${usdTwd}`);
-    }
-  } catch (e) {}
+  if (data.forex) {
+    lines.push(`💱 USD/TWD: ${data.forex.usd.rates.TWD.toFixed(2)}`);
+  }
   
   // BTC & ETH
-  try {
-    if (cryptoTracker) {
-      const btc = await cryptoTracker.getBtcPrice();
-      const eth = await cryptoTracker.getEthPrice();
-      lines.push(`₿ BTC: ${btc} | ETH: ${eth}`);
-    }
-  } catch (e) {}
+  const btc = data.crypto?.bitcoin;
+  const eth = data.crypto?.ethereum;
+  if (btc && eth) {
+    lines.push(`₿ BTC: $${btc.usd.toLocaleString()} | ETH: $${eth.usd.toLocaleString()}`);
+  }
   
   return lines.join('\n');
 }
 
 /**
- * 取得工作相關報告（RWA + 穩定幣重點）
+ * 取得精簡市場摘要
  */
-async function getWorkReport() {
+async function getQuickSummary() {
+  return formatQuickSummary(await collectMarketData());
+}
+
+/**
+ * 收集工作報告的資料（RWA + 穩定幣）
+ */
+async function collectWorkData() {
+  const data = {};
+
+  try {
+    if (rwaTracker) data.rwa = rwaTracker.getStats();
+  } catch (e) {}
+
+  try {
+    if (stablecoinTracker) data.stablecoins = await stablecoinTracker.getStablecoinData();
+  } catch (e) {}
+
+  return data;
+}
+
+/**
+ * 格式化工作相關報告
+ */
+async function formatWorkReport(data) {
   const sections = [];
   const timestamp = new Date().toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
   
@@ -142,25 +184,27 @@ async function getWorkReport() {
   sections.push(`*${timestamp}*\n`);
   
   // RWA 詳細報告
-  try {
-    if (rwaTracker) {
-      sections.push(`## 🏦 RWA 市場\n`);
-      sections.push(rwaTracker.getRWAOverview());
-    }
-  } catch (e) {}
+  if (data.rwa) {
+    sections.push(`## 🏦 RWA 市場\n`);
+    sections.push(rwaTracker.getRWAOverview());
+  }
   
   // 穩定幣詳細報告
-  try {
-    if (stablecoinTracker) {
-      sections.push(`## 💵 穩定幣\n`);
-      const report = await stablecoinTracker.getStablecoinReport();
-      sections.push(report);
-    }
-  } catch (e) {}
+  if (data.stablecoins) {
+    sections.push(`## 💵 穩定幣\n`);
+    sections.push(await stablecoinTracker.generateMarketCapReport(data.stablecoins));
+  }
   
   return sections.join('\n');
 }
 
+/**
+ * 取得工作相關報告（RWA + 穩定幣重點）
+ */
+async function getWorkReport() {
+  return await formatWorkReport(await collectWorkData());
+}
+
 // CLI
 async function main() {
   const args = process.argv.slice(2);
@@ -200,7 +244,12 @@ async function main() {
 module.exports = {
   getFullReport,
   getQuickSummary,
-  getWorkReport
+  getWorkReport,
+  collectMarketData,
+  collectWorkData,
+  formatFullReport,
+  formatQuickSummary,
+  formatWorkReport
 };
 
 if (require.main === module) {
@@ -10,6 +10,12 @@ const MemorySearch = require('./src/index');
 const DB_PATH = path.join(__dirname, 'data', 'memory_search.db');
 const MEMORY_DIR = path.join(__dirname, '..', '..', 'memory');
 
+// 每日報告（和筆記一起索引）
+const REPORTS_DIR = path.join(__dirname, '..', 'daily-reports');
+
+// 預設索引的目錄
+const INDEX_DIRS = [MEMORY_DIR, REPORTS_DIR];
+
 let searchInstance = null;
 
 /**
@@ -28,9 +34,9 @@ function getSearch() {
 }
 
 /**
- * 索引記憶文件
+ * 索引記憶文件（預設為筆記和每日報告）
  */
-function indexMemory(dir = MEMORY_DIR) {
+function indexMemory(dir = INDEX_DIRS) {
   const search = getSearch();
   return search.indexDirectory(dir);
 }
@@ -48,7 +54,13 @@ function searchMemory(query, limit = 5) {
  */
 function searchMemoryBrief(query, limit = 3) {
   const results = searchMemory(query, limit);
-  
+  return formatSearchResults(query, results);
+}
+
+/**
+ * 格式化搜尋結果
+ */
+function formatSearchResults(query, results) {
   if (results.length === 0) {
     return `🔍 搜尋「${query}」：無結果`;
   }
@@ -75,7 +87,7 @@ function getStats() {
 /**
  * 重建索引
  */
-function rebuildIndex(dir = MEMORY_DIR) {
+function rebuildIndex(dir = INDEX_DIRS) {
   const search = getSearch();
   search.clear();
   return search.indexDirectory(dir);
@@ -85,8 +97,10 @@ module.exports = {
   indexMemory,
   searchMemory,
   searchMemoryBrief,
+  formatSearchResults,
   getStats,
   rebuildIndex,
   MEMORY_DIR,
+  REPORTS_DIR,
   DB_PATH
 };
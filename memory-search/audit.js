@@ -0,0 +1,11 @@
+/**
+ * 記憶搜尋 - 資料稽核（見 assistant-toolkit/lib/audit.js）
+ * 索引資料庫用 memory-search 自己的 better-sqlite3
+ */
+
+const path = require('path');
+const { searchIndex } = require('../assistant-toolkit/lib/audit');
+
+module.exports = [
+  searchIndex('index', path.join(__dirname, 'data', 'memory_search.db'), { driver: () => require('better-sqlite3') }),
+];
@@ -0,0 +1,11 @@
+/**
+ * 記憶搜尋 - 健康檢查探針（見 assistant-toolkit/lib/health.js）
+ * 索引資料庫用 memory-search 自己的 better-sqlite3
+ */
+
+const path = require('path');
+const { dbIntegrity } = require('../assistant-toolkit/lib/health');
+
+module.exports = [
+  dbIntegrity('index-db', path.join(__dirname, 'data', 'memory_search.db'), { driver: () => require('better-sqlite3') }),
+];
@@ -145,10 +145,12 @@ class MemorySearch {
   }
 
   /**
-   * 索引目錄中的所有 Markdown 文件
+   * 索引目錄中的所有 Markdown 文件（可傳入多個目錄，不存在的目錄略過）
    */
   indexDirectory(dirPath, pattern = /\.md$/i) {
-    const files = this.findFiles(dirPath, pattern);
+    const files = [].concat(dirPath)
+      .filter(dir => fs.existsSync(dir))
+      .flatMap(dir => this.findFiles(dir, pattern));
     let totalChunks = 0;
 
     // 清除舊索引
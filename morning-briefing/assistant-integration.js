@@ -7,6 +7,10 @@
 const { 
   generateFullBriefing, 
   generateQuickBriefing,
+  collectBriefing,
+  formatFullBriefing,
+  collectQuickBriefing,
+  formatQuickBriefing,
   getGreeting,
   getInvestmentSummary,
   getFintechNews,
@@ -22,6 +26,13 @@ async function getMorningBriefing() {
   return await generateFullBriefing();
 }
 
+/**
+ * 獲取早晨簡報的各區塊資料
+ */
+async function getMorningBriefingData() {
+  return await collectBriefing();
+}
+
 /**
  * 生成快速版簡報
  */
@@ -29,24 +40,31 @@ async function getQuickBriefing() {
   return await generateQuickBriefing();
 }
 
+/**
+ * 獲取快速版簡報的資料
+ */
+async function getQuickBriefingData() {
+  return await collectQuickBriefing();
+}
+
 /**
  * 獲取天氣資訊
  */
-async function getWeather(location = 'Taipei') {
+async function getWeather(location) {
   return await weather.getFormattedWeather(location);
 }
 
 /**
  * 獲取單行天氣
  */
-async function getWeatherOneLine(location = 'Taipei') {
+async function getWeatherOneLine(location) {
   return await weather.getWeatherOneLine(location);
 }
 
 /**
  * 獲取天氣建議
  */
-async function getWeatherAdvice(location = 'Taipei') {
+async function getWeatherAdvice(location) {
   return await weather.getWeatherAdvice(location);
 }
 
@@ -59,9 +77,10 @@ async function getTodayEvents() {
 
 /**
  * 獲取行程摘要
+ * @param {Object[]} events - 已獲取的事件（未提供時重新獲取）
  */
-async function getCalendarSummary() {
-  return await calendar.getCalendarSummary();
+async function getCalendarSummary(events = null) {
+  return await calendar.getCalendarSummary(events);
 }
 
 /**
@@ -90,33 +109,58 @@ function getNews() {
  * 用於快速了解所有重要資訊
  */
 async function getStatusCheck() {
-  const sections = [];
-  
-  // 問候
-  sections.push(getGreeting());
-  sections.push('');
+  return formatStatusCheck(await getStatusCheckData());
+}
+
+/**
+ * 獲取狀態檢查的資料
+ */
+async function getStatusCheckData() {
+  const data = { greeting: getGreeting(), weather: null, reminder: null };
 
   // 天氣（單行版）
   try {
-    sections.push('🌤️ ' + await weather.getWeatherOneLine('Taipei'));
+    data.weather = await weather.getWeatherOneLine();
   } catch (e) {}
 
   // 即將開始的行程
   try {
-    const reminder = await calendar.getCalendarReminder();
-    if (reminder) {
-      sections.push('');
-      sections.push(reminder);
-    }
+    data.reminder = await calendar.getCalendarReminder();
   } catch (e) {}
 
+  return data;
+}
+
+/**
+ * 格式化狀態檢查
+ */
+function formatStatusCheck(data) {
+  const sections = [];
+  
+  // 問候
+  sections.push(data.greeting);
+  sections.push('');
+
+  if (data.weather) {
+    sections.push('🌤️ ' + data.weather);
+  }
+
+  if (data.reminder) {
+    sections.push('');
+    sections.push(data.reminder);
+  }
+
   return sections.join('\n');
 }
 
 module.exports = {
   // 早晨簡報
   getMorningBriefing,
+  getMorningBriefingData,
+  formatFullBriefing,
   getQuickBriefing,
+  getQuickBriefingData,
+  formatQuickBriefing,
   
   // 天氣
   getWeather,
@@ -136,4 +180,6 @@ module.exports = {
   
   // 快速狀態
   getStatusCheck,
+  getStatusCheckData,
+  formatStatusCheck,
 };
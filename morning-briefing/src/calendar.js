@@ -144,9 +144,10 @@ async function getCalendarReminder() {
 
 /**
  * 獲取行事曆摘要（用於早晨簡報）
+ * @param {Object[]} events - 已獲取的事件（未提供時重新獲取）
  */
-async function getCalendarSummary() {
-  const events = await getTodayEvents();
+async function getCalendarSummary(events = null) {
+  events = events || await getTodayEvents();
 
   if (events.length === 0) {
     return '📭 今日沒有行程安排';
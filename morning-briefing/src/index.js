@@ -4,6 +4,8 @@
  * 每日早晨簡報
  * 
  * 整合多個資訊來源，生成完整的早晨報告
+ * 各區塊同時取得，每個區塊有等待上限（briefing.sectionTimeout），
+ * 逾時的區塊顯示上次的資料並標示（assistant-toolkit/lib/pipeline.js）
  */
 
 const path = require('path');
@@ -13,61 +15,97 @@ const PROJECTS_DIR = path.join(__dirname, '../..');
 const INVESTMENT_MONITOR = path.join(PROJECTS_DIR, 'investment-monitor');
 const FINTECH_NEWS = path.join(PROJECTS_DIR, 'fintech-news');
 
+const { getConfigValue } = require(path.join(PROJECTS_DIR, 'assistant-toolkit', 'lib', 'config'));
+const { currentProfile, runWithProfile } = require(path.join(PROJECTS_DIR, 'assistant-toolkit', 'lib', 'profiles'));
+const { runSections, renderSection } = require(path.join(PROJECTS_DIR, 'assistant-toolkit', 'lib', 'pipeline'));
+
+// 問候語（依時段）和結尾，依個人設定的語言
+const MESSAGES = {
+  'zh-TW': {
+    greetings: [[6, '🌙 深夜了'], [12, '☀️ 早安'], [18, '🌤️ 午安'], [24, '🌙 晚安']],
+    greet: (greeting, name) => `${greeting}，${name}！`,
+    closing: '_祝你有美好的一天！_ 🚀',
+  },
+  en: {
+    greetings: [[6, '🌙 Up late'], [12, '☀️ Good morning'], [18, '🌤️ Good afternoon'], [24, '🌙 Good evening']],
+    greet: (greeting, name) => `${greeting}, ${name}!`,
+    closing: '_Have a great day!_ 🚀',
+  },
+};
+
+/**
+ * 目前使用者語言的文字
+ */
+function getMessages(profile = currentProfile()) {
+  return MESSAGES[profile.language] || MESSAGES['zh-TW'];
+}
+
 /**
- * 獲取問候語
+ * 獲取問候語（目前使用者的稱呼、語言和時區）
  */
-function getGreeting() {
-  const hour = new Date().getHours();
+function getGreeting(profile = currentProfile()) {
   const now = new Date();
-  const dateStr = now.toLocaleDateString('zh-TW', {
+  const messages = getMessages(profile);
+  const hour = Number(new Intl.DateTimeFormat('en-GB', { timeZone: profile.timezone, hour: '2-digit', hourCycle: 'h23' }).format(now));
+  const dateStr = now.toLocaleDateString(profile.language, {
+    timeZone: profile.timezone,
     year: 'numeric',
     month: 'long',
     day: 'numeric',
     weekday: 'long',
   });
 
-  let greeting;
-  if (hour < 6) greeting = '🌙 深夜了';
-  else if (hour < 12) greeting = '☀️ 早安';
-  else if (hour < 18) greeting = '🌤️ 午安';
-  else greeting = '🌙 晚安';
-
-  return `${greeting}，Barry！\n📅 ${dateStr}`;
+  const [, greeting] = messages.greetings.find(([until]) => hour < until);
+  return `${messages.greet(greeting, profile.name)}\n📅 ${dateStr}`;
 }
 
 /**
- * 獲取投資摘要
+ * 獲取投資區塊（資料 + 摘要）
  */
-async function getInvestmentSummary() {
+async function getInvestmentSection() {
   try {
     const { calculatePerformance, formatPortfolioSummary } = require(path.join(INVESTMENT_MONITOR, 'src/market/portfolio'));
     const performance = await calculatePerformance();
-    return formatPortfolioSummary(performance);
+    return { data: performance, content: formatPortfolioSummary(performance) };
   } catch (e) {
-    return `（投資資料暫時無法獲取: ${e.message}）`;
+    return { data: null, content: `（投資資料暫時無法獲取: ${e.message}）` };
   }
 }
 
 /**
- * 獲取 Fintech 新聞
+ * 獲取投資摘要
  */
-function getFintechNews() {
+async function getInvestmentSummary() {
+  return (await getInvestmentSection()).content;
+}
+
+/**
+ * 獲取 Fintech 新聞區塊（資料 + 摘要）
+ * @param {string[]|null} topics - 只看這些主題（預設目前使用者的 newsTopics，null 為全部）
+ */
+function getFintechNewsSection(topics = currentProfile().newsTopics) {
   try {
-    const { getQuickUpdate } = require(path.join(FINTECH_NEWS, 'assistant-integration'));
-    return getQuickUpdate();
+    const { getCachedNews, getQuickUpdate } = require(path.join(FINTECH_NEWS, 'assistant-integration'));
+    return { data: { topics, items: getCachedNews(topics, 10) }, content: getQuickUpdate(topics) };
   } catch (e) {
-    return `（新聞資料暫時無法獲取: ${e.message}）`;
+    return { data: null, content: `（新聞資料暫時無法獲取: ${e.message}）` };
   }
 }
 
+/**
+ * 獲取 Fintech 新聞
+ */
+function getFintechNews() {
+  return getFintechNewsSection().content;
+}
+
 /**
  * 獲取天氣資訊
  */
-async function getWeatherInfo() {
+async function getWeatherInfo(location = getConfigValue('weather.location')) {
   try {
     const { getFormattedWeather, getWeatherAdvice } = require('./weather');
-    const weather = await getFormattedWeather('Taipei');
-    const advice = await getWeatherAdvice('Taipei');
+    const [weather, advice] = await Promise.all([getFormattedWeather(location), getWeatherAdvice(location)]);
     return weather + (advice ? '\n\n' + advice : '');
   } catch (e) {
     return '（天氣資訊暫時無法獲取）';
@@ -75,123 +113,230 @@ async function getWeatherInfo() {
 }
 
 /**
- * 獲取行事曆資訊
+ * 獲取行事曆區塊（資料 + 摘要）
  */
-async function getCalendarInfo() {
+async function getCalendarSection() {
   try {
-    const { getCalendarSummary } = require('./calendar');
-    return await getCalendarSummary();
+    const { getTodayEvents, getCalendarSummary } = require('./calendar');
+    const events = await getTodayEvents();
+    return { data: { events }, content: await getCalendarSummary(events) };
   } catch (e) {
-    return '（行事曆資訊暫時無法獲取）';
+    return { data: null, content: '（行事曆資訊暫時無法獲取）' };
   }
 }
 
 /**
- * 獲取加密市場簡報（穩定幣 + RWA）
+ * 獲取行事曆資訊
  */
-async function getCryptoMarketBrief() {
+async function getCalendarInfo() {
+  return (await getCalendarSection()).content;
+}
+
+/**
+ * 獲取加密市場區塊（穩定幣 + RWA）
+ */
+async function getCryptoMarketSection() {
   const parts = [];
+  const data = {};
 
   // 穩定幣
   try {
     const stablecoin = require(path.join(PROJECTS_DIR, 'stablecoin-tracker/assistant-integration'));
-    const brief = await stablecoin.getStablecoinBrief();
-    parts.push(brief);
+    data.stablecoins = await stablecoin.getStablecoinData();
+    parts.push(await stablecoin.generateBriefSummary(data.stablecoins));
   } catch (e) {}
 
   // RWA
   try {
     const rwa = require(path.join(PROJECTS_DIR, 'rwa-tracker/assistant-integration'));
+    data.rwa = rwa.getStats();
     parts.push(rwa.getRWABrief());
   } catch (e) {}
 
   if (parts.length === 0) {
-    return '（市場資訊暫時無法獲取）';
+    return { data: null, content: '（市場資訊暫時無法獲取）' };
   }
 
-  return parts.join('\n\n');
+  return { data, content: parts.join('\n\n') };
 }
 
 /**
- * 生成完整早晨簡報
+ * 獲取加密市場簡報（穩定幣 + RWA）
  */
-async function generateFullBriefing() {
-  const sections = [];
+async function getCryptoMarketBrief() {
+  return (await getCryptoMarketSection()).content;
+}
 
-  // 問候
-  sections.push(getGreeting());
-  sections.push('');
+/**
+ * 獲取法律新聞區塊（Margaret）
+ */
+function getLegalSection() {
+  try {
+    const legal = require(path.join(PROJECTS_DIR, 'legal-news/assistant-integration'));
+    return { data: { topics: legal.getTopics().map(t => t.id) }, content: legal.getBrief() };
+  } catch (e) {
+    return { data: null, content: `（法律新聞暫時無法獲取: ${e.message}）` };
+  }
+}
 
-  // 天氣
-  sections.push('━━━━━━━━━━━━━━━━━━');
-  sections.push('🌤️ **今日天氣**\n');
-  sections.push(await getWeatherInfo());
-  sections.push('');
+/**
+ * 獲取金管會 / 台灣 Fintech 區塊
+ */
+function getFscSection() {
+  try {
+    const taiwanFintech = require(path.join(PROJECTS_DIR, 'taiwan-fintech/assistant-integration'));
+    return { data: { topics: taiwanFintech.getTopics().map(t => t.id) }, content: taiwanFintech.getBrief() };
+  } catch (e) {
+    return { data: null, content: `（台灣 Fintech 資訊暫時無法獲取: ${e.message}）` };
+  }
+}
 
-  // 行事曆
-  sections.push('━━━━━━━━━━━━━━━━━━');
-  sections.push('📅 **今日行程**\n');
-  sections.push(await getCalendarInfo());
-  sections.push('');
+/**
+ * 獲取故事區塊（Tim）
+ */
+function getStorySection() {
+  try {
+    const storyTime = require(path.join(PROJECTS_DIR, 'story-time/assistant-integration'));
+    const story = storyTime.tellShortStory();
+    return { data: { story }, content: story };
+  } catch (e) {
+    return { data: null, content: '（故事暫時無法產生）' };
+  }
+}
 
-  // 投資概覽
-  sections.push('━━━━━━━━━━━━━━━━━━');
-  sections.push('💼 **投資概覽**\n');
-  sections.push(await getInvestmentSummary());
-  sections.push('');
+// 簡報區塊：id → { title, load, timeout? }，個人設定的 briefing 決定要哪些區塊和順序
+const SECTIONS = {
+  weather: {
+    title: '🌤️ **今日天氣**',
+    load: async () => {
+      const location = getConfigValue('weather.location');
+      return { data: { location }, content: await getWeatherInfo(location) };
+    },
+  },
+  calendar: { title: '📅 **今日行程**', load: getCalendarSection },
+  investment: { title: '💼 **投資概覽**', load: getInvestmentSection },
+  news: { title: '📰 **Fintech 快訊**', load: () => getFintechNewsSection() },
+  // 穩定幣和 RWA 快訊（工作相關）
+  market: { title: '🏦 **市場快訊**', load: getCryptoMarketSection },
+  legal: { title: '⚖️ **法律快訊**', load: getLegalSection },
+  fsc: { title: '🏛️ **金管會 / 台灣 Fintech**', load: getFscSection },
+  story: { title: '📚 **今日故事**', load: getStorySection },
+};
 
-  // Fintech 新聞
-  sections.push('━━━━━━━━━━━━━━━━━━');
-  sections.push('📰 **Fintech 快訊**\n');
-  sections.push(getFintechNews());
-  sections.push('');
+/**
+ * 收集早晨簡報各區塊的資料（依目前使用者的 briefing 設定，同時取得）
+ * @returns {Promise<Object>} { profile, greeting, closing, elapsedMs,
+ *   sections: [{ id, title, content, data, status, latencyMs, cachedAt }] }
+ */
+async function collectBriefing() {
+  const profile = currentProfile();
+  const started = Date.now();
+
+  const sections = await runSections(
+    profile.briefing.filter(id => SECTIONS[id]).map(id => ({ id, ...SECTIONS[id] })),
+    { name: 'briefing', scope: profile.id, timeout: getConfigValue('briefing.sectionTimeout') }
+  );
+
+  return {
+    profile: profile.id,
+    greeting: getGreeting(profile),
+    closing: getMessages(profile).closing,
+    elapsedMs: Date.now() - started,
+    sections,
+  };
+}
 
-  // 穩定幣和 RWA 快訊（工作相關）
-  sections.push('━━━━━━━━━━━━━━━━━━');
-  sections.push('🏦 **市場快訊**\n');
-  sections.push(await getCryptoMarketBrief());
+/**
+ * 格式化完整早晨簡報
+ */
+function formatFullBriefing(briefing) {
+  const sections = [];
+
+  // 問候
+  sections.push(briefing.greeting);
   sections.push('');
 
+  for (const section of briefing.sections) {
+    sections.push('━━━━━━━━━━━━━━━━━━');
+    sections.push(`${section.title}\n`);
+    sections.push(renderSection(section));
+    sections.push('');
+  }
+
   // 結尾
   sections.push('━━━━━━━━━━━━━━━━━━');
-  sections.push('_祝你有美好的一天！_ 🚀');
+  sections.push(briefing.closing || MESSAGES['zh-TW'].closing);
 
   return sections.join('\n');
 }
 
 /**
- * 生成快速版簡報
+ * 生成完整早晨簡報
  */
-async function generateQuickBriefing() {
+async function generateFullBriefing() {
+  return formatFullBriefing(await collectBriefing());
+}
+
+/**
+ * 收集快速版簡報的資料
+ */
+async function collectQuickBriefing() {
+  const symbols = getConfigValue('investment.watchlist');
+
+  try {
+    const { fetchQuotes } = require(path.join(INVESTMENT_MONITOR, 'src/market/quotes'));
+    return { symbols, quotes: await fetchQuotes(symbols) };
+  } catch (e) {
+    return { symbols, quotes: null, error: e.message };
+  }
+}
+
+/**
+ * 格式化快速版簡報
+ */
+function formatQuickBriefing({ symbols, quotes }) {
   const now = new Date();
-  const dateStr = now.toLocaleDateString('zh-TW', { month: 'short', day: 'numeric', weekday: 'short' });
+  const { language, timezone } = currentProfile();
+  const dateStr = now.toLocaleDateString(language, { timeZone: timezone, month: 'short', day: 'numeric', weekday: 'short' });
 
   let brief = `☀️ **${dateStr}**\n\n`;
 
   // 投資快速摘要
-  try {
-    const { fetchQuotes } = require(path.join(INVESTMENT_MONITOR, 'src/market/quotes'));
-    const quotes = await fetchQuotes(['ONDS', 'TSLA']);
-    
-    for (const symbol of ['ONDS', 'TSLA']) {
-      const q = quotes[symbol];
-      if (q && !q.error) {
-        const emoji = q.change >= 0 ? '📈' : '📉';
-        const sign = q.change >= 0 ? '+' : '';
-        brief += `${emoji} ${symbol}: $${q.price.toFixed(2)} (${sign}${q.changePercent.toFixed(2)}%)\n`;
-      }
+  if (!quotes) {
+    return brief + '💼 投資資料暫時無法獲取\n';
+  }
+
+  for (const symbol of symbols) {
+    const q = quotes[symbol];
+    if (q && !q.error) {
+      const emoji = q.change >= 0 ? '📈' : '📉';
+      const sign = q.change >= 0 ? '+' : '';
+      brief += `${emoji} ${symbol}: $${q.price.toFixed(2)} (${sign}${q.changePercent.toFixed(2)}%)\n`;
     }
-  } catch (e) {
-    brief += '💼 投資資料暫時無法獲取\n';
   }
 
   return brief;
 }
 
+/**
+ * 生成快速版簡報
+ */
+async function generateQuickBriefing() {
+  return formatQuickBriefing(await collectQuickBriefing());
+}
+
 // CLI
 async function main() {
   const command = process.argv[2] || 'full';
+  const profile = process.argv[3] || null;
+
+  await runWithProfile(profile, () => run(command));
+}
 
+/**
+ * 執行指令
+ */
+async function run(command) {
   switch (command) {
     case 'full':
       console.log(await generateFullBriefing());
@@ -215,7 +360,7 @@ async function main() {
       console.log(`
 ☀️ 每日早晨簡報
 
-使用: node src/index.js <command>
+使用: node src/index.js <command> [成員]
 
 指令:
   full    完整簡報
@@ -223,16 +368,25 @@ async function main() {
   market  投資概覽
   news    Fintech 新聞
   help    顯示幫助
+
+成員: barry / margaret / tim（預設 profile.default）
 `);
   }
 }
 
-main().catch(e => console.error('Error:', e.message));
+// 只在直接執行時運行 CLI
+if (require.main === module) {
+  main().catch(e => console.error('Error:', e.message));
+}
 
 module.exports = {
   getGreeting,
   getInvestmentSummary,
   getFintechNews,
+  collectBriefing,
+  formatFullBriefing,
   generateFullBriefing,
+  collectQuickBriefing,
+  formatQuickBriefing,
   generateQuickBriefing,
 };
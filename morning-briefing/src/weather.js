@@ -6,6 +6,8 @@
 const { exec } = require('child_process');
 const { promisify } = require('util');
 
+const { getConfigValue } = require('../../assistant-toolkit/lib/config');
+
 const execAsync = promisify(exec);
 
 // 台北座標
@@ -15,11 +17,18 @@ const TAIPEI = {
   lon: 121.5654,
 };
 
+/**
+ * 預設地點（設定 weather.location）
+ */
+function defaultLocation() {
+  return getConfigValue('weather.location');
+}
+
 /**
  * 獲取簡短天氣
- * @param {string} location - 地點名稱（預設 Taipei）
+ * @param {string} location - 地點名稱（預設為設定的 weather.location）
  */
-async function getWeatherShort(location = 'Taipei') {
+async function getWeatherShort(location = defaultLocation()) {
   try {
     const { stdout } = await execAsync(
       `curl -s "wttr.in/${encodeURIComponent(location)}?format=%l:+%c+%t+%h+%w&m"`,
@@ -34,7 +43,7 @@ async function getWeatherShort(location = 'Taipei') {
 /**
  * 獲取詳細天氣預報
  */
-async function getWeatherForecast(location = 'Taipei') {
+async function getWeatherForecast(location = defaultLocation()) {
   try {
     // 使用緊湊格式
     const { stdout } = await execAsync(
@@ -50,7 +59,7 @@ async function getWeatherForecast(location = 'Taipei') {
 /**
  * 獲取格式化的天氣資訊（適合 Telegram）
  */
-async function getFormattedWeather(location = 'Taipei') {
+async function getFormattedWeather(location = defaultLocation()) {
   try {
     // 獲取詳細資訊
     const { stdout } = await execAsync(
@@ -66,7 +75,7 @@ async function getFormattedWeather(location = 'Taipei') {
 /**
  * 獲取單行天氣摘要
  */
-async function getWeatherOneLine(location = 'Taipei') {
+async function getWeatherOneLine(location = defaultLocation()) {
   try {
     const { stdout } = await execAsync(
       `curl -s "wttr.in/${encodeURIComponent(location)}?format=3&m"`,
@@ -81,7 +90,7 @@ async function getWeatherOneLine(location = 'Taipei') {
 /**
  * 判斷是否需要帶傘
  */
-async function needUmbrella(location = 'Taipei') {
+async function needUmbrella(location = defaultLocation()) {
   try {
     const { stdout } = await execAsync(
       `curl -s "wttr.in/${encodeURIComponent(location)}?format=%p&m"`,
@@ -105,7 +114,7 @@ async function needUmbrella(location = 'Taipei') {
 /**
  * 生成天氣建議
  */
-async function getWeatherAdvice(location = 'Taipei') {
+async function getWeatherAdvice(location = defaultLocation()) {
   try {
     const { stdout } = await execAsync(
       `curl -s "wttr.in/${encodeURIComponent(location)}?format=%t,%h,%w,%C&m"`,
@@ -143,6 +152,7 @@ async function getWeatherAdvice(location = 'Taipei') {
 }
 
 module.exports = {
+  defaultLocation,
   getWeatherShort,
   getWeatherForecast,
   getFormattedWeather,
@@ -1,15 +1,29 @@
 /**
  * 快速回答模組
  * 
- * 讓助手可以快速回答 Barry 常見的問題
+ * 讓助手可以快速回答家人常見的問題
+ *
+ * 問題先擷取實體（股票代碼、幣種、貨幣、金額、日期、地點），再依分數選出意圖（src/router.js），
+ * 由對應的模組回答；routeQuestion 會一併回傳意圖和信心度
+ *
+ * 每個對話記住上一輪的意圖和實體（src/context.js），可以追問「那 ETH 呢？」「換成日圓呢？」
+ *
+ * 問答路由沒有把握時（信心度低於 answers.minConfidence），依序改問收藏的文章和筆記（src/knowledge.js）
+ *
+ * 修改關鍵字或分數後，用黃金問題檢查有沒有回歸（src/golden.js、tests/golden-questions.json）
  */
 
 const path = require('path');
+const { getConfigValue } = require('../assistant-toolkit/lib/config');
+const { currentProfile } = require('../assistant-toolkit/lib/profiles');
+const { resolve, getContext, saveContext } = require('./src/context');
+const { answerFromArticles, answerFromMemory, lowConfidenceNotice, SOURCE_LABELS } = require('./src/knowledge');
+const golden = require('./src/golden');
 
-// 載入其他模組
-function load(name) {
+// 載入其他模組（未載入的模組不參與問答）
+function load(name, entry = 'assistant-integration') {
   try {
-    return require(path.join(__dirname, '..', name, 'assistant-integration'));
+    return require(path.join(__dirname, '..', name, entry));
   } catch (e) {
     return null;
   }
@@ -19,6 +33,27 @@ const investment = load('investment-monitor');
 const stablecoin = load('stablecoin-tracker');
 const rwa = load('rwa-tracker');
 const briefing = load('morning-briefing');
+const forex = load('forex-tracker');
+const crypto = load('crypto-tracker');
+const legalNews = load('legal-news');
+const storyTime = load('story-time');
+const familyReminders = load('family-reminders', 'check-dates');
+const knowledge = load('knowledge-intelligence', 'src/index');
+const memorySearch = load('memory-search');
+
+// 各專案的模組（判斷意圖是否可回答）
+const MODULES = {
+  'investment-monitor': investment,
+  'stablecoin-tracker': stablecoin,
+  'rwa-tracker': rwa,
+  'morning-briefing': briefing,
+  'forex-tracker': forex,
+  'crypto-tracker': crypto,
+  'legal-news': legalNews,
+  'story-time': storyTime,
+  'family-reminders': familyReminders,
+  'quick-answers': {},
+};
 
 /**
  * 股票怎麼樣？
@@ -129,12 +164,13 @@ async function quickStatus() {
   // 股票快訊
   if (investment) {
     try {
-      const quotes = await investment.fetchQuotes(['ONDS', 'TSLA']);
-      for (const symbol of ['ONDS', 'TSLA']) {
+      const symbols = getConfigValue('investment.watchlist');
+      const quotes = await investment.fetchQuotes(symbols);
+      for (const symbol of symbols) {
         const q = quotes[symbol];
         if (q && !q.error) {
           const emoji = q.change >= 0 ? '📈' : '📉';
-          lines.push(`${emoji} ${symbol}: $${q.price.toFixed(2)}`);
+          lines.push(`${emoji} ${symbol}: ${investment.formatCurrency(q.price, investment.quoteCurrency(q))}`);
         }
       }
     } catch (e) {}
@@ -144,40 +180,234 @@ async function quickStatus() {
 }
 
 /**
- * 關鍵字匹配回答
+ * 貨幣換算（「1000 美元換台幣」）
  */
-async function answerQuestion(question) {
-  const q = question.toLowerCase();
-  
-  if (q.includes('股票') || q.includes('stock') || q.includes('onds') || q.includes('tsla')) {
-    return await howAreStocks();
-  }
-  
-  if (q.includes('穩定幣') || q.includes('stablecoin') || q.includes('usdt') || q.includes('usdc')) {
-    return await howAreStablecoins();
+async function convertCurrency({ pair, amounts }) {
+  const result = await forex.convert(amounts[0], pair.from, pair.to);
+  if (!result) return `❌ 無法換算 ${pair.from} → ${pair.to}`;
+
+  let response = `💱 ${result.formatted}\n📊 匯率: 1 ${result.from} = ${result.rate} ${result.to}`;
+  if (result.isStale) response += '\n⚠️ _匯率暫時無法更新，使用上次的資料_';
+  return response;
+}
+
+/**
+ * 匯率（指定貨幣時回答該貨幣對，否則台幣匯率簡報）
+ */
+async function exchangeRate({ pair }) {
+  if (!pair) return await forex.getForexBrief();
+
+  const result = await forex.convert(1, pair.from, pair.to);
+  if (!result) return `❌ 找不到 ${pair.from}/${pair.to} 匯率`;
+  return `💱 **${pair.from}/${pair.to}**\n1 ${pair.from} = ${result.rate} ${pair.to}`;
+}
+
+/**
+ * 幣種價格（「BTC 多少」）
+ */
+async function coinPrices({ coins }) {
+  const prices = await Promise.all(coins.map(symbol => crypto.getCoinPrice(symbol)));
+  return prices.join('\n\n');
+}
+
+/**
+ * 個股報價（任何代碼，不限觀察清單）
+ */
+async function stockQuotes({ tickers }) {
+  return `📈 **報價**\n\n${await investment.getQuickQuote(tickers)}`;
+}
+
+/**
+ * 設定價格警報（「TSLA 設個警報 400」，同工具箱的 setPriceAlert）
+ * 沒說高於或低於時，依現價判斷方向
+ */
+async function createPriceAlert({ tickers, amounts }, question) {
+  const [symbol] = tickers;
+  const [target] = amounts;
+
+  let direction = null;
+  if (/跌破|低於|以下|below/i.test(question)) direction = 'below';
+  else if (/突破|高於|以上|漲到|above/i.test(question)) direction = 'above';
+  else {
+    try {
+      const quote = (await investment.fetchQuotes([symbol]))[symbol];
+      direction = quote && !quote.error && target < quote.price ? 'below' : 'above';
+    } catch (e) {
+      direction = 'above';
+    }
   }
-  
-  if (q.includes('rwa') || q.includes('資產代幣') || q.includes('國債')) {
-    return howIsRWA();
+
+  const alert = investment.addAlert(symbol, { [direction]: target });
+  return investment.formatAlertCreated(alert);
+}
+
+/**
+ * 家庭紀念日（「這週有誰生日」，預設 30 天內）
+ */
+async function upcomingDates({ dates }) {
+  const [when] = dates;
+  let days = 30;
+  if (when) {
+    days = when.days ?? Math.max(0, Math.round((new Date(`${when.date}T23:59:59`) - Date.now()) / (24 * 60 * 60 * 1000)));
   }
-  
-  if (q.includes('天氣') || q.includes('weather')) {
-    return await howIsWeather();
+
+  let upcoming;
+  try {
+    ({ upcoming } = await familyReminders.checkDates(days));
+  } catch (e) {
+    return `⚠️ ${e.message}`;
   }
-  
-  if (q.includes('行程') || q.includes('calendar') || q.includes('日曆')) {
-    return await whatIsOnCalendar();
+  if (upcoming.length === 0) return `✅ 接下來 ${days} 天沒有生日或紀念日`;
+  return `📅 **接下來 ${days} 天**\n\n${upcoming.map(item => familyReminders.formatReminder(item)).join('\n')}`;
+}
+
+// 各意圖的回答方式：(entities, question) => 回答
+const HANDLERS = {
+  'forex.convert': convertCurrency,
+  'forex.rate': exchangeRate,
+  'crypto.coin': coinPrices,
+  'crypto.market': () => crypto.getCryptoBrief(),
+  'stock.alert': createPriceAlert,
+  'stock.quote': stockQuotes,
+  'stock.overview': () => howAreStocks(),
+  'stablecoin': () => howAreStablecoins(),
+  'rwa': () => howIsRWA(),
+  'legal.news': () => legalNews.getOverview(),
+  'weather': ({ locations }) => briefing.getWeather(locations[0]?.name),
+  'calendar': () => whatIsOnCalendar(),
+  'family.reminders': upcomingDates,
+  'story': (entities, question) => (/短|簡短|累|short/i.test(question) ? storyTime.tellShortStory() : storyTime.tellStory()),
+  'briefing': () => giveMorningBriefing(),
+  'market': () => marketOverview(),
+};
+
+/**
+ * 意圖是否可回答（模組已載入）
+ */
+function isAvailable(intent) {
+  return Boolean(MODULES[intent.project] && HANDLERS[intent.id]);
+}
+
+/**
+ * 分類問題（不回答）
+ * @param {string} question - 問題
+ * @param {Object} options - { chat: 對話 ID（有上下文時考慮上一輪）}
+ * @returns {Object} { entities, matches: [{ intent, project, description, confidence }], fromContext }
+ */
+function classifyQuestion(question, { chat = null } = {}) {
+  return resolve(question, { context: chat ? getContext(chat) : null, isAvailable });
+}
+
+/**
+ * 回答問題，並回傳選中的意圖
+ * @param {string} question - 問題
+ * @param {Object} options
+ * @param {string} options.chat - 對話 ID（預設為目前的成員）
+ * @param {Object} options.classification - 已完成的分類（classifyQuestion 的結果）
+ * @returns {Promise<Object|null>} { source: 'router', answer, intent, project, confidence, entities, alternatives, fromContext, chat }（沒有匹配時 null）
+ */
+async function routeQuestion(question, { chat = currentProfile().id, classification = null } = {}) {
+  const { entities, matches, fromContext } = classification || classifyQuestion(question, { chat });
+  if (matches.length === 0) return null;
+
+  const [best, ...others] = matches;
+  const answer = await HANDLERS[best.intent](entities, question);
+  saveContext(chat, { intent: best.intent, entities, question });
+
+  return {
+    source: 'router',
+    answer: String(answer),
+    intent: best.intent,
+    project: best.project,
+    confidence: best.confidence,
+    entities,
+    alternatives: others.map(({ intent, confidence }) => ({ intent, confidence })),
+    fromContext,
+    chat,
+  };
+}
+
+/**
+ * 從收藏的文章回答（知識庫為空時回傳 null）
+ */
+async function askArticles(question) {
+  const articles = await knowledge.loadKnowledgeBase();
+  if (articles.length === 0) return null;
+
+  const engine = new knowledge.QAEngine();
+  engine.loadArticles(articles);
+  return answerFromArticles(question, engine);
+}
+
+// 備援來源（依序嘗試）
+const KNOWLEDGE_SOURCES = [
+  { source: 'knowledge', loaded: Boolean(knowledge), ask: askArticles },
+  { source: 'memory', loaded: Boolean(memorySearch), ask: question => answerFromMemory(question, memorySearch) },
+];
+
+/**
+ * 回答問題：問答路由 → 收藏的文章 → 筆記和日報
+ *
+ * 第一個信心度達到 answers.minConfidence 的來源回答；都不夠時用信心度最高的，並註明不太確定
+ * 問答路由先只分類，確定採用時才調用模組（例如設定警報），備援來源不會有副作用
+ *
+ * @param {string} question - 問題
+ * @param {Object} options
+ * @param {string} options.chat - 對話 ID（預設為目前的成員）
+ * @param {number} options.minConfidence - 信心度門檻
+ * @returns {Promise<Object|null>} { source, answer, confidence, lowConfidence, ... }（所有來源都沒有資料時 null）
+ */
+async function askQuestion(question, { chat = currentProfile().id, minConfidence = getConfigValue('answers.minConfidence') } = {}) {
+  const classification = classifyQuestion(question, { chat });
+  const routed = classification.matches[0];
+  if (routed && routed.confidence >= minConfidence) {
+    return { ...await routeQuestion(question, { chat, classification }), lowConfidence: false };
   }
-  
-  if (q.includes('簡報') || q.includes('briefing') || q.includes('早安')) {
-    return await giveMorningBriefing();
+
+  const candidates = [];
+  for (const { source, loaded, ask } of KNOWLEDGE_SOURCES) {
+    if (!loaded) continue;
+
+    let result = null;
+    try {
+      result = await ask(question);
+    } catch (e) {
+      console.warn(`⚠️ 無法從${SOURCE_LABELS[source]}回答: ${e.message}`);
+    }
+    if (!result) continue;
+    if (result.confidence >= minConfidence) return { ...result, lowConfidence: false };
+    candidates.push(result);
   }
-  
-  if (q.includes('市場') || q.includes('market')) {
-    return await marketOverview();
+
+  const bestCandidate = candidates.sort((a, b) => b.confidence - a.confidence)[0];
+  let best = bestCandidate;
+  if (routed && (!bestCandidate || routed.confidence >= bestCandidate.confidence)) {
+    best = await routeQuestion(question, { chat, classification });
   }
-  
-  return null; // 沒有匹配
+  if (!best) return null;
+
+  return { ...best, answer: `${lowConfidenceNotice(best)}\n\n${best.answer}`, lowConfidence: true };
+}
+
+/**
+ * 回答問題（所有來源都沒有資料時回傳 null）
+ * @param {string} question - 問題
+ * @param {string} chat - 對話 ID（預設為目前的成員）
+ */
+async function answerQuestion(question, chat) {
+  const result = await askQuestion(question, { chat });
+  return result ? result.answer : null;
+}
+
+/**
+ * 黃金問題回歸測試（只分類，不調用模組）
+ * @param {Object} options - { update: 把這次的結果存成基準 }
+ * @returns {Object} 報告 { total, passed, accuracy, perIntent, matrix, results, regressions, fixed, added }
+ */
+function runGoldenQuestions({ update = false } = {}) {
+  const report = golden.runGolden(golden.loadGoldenQuestions(), { baseline: golden.loadBaseline() });
+  if (update) golden.saveBaseline(report);
+  return report;
 }
 
 module.exports = {
@@ -189,5 +419,10 @@ module.exports = {
   giveMorningBriefing,
   marketOverview,
   quickStatus,
+  classifyQuestion,
+  routeQuestion,
+  askQuestion,
   answerQuestion,
+  runGoldenQuestions,
+  formatGoldenReport: golden.formatGoldenReport,
 };
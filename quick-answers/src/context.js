@@ -0,0 +1,148 @@
+/**
+ * 對話上下文
+ *
+ * 每個對話（chat，預設為目前的成員）記住上一個意圖和實體，後續的省略問句沿用：
+ *   「BTC 多少」→「那 ETH 呢？」          沿用 crypto.coin，幣種換成 ETH
+ *   「1000 美元換台幣」→「換成日圓呢？」   沿用金額和來源貨幣，目標換成 JPY
+ *   「TSLA 多少」→「設個警報 400」        沿用代碼，變成 stock.alert
+ *   「台北天氣」→「台中呢？」             沿用 weather，地點換成台中
+ *
+ * 上下文存在共用快取（命名空間 conversations），超過 answers.contextTtl 分鐘沒有對話就失效
+ * 新問題帶了上一個意圖用不到的主要實體（如在問幣價後問股票）視為換主題，不沿用
+ */
+
+const { cache: sharedCache } = require('../../assistant-toolkit/lib/cache');
+const { getConfigValue } = require('../../assistant-toolkit/lib/config');
+const { classify, INTENTS } = require('./router');
+const { extractEntities } = require('./entities');
+
+// 快取命名空間
+const CACHE_NAMESPACE = 'conversations';
+
+// 只有追問語氣、沒有新的意圖時，沿用上一個意圖的信心度
+const CONTEXT_CONFIDENCE = 0.6;
+
+// 追問 / 代名詞（「那 ETH 呢？」「它現在多少」）
+const FOLLOW_UP_PATTERN = /^(那|那麼|還有|再)|呢\s*[？?]?\s*$|它|這支|那支|這檔|那檔|這個|那個|what about|how about/i;
+
+// 指定換算目標（「換成日圓」）
+const TARGET_PATTERN = /換成|改成|換算成|變成|\bto\b|\binto\b/i;
+
+// 主要實體（決定問題的主題）
+const PRIMARY_ENTITIES = ['tickers', 'coins', 'currencies', 'locations'];
+
+/**
+ * 實體是否有值
+ */
+function present(value) {
+  return Array.isArray(value) ? value.length > 0 : value != null;
+}
+
+/**
+ * 把新問題的實體和上一輪的合併（換主題時回傳 null）
+ * @param {string} question - 新問題
+ * @param {Object} fresh - 新問題的實體
+ * @param {Object} context - { intent, entities }
+ */
+function mergeEntities(question, fresh, context) {
+  const intent = INTENTS.find(item => item.id === context.intent);
+  const slots = intent?.slots || [];
+
+  if (PRIMARY_ENTITIES.some(type => present(fresh[type]) && !slots.includes(type))) {
+    return null;
+  }
+
+  const merged = { ...fresh };
+  for (const slot of slots) {
+    if (!present(fresh[slot])) merged[slot] = context.entities[slot];
+  }
+
+  // 只換一種貨幣：「換成日圓」換目標，其他換來源
+  const previous = context.entities.pair;
+  if (slots.includes('pair') && previous && fresh.currencies.length === 1) {
+    const [code] = fresh.currencies;
+    merged.pair = TARGET_PATTERN.test(question)
+      ? { from: previous.from, to: code }
+      : { from: code, to: previous.to === code ? previous.from : previous.to };
+    merged.currencies = [merged.pair.from, merged.pair.to];
+  }
+
+  return merged;
+}
+
+/**
+ * 取得對話的上下文（過期或沒有時回傳 null）
+ * @param {string} chat - 對話 ID
+ * @param {Object} options - { cache }
+ * @returns {Object|null} { intent, entities, question, at }
+ */
+function getContext(chat, { cache = sharedCache } = {}) {
+  try {
+    return cache.get(CACHE_NAMESPACE, chat)?.value || null;
+  } catch (e) {
+    // 快取損壞時當作新的對話
+    return null;
+  }
+}
+
+/**
+ * 記住這一輪的意圖和實體
+ * @param {string} chat - 對話 ID
+ * @param {Object} turn - { intent, entities, question }
+ * @param {Object} options - { cache, ttl: 毫秒（預設 answers.contextTtl 分鐘）}
+ */
+function saveContext(chat, turn, { cache = sharedCache, ttl = getConfigValue('answers.contextTtl') * 60 * 1000 } = {}) {
+  try {
+    cache.set(CACHE_NAMESPACE, chat, { ...turn, at: new Date().toISOString() }, { ttl });
+  } catch (e) {
+    // 記不住上下文不影響回答
+  }
+}
+
+/**
+ * 分類問題（考慮上一輪的上下文）
+ *
+ * 有上下文且問題是追問或帶有實體時，用合併後的實體重新分類；
+ * 比只看新問題的結果更有把握時才採用（fromContext: true）
+ *
+ * @param {string} question - 問題
+ * @param {Object} options
+ * @param {Object|null} options.context - 上一輪（getContext 的結果）
+ * @param {Function} options.isAvailable - (intent) => 是否可回答
+ * @param {Date} options.now - 現在時間
+ * @param {string[]} options.watchlist - 觀察清單
+ * @returns {Object} { entities, matches, fromContext }
+ */
+function resolve(question, { context = null, isAvailable = () => true, now, watchlist } = {}) {
+  const fresh = classify(question, { isAvailable, entities: extractEntities(question, { now, watchlist }) });
+  if (!context) return { ...fresh, fromContext: false };
+
+  const followUp = FOLLOW_UP_PATTERN.test(question);
+  if (!followUp && !Object.values(fresh.entities).some(present)) {
+    return { ...fresh, fromContext: false };
+  }
+
+  const merged = mergeEntities(question, fresh.entities, context);
+  if (!merged) return { ...fresh, fromContext: false };
+
+  const resolved = classify(question, { isAvailable, entities: merged });
+  const intent = INTENTS.find(item => item.id === context.intent);
+  if (followUp && intent && isAvailable(intent) && !resolved.matches.some(match => match.intent === intent.id)) {
+    resolved.matches.push({ intent: intent.id, project: intent.project, description: intent.description, confidence: CONTEXT_CONFIDENCE });
+    resolved.matches.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  const best = result => result.matches[0]?.confidence || 0;
+  if (best(resolved) > best(fresh)) {
+    return { ...resolved, fromContext: true };
+  }
+  return { ...fresh, fromContext: false };
+}
+
+module.exports = {
+  resolve,
+  mergeEntities,
+  getContext,
+  saveContext,
+  CACHE_NAMESPACE,
+};
@@ -0,0 +1,296 @@
+/**
+ * 問題中的實體擷取
+ *
+ * 從問題中找出：股票代碼、加密貨幣、貨幣（及換算方向）、金額、日期、地點
+ * 只做字面比對（代碼、中文名稱、常見寫法），不連網
+ *
+ * 依序擷取，已擷取的文字會被遮蔽，避免重複解讀：
+ *   日期 → 貨幣 → 加密貨幣 → 股票 → 金額 → 地點
+ * 例如「NT$3000」的 NT$ 是台幣、3000 是金額；「2330.TW」不會被當成金額
+ */
+
+const { getConfigValue } = require('../../assistant-toolkit/lib/config');
+
+// 加密貨幣（代碼 → 名稱 / 別名），與 crypto-tracker 追蹤的幣種一致
+const COINS = {
+  BTC: ['比特幣', 'bitcoin', '大餅'],
+  ETH: ['以太幣', '以太坊', 'ethereum'],
+  SOL: ['solana', '索拉納'],
+  BNB: ['幣安幣'],
+  XRP: ['瑞波幣', 'ripple'],
+  ADA: ['艾達幣', 'cardano'],
+  AVAX: ['avalanche', '雪崩幣'],
+  DOT: ['波卡幣', 'polkadot'],
+};
+
+// 穩定幣（由穩定幣模組回答，不是股票代碼）
+const STABLECOINS = ['USDT', 'USDC', 'DAI', 'USDD', 'TUSD', 'FDUSD', 'PYUSD'];
+
+// 貨幣（代碼 → 中文名稱 / 寫法）
+const CURRENCIES = {
+  TWD: ['新台幣', '新臺幣', '台幣', '臺幣', 'NT$', 'NTD'],
+  USD: ['美元', '美金', 'US$'],
+  JPY: ['日圓', '日幣', '日元'],
+  EUR: ['歐元'],
+  CNY: ['人民幣', 'RMB'],
+  HKD: ['港幣', '港元'],
+  GBP: ['英鎊'],
+  KRW: ['韓元', '韓幣', '韓圜'],
+  SGD: ['新加坡幣', '新幣'],
+  AUD: ['澳幣', '澳元'],
+};
+
+// 股票的中文名稱
+const STOCK_NAMES = {
+  '特斯拉': 'TSLA',
+  '蘋果': 'AAPL',
+  '輝達': 'NVDA',
+  '微軟': 'MSFT',
+  '谷歌': 'GOOGL',
+  '亞馬遜': 'AMZN',
+  '台積電': '2330.TW',
+  '鴻海': '2317.TW',
+  '聯發科': '2454.TW',
+};
+
+// 全大寫但不是股票代碼的詞
+const NOT_TICKERS = new Set([
+  'A', 'I', 'AI', 'API', 'RWA', 'ETF', 'CEO', 'CFO', 'OK', 'US', 'USA', 'EU', 'TW', 'NT', 'UK',
+  'CBDC', 'FSC', 'AML', 'KYC', 'IPO', 'GDP', 'CPI', 'ESG', 'DAO', 'NFT', 'DEFI', 'FED', 'PM', 'AM',
+  'MA', 'EMA', 'SMA', 'RSI', 'MACD', 'ATR', 'PDF', 'URL', 'FAQ', 'TODO',
+]);
+
+// 地點（中文名稱 → 天氣查詢用的名稱）
+const LOCATIONS = {
+  '台北': 'Taipei', '臺北': 'Taipei', '新北': 'New Taipei', '桃園': 'Taoyuan', '新竹': 'Hsinchu',
+  '台中': 'Taichung', '臺中': 'Taichung', '台南': 'Tainan', '臺南': 'Tainan', '高雄': 'Kaohsiung',
+  '基隆': 'Keelung', '宜蘭': 'Yilan', '花蓮': 'Hualien', '台東': 'Taitung', '臺東': 'Taitung',
+  '嘉義': 'Chiayi', '屏東': 'Pingtung', '苗栗': 'Miaoli', '南投': 'Nantou', '澎湖': 'Penghu', '金門': 'Kinmen',
+  '東京': 'Tokyo', '大阪': 'Osaka', '京都': 'Kyoto', '首爾': 'Seoul', '香港': 'Hong Kong', '新加坡': 'Singapore',
+  '上海': 'Shanghai', '紐約': 'New York', '舊金山': 'San Francisco', '倫敦': 'London', '巴黎': 'Paris',
+};
+
+// 金額單位
+const MULTIPLIERS = { '千': 1e3, '萬': 1e4, '百萬': 1e6, '億': 1e8, k: 1e3, K: 1e3 };
+
+// 相對日期（今天起算的天數）
+const RELATIVE_DAYS = { '前天': -2, '昨天': -1, '今天': 0, '今日': 0, '明天': 1, '明日': 1, '後天': 2 };
+
+/**
+ * 跳脫正規表示式字元
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 日期字串（YYYY-MM-DD，當地時間）
+ */
+function toDateString(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 今天起算第 N 天
+ */
+function addDays(now, days) {
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() + days);
+}
+
+/**
+ * 兩個日期相差的天數
+ */
+function daysBetween(from, to) {
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  return Math.round((to - start) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * 可遮蔽的文字：已擷取的部分換成空白（保留位置）
+ */
+class MaskedText {
+  constructor(text) {
+    this.text = text;
+  }
+
+  /**
+   * 找出所有符合的位置並遮蔽
+   * @param {RegExp} pattern - 全域正規表示式
+   * @param {Function} accept - (match) => 擷取的值（回傳 undefined 表示不擷取，也不遮蔽）
+   * @returns {Object[]} { value, index, end }
+   */
+  take(pattern, accept) {
+    const found = [];
+    for (const match of this.text.matchAll(pattern)) {
+      const value = accept(match);
+      if (value === undefined) continue;
+      found.push({ value, index: match.index, end: match.index + match[0].length });
+    }
+    for (const { index, end } of found) {
+      this.text = this.text.slice(0, index) + ' '.repeat(end - index) + this.text.slice(end);
+    }
+    return found;
+  }
+}
+
+/**
+ * 名稱對照表的正規表示式（長的名稱優先，英文不分大小寫）
+ */
+function namesPattern(names) {
+  const sorted = [...names].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`(?<![A-Za-z])(${sorted.join('|')})(?![A-Za-z])`, 'gi');
+}
+
+/**
+ * 名稱 → 代碼
+ */
+function buildLookup(table) {
+  const lookup = new Map();
+  for (const [code, names] of Object.entries(table)) {
+    lookup.set(code.toLowerCase(), code);
+    for (const name of names) lookup.set(name.toLowerCase(), code);
+  }
+  return lookup;
+}
+
+const COIN_LOOKUP = buildLookup(COINS);
+const CURRENCY_LOOKUP = buildLookup(CURRENCIES);
+const COIN_PATTERN = namesPattern(COIN_LOOKUP.keys());
+const CURRENCY_PATTERN = namesPattern(CURRENCY_LOOKUP.keys());
+const STOCK_NAME_PATTERN = namesPattern(Object.keys(STOCK_NAMES));
+const LOCATION_PATTERN = namesPattern(Object.keys(LOCATIONS));
+
+/**
+ * 擷取日期
+ * @returns {Object[]} { text, date: YYYY-MM-DD, days: 涵蓋的天數（今天起算，用於「這週」「30 天內」）}
+ */
+function takeDates(masked, now) {
+  const today = toDateString(now);
+  const dates = [];
+  const push = (text, date, days = null) => {
+    dates.push({ text, date: toDateString(date), days });
+    return true;
+  };
+
+  // 2026-10-25、2026/10/25
+  masked.take(/(\d{4})[-/](\d{1,2})[-/](\d{1,2})/g, m => push(m[0], new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]))));
+
+  // 10月25日、10/25（已過的日期視為明年）
+  masked.take(/(\d{1,2})\s*月\s*(\d{1,2})\s*[日號]?|(?<![\d.,])(\d{1,2})\/(\d{1,2})(?![\d/])/g, (m) => {
+    const month = Number(m[1] || m[3]);
+    const day = Number(m[2] || m[4]);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return undefined;
+    let date = new Date(now.getFullYear(), month - 1, day);
+    if (toDateString(date) < today) date = new Date(now.getFullYear() + 1, month - 1, day);
+    return push(m[0], date);
+  });
+
+  // 30 天內、3 天後
+  masked.take(/(\d+)\s*天(內|之內|後|以後)/g, (m) => {
+    const n = Number(m[1]);
+    return m[2].includes('內') ? push(m[0], now, n) : push(m[0], addDays(now, n));
+  });
+
+  // 這週、下週、這個月、下個月
+  masked.take(/(這|本|下)(?:個)?(週|周|禮拜|星期|月)/g, (m) => {
+    const next = m[1] === '下';
+    if (m[2] === '月') {
+      const end = new Date(now.getFullYear(), now.getMonth() + (next ? 2 : 1), 0);
+      const start = next ? new Date(now.getFullYear(), now.getMonth() + 1, 1) : now;
+      return push(m[0], start, daysBetween(now, end));
+    }
+    return next ? push(m[0], addDays(now, 7), 14) : push(m[0], now, 7);
+  });
+
+  // 今天、明天…
+  masked.take(namesPattern(Object.keys(RELATIVE_DAYS)), m => push(m[0], addDays(now, RELATIVE_DAYS[m[0]])));
+
+  return dates;
+}
+
+/**
+ * 擷取貨幣和換算方向
+ * 金額緊接在前面的貨幣是來源（「用台幣換 1000 美元」→ USD），否則第一個出現的是來源
+ * 只有一種貨幣時，另一邊是台幣（台幣則換成美元）
+ */
+function buildPair(currencies, amounts, original) {
+  if (currencies.length === 0) return null;
+
+  const withAmount = currencies.find(c => amounts.some(a => a.end <= c.index && original.slice(a.end, c.index).trim() === ''));
+  const from = (withAmount || currencies[0]).value;
+  const other = currencies.find(c => c.value !== from);
+  const to = other ? other.value : (from === 'TWD' ? 'USD' : 'TWD');
+
+  return { from, to };
+}
+
+/**
+ * 擷取問題中的實體
+ * @param {string} question - 問題
+ * @param {Object} options
+ * @param {Date} options.now - 現在時間（相對日期的基準）
+ * @param {string[]} options.watchlist - 觀察清單（小寫也能辨識的代碼）
+ * @returns {Object} { tickers, coins, currencies, pair, amounts, dates, locations }
+ */
+function extractEntities(question, { now = new Date(), watchlist = getConfigValue('investment.watchlist') } = {}) {
+  const original = String(question);
+  const masked = new MaskedText(original);
+  const known = new Set(watchlist.map(symbol => symbol.toUpperCase()));
+
+  const dates = takeDates(masked, now);
+
+  const currencies = masked.take(CURRENCY_PATTERN, (m) => {
+    const code = CURRENCY_LOOKUP.get(m[0].toLowerCase());
+    // 小寫的代碼（如 usd）可能是其他字的一部分，只接受大寫或中文名稱
+    return m[0] === m[0].toLowerCase() && m[0] === code.toLowerCase() ? undefined : code;
+  });
+
+  const coins = masked.take(COIN_PATTERN, m => COIN_LOOKUP.get(m[0].toLowerCase()));
+
+  // 台股代碼、中文名稱、英文代碼（全大寫或觀察清單中的代碼）
+  const tickers = [
+    ...masked.take(/(?<![\w.])(\d{4,6})\.(TWO|TW)(?![\w.])/gi, m => `${m[1]}.${m[2].toUpperCase()}`),
+    ...masked.take(STOCK_NAME_PATTERN, m => STOCK_NAMES[m[0]]),
+    ...masked.take(/(?<![\w.^])\^?[A-Za-z]{1,5}(?![\w])/g, (m) => {
+      const symbol = m[0].toUpperCase();
+      if (known.has(symbol)) return symbol;
+      if (m[0] !== symbol || NOT_TICKERS.has(symbol) || STABLECOINS.includes(symbol) || CURRENCY_LOOKUP.has(m[0].toLowerCase())) {
+        return undefined;
+      }
+      return symbol;
+    }),
+  ];
+
+  const amounts = masked.take(/(\d+(?:,\d{3})*(?:\.\d+)?)(?:\s*(百萬|千|萬|億|[kK](?![A-Za-z])))?/g, (m) => {
+    const value = Number(m[1].replace(/,/g, '')) * (MULTIPLIERS[m[2]] || 1);
+    return Number.isFinite(value) ? value : undefined;
+  });
+
+  const locations = [
+    ...masked.take(LOCATION_PATTERN, m => ({ text: m[0], name: LOCATIONS[m[0]] })),
+    ...masked.take(/\b(?:in|at)\s+([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)/g, m => ({ text: m[1], name: m[1] })),
+  ];
+
+  // 依出現順序
+  const values = items => [...items].sort((a, b) => a.index - b.index).map(item => item.value);
+  const unique = items => [...new Set(items)];
+
+  return {
+    tickers: unique(values(tickers)),
+    coins: unique(values(coins)),
+    currencies: unique(values(currencies)),
+    pair: buildPair([...currencies].sort((a, b) => a.index - b.index), amounts, original),
+    amounts: values(amounts),
+    dates,
+    locations: values(locations),
+  };
+}
+
+module.exports = {
+  extractEntities,
+  COINS,
+  STABLECOINS,
+  CURRENCIES,
+  LOCATIONS,
+};
@@ -0,0 +1,295 @@
+/**
+ * 黃金問題回歸測試
+ *
+ * 用一組真實問題（中英文）和預期的意圖、實體檢查問答路由，修改關鍵字或分數後執行：
+ *   node quick-answers/src/golden.js                   報告準確率、混淆矩陣和回歸
+ *   node quick-answers/src/golden.js --json            輸出 JSON
+ *   node quick-answers/src/golden.js --update-baseline 把這次的結果存成基準
+ *
+ * 只分類、不調用模組：所有專案都視為已載入（題目可用 unavailable 指定未載入的專案），
+ * 現在時間、觀察清單和信心度門檻取自題目檔，結果不受設定和日期影響
+ *
+ * 題目檔（tests/golden-questions.json）：
+ *   { now, watchlist, minConfidence, questions: [{ id, question, intent, entities, after, unavailable }] }
+ *   intent 為 null 表示問答路由不應回答（沒有匹配或信心度低於門檻，交給收藏的文章和筆記）
+ *   entities 只比對列出的欄位；dates 寫成日期字串，locations 寫成地點名稱
+ *   after 是同一個對話中先問的問題（測試追問）
+ *
+ * 基準檔（tests/golden-baseline.json）記錄每題上次是否通過，
+ * 上次通過、這次失敗的題目即為回歸，有回歸時結束代碼為 1
+ */
+
+const path = require('path');
+const { readJSON, writeJSON } = require('../../assistant-toolkit/lib/storage');
+const { getConfigValue } = require('../../assistant-toolkit/lib/config');
+const { resolve } = require('./context');
+
+const QUESTIONS_FILE = path.join(__dirname, '..', 'tests', 'golden-questions.json');
+const BASELINE_FILE = path.join(__dirname, '..', 'tests', 'golden-baseline.json');
+
+// 混淆矩陣中「沒有匹配」的標籤
+const NO_MATCH = '(none)';
+
+/**
+ * 實體轉成比對用的形式（日期只留日期字串，地點只留名稱）
+ */
+function summarizeEntities(entities) {
+  return {
+    ...entities,
+    dates: entities.dates.map(item => item.date),
+    locations: entities.locations.map(item => item.name),
+  };
+}
+
+/**
+ * 列出預期和實際不同的實體欄位
+ * @returns {Object[]} [{ field, expected, actual }]
+ */
+function compareEntities(expected = {}, actual) {
+  return Object.entries(expected)
+    .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(actual[field]))
+    .map(([field, value]) => ({ field, expected: value, actual: actual[field] }));
+}
+
+/**
+ * 載入題目檔
+ * @param {string} file - 題目檔
+ */
+function loadGoldenQuestions(file = QUESTIONS_FILE) {
+  const golden = readJSON(file);
+  if (!golden || !Array.isArray(golden.questions)) {
+    throw Object.assign(new Error(`題目檔格式錯誤: ${file}`), { code: 'INVALID_GOLDEN_FILE' });
+  }
+
+  const ids = new Set();
+  for (const item of golden.questions) {
+    if (!item.id || !item.question || item.intent === undefined) {
+      throw Object.assign(new Error(`題目缺少 id、question 或 intent: ${JSON.stringify(item)}`), { code: 'INVALID_GOLDEN_FILE' });
+    }
+    if (ids.has(item.id)) {
+      throw Object.assign(new Error(`題目 ID 重複: ${item.id}`), { code: 'INVALID_GOLDEN_FILE' });
+    }
+    ids.add(item.id);
+  }
+
+  return golden;
+}
+
+/**
+ * 分類一題（依序問完 after 裡的問題，沿用上下文）
+ */
+function classifyCase(item, { now, watchlist }) {
+  const unavailable = new Set(item.unavailable || []);
+  const options = { isAvailable: intent => !unavailable.has(intent.project), now, watchlist };
+
+  let context = null;
+  for (const question of item.after || []) {
+    const { entities, matches } = resolve(question, { ...options, context });
+    if (matches.length > 0) context = { intent: matches[0].intent, entities };
+  }
+
+  return resolve(item.question, { ...options, context });
+}
+
+/**
+ * 混淆矩陣：{ 預期意圖: { 實際意圖: 題數 } }
+ */
+function confusionMatrix(results) {
+  const matrix = {};
+  for (const { expected, actual } of results) {
+    const row = expected || NO_MATCH;
+    const column = actual || NO_MATCH;
+    matrix[row] = matrix[row] || {};
+    matrix[row][column] = (matrix[row][column] || 0) + 1;
+  }
+  return matrix;
+}
+
+/**
+ * 和基準比較
+ * @returns {Object} { regressions: 上次通過這次失敗, fixed: 上次失敗這次通過, added: 基準沒有的題目 }
+ */
+function compareBaseline(results, baseline) {
+  if (!baseline) return { regressions: [], fixed: [], added: [] };
+
+  const previous = baseline.results || {};
+  return {
+    regressions: results.filter(r => previous[r.id] === true && !r.passed).map(r => r.id),
+    fixed: results.filter(r => previous[r.id] === false && r.passed).map(r => r.id),
+    added: results.filter(r => !(r.id in previous)).map(r => r.id),
+  };
+}
+
+/**
+ * 執行黃金問題
+ * @param {Object} golden - 題目（loadGoldenQuestions 的結果）
+ * @param {Object} options - { baseline: 基準（null 表示不比較）}
+ * @returns {Object} { total, passed, accuracy, intentAccuracy, entityAccuracy, perIntent, matrix, results, regressions, fixed, added }
+ */
+function runGolden(golden, { baseline = null } = {}) {
+  const now = golden.now ? new Date(golden.now) : new Date();
+  const watchlist = golden.watchlist || [];
+  const minConfidence = golden.minConfidence ?? getConfigValue('answers.minConfidence');
+
+  const results = golden.questions.map((item) => {
+    const { entities, matches, fromContext } = classifyCase(item, { now, watchlist });
+    const [best] = matches;
+    const actual = best && best.confidence >= minConfidence ? best.intent : null;
+    const entityErrors = compareEntities(item.entities, summarizeEntities(entities));
+
+    return {
+      id: item.id,
+      question: item.question,
+      expected: item.intent,
+      actual,
+      confidence: best?.confidence || 0,
+      fromContext,
+      intentCorrect: actual === item.intent,
+      entityErrors,
+      passed: actual === item.intent && entityErrors.length === 0,
+    };
+  });
+
+  const ratio = count => (results.length > 0 ? Math.round(count / results.length * 1000) / 1000 : 1);
+
+  const perIntent = {};
+  for (const result of results) {
+    const key = result.expected || NO_MATCH;
+    perIntent[key] = perIntent[key] || { total: 0, correct: 0 };
+    perIntent[key].total++;
+    if (result.intentCorrect) perIntent[key].correct++;
+  }
+
+  const passed = results.filter(r => r.passed).length;
+  return {
+    total: results.length,
+    passed,
+    accuracy: ratio(passed),
+    intentAccuracy: ratio(results.filter(r => r.intentCorrect).length),
+    entityAccuracy: ratio(results.filter(r => r.entityErrors.length === 0).length),
+    perIntent,
+    matrix: confusionMatrix(results),
+    results,
+    ...compareBaseline(results, baseline),
+  };
+}
+
+/**
+ * 載入基準（沒有時回傳 null）
+ */
+function loadBaseline(file = BASELINE_FILE) {
+  return readJSON(file, null);
+}
+
+/**
+ * 把這次的結果存成基準
+ */
+function saveBaseline(report, file = BASELINE_FILE) {
+  const baseline = {
+    updatedAt: new Date().toISOString(),
+    accuracy: report.accuracy,
+    results: Object.fromEntries(report.results.map(r => [r.id, r.passed])),
+  };
+  writeJSON(file, baseline);
+  return baseline;
+}
+
+/**
+ * 百分比
+ */
+function percent(ratio) {
+  return `${Math.round(ratio * 1000) / 10}%`;
+}
+
+/**
+ * 報告轉成 Markdown
+ */
+function formatGoldenReport(report) {
+  const lines = [
+    '🎯 **黃金問題**',
+    '',
+    `通過: ${report.passed}/${report.total}（${percent(report.accuracy)}）`,
+    `意圖正確: ${percent(report.intentAccuracy)}｜實體正確: ${percent(report.entityAccuracy)}`,
+  ];
+
+  lines.push('', '**各意圖**');
+  for (const [intent, { total, correct }] of Object.entries(report.perIntent)) {
+    lines.push(`${correct === total ? '✅' : '⚠️'} ${intent}: ${correct}/${total}`);
+  }
+
+  const confusions = [];
+  for (const [expected, row] of Object.entries(report.matrix)) {
+    for (const [actual, count] of Object.entries(row)) {
+      if (actual !== expected) confusions.push(`• ${expected} → ${actual}: ${count}`);
+    }
+  }
+  if (confusions.length > 0) {
+    lines.push('', '**混淆**', ...confusions);
+  }
+
+  const failures = report.results.filter(r => !r.passed);
+  if (failures.length > 0) {
+    lines.push('', '**失敗的題目**');
+    for (const r of failures) {
+      const regression = report.regressions.includes(r.id) ? ' 🔻回歸' : '';
+      lines.push(`❌ ${r.id}${regression}：「${r.question}」`);
+      if (!r.intentCorrect) {
+        lines.push(`   意圖: 預期 ${r.expected || NO_MATCH}，實際 ${r.actual || NO_MATCH}（${percent(r.confidence)}）`);
+      }
+      for (const { field, expected, actual } of r.entityErrors) {
+        lines.push(`   ${field}: 預期 ${JSON.stringify(expected)}，實際 ${JSON.stringify(actual)}`);
+      }
+    }
+  }
+
+  if (report.regressions.length > 0) {
+    lines.push('', `🔻 **${report.regressions.length} 題回歸**: ${report.regressions.join(', ')}`);
+  } else {
+    lines.push('', '✅ 沒有回歸');
+  }
+  if (report.fixed.length > 0) lines.push(`🔺 修正: ${report.fixed.join(', ')}`);
+  if (report.added.length > 0) lines.push(`🆕 基準沒有的題目: ${report.added.join(', ')}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * 命令列：node golden.js [--json] [--update-baseline] [--file <題目檔>]
+ */
+function main(argv = process.argv.slice(2)) {
+  const fileIndex = argv.indexOf('--file');
+  const file = fileIndex >= 0 ? path.resolve(argv[fileIndex + 1]) : QUESTIONS_FILE;
+
+  let report;
+  try {
+    report = runGolden(loadGoldenQuestions(file), { baseline: loadBaseline() });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    return 2;
+  }
+
+  console.log(argv.includes('--json') ? JSON.stringify(report, null, 2) : formatGoldenReport(report));
+
+  if (argv.includes('--update-baseline')) {
+    saveBaseline(report);
+    console.error(`💾 基準已更新: ${BASELINE_FILE}`);
+    return 0;
+  }
+  return report.regressions.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = {
+  loadGoldenQuestions,
+  runGolden,
+  loadBaseline,
+  saveBaseline,
+  formatGoldenReport,
+  confusionMatrix,
+  compareBaseline,
+  QUESTIONS_FILE,
+  BASELINE_FILE,
+};
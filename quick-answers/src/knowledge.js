@@ -0,0 +1,129 @@
+/**
+ * 知識來源（問答路由沒有把握時的備援）
+ *
+ *   knowledge：knowledge-intelligence 的 QAEngine，從收藏的文章回答
+ *   memory：memory-search，搜尋筆記和每日報告
+ *
+ * 每個來源回傳 { source, confidence, answer, references }，沒有相關資料時回傳 null
+ * 信心度都換算成 0 ~ 1，和問答路由的信心度一起比較
+ */
+
+// 來源名稱（顯示用）
+const SOURCE_LABELS = {
+  router: '問答路由',
+  knowledge: '收藏的文章',
+  memory: '筆記和日報',
+};
+
+// memory-search 的 BM25 分數達到這個值時信心度為 0.5
+const MEMORY_HALF_SCORE = 5;
+
+// 全文搜尋失敗改用 LIKE 比對時的信心度
+const MEMORY_FALLBACK_CONFIDENCE = 0.3;
+
+// 問句用語和虛詞（搜尋筆記時移除）
+const QUESTION_WORDS = /什麼是|是什麼|為什麼|為何|有哪些|哪些|如何|怎麼樣|怎麼|是否|嗎|呢|吧|的|了|是|和|與|跟|\b(?:what|why|how|which|is|are|the)\b/gi;
+
+/**
+ * 四捨五入到小數第二位
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 問題中的搜尋詞（「穩定幣的主要風險是什麼？」→ 穩定幣 主要風險）
+ */
+function searchTerms(question) {
+  return String(question)
+    .replace(/[？?，,。.！!、：:；;「」"']/g, ' ')
+    .replace(QUESTION_WORDS, ' ')
+    .split(/\s+/)
+    .filter(term => term.length > 1);
+}
+
+/**
+ * QAEngine 的答案轉成 Markdown
+ * 依問題類型，答案帶有不同的列表欄位（要點、原因、時間軸…）
+ */
+function formatArticleAnswer(result) {
+  const lines = ['📚 **根據收藏的文章**', '', result.answer];
+
+  const points = [
+    ...(result.summaries || []),
+    ...(result.supportingPoints || []),
+    ...(result.items || []),
+    ...(result.keyTakeaways || []),
+    ...(result.reasons || []),
+    ...(result.keyPoints || []),
+    ...(result.timeline || []).map(item => [item.title, item.keyPoint].filter(Boolean).join(' — ')),
+  ];
+  if (points.length > 0) {
+    lines.push('', ...[...new Set(points)].slice(0, 6).map(point => `• ${point}`));
+  }
+
+  if (result.sources?.length > 0) {
+    lines.push('', `_來源：${result.sources.map(source => `${source.title}（${source.relevance}%）`).join('、')}_`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 從收藏的文章回答
+ * @param {string} question - 問題
+ * @param {QAEngine} engine - 已載入文章的 QAEngine
+ */
+function answerFromArticles(question, engine) {
+  const result = engine.answer(question);
+  if (result.status !== 'answered' || result.sources.length === 0) return null;
+
+  return {
+    source: 'knowledge',
+    confidence: round(Math.max(...result.sources.map(source => source.relevance)) / 100),
+    answer: formatArticleAnswer(result),
+    references: result.sources,
+  };
+}
+
+/**
+ * 從筆記和日報回答
+ * @param {string} question - 問題
+ * @param {Object} memorySearch - memory-search 模組（searchMemory、formatSearchResults）
+ * @param {number} limit - 結果數量
+ */
+function answerFromMemory(question, memorySearch, limit = 3) {
+  const terms = searchTerms(question);
+  if (terms.length === 0) return null;
+
+  const query = terms.join(' ');
+  const results = memorySearch.searchMemory(query, limit);
+  if (results.length === 0) return null;
+
+  const [top] = results;
+  const confidence = top.matchType === 'fallback'
+    ? MEMORY_FALLBACK_CONFIDENCE
+    : top.score / (top.score + MEMORY_HALF_SCORE);
+
+  return {
+    source: 'memory',
+    confidence: round(confidence),
+    answer: memorySearch.formatSearchResults(query, results),
+    references: results.map(result => ({ source: result.source, line: result.startLine })),
+  };
+}
+
+/**
+ * 信心度不足的提示
+ */
+function lowConfidenceNotice(result) {
+  return `🤔 _不太確定（信心度 ${Math.round(result.confidence * 100)}%，來源：${SOURCE_LABELS[result.source]}），僅供參考_`;
+}
+
+module.exports = {
+  answerFromArticles,
+  answerFromMemory,
+  lowConfidenceNotice,
+  searchTerms,
+  SOURCE_LABELS,
+};
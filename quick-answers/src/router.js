@@ -0,0 +1,197 @@
+/**
+ * 問題分類
+ *
+ * 每個意圖依關鍵字和擷取到的實體給分（0 ~ 1），分數即信心度：
+ *   「1000 美元換台幣」→ forex.convert（金額 + 貨幣）
+ *   「BTC 多少」→ crypto.coin（幣種）
+ *   「NVDA 現在多少」→ stock.quote（任何股票代碼，不限觀察清單）
+ * 只考慮模組已載入的意圖，信心度低於 MIN_CONFIDENCE 視為沒有匹配
+ * 同分時依 INTENTS 的順序（較具體的意圖在前）
+ *
+ * slots 是意圖用到的實體，追問時可沿用上一輪的值（src/context.js）
+ * topical 的意圖回答的是主題的即時狀況（如穩定幣市值），問題在問知識（「穩定幣的風險是什麼？」）時分數減半，
+ * 讓收藏的文章和筆記有機會回答（見 index.js 的 askQuestion）
+ */
+
+const { extractEntities, STABLECOINS } = require('./entities');
+
+// 最低信心度
+const MIN_CONFIDENCE = 0.3;
+
+// 詢問價格的用語
+const PRICE_WORDS = ['多少', '價格', '價錢', '股價', '幣價', '報價', '現價', '漲', '跌', 'price', 'quote'];
+
+// 設定警報的用語
+const ALERT_WORDS = ['警報', '提醒我', '通知我', 'alert'];
+
+// 詢問知識的問法（而不是即時狀況）
+const KNOWLEDGE_PATTERN = /什麼是|是什麼|為什麼|為何|有哪些|如何|怎麼(?!樣)|差別|差異|區別|風險|影響|原理|意思|定義|what is|why|how does/i;
+
+// 換算的用語
+const CONVERT_WORDS = ['換', '兌', '等於', '是多少', '折合', 'convert', ' to ', ' in '];
+
+/**
+ * 問題是否包含任一關鍵字（不分大小寫）
+ */
+function has(q, words) {
+  return words.some(word => q.includes(word.toLowerCase()));
+}
+
+/**
+ * 意圖：{ id, project: 負責的專案, description, slots, topical, score(q, entities) → 0 ~ 1 }
+ * q 是轉成小寫的問題
+ */
+const INTENTS = [
+  {
+    id: 'forex.convert',
+    project: 'forex-tracker',
+    description: '貨幣換算',
+    slots: ['pair', 'currencies', 'amounts'],
+    score: (q, e) => {
+      if (!e.pair || e.amounts.length === 0) return 0;
+      return 0.6 + (e.currencies.length > 1 ? 0.2 : 0) + (has(q, CONVERT_WORDS) ? 0.2 : 0);
+    },
+  },
+  {
+    id: 'forex.rate',
+    project: 'forex-tracker',
+    description: '匯率',
+    slots: ['pair', 'currencies'],
+    score: (q, e) => {
+      const asked = has(q, ['匯率', 'forex', 'exchange rate']);
+      if (!asked && e.currencies.length === 0) return 0;
+      return (asked ? 0.7 : 0.4) + (e.currencies.length > 0 ? 0.2 : 0);
+    },
+  },
+  {
+    id: 'crypto.coin',
+    project: 'crypto-tracker',
+    description: '幣種價格',
+    slots: ['coins'],
+    score: (q, e) => (e.coins.length > 0 ? 0.7 + (has(q, PRICE_WORDS) ? 0.2 : 0) : 0),
+  },
+  {
+    id: 'stock.alert',
+    project: 'investment-monitor',
+    description: '設定價格警報',
+    slots: ['tickers'],
+    score: (q, e) => (has(q, ALERT_WORDS) && e.tickers.length > 0 && e.amounts.length > 0 ? 0.9 : 0),
+  },
+  {
+    id: 'stock.quote',
+    project: 'investment-monitor',
+    description: '個股報價',
+    slots: ['tickers'],
+    score: (q, e) => (e.tickers.length > 0 ? 0.6 + (has(q, PRICE_WORDS) ? 0.3 : 0) : 0),
+  },
+  {
+    id: 'stablecoin',
+    project: 'stablecoin-tracker',
+    description: '穩定幣狀況',
+    topical: true,
+    score: q => (has(q, ['穩定幣', 'stablecoin', '脫鉤', 'depeg', ...STABLECOINS]) ? 0.8 : 0),
+  },
+  {
+    id: 'rwa',
+    project: 'rwa-tracker',
+    description: 'RWA 市場',
+    topical: true,
+    score: q => (has(q, ['rwa', '資產代幣', '代幣化', '國債', 'treasur']) ? 0.8 : 0),
+  },
+  {
+    id: 'legal.news',
+    project: 'legal-news',
+    description: '法律新聞',
+    topical: true,
+    score: q => (has(q, ['法律', '法規', '修法', '判決', '法院', '起訴', '檢察', '地檢', '洗錢', '詐騙', '詐欺', '裁罰', 'legal']) ? 0.8 : 0),
+  },
+  {
+    id: 'crypto.market',
+    project: 'crypto-tracker',
+    description: '加密貨幣市場',
+    topical: true,
+    score: (q, e) => (has(q, ['加密貨幣', '虛擬貨幣', '幣圈', 'crypto']) ? (e.coins.length > 0 ? 0.5 : 0.8) : 0),
+  },
+  {
+    id: 'stock.overview',
+    project: 'investment-monitor',
+    description: '股票和投資組合',
+    topical: true,
+    score: (q, e) => (has(q, ['股票', '股市', '持股', '投資組合', '績效', 'stock', 'portfolio']) ? (e.tickers.length > 0 ? 0.5 : 0.8) : 0),
+  },
+  {
+    id: 'weather',
+    project: 'morning-briefing',
+    description: '天氣',
+    slots: ['locations', 'dates'],
+    score: (q, e) => (has(q, ['天氣', '下雨', '氣溫', '溫度', '帶傘', '雨傘', '颱風', 'weather']) ? 0.8 + (e.locations.length > 0 ? 0.1 : 0) : 0),
+  },
+  {
+    id: 'calendar',
+    project: 'morning-briefing',
+    description: '行程',
+    slots: ['dates'],
+    score: q => (has(q, ['行程', '日曆', '會議', '開會', 'calendar', 'schedule']) ? 0.8 : 0),
+  },
+  {
+    id: 'family.reminders',
+    project: 'family-reminders',
+    description: '家庭紀念日',
+    slots: ['dates'],
+    score: q => (has(q, ['生日', '紀念日', '結婚', 'birthday', 'anniversary']) ? 0.8 : 0),
+  },
+  {
+    id: 'story',
+    project: 'story-time',
+    description: '睡前故事',
+    score: q => (has(q, ['故事', '睡前', '晚安', 'story', 'bedtime']) ? 0.8 : 0),
+  },
+  {
+    id: 'briefing',
+    project: 'morning-briefing',
+    description: '早晨簡報',
+    score: q => (has(q, ['簡報', '早報', '早安', 'briefing']) ? 0.8 : 0),
+  },
+  {
+    id: 'market',
+    project: 'quick-answers',
+    description: '市場概覽',
+    topical: true,
+    score: q => (has(q, ['市場', '行情', 'market']) ? 0.6 : 0),
+  },
+];
+
+/**
+ * 分類問題
+ * @param {string} question - 問題
+ * @param {Object} options
+ * @param {Function} options.isAvailable - (intent) => 是否可回答（模組已載入），預設全部
+ * @param {Object} options.entities - 已擷取的實體（預設從問題擷取）
+ * @param {Date} options.now - 現在時間（相對日期）
+ * @param {string[]} options.watchlist - 觀察清單
+ * @returns {Object} { entities, matches: [{ intent, project, description, confidence }]（依信心度排序）}
+ */
+function classify(question, { isAvailable = () => true, entities = null, now, watchlist } = {}) {
+  const q = String(question).toLowerCase();
+  const extracted = entities || extractEntities(question, { now, watchlist });
+  const knowledge = KNOWLEDGE_PATTERN.test(q);
+
+  const matches = INTENTS
+    .filter(intent => isAvailable(intent))
+    .map(intent => ({
+      intent: intent.id,
+      project: intent.project,
+      description: intent.description,
+      confidence: Math.round(Math.min(1, intent.score(q, extracted)) * (knowledge && intent.topical ? 0.5 : 1) * 100) / 100,
+    }))
+    .filter(match => match.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  return { entities: extracted, matches };
+}
+
+module.exports = {
+  classify,
+  INTENTS,
+  MIN_CONFIDENCE,
+};
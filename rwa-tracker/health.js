@@ -0,0 +1,9 @@
+/**
+ * RWA 追蹤 - 健康檢查探針（見 assistant-toolkit/lib/health.js）
+ */
+
+const { reachability } = require('../assistant-toolkit/lib/health');
+
+module.exports = [
+  reachability('defillama', 'https://api.llama.fi/v2/chains'),
+];
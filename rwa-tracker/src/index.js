@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getJSON } = require('../../assistant-toolkit/lib/http');
 
 // 資料目錄
 const DATA_DIR = path.join(__dirname, '../data');
@@ -62,13 +63,7 @@ async function fetchRWAData() {
   try {
     // 獲取 RWA 分類的 TVL
     const url = 'https://api.llama.fi/v2/protocols';
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-
-    const protocols = await response.json();
+    const protocols = await getJSON(url);
     
     // 篩選 RWA 相關協議
     const rwaKeywords = ['rwa', 'treasury', 'bond', 'credit', 'gold', 'real world'];
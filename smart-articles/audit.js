@@ -0,0 +1,33 @@
+/**
+ * 智慧文章 - 資料稽核（見 assistant-toolkit/lib/audit.js）
+ * 文章存在共用資料庫的 articles 資料表，檢查記錄格式和多久沒有收藏新文章
+ */
+
+const { storeTable, TIMESTAMP } = require('../assistant-toolkit/lib/audit');
+const { articles } = require('../assistant-toolkit/lib/repositories');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ARTICLE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'title'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    title: { type: 'string', minLength: 1 },
+    url: { type: ['string', 'null'], pattern: '^https?://' },
+    category: { type: ['string', 'null'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    summary: { type: ['string', 'null'] },
+    keyPoints: { type: 'array', items: { type: 'string' } },
+    savedAt: TIMESTAMP,
+  },
+};
+
+module.exports = [
+  storeTable('articles', {
+    records: store => articles.list(store),
+    schema: ARTICLE_SCHEMA,
+    latest: items => items[items.length - 1].savedAt,
+    staleAfter: 30 * DAY,
+  }),
+];
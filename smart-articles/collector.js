@@ -14,22 +14,26 @@
 const { ArticleAnalyzer } = require('./lib/analyzer');
 const { NotionClient } = require('./lib/notion');
 const { KnowledgeBase } = require('./lib/knowledge');
-const fs = require('fs').promises;
-const path = require('path');
+const { getConfigValue } = require('../assistant-toolkit/lib/config');
+const { getText } = require('../assistant-toolkit/lib/http');
 
-// 載入配置
+// 載入配置（共用設定 notion.token / notion.articlesDatabaseId）
 async function loadConfig() {
-  const configPath = path.join(__dirname, '..', '..', 'config', 'notion.json');
-  const data = await fs.readFile(configPath, 'utf-8');
-  return JSON.parse(data);
+  const token = getConfigValue('notion.token');
+  const databaseId = getConfigValue('notion.articlesDatabaseId');
+
+  if (!token || !databaseId) {
+    throw new Error('尚未設定 Notion（toolkit config set notion.token <token>，toolkit config set notion.articlesDatabaseId <id>）');
+  }
+
+  return { token, databases: { articles: { id: databaseId } } };
 }
 
 // 抓取網頁內容（使用 fetch API）
 async function fetchArticle(url) {
   // 使用 OpenClaw 的 web_fetch 或直接 fetch
   // 這裡簡化為直接 fetch，實際使用時會由 OpenClaw 代勞
-  const response = await fetch(url);
-  const html = await response.text();
+  const html = await getText(url);
   
   // 簡單的 HTML 轉文字（實際使用時由 OpenClaw 的 web_fetch 處理）
   // 移除 HTML 標籤
@@ -1,13 +1,12 @@
 /**
  * 知識庫管理模組
  * 負責追蹤所有收藏的文章，建立索引和關聯
+ *
+ * 文章存在共用資料庫（assistant-toolkit/lib/repositories.js 的 articles），
+ * 舊的 data/knowledge-base.json 會在第一次開啟時匯入
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const KB_FILE = path.join(DATA_DIR, 'knowledge-base.json');
+const { articles: articlesRepo } = require('../../assistant-toolkit/lib/repositories');
 
 class KnowledgeBase {
   constructor() {
@@ -20,32 +19,10 @@ class KnowledgeBase {
    * 載入知識庫
    */
   async load() {
-    try {
-      const data = await fs.readFile(KB_FILE, 'utf-8');
-      const kb = JSON.parse(data);
-      this.articles = kb.articles || [];
-      this.tags = kb.tags || {};
-      this.loaded = true;
-    } catch (error) {
-      // 檔案不存在，初始化空的知識庫
-      this.articles = [];
-      this.tags = {};
-      this.loaded = true;
-    }
-  }
-
-  /**
-   * 儲存知識庫
-   */
-  async save() {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    const data = {
-      articles: this.articles,
-      tags: this.tags,
-      lastUpdated: new Date().toISOString(),
-      stats: this.getStats()
-    };
-    await fs.writeFile(KB_FILE, JSON.stringify(data, null, 2));
+    // 資料庫無法讀取時直接拋出，不當作空的知識庫
+    this.articles = articlesRepo.list();
+    this.tags = articlesRepo.tagIndex();
+    this.loaded = true;
   }
 
   /**
@@ -67,6 +44,7 @@ class KnowledgeBase {
       keyPoints: article.keyPoints || [],
     };
 
+    articlesRepo.insert(entry);
     this.articles.push(entry);
 
     // 更新標籤索引
@@ -77,7 +55,6 @@ class KnowledgeBase {
       this.tags[tag].push(entry.id);
     }
 
-    await this.save();
     return entry;
   }
 
@@ -3,6 +3,8 @@
  * 負責將文章內容寫入 Notion
  */
 
+const { request } = require('../../assistant-toolkit/lib/http');
+
 const NOTION_VERSION = '2022-06-28';
 
 class NotionClient {
@@ -14,27 +16,22 @@ class NotionClient {
 
   async request(endpoint, method = 'GET', body = null) {
     const url = `${this.baseUrl}${endpoint}`;
-    const options = {
-      method,
-      headers: {
-        'Authorization': `Bearer ${this.token}`,
-        'Notion-Version': NOTION_VERSION,
-        'Content-Type': 'application/json',
-      },
-    };
-    
-    if (body) {
-      options.body = JSON.stringify(body);
-    }
 
-    const response = await fetch(url, options);
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(`Notion API error: ${data.message || JSON.stringify(data)}`);
+    try {
+      const response = await request(url, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'Notion-Version': NOTION_VERSION,
+          'Content-Type': 'application/json',
+        },
+        body,
+      });
+      return response.data;
+    } catch (error) {
+      const detail = error.body?.message || error.message;
+      throw Object.assign(new Error(`Notion API error: ${detail}`), { code: error.code, status: error.status });
     }
-    
-    return data;
   }
 
   /**
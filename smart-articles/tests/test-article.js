@@ -130,6 +130,10 @@ async function runTests() {
   console.log('📚 測試 2: 知識庫');
   console.log('----------------');
 
+  // 使用記憶體資料庫，不寫入真實的 assistant.db（也不會匯入舊的 JSON）
+  const { Store, setStore } = require('../../assistant-toolkit/lib/store');
+  setStore(new Store({ file: ':memory:' })).migrate();
+
   const kb = new KnowledgeBase();
   await kb.load();
 
@@ -7,6 +7,7 @@ const {
   generateMarketCapReport,
   generateBriefSummary,
   formatMarketCap,
+  saveHistory,
   STABLECOINS,
 } = require('./src/index');
 
@@ -37,15 +38,28 @@ async function getStablecoinData() {
  */
 async function checkDepeg(threshold = 0.01) {
   const coins = await fetchStablecoinData();
-  
-  const depegged = coins.filter(coin => 
-    Math.abs(coin.price - 1) > threshold
-  );
+  const depegged = findDepegged(coins, threshold);
 
   if (depegged.length === 0) {
     return null;
   }
 
+  return formatDepegAlert(depegged);
+}
+
+/**
+ * 篩選脫鉤的穩定幣
+ */
+function findDepegged(coins, threshold = 0.01) {
+  return coins.filter(coin => 
+    Math.abs(coin.price - 1) > threshold
+  );
+}
+
+/**
+ * 格式化脫鉤警報
+ */
+function formatDepegAlert(depegged) {
   let alert = '⚠️ **穩定幣脫鉤警報**\n\n';
   for (const coin of depegged) {
     const direction = coin.price > 1 ? '📈' : '📉';
@@ -77,12 +91,31 @@ async function getCoin(symbol) {
   return coins.find(c => c.symbol.toUpperCase() === symbol.toUpperCase());
 }
 
+/**
+ * 儲存歷史快照
+ * @returns {Promise<boolean>} 是否成功（無法取得資料時回傳 false）
+ */
+async function saveSnapshot() {
+  const coins = await fetchStablecoinData();
+  if (!coins || coins.length === 0) {
+    return false;
+  }
+  await saveHistory(coins);
+  return true;
+}
+
 module.exports = {
   getStablecoinReport,
   getStablecoinBrief,
   getStablecoinData,
   checkDepeg,
+  findDepegged,
+  formatDepegAlert,
   getTotalMarketCap,
   getCoin,
+  saveSnapshot,
+  // 格式化（搭配原始資料使用）
+  generateMarketCapReport,
+  generateBriefSummary,
   STABLECOINS,
 };
@@ -0,0 +1,11 @@
+/**
+ * 穩定幣追蹤 - 健康檢查探針（見 assistant-toolkit/lib/health.js）
+ */
+
+const { dataFreshness, reachability } = require('../assistant-toolkit/lib/health');
+
+module.exports = [
+  // 每天 23:00 的 history-snapshot 工作寫入
+  dataFreshness('history', 'stablecoin'),
+  reachability('coingecko', 'https://api.coingecko.com/api/v3/ping'),
+];
@@ -5,14 +5,11 @@
  * 使用 CoinGecko API 獲取穩定幣資訊
  */
 
-const fs = require('fs');
-const path = require('path');
+const { getJSON } = require('../../assistant-toolkit/lib/http');
+const { history } = require('../../assistant-toolkit/lib/repositories');
 
-// 資料目錄
-const DATA_DIR = path.join(__dirname, '../data');
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+// 歷史保留天數
+const HISTORY_DAYS = 30;
 
 // 追蹤的穩定幣
 const STABLECOINS = {
@@ -32,17 +29,11 @@ async function fetchStablecoinData() {
   const url = `https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&ids=${ids}&order=market_cap_desc&sparkline=false`;
 
   try {
-    const response = await fetch(url, {
+    const data = await getJSON(url, {
       headers: {
         'Accept': 'application/json',
       },
     });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-
-    const data = await response.json();
     return data.map(coin => ({
       id: coin.id,
       symbol: coin.symbol.toUpperCase(),
@@ -82,17 +73,20 @@ function formatSupply(value) {
 
 /**
  * 生成市值報告
+ * @param {Object[]} coins - 已獲取的穩定幣資料（未提供時重新獲取）
  */
-async function generateMarketCapReport() {
-  console.log('📊 獲取穩定幣資料中...\n');
-  const coins = await fetchStablecoinData();
+async function generateMarketCapReport(coins = null) {
+  if (!coins) {
+    console.log('📊 獲取穩定幣資料中...\n');
+    coins = await fetchStablecoinData();
+  }
 
   if (coins.length === 0) {
     return '❌ 無法獲取穩定幣資料';
   }
 
   // 按市值排序
-  coins.sort((a, b) => b.marketCap - a.marketCap);
+  coins = [...coins].sort((a, b) => b.marketCap - a.marketCap);
 
   let report = '💵 **穩定幣市值排名**\n\n';
 
@@ -121,15 +115,16 @@ async function generateMarketCapReport() {
 
 /**
  * 生成簡短摘要
+ * @param {Object[]} coins - 已獲取的穩定幣資料（未提供時重新獲取）
  */
-async function generateBriefSummary() {
-  const coins = await fetchStablecoinData();
+async function generateBriefSummary(coins = null) {
+  coins = coins || await fetchStablecoinData();
 
   if (coins.length === 0) {
     return '💵 穩定幣資料暫時無法獲取';
   }
 
-  coins.sort((a, b) => b.marketCap - a.marketCap);
+  coins = [...coins].sort((a, b) => b.marketCap - a.marketCap);
 
   let summary = '💵 **穩定幣快訊**\n\n';
   
@@ -146,25 +141,8 @@ async function generateBriefSummary() {
  * 儲存歷史資料
  */
 async function saveHistory(data) {
-  const historyFile = path.join(DATA_DIR, 'history.json');
-  let history = [];
-
-  if (fs.existsSync(historyFile)) {
-    try {
-      history = JSON.parse(fs.readFileSync(historyFile, 'utf-8'));
-    } catch (e) {}
-  }
-
-  history.push({
-    timestamp: new Date().toISOString(),
-    data,
-  });
-
   // 只保留最近 30 天
-  const thirtyDaysAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
-  history = history.filter(h => new Date(h.timestamp).getTime() > thirtyDaysAgo);
-
-  fs.writeFileSync(historyFile, JSON.stringify(history, null, 2));
+  return history.append('stablecoin', { data }, { retainDays: HISTORY_DAYS });
 }
 
 // CLI
@@ -215,5 +193,6 @@ module.exports = {
   generateBriefSummary,
   formatMarketCap,
   formatSupply,
+  saveHistory,
   STABLECOINS,
 };
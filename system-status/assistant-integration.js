@@ -2,9 +2,12 @@
  * 系統狀態 - 助手整合
  */
 
+const { formatHealthReport } = require('../assistant-toolkit/lib/health');
 const {
+  checkHealth,
   checkServices,
   checkProjects,
+  checkSections,
   generateStatusReport,
 } = require('./index');
 
@@ -17,9 +20,10 @@ async function getStatusReport() {
 
 /**
  * 檢查服務狀態
+ * @param {Object} health - 已完成的健康檢查（可省略）
  */
-async function getServices() {
-  return await checkServices();
+async function getServices(health = null) {
+  return await checkServices(health);
 }
 
 /**
@@ -29,24 +33,45 @@ async function getProjects() {
   return await checkProjects();
 }
 
+/**
+ * 簡報區塊的耗時統計
+ */
+function getSections() {
+  return checkSections();
+}
+
+/**
+ * 健康檢查（各專案的探針）
+ * @param {Object} options - { project: 只檢查某個專案 }
+ */
+async function getHealth(options = {}) {
+  return await checkHealth(options);
+}
+
 /**
  * 快速健康檢查
  */
 async function healthCheck() {
-  const services = await checkServices();
-  const allOk = services.every(s => s.status !== 'not running' && s.status !== 'not installed');
-  
-  if (allOk) {
-    return '✅ 所有系統正常運作';
-  } else {
-    const issues = services.filter(s => s.status === 'not running' || s.status === 'not installed');
-    return `⚠️ 發現問題:\n${issues.map(s => `• ${s.name}: ${s.status}`).join('\n')}`;
+  return formatHealthCheck(await checkHealth());
+}
+
+/**
+ * 格式化健康檢查結果（只列出有問題的探針）
+ */
+function formatHealthCheck(report) {
+  if (report.status === 'green') {
+    return `✅ 所有系統正常運作（${report.probes.length} 項檢查）`;
   }
+  return formatHealthReport(report, { verbose: false });
 }
 
 module.exports = {
   getStatusReport,
   getServices,
   getProjects,
+  getSections,
+  getHealth,
   healthCheck,
+  formatHealthCheck,
+  generateStatusReport,
 };
@@ -0,0 +1,40 @@
+/**
+ * 系統狀態 - 健康檢查探針（見 assistant-toolkit/lib/health.js）
+ * 助手本身的服務：OpenClaw Gateway、共用資料庫、命令列工具
+ */
+
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { dbIntegrity, reachability } = require('../assistant-toolkit/lib/health');
+const { getConfigValue } = require('../assistant-toolkit/lib/config');
+
+const execAsync = promisify(exec);
+
+/**
+ * 命令列工具是否已安裝
+ * @param {string} name - 探針名稱
+ * @param {string} command - 查詢版本的指令
+ * @param {string} missing - 未安裝時的狀態
+ */
+function commandProbe(name, command, missing = 'yellow') {
+  return {
+    name,
+    kind: 'command',
+    description: command,
+    check: async () => {
+      try {
+        const { stdout } = await execAsync(command, { timeout: 5000 });
+        return { status: 'green', message: stdout.trim().split('\n')[0] || '已安裝', details: { command } };
+      } catch (e) {
+        return { status: missing, message: '未安裝', details: { command } };
+      }
+    },
+  };
+}
+
+module.exports = [
+  reachability('gateway', getConfigValue('health.gatewayUrl'), { timeout: 3000, slowMs: 1000 }),
+  dbIntegrity('store', () => getConfigValue('store.file')),
+  commandProbe('node', 'node --version', 'red'),
+  commandProbe('gog', 'gog --version'),
+];
@@ -5,95 +5,129 @@
  * 檢查各種服務和工具的狀態
  */
 
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const path = require('path');
+const fs = require('fs');
 
-const execAsync = promisify(exec);
+const { getSectionStats } = require('../assistant-toolkit/lib/pipeline');
+const { ProjectRegistry } = require('../assistant-toolkit/lib/registry');
+const { loadProbes, getProbes, runProbes, formatHealthReport, EXIT_CODES } = require('../assistant-toolkit/lib/health');
+
+const PROJECTS_DIR = path.join(__dirname, '..');
+
+// 各專案 manifest 指定的探針（第一次檢查時載入）
+let probesLoaded = false;
+let probeErrors = [];
 
 /**
- * 檢查命令是否可用
+ * 載入各專案的探針
  */
-async function checkCommand(cmd) {
-  try {
-    await execAsync(`which ${cmd}`);
-    return true;
-  } catch (e) {
-    return false;
+function ensureProbes() {
+  if (!probesLoaded) {
+    probeErrors = loadProbes(PROJECTS_DIR);
+    probesLoaded = true;
   }
+  return probeErrors;
 }
 
 /**
- * 檢查服務狀態
+ * 執行健康檢查
+ * @param {Object} options - { project: 只檢查某個專案, timeout: 每個探針的期限（毫秒）}
+ * @returns {Promise<Object>} { status, exitCode, counts, checkedAt, probes }
  */
-async function checkServices() {
-  const services = [];
-
-  // OpenClaw Gateway
-  try {
-    const { stdout } = await execAsync('ps aux | grep openclaw-gateway | grep -v grep');
-    services.push({ name: 'OpenClaw Gateway', status: 'running', emoji: '✅' });
-  } catch (e) {
-    services.push({ name: 'OpenClaw Gateway', status: 'not running', emoji: '❌' });
+async function checkHealth({ project = null, timeout } = {}) {
+  const errors = ensureProbes().filter(e => !project || e.project === project);
+  const report = await runProbes({ project, timeout });
+
+  // 檢查檔本身載入失敗也算異常
+  if (errors.length > 0) {
+    report.probes.push(...errors.map(e => ({
+      project: e.project,
+      name: 'health.js',
+      kind: 'probe',
+      description: '檢查檔',
+      status: 'red',
+      message: `無法載入: ${e.error}`,
+      durationMs: 0,
+      details: {},
+    })));
+    report.counts.red += errors.length;
+    report.status = 'red';
+    report.exitCode = EXIT_CODES.red;
   }
 
-  // gog CLI
-  if (await checkCommand('gog')) {
-    services.push({ name: 'gog CLI', status: 'installed', emoji: '✅' });
-  } else {
-    services.push({ name: 'gog CLI', status: 'not installed', emoji: '❌' });
-  }
-
-  // Node.js
-  try {
-    const { stdout } = await execAsync('node --version');
-    services.push({ name: 'Node.js', status: stdout.trim(), emoji: '✅' });
-  } catch (e) {
-    services.push({ name: 'Node.js', status: 'not available', emoji: '❌' });
-  }
+  return report;
+}
 
-  return services;
+/**
+ * 檢查服務狀態（system-status 自己的探針：Gateway、共用資料庫、命令列工具）
+ * @param {Object} health - 已完成的健康檢查（未提供時只執行這幾個探針）
+ */
+async function checkServices(health = null) {
+  const icons = { green: '✅', yellow: '⚠️', red: '❌' };
+  const { probes } = health || await checkHealth({ project: 'system-status' });
+  return probes
+    .filter(p => p.project === 'system-status')
+    .map(p => ({ name: p.name, status: p.status, message: p.message, emoji: icons[p.status] }));
 }
 
 /**
- * 檢查專案狀態
+ * 檢查專案狀態（所有有 manifest 的專案：進入點是否存在、相依專案、探針數）
  */
 async function checkProjects() {
-  const projectsDir = path.join(__dirname, '..');
-  const projects = [
-    'investment-monitor',
-    'stablecoin-tracker',
-    'rwa-tracker',
-    'morning-briefing',
-    'fintech-news',
-    'taiwan-fintech',
-  ];
-
-  const status = [];
-
-  for (const project of projects) {
-    const projectPath = path.join(projectsDir, project);
-    const indexPath = path.join(projectPath, 'src/index.js');
-    const integrationPath = path.join(projectPath, 'assistant-integration.js');
-
-    const hasIndex = require('fs').existsSync(indexPath);
-    const hasIntegration = require('fs').existsSync(integrationPath);
-
-    status.push({
-      name: project,
-      hasIndex,
-      hasIntegration,
-      emoji: hasIndex ? '✅' : '❌',
-    });
+  const registry = new ProjectRegistry(PROJECTS_DIR);
+  const manifests = registry.discover();
+  const names = new Set(manifests.map(m => m.name));
+  ensureProbes();
+
+  const status = manifests.map((manifest) => {
+    const hasEntry = fs.existsSync(path.join(manifest.path, manifest.entry));
+    const missingDependencies = manifest.dependencies.filter(dep => !names.has(dep));
+    return {
+      name: manifest.name,
+      entry: manifest.entry,
+      hasEntry,
+      missingDependencies,
+      probes: getProbes(manifest.name).length,
+      emoji: hasEntry && missingDependencies.length === 0 ? '✅' : '❌',
+    };
+  });
+
+  // manifest 無法讀取的專案
+  for (const [name, { error }] of registry.projects) {
+    status.push({ name, entry: null, hasEntry: false, missingDependencies: [], probes: 0, error, emoji: '❌' });
   }
 
   return status;
 }
 
+/**
+ * 簡報區塊的耗時統計（最近幾次）
+ */
+function checkSections() {
+  try {
+    return getSectionStats();
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * 毫秒轉秒
+ */
+function seconds(ms) {
+  return ms == null ? '-' : `${(ms / 1000).toFixed(1)}s`;
+}
+
 /**
  * 生成狀態報告
+ * @param {Object} checks - 已完成的檢查結果 { services, projects, sections, health }（未提供時重新檢查）
  */
-async function generateStatusReport() {
+async function generateStatusReport(checks = {}) {
+  const health = checks.health || await checkHealth();
+  const services = checks.services || await checkServices(health);
+  const projects = checks.projects || await checkProjects();
+  const sections = checks.sections || checkSections();
+
   let report = '🔧 **系統狀態報告**\n\n';
 
   // 時間
@@ -101,34 +135,67 @@ async function generateStatusReport() {
 
   // 服務狀態
   report += '**服務狀態**\n';
-  const services = await checkServices();
   for (const s of services) {
-    report += `${s.emoji} ${s.name}: ${s.status}\n`;
+    report += `${s.emoji} ${s.name}: ${s.message}\n`;
   }
   report += '\n';
 
   // 專案狀態
   report += '**專案狀態**\n';
-  const projects = await checkProjects();
   for (const p of projects) {
-    const integration = p.hasIntegration ? '(整合)' : '';
-    report += `${p.emoji} ${p.name} ${integration}\n`;
+    let note = p.probes > 0 ? `（${p.probes} 項檢查）` : '';
+    if (p.error) note = `: ${p.error}`;
+    else if (!p.hasEntry) note = `: 找不到 ${p.entry}`;
+    else if (p.missingDependencies.length > 0) note = `: 找不到相依專案 ${p.missingDependencies.join(', ')}`;
+    report += `${p.emoji} ${p.name}${note}\n`;
+  }
+
+  // 健康檢查（只列出有問題的探針）
+  report += `\n${formatHealthReport(health, { verbose: false })}\n`;
+
+  // 簡報區塊耗時
+  if (sections.length > 0) {
+    const icons = { ok: '✅', stale: '⏱️', timeout: '⏱️', error: '❌' };
+    report += '\n**區塊耗時**（中位數 / 最慢，逾時次數）\n';
+    for (const s of sections) {
+      report += `${icons[s.lastStatus] || '❔'} ${s.section}: ${seconds(s.p50Ms)} / ${seconds(s.maxMs)}，逾時 ${s.timeouts}/${s.runs}\n`;
+    }
   }
 
   return report;
 }
 
-// CLI
-async function main() {
-  console.log(await generateStatusReport());
+/**
+ * 命令列：
+ *   node index.js                       狀態報告
+ *   node index.js health [--json] [--project <名稱>]
+ *                                       健康檢查，結束代碼 green 0、yellow 1、red 2
+ */
+async function main(argv = process.argv.slice(2)) {
+  if (argv[0] !== 'health') {
+    console.log(await generateStatusReport());
+    return 0;
+  }
+
+  const projectIndex = argv.indexOf('--project');
+  const report = await checkHealth({ project: projectIndex >= 0 ? argv[projectIndex + 1] : null });
+  console.log(argv.includes('--json') ? JSON.stringify(report, null, 2) : formatHealthReport(report));
+  return report.exitCode;
 }
 
 if (require.main === module) {
-  main().catch(e => console.error('Error:', e.message));
+  main()
+    .then((code) => { process.exitCode = code; })
+    .catch((e) => {
+      console.error('Error:', e.message);
+      process.exitCode = EXIT_CODES.red;
+    });
 }
 
 module.exports = {
+  checkHealth,
   checkServices,
   checkProjects,
+  checkSections,
   generateStatusReport,
 };